@@ -0,0 +1,428 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Subscriber grid on the Database page.
+     *
+     * Every page is loaded from bema_get_subscribers with the current filters,
+     * sort and page size, which are mirrored in the page URL so reloading,
+     * sharing or going back shows the same page. Hidden columns are a per
+     * browser preference and are kept in localStorage.
+     */
+    window.BemaSubscriberTable = {
+        columns: [
+            { key: 'email', label: 'Email', required: true },
+            { key: 'name', label: 'Name' },
+            { key: 'status', label: 'Status' },
+            { key: 'subscribed_at', label: 'Subscribed', hidden: true },
+            { key: 'updated_at', label: 'Updated', hidden: true },
+            { key: 'campaign', label: 'Campaign', campaign: true },
+            { key: 'tier', label: 'Tier', campaign: true },
+            { key: 'purchase_id', label: 'Purchase ID', campaign: true },
+            { key: 'transition_date', label: 'Transition Date', campaign: true }
+        ],
+        stateKeys: ['tier', 'campaign', 'search', 'segment', 'orderby', 'order', 'per_page', 'paged'],
+        storageKey: 'bemaSubscriberHiddenColumns',
+        state: {},
+        grid: null,
+        hiddenColumns: [],
+        urlState: {},
+        generation: 0,
+        searchTimeout: null,
+
+        init: function () {
+            const $table = $('#subscriber-grid');
+            if (!$table.length) {
+                return;
+            }
+
+            this.hiddenColumns = this.loadHiddenColumns();
+            this.bindEvents();
+            this.render($table.data('grid'));
+            this.updateUrl('replace');
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('.subscriber-filters').on('submit', function (e) {
+                e.preventDefault();
+                clearTimeout(self.searchTimeout);
+                self.load(self.getFilters());
+            });
+
+            $('#filter-tier, #filter-campaign, #filter-segment').on('change', function () {
+                self.load(self.getFilters());
+            });
+
+            // Typing replaces the history entry instead of adding one per keystroke
+            $('#subscriber-search-input').on('input', function () {
+                clearTimeout(self.searchTimeout);
+                self.searchTimeout = setTimeout(function () {
+                    self.load(self.getFilters(), 'replace');
+                }, 400);
+            });
+
+            $('#subscriber-per-page').on('change', function () {
+                self.load({ per_page: $(this).val(), paged: 1 });
+            });
+
+            $('#subscriber-grid').on('click', 'thead .sortable a, thead .sorted a', function (e) {
+                e.preventDefault();
+                const column = $(this).closest('th').data('column');
+                const order = self.state.orderby === column && self.state.order === 'asc' ? 'desc' : 'asc';
+                self.load({ orderby: column, order: order, paged: 1 });
+            });
+
+            $('.subscriber-pagination').on('click', 'a[data-page]', function (e) {
+                e.preventDefault();
+                self.load({ paged: $(this).data('page') });
+            });
+
+            $('.subscriber-pagination').on('keydown', '.current-page', function (e) {
+                if (e.key === 'Enter') {
+                    // Keep Enter from submitting the bulk actions form
+                    e.preventDefault();
+                    self.load({ paged: parseInt(this.value, 10) || 1 });
+                }
+            });
+
+            $('.subscriber-column-options').on('change', 'input[type="checkbox"]', function () {
+                self.toggleColumn(this.value, this.checked);
+            });
+
+            // Entries that only differ in other parameters, such as the open subscriber, keep the page
+            $(window).on('popstate', function () {
+                const state = self.getUrlState();
+                if (self.stateKeys.some((key) => state[key] !== self.urlState[key])) {
+                    self.urlState = state;
+                    self.load(state, false);
+                }
+            });
+        },
+
+        getFilters: function () {
+            return {
+                tier: $('#filter-tier').val(),
+                campaign: $('#filter-campaign').val(),
+                search: $.trim($('#subscriber-search-input').val()),
+                segment: $('#filter-segment').val(),
+                paged: 1
+            };
+        },
+
+        /**
+         * Load a page of subscribers
+         *
+         * @param {Object} changes State keys to change
+         * @param {string|false} history push, replace or false to leave the URL alone
+         */
+        load: function (changes, history = 'push') {
+            const state = $.extend({}, this.state, changes);
+            const generation = ++this.generation;
+
+            $('#subscriber-grid').addClass('is-loading').attr('aria-busy', 'true');
+
+            $.ajax({
+                url: bemaCrmDatabaseData.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'bema_get_subscribers',
+                    nonce: bemaCrmDatabaseData.nonce
+                }, state),
+                success: (response) => {
+                    // A newer request was made while this one ran
+                    if (generation !== this.generation) {
+                        return;
+                    }
+
+                    if (response.success) {
+                        this.render(response.data);
+                        if (history) {
+                            this.updateUrl(history);
+                        }
+                    } else {
+                        BemaAdmin.showNotification(response.data.message, 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    if (generation === this.generation) {
+                        BemaAdmin.showNotification('Failed to load subscribers: ' + error, 'error');
+                    }
+                },
+                complete: () => {
+                    if (generation === this.generation) {
+                        $('#subscriber-grid').removeClass('is-loading').removeAttr('aria-busy');
+                    }
+                }
+            });
+        },
+
+        render: function (grid) {
+            this.grid = grid;
+            this.state = grid.state;
+
+            this.syncControls();
+            this.renderColumnOptions();
+            this.renderTable();
+            this.renderPagination();
+
+            // "Select all matching" was for the rows that were shown
+            if (window.BemaSubscriberBulkActions) {
+                BemaSubscriberBulkActions.clearSelection();
+            }
+        },
+
+        /**
+         * Match the filter controls to the state the page was loaded with,
+         * e.g. after going back, leaving alone a search box being typed in.
+         */
+        syncControls: function () {
+            $('#filter-tier').val(this.state.tier);
+            $('#filter-campaign').val(this.state.campaign);
+            $('#filter-segment').val(String(this.state.segment));
+            $('#subscriber-per-page').val(String(this.state.per_page));
+
+            const $search = $('#subscriber-search-input');
+            if (!$search.is(':focus')) {
+                $search.val(this.state.search);
+            }
+
+            $('.subscriber-filters input[name="orderby"]').val(this.state.orderby);
+            $('.subscriber-filters input[name="order"]').val(this.state.order);
+        },
+
+        /**
+         * Columns shown for the current campaign filter and column choice
+         */
+        getVisibleColumns: function () {
+            return this.columns.filter((column) => {
+                if (column.campaign && !this.state.campaign) {
+                    return false;
+                }
+
+                return column.required || !this.hiddenColumns.includes(column.key);
+            });
+        },
+
+        renderTable: function () {
+            const columns = this.getVisibleColumns();
+            const $header = $('<tr>').append(
+                $('<td id="cb" class="manage-column column-cb check-column">').append(
+                    $('<input type="checkbox" id="select-all-subscribers">')
+                )
+            );
+
+            columns.forEach((column) => {
+                const sorted = this.state.orderby === column.key;
+                $('<th scope="col" class="manage-column">')
+                    .addClass('column-' + column.key)
+                    .addClass(sorted ? 'sorted ' + this.state.order : 'sortable desc')
+                    .attr('aria-sort', sorted ? (this.state.order === 'asc' ? 'ascending' : 'descending') : null)
+                    .data('column', column.key)
+                    .append($('<a href="#">')
+                        .append($('<span>').text(column.label))
+                        .append('<span class="sorting-indicator"></span>'))
+                    .appendTo($header);
+            });
+
+            $('#subscriber-grid thead').empty().append($header);
+
+            const $body = $('#subscriber-grid tbody').empty();
+
+            if (!this.grid.subscribers.length) {
+                $body.append($('<tr>').append(
+                    $('<td class="text-center">').attr('colspan', columns.length + 1).text('No subscribers found.')
+                ));
+                return;
+            }
+
+            this.grid.subscribers.forEach((subscriber) => {
+                const $row = $('<tr>').append(
+                    $('<th scope="row" class="check-column">').append(
+                        $('<input type="checkbox" name="subscriber_ids[]">').val(subscriber.id)
+                    )
+                );
+
+                columns.forEach((column) => {
+                    $row.append($('<td>').addClass('column-' + column.key).append(this.renderCell(column.key, subscriber)));
+                });
+
+                $body.append($row);
+            });
+        },
+
+        renderCell: function (key, subscriber) {
+            switch (key) {
+                case 'email':
+                    // Opens BemaSubscriberDrawer
+                    return [
+                        $('<strong>').append(
+                            $('<a href="#" class="view-subscriber-details">')
+                                .attr('data-subscriber-id', subscriber.id)
+                                .text(subscriber.email || '—')
+                        ),
+                        $('<br>'),
+                        $('<small>').text('ID: ' + subscriber.id)
+                    ];
+                case 'status':
+                    return $('<span class="status-badge">')
+                        .addClass('status-' + subscriber.status)
+                        .text(subscriber.status.charAt(0).toUpperCase() + subscriber.status.slice(1));
+                default:
+                    return document.createTextNode(subscriber[key] || '—');
+            }
+        },
+
+        renderColumnOptions: function () {
+            const $options = $('.subscriber-column-options');
+            $options.find('label').remove();
+
+            this.columns.forEach((column) => {
+                if (column.required) {
+                    return;
+                }
+
+                const unavailable = column.campaign && !this.state.campaign;
+
+                $('<label>')
+                    .toggleClass('is-unavailable', unavailable)
+                    .attr('title', unavailable ? 'Shown when a campaign is selected' : null)
+                    .append($('<input type="checkbox">')
+                        .val(column.key)
+                        .prop('checked', !this.hiddenColumns.includes(column.key))
+                        .prop('disabled', unavailable))
+                    .append(' ' + column.label)
+                    .appendTo($options);
+            });
+        },
+
+        renderPagination: function () {
+            const paged = this.state.paged;
+            const totalPages = this.grid.total_pages;
+            const total = this.grid.total.toLocaleString() + ' items';
+            const $pagination = $('.subscriber-pagination').empty();
+
+            $pagination.toggleClass('one-page', totalPages <= 1);
+
+            $pagination.each(function (index) {
+                const $links = $('<span class="pagination-links">');
+                const link = (page, className, label, text) => {
+                    if (page < 1 || page > totalPages || page === paged) {
+                        return $('<span class="tablenav-pages-navspan button disabled" aria-hidden="true">').text(text);
+                    }
+
+                    return $('<a class="button" href="#">')
+                        .addClass(className)
+                        .attr('data-page', page)
+                        .append($('<span class="screen-reader-text">').text(label))
+                        .append($('<span aria-hidden="true">').text(text));
+                };
+
+                $links
+                    .append(link(1, 'first-page', 'First page', '«'), ' ')
+                    .append(link(paged - 1, 'prev-page', 'Previous page', '‹'), ' ')
+                    .append($('<span class="paging-input">')
+                        .append(index === 0
+                            ? $('<input class="current-page" type="text" size="2" aria-label="Current Page">').val(paged)
+                            : $('<span class="tablenav-paging-text">').text(paged))
+                        .append(' of ')
+                        .append($('<span class="total-pages">').text(totalPages)), ' ')
+                    .append(link(paged + 1, 'next-page', 'Next page', '›'), ' ')
+                    .append(link(totalPages, 'last-page', 'Last page', '»'));
+
+                $(this)
+                    .append($('<span class="displaying-num">').text(total))
+                    .append($links);
+            });
+
+            $('#select-all-subscribers').prop('checked', false);
+        },
+
+        toggleColumn: function (key, visible) {
+            this.hiddenColumns = this.hiddenColumns.filter((hidden) => hidden !== key);
+            if (!visible) {
+                this.hiddenColumns.push(key);
+            }
+
+            try {
+                window.localStorage.setItem(this.storageKey, JSON.stringify(this.hiddenColumns));
+            } catch (e) {
+                // Storage can be full or disabled; the choice then lasts until the page is left
+            }
+
+            this.renderTable();
+        },
+
+        loadHiddenColumns: function () {
+            try {
+                const hidden = JSON.parse(window.localStorage.getItem(this.storageKey));
+                if (Array.isArray(hidden)) {
+                    return hidden;
+                }
+            } catch (e) {
+                // Fall back to the defaults below
+            }
+
+            return this.columns.filter((column) => column.hidden).map((column) => column.key);
+        },
+
+        /**
+         * Grid state in the page URL; missing keys fall back to the defaults on the server
+         */
+        getUrlState: function () {
+            const params = new URLSearchParams(window.location.search);
+            const state = {};
+
+            this.stateKeys.forEach((key) => {
+                state[key] = params.get(key) || '';
+            });
+
+            return state;
+        },
+
+        /**
+         * Write the grid state to the page URL, leaving out default values
+         *
+         * @param {string} history push or replace
+         */
+        updateUrl: function (history) {
+            const url = new URL(window.location.href);
+            const defaults = {
+                tier: '',
+                campaign: '',
+                search: '',
+                segment: '0',
+                orderby: 'id',
+                order: 'desc',
+                per_page: $('#subscriber-per-page option').first().val(),
+                paged: '1'
+            };
+
+            this.stateKeys.forEach((key) => {
+                const value = String(this.state[key] ?? '');
+                if (value === String(defaults[key])) {
+                    url.searchParams.delete(key);
+                } else {
+                    url.searchParams.set(key, value);
+                }
+            });
+
+            if (url.href === window.location.href) {
+                this.urlState = this.getUrlState();
+                return;
+            }
+
+            if (history === 'push') {
+                window.history.pushState(null, '', url.href);
+            } else {
+                window.history.replaceState(null, '', url.href);
+            }
+            this.urlState = this.getUrlState();
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberTable.init();
+    });
+})(jQuery);
@@ -0,0 +1,609 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Segments tab of the Database page.
+     *
+     * The builder edits a segment as groups of conditions; every change is
+     * counted with bema_count_segment, and Save sends the definition, as JSON,
+     * to bema_save_segment. The list of saved segments is rendered from the
+     * table's data attribute and from every save or delete response.
+     *
+     * A MailerLite draft is created in the background by bema_start_segment_draft;
+     * its progress is polled from bema_get_segment_draft_status, also after a
+     * reload, until the draft exists.
+     */
+    window.BemaSegmentBuilder = {
+        config: null,
+        segments: [],
+        draftId: null,
+        draftStatus: null,
+        draftPollTimer: null,
+        draftPollInterval: 2000,
+        previewTimer: null,
+        previewRequest: null,
+
+        init: function () {
+            const $builder = $('#segment-builder');
+            if (!$builder.length) {
+                return;
+            }
+
+            this.config = $builder.data('config');
+            this.renderList($('#segment-list').data('segments') || []);
+            this.bindEvents();
+            this.reset();
+            this.refreshDraft();
+        },
+
+        bindEvents: function () {
+            const self = this;
+            const $builder = $('#segment-builder');
+
+            $builder.on('click', '.segment-add-group', function () {
+                self.addGroup();
+                self.preview();
+            });
+
+            $builder.on('click', '.segment-remove-group', function () {
+                $(this).closest('.segment-group').remove();
+                self.updateButtons();
+                self.preview();
+            });
+
+            $builder.on('click', '.segment-add-condition', function () {
+                self.addCondition($(this).closest('.segment-group'));
+                self.preview();
+            });
+
+            $builder.on('click', '.segment-remove-condition', function () {
+                const $group = $(this).closest('.segment-group');
+                $(this).closest('.segment-condition').remove();
+
+                // A group without conditions has nothing left to match
+                if (!$group.find('.segment-condition').length) {
+                    $group.remove();
+                }
+
+                self.updateButtons();
+                self.preview();
+            });
+
+            $builder.on('change', '.segment-field', function () {
+                const $condition = $(this).closest('.segment-condition');
+                self.renderOperators($condition, $(this).val());
+                self.renderValue($condition, $(this).val());
+            });
+
+            $builder.on('change input', '.segment-groups, .segment-match', function () {
+                self.preview();
+            });
+
+            $builder.on('click', '.segment-reset', function () {
+                self.reset();
+            });
+
+            $builder.on('submit', function (e) {
+                e.preventDefault();
+                self.save();
+            });
+
+            const $list = $('#segment-list');
+
+            $list.on('click', '.segment-edit', function () {
+                self.edit($(this).closest('tr').data('id'));
+            });
+
+            $list.on('click', '.segment-draft-open', function () {
+                self.openDraft($(this).closest('tr').data('id'));
+            });
+
+            $list.on('click', '.segment-delete', function () {
+                self.remove($(this).closest('tr').data('id'));
+            });
+
+            $('#segment-draft').on('submit', function (e) {
+                e.preventDefault();
+                self.createDraft();
+            });
+
+            $('#segment-draft').on('click', '.segment-draft-cancel', function () {
+                self.closeDraft();
+            });
+
+            $('.segment-draft-progress').on('click', '.segment-draft-dismiss', function () {
+                $('.segment-draft-progress').prop('hidden', true);
+            });
+        },
+
+        renderList: function (segments) {
+            this.segments = segments;
+            const $body = $('#segment-list tbody').empty();
+
+            if (!segments.length) {
+                $body.append($('<tr>').append($('<td colspan="4">').text('No segments yet. Build one below.')));
+                return;
+            }
+
+            segments.forEach((segment) => {
+                const url = new URL(window.location.href);
+                url.search = new URLSearchParams({ page: 'bema-database', tab: 'subscribers', segment: segment.id }).toString();
+
+                $body.append($('<tr>').attr('data-id', segment.id)
+                    .append($('<td>').append($('<strong>').text(segment.name)))
+                    .append($('<td>').text(segment.summary))
+                    .append($('<td>').text(segment.count === null ? segment.error : segment.count.toLocaleString()))
+                    .append($('<td class="segment-actions">')
+                        .append($('<a class="button button-small">').attr('href', url.href).text('View subscribers'))
+                        .append($('<button type="button" class="button button-small segment-edit">').text('Edit'))
+                        .append($('<button type="button" class="button button-small segment-draft-open">').text('MailerLite draft'))
+                        .append($('<button type="button" class="button-link button-link-delete segment-delete">').text('Delete'))));
+            });
+        },
+
+        /**
+         * Empty builder for a new segment, with one condition to start from
+         */
+        reset: function () {
+            this.load({ id: '', name: '', definition: { match: 'all', groups: [{ match: 'all', conditions: [{}] }] } });
+        },
+
+        edit: function (id) {
+            const segment = this.segments.find((item) => item.id === id);
+            if (segment) {
+                this.load(segment);
+                $('#segment-builder')[0].scrollIntoView({ behavior: 'smooth' });
+            }
+        },
+
+        load: function (segment) {
+            const $builder = $('#segment-builder');
+
+            $builder.find('input[name="id"]').val(segment.id);
+            $('#segment-name').val(segment.name);
+            $('.segment-builder-title').text(segment.id ? 'Edit ' + segment.name : 'New segment');
+            this.renderMatch($('#segment-match'), segment.definition.match);
+
+            $builder.find('.segment-groups').empty();
+            segment.definition.groups.forEach((group) => {
+                this.addGroup(group);
+            });
+
+            this.updateButtons();
+            this.preview();
+        },
+
+        renderMatch: function ($select, value) {
+            $select.empty();
+            Object.keys(this.config.matches).forEach((match) => {
+                $select.append($('<option>').val(match).text(this.config.matches[match]));
+            });
+            $select.val(value || 'all');
+        },
+
+        addGroup: function (group) {
+            group = group || { match: 'all', conditions: [{}] };
+
+            const $match = $('<select class="segment-group-match" aria-label="Match">');
+            this.renderMatch($match, group.match);
+
+            const $group = $('<fieldset class="segment-group">')
+                .append($('<legend>').append('Match ', $match, ' of'))
+                .append($('<div class="segment-conditions">'))
+                .append($('<p class="segment-group-actions">')
+                    .append($('<button type="button" class="button button-small segment-add-condition">').text('Add condition'))
+                    .append($('<button type="button" class="button-link button-link-delete segment-remove-group">').text('Remove group')));
+
+            $('#segment-builder .segment-groups').append($group);
+
+            group.conditions.forEach((condition) => {
+                this.addCondition($group, condition);
+            });
+
+            this.updateButtons();
+        },
+
+        addCondition: function ($group, condition) {
+            condition = condition || {};
+            const field = condition.field || Object.keys(this.config.fields)[0];
+
+            const $field = $('<select class="segment-field" aria-label="Condition">');
+            Object.keys(this.config.fields).forEach((key) => {
+                $field.append($('<option>').val(key).text(this.config.fields[key].label));
+            });
+            $field.val(field);
+
+            const $condition = $('<div class="segment-condition">')
+                .append($field)
+                .append($('<select class="segment-operator" aria-label="Operator">'))
+                .append($('<span class="segment-value">'))
+                .append($('<button type="button" class="button-link segment-remove-condition" aria-label="Remove condition">').text('×'));
+
+            $group.find('.segment-conditions').append($condition);
+            this.renderOperators($condition, field, condition.operator);
+            this.renderValue($condition, field, condition);
+            this.updateButtons();
+        },
+
+        renderOperators: function ($condition, field, value) {
+            const operators = this.config.fields[field].operators;
+            const $select = $condition.find('.segment-operator').empty();
+
+            Object.keys(operators).forEach((operator) => {
+                $select.append($('<option>').val(operator).text(operators[operator]));
+            });
+
+            $select.val(value && operators[value] ? value : Object.keys(operators)[0]);
+        },
+
+        /**
+         * The value controls for a field, filled in from a saved condition
+         */
+        renderValue: function ($condition, field, condition) {
+            const value = condition ? condition.value : null;
+            const $value = $condition.find('.segment-value').empty();
+
+            switch (field) {
+                case 'tier':
+                    $value.append(this.checkboxes('tier', this.config.tiers, value || []))
+                        .append(' in ')
+                        .append(this.select('segment-campaign', 'Campaign', this.config.campaigns, condition ? condition.campaign : '', 'any campaign'));
+                    break;
+
+                case 'purchased':
+                    $value.append(this.select('segment-value-input', 'Campaign', this.config.campaigns, value, 'Campaign'));
+                    break;
+
+                case 'group':
+                    $value.append(this.select('segment-value-input', 'MailerLite group',
+                        this.config.groups.map((group) => ({ value: group.id, label: group.name })), value, 'MailerLite group'));
+                    break;
+
+                case 'date_added':
+                    $value.append($('<input type="date" class="segment-date-from" aria-label="From">').val(value ? value.from : ''))
+                        .append(' and ')
+                        .append($('<input type="date" class="segment-date-to" aria-label="To">').val(value ? value.to : ''));
+                    break;
+
+                case 'status':
+                    $value.append(this.checkboxes('status', this.config.statuses, value || []));
+                    break;
+
+                case 'total_spent':
+                    $value.append($('<input type="number" class="small-text segment-value-input" min="0" step="0.01" aria-label="Amount">')
+                        .val(value !== null && value !== undefined ? value : ''));
+                    break;
+            }
+        },
+
+        checkboxes: function (name, options, checked) {
+            const $list = $('<span class="segment-checkboxes">');
+
+            options.forEach((option) => {
+                $list.append($('<label>')
+                    .append($('<input type="checkbox">').attr('data-name', name).val(option).prop('checked', checked.indexOf(option) !== -1))
+                    .append(' ', document.createTextNode(option)));
+            });
+
+            return $list;
+        },
+
+        select: function (className, label, options, value, placeholder) {
+            const $select = $('<select>').addClass(className).attr('aria-label', label)
+                .append($('<option value="">').text(placeholder));
+
+            options.forEach((option) => {
+                const item = typeof option === 'object' ? option : { value: option, label: option };
+                $select.append($('<option>').val(item.value).text(item.label));
+            });
+
+            $select.val(value !== null && value !== undefined ? String(value) : '');
+            return $select;
+        },
+
+        /**
+         * Group and condition limits, and removing the last group
+         */
+        updateButtons: function () {
+            const $groups = $('#segment-builder .segment-group');
+
+            $('#segment-builder .segment-add-group').prop('disabled', $groups.length >= this.config.max_groups);
+            $groups.find('.segment-remove-group').prop('hidden', $groups.length < 2);
+            $groups.each((index, group) => {
+                $(group).find('.segment-add-condition')
+                    .prop('disabled', $(group).find('.segment-condition').length >= this.config.max_conditions);
+            });
+        },
+
+        getDefinition: function () {
+            return {
+                match: $('#segment-match').val(),
+                groups: $('#segment-builder .segment-group').map(function () {
+                    return {
+                        match: $(this).find('.segment-group-match').val(),
+                        conditions: $(this).find('.segment-condition').map(function () {
+                            const $condition = $(this);
+                            const condition = {
+                                field: $condition.find('.segment-field').val(),
+                                operator: $condition.find('.segment-operator').val()
+                            };
+
+                            switch (condition.field) {
+                                case 'tier':
+                                case 'status':
+                                    condition.value = $condition.find('.segment-checkboxes input:checked').map(function () {
+                                        return this.value;
+                                    }).get();
+                                    if (condition.field === 'tier') {
+                                        condition.campaign = $condition.find('.segment-campaign').val() || '';
+                                    }
+                                    break;
+                                case 'date_added':
+                                    condition.value = {
+                                        from: $condition.find('.segment-date-from').val(),
+                                        to: $condition.find('.segment-date-to').val()
+                                    };
+                                    break;
+                                default:
+                                    condition.value = $condition.find('.segment-value-input').val();
+                            }
+
+                            return condition;
+                        }).get()
+                    };
+                }).get()
+            };
+        },
+
+        /**
+         * Count the segment being built, a moment after the last change
+         */
+        preview: function () {
+            clearTimeout(this.previewTimer);
+
+            this.previewTimer = setTimeout(() => {
+                if (this.previewRequest) {
+                    this.previewRequest.abort();
+                }
+
+                const $preview = $('#segment-builder .segment-preview').removeClass('segment-preview-error').text('Counting…');
+
+                this.previewRequest = $.ajax({
+                    url: bemaAdmin.ajaxUrl,
+                    type: 'POST',
+                    data: {
+                        action: 'bema_count_segment',
+                        nonce: bemaAdmin.nonce,
+                        definition: JSON.stringify(this.getDefinition())
+                    },
+                    success: (response) => {
+                        if (response.success) {
+                            $preview.text(`${response.data.count.toLocaleString()} subscriber(s) match` +
+                                (response.data.summary ? ': ' + response.data.summary : ''));
+                        } else {
+                            // Usually a condition still being filled in
+                            $preview.addClass('segment-preview-error').text(response.data.message || 'Error counting segment');
+                        }
+                    },
+                    error: (xhr, status, error) => {
+                        if (status !== 'abort') {
+                            $preview.addClass('segment-preview-error').text('Failed to count segment: ' + error);
+                        }
+                    },
+                    complete: () => {
+                        this.previewRequest = null;
+                    }
+                });
+            }, 400);
+        },
+
+        save: function () {
+            const $button = $('#segment-save').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_save_segment',
+                    nonce: bemaAdmin.nonce,
+                    id: $('#segment-builder input[name="id"]').val(),
+                    name: $.trim($('#segment-name').val()),
+                    definition: JSON.stringify(this.getDefinition())
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'success');
+                        this.renderList(response.data.segments);
+                        this.edit(response.data.segment.id);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error saving segment', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to save segment: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        remove: function (id) {
+            const segment = this.segments.find((item) => item.id === id);
+            if (!segment || !confirm(`Delete the segment ${segment.name}? Its subscribers are not changed.`)) {
+                return;
+            }
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_delete_segment',
+                    nonce: bemaAdmin.nonce,
+                    id: id
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.renderList(response.data.segments);
+
+                        if (String(id) === $('#segment-builder input[name="id"]').val()) {
+                            this.reset();
+                        }
+                        if (id === this.draftId) {
+                            this.closeDraft();
+                        }
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error deleting segment', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to delete segment: ' + error, 'error');
+                }
+            });
+        },
+
+        openDraft: function (id) {
+            const segment = this.segments.find((item) => item.id === id);
+
+            this.draftId = id;
+            $('.segment-draft-name').text(segment.name);
+            $('#segment-draft').prop('hidden', false)[0].scrollIntoView({ behavior: 'smooth' });
+            $('#segment-draft-subject').trigger('focus');
+        },
+
+        closeDraft: function () {
+            this.draftId = null;
+            $('#segment-draft').prop('hidden', true)[0].reset();
+        },
+
+        createDraft: function () {
+            const $button = $('#segment-draft-submit').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_start_segment_draft',
+                    nonce: bemaAdmin.nonce,
+                    id: this.draftId,
+                    subject: $.trim($('#segment-draft-subject').val())
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.closeDraft();
+                        this.renderDraft(response.data);
+                        this.pollDraft();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error creating MailerLite draft', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to create MailerLite draft: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Load the last draft job once, on page load, and follow it if it is still running
+         */
+        refreshDraft: function () {
+            $.post(bemaAdmin.ajaxUrl, {
+                action: 'bema_get_segment_draft_status',
+                nonce: bemaAdmin.nonce
+            }).done((response) => {
+                if (response.success && this.isDraftActive(response.data)) {
+                    this.renderDraft(response.data);
+                    this.pollDraft();
+                }
+            });
+        },
+
+        pollDraft: function () {
+            clearTimeout(this.draftPollTimer);
+
+            this.draftPollTimer = setTimeout(() => {
+                $.post(bemaAdmin.ajaxUrl, {
+                    action: 'bema_get_segment_draft_status',
+                    nonce: bemaAdmin.nonce
+                }).done((response) => {
+                    if (!response.success) {
+                        return;
+                    }
+
+                    const wasActive = this.isDraftActive();
+                    this.renderDraft(response.data);
+
+                    if (this.isDraftActive()) {
+                        this.pollDraft();
+                    } else if (wasActive) {
+                        if (response.data.status === 'failed') {
+                            BemaAdmin.showNotification('MailerLite draft not created: ' + (response.data.error || 'unknown error'), 'error');
+                        } else {
+                            BemaAdmin.showNotification(`Created a MailerLite draft for ${response.data.processed.toLocaleString()} subscriber(s), addressed to the group ${response.data.group}.`, 'success');
+                        }
+                    }
+                }).fail(() => {
+                    // A failed poll is retried; the job itself runs on regardless
+                    this.pollDraft();
+                });
+            }, this.draftPollInterval);
+        },
+
+        isDraftActive: function (status = this.draftStatus) {
+            return !!status && ['queued', 'running'].includes(status.status);
+        },
+
+        renderDraft: function (status) {
+            this.draftStatus = status;
+
+            const active = this.isDraftActive(status);
+            const percent = status.total ? Math.round(status.processed / status.total * 100) : 0;
+            const $panel = $('.segment-draft-progress').empty()
+                .removeClass('notice-info notice-success notice-error')
+                .addClass('notice inline')
+                .addClass(active ? 'notice-info' : (status.status === 'failed' ? 'notice-error' : 'notice-success'));
+
+            $('<p>')
+                .append($('<strong>').text(`MailerLite draft for ${status.segment}`))
+                .append(document.createTextNode(' — ' + this.describeDraft(status)))
+                .appendTo($panel);
+
+            if (active) {
+                $('<div class="progress-bar">')
+                    .attr({ role: 'progressbar', 'aria-valuemin': 0, 'aria-valuemax': 100, 'aria-valuenow': percent })
+                    .append($('<div class="progress">').css('width', percent + '%'))
+                    .appendTo($panel);
+            }
+
+            $('<p class="segment-draft-counts">')
+                .text(`${status.processed.toLocaleString()} of ${status.total.toLocaleString()} subscribers added to ${status.group}`)
+                .appendTo($panel);
+
+            if (!active) {
+                $panel.append($('<p>').append($('<button type="button" class="button-link segment-draft-dismiss">').text('Dismiss')));
+            }
+
+            $panel.prop('hidden', false);
+        },
+
+        describeDraft: function (status) {
+            switch (status.status) {
+                case 'queued':
+                    return 'waiting for the first batch to start';
+                case 'running':
+                    return `adding subscribers in the background, started by ${status.started_by}; you can leave this page`;
+                case 'failed':
+                    return 'stopped: ' + (status.error || 'unknown error');
+                default:
+                    return 'created; MailerLite may take a few minutes to add everyone to the group';
+            }
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSegmentBuilder.init();
+    });
+})(jQuery);
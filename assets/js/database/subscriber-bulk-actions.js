@@ -0,0 +1,405 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Bulk actions on the Database page.
+     *
+     * An action is started with bema_start_bulk_action on the checked rows, or
+     * on every subscriber matching the grid filters once "Select all N" is
+     * chosen, and then runs in the background. Its progress is polled from
+     * bema_get_bulk_action_status, also after a reload, and while the undo
+     * window of the last action is open an Undo button puts it back.
+     */
+    window.BemaSubscriberBulkActions = {
+        pollInterval: 2000,
+        confirmActions: ['delete', 'move_tier', 'remove_group'],
+        selectAll: false,
+        status: null,
+        pollTimer: null,
+        undoTimer: null,
+
+        init: function () {
+            if (!$('#subscriber-bulk-form').length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.toggleParams();
+            this.refresh();
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('#bulk-action-selector-top').on('change', function () {
+                self.toggleParams();
+            });
+
+            $('#subscriber-bulk-form').on('submit', function (e) {
+                e.preventDefault();
+                self.submit();
+            });
+
+            // Bound after admin.js's handler, which checks the rows first
+            $(document).on('change', '#select-all-subscribers, input[name="subscriber_ids[]"]', function () {
+                self.selectAll = false;
+                self.renderSelectAll();
+            });
+
+            $('.subscriber-select-all').on('click', '.select-all-matching', function (e) {
+                e.preventDefault();
+                self.selectAll = true;
+                self.renderSelectAll();
+            });
+
+            $('.subscriber-select-all').on('click', '.clear-selection', function (e) {
+                e.preventDefault();
+                self.clearSelection();
+            });
+
+            $('.bulk-action-progress').on('click', '.bulk-action-undo', function () {
+                self.undo();
+            });
+
+            $('.bulk-action-progress').on('click', '.bulk-action-dismiss', function () {
+                $('.bulk-action-progress').prop('hidden', true);
+            });
+        },
+
+        /**
+         * Show the campaign, tier and group pickers the chosen action needs
+         */
+        toggleParams: function () {
+            const action = $('#bulk-action-selector-top').val();
+
+            $('.bulk-action-param').each(function () {
+                const actions = String($(this).data('actions')).split(' ');
+                $(this).prop('hidden', !actions.includes(action));
+            });
+        },
+
+        /**
+         * Drop the selection, e.g. when the grid shows another page or filter
+         */
+        clearSelection: function () {
+            this.selectAll = false;
+            $('#select-all-subscribers, input[name="subscriber_ids[]"]').prop('checked', false);
+            this.renderSelectAll();
+        },
+
+        renderSelectAll: function () {
+            const $banner = $('.subscriber-select-all').empty();
+            const grid = BemaSubscriberTable.grid;
+            const pageCount = $('input[name="subscriber_ids[]"]').length;
+            const allOnPage = pageCount > 0 && $('#select-all-subscribers').prop('checked');
+
+            // Only worth offering when the filters match more than the page shows
+            if (!allOnPage || !grid || grid.total <= pageCount) {
+                $banner.prop('hidden', true);
+                return;
+            }
+
+            const $text = $('<p>');
+            if (this.selectAll) {
+                $text.append(document.createTextNode('All ' + grid.total.toLocaleString() + ' subscribers matching the filters are selected. '))
+                    .append($('<a href="#" class="clear-selection">').text('Clear selection'));
+            } else {
+                $text.append(document.createTextNode('All ' + pageCount + ' subscribers on this page are selected. '))
+                    .append($('<a href="#" class="select-all-matching">').text('Select all ' + grid.total.toLocaleString() + ' subscribers matching the filters'));
+            }
+
+            $banner.append($text).prop('hidden', false);
+        },
+
+        getSelectedIds: function () {
+            return $('input[name="subscriber_ids[]"]:checked').map(function () {
+                return this.value;
+            }).get();
+        },
+
+        getParams: function () {
+            return {
+                campaign: $('#bulk-action-campaign').val(),
+                tier: $('#bulk-action-tier').val(),
+                group_id: $('#bulk-action-group').val()
+            };
+        },
+
+        submit: function () {
+            const action = $('#bulk-action-selector-top').val();
+            const ids = this.getSelectedIds();
+
+            if (!action || (!this.selectAll && ids.length === 0)) {
+                BemaAdmin.showNotification('Please select an action and at least one subscriber', 'warning');
+                return;
+            }
+
+            const missing = $('.bulk-action-param:not([hidden])').filter(function () {
+                return !$(this).val();
+            });
+            if (missing.length) {
+                BemaAdmin.showNotification('Please choose the ' + missing.first().attr('aria-label') + ' for this action', 'warning');
+                missing.first().trigger('focus');
+                return;
+            }
+
+            const count = this.selectAll ? BemaSubscriberTable.grid.total : ids.length;
+            const label = $('#bulk-action-selector-top option:selected').text();
+            if (this.confirmActions.includes(action) || count > ids.length) {
+                if (!confirm(`${label}: apply to ${count.toLocaleString()} subscriber(s)?`)) {
+                    return;
+                }
+            }
+
+            this.start(action, this.selectAll ? null : ids);
+        },
+
+        /**
+         * @param {string} action
+         * @param {Array|null} ids Subscriber ids, or null for every subscriber matching the grid filters
+         */
+        start: function (action, ids) {
+            const data = {
+                action: 'bema_start_bulk_action',
+                nonce: bemaAdmin.nonce,
+                bulk_action: action,
+                params: this.getParams()
+            };
+
+            if (ids) {
+                data.ids = ids;
+            } else {
+                const state = BemaSubscriberTable.state;
+                $.extend(data, { select_all: 1, tier: state.tier, campaign: state.campaign, search: state.search, segment: state.segment });
+            }
+
+            const $button = $('#doaction').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (response.success) {
+                        this.clearSelection();
+                        this.render(response.data);
+                        this.poll();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error starting bulk action', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to start bulk action: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', this.isActive());
+                }
+            });
+        },
+
+        undo: function () {
+            if (!this.status || !confirm(`Undo "${this.status.label}"?`)) {
+                return;
+            }
+
+            $('.bulk-action-undo').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_undo_bulk_action',
+                    nonce: bemaAdmin.nonce,
+                    job_id: this.status.job_id
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.render(response.data);
+                        this.poll();
+                    } else {
+                        $('.bulk-action-undo').prop('disabled', false);
+                        BemaAdmin.showNotification(response.data.message || 'Error undoing bulk action', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    $('.bulk-action-undo').prop('disabled', false);
+                    BemaAdmin.showNotification('Failed to undo bulk action: ' + error, 'error');
+                }
+            });
+        },
+
+        /**
+         * Load the last job once, e.g. on page load, and follow it if it is still running
+         */
+        refresh: function () {
+            $.post(bemaAdmin.ajaxUrl, {
+                action: 'bema_get_bulk_action_status',
+                nonce: bemaAdmin.nonce
+            }).done((response) => {
+                if (!response.success || response.data.status === 'idle') {
+                    return;
+                }
+
+                // Finished jobs are only worth showing while they can be undone or downloaded
+                if (this.isActive(response.data) || response.data.can_undo || response.data.download) {
+                    this.render(response.data);
+                    if (this.isActive(response.data)) {
+                        this.poll();
+                    }
+                }
+            });
+        },
+
+        poll: function () {
+            clearTimeout(this.pollTimer);
+
+            this.pollTimer = setTimeout(() => {
+                $.post(bemaAdmin.ajaxUrl, {
+                    action: 'bema_get_bulk_action_status',
+                    nonce: bemaAdmin.nonce
+                }).done((response) => {
+                    if (!response.success) {
+                        return;
+                    }
+
+                    const wasActive = this.isActive();
+                    this.render(response.data);
+
+                    if (this.isActive()) {
+                        this.poll();
+                    } else if (wasActive) {
+                        this.finished(response.data);
+                    }
+                }).fail(() => {
+                    // A failed poll is retried; the job itself runs on regardless
+                    this.poll();
+                });
+            }, this.pollInterval);
+        },
+
+        finished: function (status) {
+            const verb = status.mode === 'undo' ? 'Undo' : status.label;
+
+            if (status.status === 'failed') {
+                BemaAdmin.showNotification(verb + ' stopped: ' + (status.error || 'unknown error'), 'error');
+            } else {
+                BemaAdmin.showNotification(verb + ' finished', status.failed ? 'warning' : 'success');
+            }
+
+            // Rows may have moved tier, left a campaign or been deleted
+            if (status.action !== 'export') {
+                BemaSubscriberTable.load({}, false);
+            }
+        },
+
+        isActive: function (status = this.status) {
+            return !!status && ['queued', 'running'].includes(status.status);
+        },
+
+        render: function (status) {
+            this.status = status;
+            clearInterval(this.undoTimer);
+
+            const active = this.isActive(status);
+            const percent = status.total ? Math.round(status.processed / status.total * 100) : 0;
+            const $panel = $('.bulk-action-progress').empty()
+                .removeClass('notice-info notice-success notice-warning notice-error')
+                .addClass('notice inline')
+                .addClass(active ? 'notice-info' : (status.status === 'failed' ? 'notice-error' : (status.failed ? 'notice-warning' : 'notice-success')));
+
+            $('#doaction').prop('disabled', active);
+
+            $('<p>')
+                .append($('<strong>').text(status.label))
+                .append(document.createTextNode(' — ' + this.describeStatus(status)))
+                .appendTo($panel);
+
+            $('<div class="progress-bar">')
+                .attr({ role: 'progressbar', 'aria-valuemin': 0, 'aria-valuemax': 100, 'aria-valuenow': percent })
+                .append($('<div class="progress">').css('width', percent + '%'))
+                .appendTo($panel);
+
+            $('<p class="bulk-action-counts">').text(
+                `${status.processed.toLocaleString()} of ${status.total.toLocaleString()} processed · ` +
+                `${status.changed.toLocaleString()} ${status.action === 'export' && status.mode !== 'undo' ? 'exported' : 'changed'} · ` +
+                `${status.skipped.toLocaleString()} unchanged · ${status.failed.toLocaleString()} failed`
+            ).appendTo($panel);
+
+            if (status.errors.length) {
+                const $errors = $('<ul class="bulk-action-errors">');
+                status.errors.forEach((error) => {
+                    $errors.append($('<li>').text((error.subscriber_id ? '#' + error.subscriber_id + ': ' : '') + error.error));
+                });
+                if (status.failed > status.errors.length) {
+                    $errors.append($('<li>').text('…and ' + (status.failed - status.errors.length) + ' more; see the sync logs.'));
+                }
+                $panel.append($errors);
+            }
+
+            const $actions = $('<p class="bulk-action-buttons">');
+
+            if (status.download) {
+                $actions.append($('<a class="button button-primary">')
+                    .attr('href', this.getDownloadUrl(status.job_id))
+                    .text('Download CSV'));
+            }
+
+            if (status.can_undo) {
+                $actions.append($('<button type="button" class="button bulk-action-undo">').text('Undo'))
+                    .append($('<span class="bulk-action-undo-until description">'));
+                this.undoTimer = setInterval(() => this.renderUndoCountdown(), 1000);
+            }
+
+            if (!active) {
+                $actions.append($('<button type="button" class="button-link bulk-action-dismiss">').text('Dismiss'));
+            }
+
+            $panel.append($actions).prop('hidden', false);
+            this.renderUndoCountdown();
+        },
+
+        describeStatus: function (status) {
+            switch (status.status) {
+                case 'queued':
+                    return 'waiting for the first batch to start';
+                case 'running':
+                    return 'running in the background; you can leave this page';
+                case 'failed':
+                    return 'stopped: ' + (status.error || 'unknown error');
+                default:
+                    return 'finished';
+            }
+        },
+
+        renderUndoCountdown: function () {
+            if (!this.status || !this.status.can_undo) {
+                return;
+            }
+
+            const seconds = this.status.undo_until - Math.floor(Date.now() / 1000);
+            if (seconds <= 0) {
+                clearInterval(this.undoTimer);
+                $('.bulk-action-undo').remove();
+                $('.bulk-action-undo-until').text('The undo window has closed.');
+                return;
+            }
+
+            const minutes = Math.floor(seconds / 60);
+            $('.bulk-action-undo-until').text(
+                ' Available for ' + (minutes ? minutes + ' min ' : '') + (seconds % 60) + ' s'
+            );
+        },
+
+        getDownloadUrl: function (jobId) {
+            const url = new URL(bemaAdmin.ajaxUrl, window.location.href);
+            url.searchParams.set('action', 'bema_download_bulk_export');
+            url.searchParams.set('nonce', bemaAdmin.nonce);
+            url.searchParams.set('job_id', jobId);
+            return url.toString();
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberBulkActions.init();
+    });
+})(jQuery);
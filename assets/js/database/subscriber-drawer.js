@@ -0,0 +1,345 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Subscriber drawer on the Database page.
+     *
+     * Opens beside the subscriber grid from any .view-subscriber-details
+     * element and shows what bema_get_subscriber_details returns: the local
+     * record, the subscriber as MailerLite has it now and a timeline of
+     * campaigns, transitions, purchases, group changes, errors and manual
+     * changes. The open subscriber is kept in the URL as subscriber=<id>.
+     */
+    window.BemaSubscriberDrawer = {
+        types: {
+            campaign: 'Campaigns',
+            transition: 'Transitions',
+            purchase: 'Purchases',
+            group_add: 'Group changes',
+            group_remove: 'Group changes',
+            error: 'Errors',
+            edit: 'Manual changes'
+        },
+        subscriberId: null,
+        details: null,
+        generation: 0,
+        $drawer: null,
+        $opener: null,
+
+        init: function () {
+            if (!$('#subscriber-grid').length) {
+                return;
+            }
+
+            this.render();
+            this.bindEvents();
+
+            const subscriberId = parseInt(new URLSearchParams(window.location.search).get('subscriber'), 10);
+            if (subscriberId) {
+                this.open(subscriberId);
+            }
+        },
+
+        render: function () {
+            this.$drawer = $(`
+                <div class="bema-drawer-backdrop" hidden></div>
+                <aside class="bema-subscriber-drawer" role="dialog" aria-modal="true" aria-labelledby="bema-drawer-title" hidden>
+                    <header class="bema-drawer-header">
+                        <h2 id="bema-drawer-title"></h2>
+                        <button type="button" class="button-link bema-drawer-close">
+                            <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                            <span class="screen-reader-text">Close</span>
+                        </button>
+                    </header>
+                    <div class="bema-drawer-body" aria-live="polite"></div>
+                </aside>
+            `).appendTo('body');
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $(document).on('click', '.view-subscriber-details', function (e) {
+                e.preventDefault();
+                self.$opener = $(this);
+                self.open($(this).data('subscriber-id'));
+            });
+
+            this.$drawer.on('click', '.bema-drawer-close', function () {
+                self.close();
+            });
+
+            this.$drawer.filter('.bema-drawer-backdrop').on('click', function () {
+                self.close();
+            });
+
+            this.$drawer.on('change', '.bema-timeline-filter', function () {
+                self.filterEvents($(this).val());
+            });
+
+            $(document).on('keydown', function (e) {
+                if (e.key === 'Escape' && self.subscriberId) {
+                    self.close();
+                }
+            });
+
+            $(window).on('popstate', function () {
+                const subscriberId = parseInt(new URLSearchParams(window.location.search).get('subscriber'), 10);
+                if (!subscriberId) {
+                    self.close(false);
+                } else if (subscriberId !== self.subscriberId) {
+                    self.open(subscriberId, false);
+                }
+            });
+        },
+
+        /**
+         * @param {number} subscriberId
+         * @param {boolean} updateUrl Set subscriber=<id> in the URL
+         */
+        open: function (subscriberId, updateUrl = true) {
+            const generation = ++this.generation;
+
+            this.subscriberId = parseInt(subscriberId, 10);
+            this.details = null;
+
+            this.$drawer.prop('hidden', false);
+            $('body').addClass('bema-drawer-open');
+            $('#bema-drawer-title').text('Subscriber #' + this.subscriberId);
+            this.$drawer.find('.bema-drawer-body').html('<p><span class="spinner is-active"></span> Loading subscriber…</p>');
+            this.$drawer.find('.bema-drawer-close').trigger('focus');
+
+            if (updateUrl) {
+                this.updateUrl();
+            }
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_get_subscriber_details',
+                    nonce: bemaAdmin.nonce,
+                    id: this.subscriberId
+                },
+                success: (response) => {
+                    // Another subscriber was opened, or the drawer closed, while this one loaded
+                    if (generation !== this.generation) {
+                        return;
+                    }
+
+                    if (response.success) {
+                        this.details = response.data;
+                        this.renderDetails(response.data);
+                    } else {
+                        this.renderError(response.data.message || 'Error loading subscriber details');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    if (generation === this.generation) {
+                        this.renderError('Failed to load subscriber details: ' + error);
+                    }
+                }
+            });
+        },
+
+        /**
+         * @param {boolean} updateUrl Remove subscriber from the URL
+         */
+        close: function (updateUrl = true) {
+            if (!this.subscriberId) {
+                return;
+            }
+
+            this.generation++;
+            this.subscriberId = null;
+            this.details = null;
+
+            this.$drawer.prop('hidden', true);
+            $('body').removeClass('bema-drawer-open');
+
+            if (updateUrl) {
+                this.updateUrl();
+            }
+
+            if (this.$opener && this.$opener.closest('body').length) {
+                this.$opener.trigger('focus');
+            }
+            this.$opener = null;
+        },
+
+        renderError: function (message) {
+            this.$drawer.find('.bema-drawer-body').empty().append(
+                $('<div class="notice notice-error inline">').append($('<p>').text(message))
+            );
+        },
+
+        renderDetails: function (data) {
+            const subscriber = data.subscriber;
+            const $body = this.$drawer.find('.bema-drawer-body').empty();
+
+            $('#bema-drawer-title').text(subscriber.email);
+
+            $('<section class="bema-drawer-section">')
+                .append($('<p class="bema-drawer-summary">')
+                    .append($('<span class="status-badge">').addClass('status-' + subscriber.status).text(this.capitalize(subscriber.status)))
+                    .append(' ')
+                    .append($('<span>').text(subscriber.name || 'No name')))
+                .append(this.renderFacts([
+                    ['ID', subscriber.id],
+                    ['Subscribed', subscriber.subscribed_at],
+                    ['Unsubscribed', subscriber.unsubscribed_at],
+                    ['Last updated', subscriber.updated_at]
+                ]))
+                .appendTo($body);
+
+            $body.append(this.renderMailerLite(data.mailerlite, subscriber));
+            $body.append(this.renderCampaigns(data.campaigns));
+            $body.append(this.renderTimeline(data.events, data.truncated));
+        },
+
+        renderFacts: function (facts) {
+            const $list = $('<dl class="bema-drawer-facts">');
+
+            facts.forEach(([label, value]) => {
+                if (value === null || value === undefined || value === '') {
+                    return;
+                }
+                $list.append($('<dt>').text(label)).append($('<dd>').text(value));
+            });
+
+            return $list;
+        },
+
+        renderMailerLite: function (mailerlite, subscriber) {
+            const $section = $('<section class="bema-drawer-section">').append('<h3>In MailerLite now</h3>');
+
+            if (mailerlite.error) {
+                return $section.append(
+                    $('<div class="notice notice-warning inline">').append($('<p>').text('Could not read the subscriber from MailerLite: ' + mailerlite.error))
+                );
+            }
+
+            const $status = $('<span class="status-badge">').addClass('status-' + mailerlite.status).text(this.capitalize(mailerlite.status || 'unknown'));
+            $section.append($('<p>').append('Status: ').append($status));
+
+            if (mailerlite.status && mailerlite.status !== subscriber.status) {
+                $section.append($('<p class="description">').text(
+                    'The local record says ' + subscriber.status + '; resync the subscriber to update it.'
+                ));
+            }
+
+            const groups = mailerlite.groups || [];
+            $section.append($('<p>').text(groups.length ? 'Groups:' : 'Not in any group.'));
+            if (groups.length) {
+                const $groups = $('<ul class="bema-drawer-groups">');
+                groups.forEach((group) => {
+                    $groups.append($('<li>').text(group.name));
+                });
+                $section.append($groups);
+            }
+
+            return $section;
+        },
+
+        renderCampaigns: function (campaigns) {
+            const $section = $('<section class="bema-drawer-section">').append('<h3>Campaigns</h3>');
+
+            if (!campaigns.length) {
+                return $section.append('<p>Not in any campaign.</p>');
+            }
+
+            const $body = $('<tbody>');
+            campaigns.forEach((campaign) => {
+                $('<tr>')
+                    .append($('<td>').text(campaign.campaign || '—'))
+                    .append($('<td>').text(campaign.tier || '—'))
+                    .append($('<td>').text(campaign.purchase_id ? '#' + campaign.purchase_id : '—'))
+                    .appendTo($body);
+            });
+
+            return $section.append(
+                $('<table class="widefat striped">')
+                    .append('<thead><tr><th>Campaign</th><th>Tier</th><th>Purchase</th></tr></thead>')
+                    .append($body)
+            );
+        },
+
+        renderTimeline: function (events, truncated) {
+            const $section = $('<section class="bema-drawer-section">').append('<h3>Timeline</h3>');
+
+            if (!events.length) {
+                return $section.append('<p>Nothing has been recorded for this subscriber yet.</p>');
+            }
+
+            const $filter = $('<select class="bema-timeline-filter" aria-label="Show events">')
+                .append('<option value="">All events</option>');
+            [...new Set(Object.values(this.types))].forEach((label) => {
+                $filter.append($('<option>').val(label).text(label));
+            });
+            $section.append($('<p>').append($filter));
+
+            if (truncated) {
+                $section.append('<p class="description">Only the most recent events are shown.</p>');
+            }
+
+            const $list = $('<ol class="bema-subscriber-timeline">');
+            events.forEach((event) => {
+                const $item = $('<li>')
+                    .addClass('event-' + event.type)
+                    .attr('data-group', this.types[event.type] || '')
+                    .append($('<span class="event-when">').text(event.when || 'Date not recorded'))
+                    .append($('<strong class="event-title">').text(event.title));
+
+                if (event.detail) {
+                    $item.append($('<span class="event-detail">').text(event.detail));
+                }
+
+                if (event.log_id) {
+                    $item.append($('<a class="event-log" target="_blank">')
+                        .attr('href', this.getLogUrl(event.log_id))
+                        .text('View log entry'));
+                }
+
+                $list.append($item);
+            });
+
+            return $section.append($list);
+        },
+
+        filterEvents: function (group) {
+            this.$drawer.find('.bema-subscriber-timeline li').each(function () {
+                $(this).prop('hidden', group !== '' && $(this).attr('data-group') !== group);
+            });
+        },
+
+        getLogUrl: function (id) {
+            const url = new URL(window.location.href);
+            url.search = '';
+            url.searchParams.set('page', 'bema-sync-logs');
+            url.searchParams.set('log', id);
+            return url.toString();
+        },
+
+        updateUrl: function () {
+            const url = new URL(window.location.href);
+
+            if (this.subscriberId) {
+                url.searchParams.set('subscriber', this.subscriberId);
+            } else {
+                url.searchParams.delete('subscriber');
+            }
+
+            if (url.href !== window.location.href) {
+                window.history.pushState(null, '', url.href);
+            }
+        },
+
+        capitalize: function (text) {
+            return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberDrawer.init();
+    });
+})(jQuery);
@@ -0,0 +1,262 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Duplicates tab of the Database page.
+     *
+     * Review loads a group from bema_get_duplicate_cluster into a side-by-side
+     * table with a radio per record for the survivor, each field and each
+     * campaign; Merge sends the choices to bema_merge_subscribers.
+     */
+    window.BemaSubscriberDuplicates = {
+        cluster: null,
+
+        init: function () {
+            if (!$('#duplicate-merge').length) {
+                return;
+            }
+
+            this.bindEvents();
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('.duplicates-table').on('click', '.duplicate-review', function () {
+                self.load($(this).closest('tr').data('email'), $(this));
+            });
+
+            const $panel = $('#duplicate-merge');
+
+            $panel.on('change', 'input[name="survivor"]', function () {
+                self.selectRecord(parseInt($(this).val(), 10));
+            });
+
+            $panel.on('click', '.duplicate-merge-cancel', function () {
+                self.close();
+            });
+
+            $('#duplicate-merge-form').on('submit', function (e) {
+                e.preventDefault();
+                self.merge();
+            });
+        },
+
+        load: function (email, $button) {
+            $button.prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_get_duplicate_cluster',
+                    nonce: bemaAdmin.nonce,
+                    email: email
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.cluster = response.data;
+                        this.render(response.data);
+                        $('#duplicate-merge').prop('hidden', false)[0].scrollIntoView({ behavior: 'smooth' });
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error loading duplicates', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to load duplicates: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        close: function () {
+            this.cluster = null;
+            $('#duplicate-merge').prop('hidden', true);
+        },
+
+        render: function (cluster) {
+            $('.duplicate-merge-email').text(cluster.email);
+            this.renderNotices(cluster);
+
+            const $head = $('<tr>').append($('<th scope="col">').text('Field'));
+            cluster.records.forEach((record) => {
+                $head.append($('<th scope="col">').text('#' + record.id));
+            });
+
+            const $body = $('<tbody>');
+
+            const $keep = $('<tr class="duplicate-merge-survivor">').append($('<th scope="row">').text('Keep'));
+            cluster.records.forEach((record) => {
+                $keep.append($('<td>').append(this.radio('survivor', record.id, 'Keep this record')));
+            });
+            $body.append($keep);
+
+            Object.keys(cluster.fields).forEach((field) => {
+                $body.append(this.renderField(cluster, field));
+            });
+
+            const $mailerlite = $('<tr>').append($('<th scope="row">').text('MailerLite'));
+            cluster.records.forEach((record) => {
+                $mailerlite.append($('<td>').text(this.describeRemote(record.mailerlite)));
+            });
+            $body.append($mailerlite);
+
+            cluster.campaigns.forEach((campaign) => {
+                const $row = $('<tr>')
+                    .toggleClass('duplicate-conflict', campaign.conflict)
+                    .append($('<th scope="row">').text(campaign.campaign));
+
+                cluster.records.forEach((record) => {
+                    const tier = campaign.tiers[record.id];
+                    $row.append($('<td>').append(
+                        tier === undefined ? '—' : this.radio(`campaigns[${campaign.id}]`, record.id, tier || '(no tier)')
+                    ));
+                });
+
+                $body.append($row);
+            });
+
+            $('.duplicate-merge-table thead').empty().append($head);
+            $('.duplicate-merge-table tbody').replaceWith($body);
+
+            $('input[name="survivor"]').filter(`[value="${cluster.survivor}"]`).prop('checked', true);
+            $('input[name="fields[email]"][value="normalized"]').prop('checked', true);
+            this.selectRecord(cluster.survivor);
+        },
+
+        renderField: function (cluster, field) {
+            const readOnly = cluster.read_only.indexOf(field) !== -1;
+            const values = cluster.records.map((record) => record[field] || '');
+            const $label = $('<th scope="row">').text(cluster.fields[field]);
+
+            if (field === 'email') {
+                $label.append($('<br>'), this.radio('fields[email]', 'normalized', cluster.email));
+            }
+
+            const $row = $('<tr>')
+                .toggleClass('duplicate-differs', new Set(values).size > 1)
+                .append($label);
+
+            cluster.records.forEach((record, index) => {
+                // Emails are quoted so whitespace around them shows
+                const value = field === 'email' ? `"${values[index]}"` : (values[index] || '—');
+                $row.append($('<td>').append(readOnly ? document.createTextNode(value) : this.radio(`fields[${field}]`, record.id, value)));
+            });
+
+            return $row;
+        },
+
+        renderNotices: function (cluster) {
+            const $notices = $('.duplicate-merge-notices').empty();
+            const unreachable = cluster.records.filter((record) => record.mailerlite.found === null);
+
+            if (cluster.in_mailerlite.length > 1) {
+                $notices.append(this.notice('warning',
+                    `MailerLite has ${cluster.in_mailerlite.length} of these records as separate subscribers. ` +
+                    'The merge only changes the CRM; merge them in MailerLite too or the next sync brings the others back.'
+                ));
+            } else if (!cluster.in_mailerlite.length && !unreachable.length) {
+                $notices.append(this.notice('info', 'MailerLite has none of these records.'));
+            }
+
+            new Set(unreachable.map((record) => record.mailerlite.error)).forEach((error) => {
+                $notices.append(this.notice('error', 'Could not check MailerLite: ' + error));
+            });
+        },
+
+        /**
+         * Points every field but the email and every campaign at the record to keep, where it has one
+         */
+        selectRecord: function (id) {
+            $('#duplicate-merge-form input[type="radio"]')
+                .not('[name="survivor"], [name="fields[email]"]')
+                .filter(`[value="${id}"]`)
+                .prop('checked', true);
+
+            this.cluster.campaigns.forEach((campaign) => {
+                const name = `campaigns[${campaign.id}]`;
+                if (!$(`input[name="${name}"]:checked`).length) {
+                    $(`input[name="${name}"]`).first().prop('checked', true);
+                }
+            });
+        },
+
+        merge: function () {
+            const survivor = parseInt($('input[name="survivor"]:checked').val(), 10);
+            const count = this.cluster.records.length - 1;
+
+            if (!confirm(`Merge ${count} record(s) into #${survivor}? The others are deleted from the CRM.`)) {
+                return;
+            }
+
+            const data = {
+                action: 'bema_merge_subscribers',
+                nonce: bemaAdmin.nonce,
+                email: this.cluster.email,
+                survivor: survivor,
+                fields: {},
+                campaigns: {}
+            };
+
+            $('#duplicate-merge-form input[type="radio"]:checked').not('[name="survivor"]').each(function () {
+                const match = $(this).attr('name').match(/^(fields|campaigns)\[(.+)\]$/);
+                data[match[1]][match[2]] = $(this).val();
+            });
+
+            const $button = $('#duplicate-merge-submit').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'success');
+                        $('.duplicates-table tr').filter((index, row) => $(row).data('email') === this.cluster.email).remove();
+                        this.close();
+
+                        if (!$('.duplicates-table tbody tr').length) {
+                            window.location.reload();
+                        }
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error merging subscribers', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to merge subscribers: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        describeRemote: function (remote) {
+            if (remote.found === null) {
+                return 'Unknown';
+            }
+
+            if (!remote.found) {
+                return 'Not found';
+            }
+
+            return `${remote.email} (${remote.status})`;
+        },
+
+        radio: function (name, value, label) {
+            return $('<label>')
+                .append($('<input type="radio">').attr('name', name).val(value))
+                .append(' ', $('<span>').text(label));
+        },
+
+        notice: function (type, message) {
+            return $('<div class="notice inline">').addClass('notice-' + type).append($('<p>').text(message));
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberDuplicates.init();
+    });
+})(jQuery);
@@ -0,0 +1,302 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Export of every subscriber matching the Database page filters.
+     *
+     * Up to the panel's data-stream-limit subscribers, the file streams from
+     * bema_stream_subscriber_export into a hidden frame as a normal download.
+     * Bigger exports start a background job with bema_start_subscriber_export,
+     * whose progress is polled from bema_get_subscriber_export_status, also
+     * after a reload, until its download link is ready.
+     */
+    window.BemaSubscriberExport = {
+        pollInterval: 2000,
+        status: null,
+        pollTimer: null,
+
+        init: function () {
+            if (!$('#subscriber-export').length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.refresh();
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('#subscriber-export-open').on('click', function () {
+                if ($('#subscriber-export').prop('hidden')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
+            });
+
+            $('#subscriber-export').on('submit', function (e) {
+                e.preventDefault();
+                self.export();
+            });
+
+            $('#subscriber-export').on('click', '.subscriber-export-cancel', function () {
+                self.close();
+            });
+
+            $('.subscriber-export-progress').on('click', '.subscriber-export-dismiss', function () {
+                $('.subscriber-export-progress').prop('hidden', true);
+            });
+        },
+
+        open: function () {
+            this.renderSummary();
+            $('#subscriber-export').prop('hidden', false);
+            $('#subscriber-export-open').attr('aria-expanded', 'true');
+        },
+
+        close: function () {
+            $('#subscriber-export').prop('hidden', true);
+            $('#subscriber-export-open').attr('aria-expanded', 'false').trigger('focus');
+        },
+
+        /**
+         * The filters the grid was last loaded with, not the ones still being edited
+         */
+        getFilters: function () {
+            const state = BemaSubscriberTable.state;
+
+            return {
+                tier: state.tier,
+                campaign: state.campaign,
+                search: state.search,
+                segment: state.segment
+            };
+        },
+
+        renderSummary: function () {
+            const filters = this.getFilters();
+            const parts = [];
+
+            if (filters.tier) {
+                parts.push('tier ' + filters.tier);
+            }
+            if (filters.campaign) {
+                parts.push('campaign ' + filters.campaign);
+            }
+            if (parseInt(filters.segment, 10)) {
+                parts.push('segment ' + $(`#filter-segment option[value="${filters.segment}"]`).text().trim());
+            }
+            if (filters.search) {
+                parts.push(`email containing "${filters.search}"`);
+            }
+
+            const total = BemaSubscriberTable.grid.total.toLocaleString();
+
+            $('.subscriber-export-summary').text(parts.length
+                ? `${total} subscriber(s) matching ${parts.join(', ')}.`
+                : `All ${total} subscriber(s).`);
+        },
+
+        export: function () {
+            const columns = $('input[name="subscriber_export_columns[]"]:checked').map(function () {
+                return this.value;
+            }).get();
+
+            if (!columns.length) {
+                BemaAdmin.showNotification('Choose at least one column to export.', 'error');
+                return;
+            }
+
+            const total = BemaSubscriberTable.grid.total;
+            if (!total) {
+                BemaAdmin.showNotification('No subscribers match the filters.', 'error');
+                return;
+            }
+
+            const data = $.extend(this.getFilters(), {
+                nonce: bemaAdmin.nonce,
+                format: $('input[name="subscriber_export_format"]:checked').val(),
+                columns: columns
+            });
+
+            if (total <= $('#subscriber-export').data('stream-limit')) {
+                this.stream(data);
+            } else {
+                this.start(data);
+            }
+        },
+
+        stream: function (data) {
+            const $button = $('#subscriber-export-submit').prop('disabled', true);
+            const $frame = $('<iframe hidden>')
+                .attr('src', bemaAdmin.ajaxUrl + '?' + $.param($.extend({ action: 'bema_stream_subscriber_export' }, data)))
+                .appendTo('body');
+
+            // A download never loads the frame; an error page does
+            $frame.on('load', function () {
+                const message = $frame.contents().find('body').text().trim();
+                if (message) {
+                    BemaAdmin.showNotification(message, 'error');
+                    $frame.remove();
+                }
+            });
+
+            // Leave the frame long enough for the browser to hand the file over
+            setTimeout(() => {
+                $button.prop('disabled', false);
+            }, 3000);
+            setTimeout(() => {
+                $frame.remove();
+            }, 60000);
+
+            BemaAdmin.showNotification('Preparing the export; the download starts in a moment.', 'info');
+            this.close();
+        },
+
+        start: function (data) {
+            const $button = $('#subscriber-export-submit').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: $.extend({ action: 'bema_start_subscriber_export' }, data),
+                success: (response) => {
+                    if (response.success) {
+                        this.close();
+                        this.render(response.data);
+                        this.poll();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error starting export', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to start export: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Load the last job once, e.g. on page load, and follow it if it is still running
+         */
+        refresh: function () {
+            $.post(bemaAdmin.ajaxUrl, {
+                action: 'bema_get_subscriber_export_status',
+                nonce: bemaAdmin.nonce
+            }).done((response) => {
+                if (!response.success || response.data.status === 'idle') {
+                    return;
+                }
+
+                // Finished jobs are only worth showing while their file can be downloaded
+                if (this.isActive(response.data) || response.data.download) {
+                    this.render(response.data);
+                    if (this.isActive(response.data)) {
+                        this.poll();
+                    }
+                }
+            });
+        },
+
+        poll: function () {
+            clearTimeout(this.pollTimer);
+
+            this.pollTimer = setTimeout(() => {
+                $.post(bemaAdmin.ajaxUrl, {
+                    action: 'bema_get_subscriber_export_status',
+                    nonce: bemaAdmin.nonce
+                }).done((response) => {
+                    if (!response.success) {
+                        return;
+                    }
+
+                    const wasActive = this.isActive();
+                    this.render(response.data);
+
+                    if (this.isActive()) {
+                        this.poll();
+                    } else if (wasActive) {
+                        if (response.data.status === 'failed') {
+                            BemaAdmin.showNotification('Export stopped: ' + (response.data.error || 'unknown error'), 'error');
+                        } else {
+                            BemaAdmin.showNotification('Export ready to download', 'success');
+                        }
+                    }
+                }).fail(() => {
+                    // A failed poll is retried; the job itself runs on regardless
+                    this.poll();
+                });
+            }, this.pollInterval);
+        },
+
+        isActive: function (status = this.status) {
+            return !!status && ['queued', 'running'].includes(status.status);
+        },
+
+        render: function (status) {
+            this.status = status;
+
+            const active = this.isActive(status);
+            const percent = status.total ? Math.round(status.processed / status.total * 100) : 0;
+            const format = status.format.toUpperCase();
+            const $panel = $('.subscriber-export-progress').empty()
+                .removeClass('notice-info notice-success notice-error')
+                .addClass('notice inline')
+                .addClass(active ? 'notice-info' : (status.status === 'failed' ? 'notice-error' : 'notice-success'));
+
+            $('<p>')
+                .append($('<strong>').text(`${format} export`))
+                .append(document.createTextNode(' — ' + this.describeStatus(status)))
+                .appendTo($panel);
+
+            if (active) {
+                $('<div class="progress-bar">')
+                    .attr({ role: 'progressbar', 'aria-valuemin': 0, 'aria-valuemax': 100, 'aria-valuenow': percent })
+                    .append($('<div class="progress">').css('width', percent + '%'))
+                    .appendTo($panel);
+            }
+
+            $('<p class="subscriber-export-counts">')
+                .text(`${status.processed.toLocaleString()} of ${status.total.toLocaleString()} subscribers written`)
+                .appendTo($panel);
+
+            const $actions = $('<p class="subscriber-export-buttons">');
+
+            if (status.download) {
+                $actions.append($('<a class="button button-primary">')
+                    .attr('href', bemaAdmin.ajaxUrl + '?' + $.param({
+                        action: 'bema_download_subscriber_export',
+                        nonce: bemaAdmin.nonce,
+                        job_id: status.job_id
+                    }))
+                    .text('Download ' + format));
+            }
+
+            if (!active) {
+                $actions.append($('<button type="button" class="button-link subscriber-export-dismiss">').text('Dismiss'));
+            }
+
+            $panel.append($actions).prop('hidden', false);
+        },
+
+        describeStatus: function (status) {
+            switch (status.status) {
+                case 'queued':
+                    return 'waiting for the first batch to start';
+                case 'running':
+                    return `running in the background, started by ${status.started_by}; you can leave this page`;
+                case 'failed':
+                    return 'stopped: ' + (status.error || 'unknown error');
+                default:
+                    return 'ready';
+            }
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberExport.init();
+    });
+})(jQuery);
@@ -0,0 +1,428 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * CSV import wizard on the Database page.
+     *
+     * Upload sends the file to bema_upload_import_file, which answers with its
+     * columns and a guessed mapping. Check rows previews what
+     * bema_preview_import would reject, and Import starts the background job
+     * whose progress is polled from bema_get_import_status, also after a reload.
+     */
+    window.BemaSubscriberImport = {
+        pollInterval: 2000,
+        steps: ['upload', 'map', 'review', 'import'],
+        file: null,
+        preview: null,
+        status: null,
+        pollTimer: null,
+
+        init: function () {
+            if (!$('#subscriber-import').length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.refresh();
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('#subscriber-import-open').on('click', function () {
+                if ($('#subscriber-import').prop('hidden')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
+            });
+
+            $('#subscriber-import-upload').on('submit', function (e) {
+                e.preventDefault();
+                self.upload();
+            });
+
+            const $wizard = $('#subscriber-import');
+
+            $wizard.on('click', '.subscriber-import-cancel', function () {
+                self.close();
+            });
+
+            $wizard.on('click', '.subscriber-import-back', function () {
+                self.showStep($(this).data('step'));
+            });
+
+            $wizard.on('click', '.subscriber-import-check', function () {
+                self.check();
+            });
+
+            $wizard.on('click', '.subscriber-import-start', function () {
+                self.start();
+            });
+
+            $wizard.on('click', '.subscriber-import-again', function () {
+                self.reset();
+            });
+        },
+
+        open: function () {
+            $('#subscriber-import').prop('hidden', false);
+            $('#subscriber-import-open').attr('aria-expanded', 'true');
+        },
+
+        close: function () {
+            $('#subscriber-import').prop('hidden', true);
+            $('#subscriber-import-open').attr('aria-expanded', 'false').trigger('focus');
+        },
+
+        showStep: function (step) {
+            const current = this.steps.indexOf(step);
+
+            $('.subscriber-import-step').each(function () {
+                $(this).prop('hidden', $(this).data('step') !== step);
+            });
+
+            $('.subscriber-import-steps li').each((index, item) => {
+                $(item)
+                    .toggleClass('current', index === current)
+                    .toggleClass('done', index < current)
+                    .attr('aria-current', index === current ? 'step' : null);
+            });
+        },
+
+        /**
+         * Back to an empty upload step, e.g. after an import finished
+         */
+        reset: function () {
+            this.file = null;
+            this.preview = null;
+            $('#subscriber-import-upload')[0].reset();
+            this.showStep('upload');
+        },
+
+        upload: function () {
+            const file = $('#subscriber-import-file')[0].files[0];
+            if (!file) {
+                BemaAdmin.showNotification('Please choose a CSV file', 'warning');
+                return;
+            }
+
+            const data = new FormData();
+            data.append('action', 'bema_upload_import_file');
+            data.append('nonce', bemaAdmin.nonce);
+            data.append('file', file);
+
+            const $button = $('#subscriber-import-upload-submit').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: data,
+                processData: false,
+                contentType: false,
+                success: (response) => {
+                    if (response.success) {
+                        this.file = response.data;
+                        this.renderMapping(response.data);
+                        this.showStep('map');
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error uploading file', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to upload file: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        renderMapping: function (file) {
+            $('.subscriber-import-file-summary').text(
+                `${file.name}: ${file.rows.toLocaleString()} row(s). Choose the column each field is read from.`
+            );
+
+            $('.subscriber-import-field').each(function () {
+                const field = $(this).data('field');
+                const $select = $(this).empty().append($('<option value="">').text('— Not imported —'));
+
+                file.columns.forEach((column, index) => {
+                    $select.append($('<option>').val(index).text(column));
+                });
+
+                $select.val(file.mapping[field] !== undefined ? String(file.mapping[field]) : '');
+            });
+
+            const $head = $('<tr>');
+            file.columns.forEach((column) => {
+                $head.append($('<th scope="col">').text(column));
+            });
+
+            const $body = $('<tbody>');
+            file.sample.forEach((row) => {
+                const $row = $('<tr>');
+                row.forEach((value) => {
+                    $row.append($('<td>').text(value));
+                });
+                $body.append($row);
+            });
+
+            $('.subscriber-import-sample').empty()
+                .append($('<p>').text('First rows of the file'))
+                .append($('<table class="widefat striped">').append($('<thead>').append($head)).append($body));
+        },
+
+        getMapping: function () {
+            const mapping = {};
+
+            $('.subscriber-import-field').each(function () {
+                mapping[$(this).data('field')] = $(this).val();
+            });
+
+            return mapping;
+        },
+
+        check: function () {
+            const mapping = this.getMapping();
+            if (mapping.email === '') {
+                BemaAdmin.showNotification('Please choose the column that holds the email address', 'warning');
+                $('#subscriber-import-field-email').trigger('focus');
+                return;
+            }
+
+            const $button = $('.subscriber-import-check').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_preview_import',
+                    nonce: bemaAdmin.nonce,
+                    file: this.file.file,
+                    mapping: mapping
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.preview = response.data;
+                        this.renderPreview(response.data);
+                        this.showStep('review');
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error checking file', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to check file: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        renderPreview: function (preview) {
+            const $summary = $('<ul class="subscriber-import-counts">')
+                .append($('<li>').text(`${preview.valid.toLocaleString()} of ${preview.rows.toLocaleString()} row(s) can be imported: ` +
+                    `${preview.new.toLocaleString()} new, ${preview.existing.toLocaleString()} already in the CRM`));
+
+            if (preview.invalid) {
+                $summary.append($('<li>').text(`${preview.invalid.toLocaleString()} row(s) have problems and will be left out`));
+            }
+            if (preview.duplicates) {
+                $summary.append($('<li>').text(`${preview.duplicates.toLocaleString()} row(s) repeat an email from an earlier row and will be left out`));
+            }
+
+            $('.subscriber-import-summary').empty()
+                .removeClass('notice-success notice-warning')
+                .addClass('notice inline')
+                .addClass(preview.invalid || preview.duplicates ? 'notice-warning' : 'notice-success')
+                .append($summary);
+
+            const $problems = $('.subscriber-import-problems').empty();
+            if (preview.problems.length) {
+                const $body = $('<tbody>');
+                preview.problems.forEach((problem) => {
+                    $('<tr>')
+                        .append($('<td>').text(problem.row))
+                        .append($('<td>').text(problem.email || '—'))
+                        .append($('<td>').text(problem.errors.join('; ')))
+                        .appendTo($body);
+                });
+
+                $problems.append(
+                    $('<table class="widefat striped">')
+                        .append('<thead><tr><th scope="col">Row</th><th scope="col">Email</th><th scope="col">Problem</th></tr></thead>')
+                        .append($body)
+                );
+
+                if (preview.truncated) {
+                    $problems.append($('<p class="description">').text(`Only the first ${preview.problems.length} problems are listed.`));
+                }
+            }
+
+            $('.subscriber-import-start')
+                .prop('disabled', preview.valid === 0)
+                .text(`Import ${preview.valid.toLocaleString()} subscriber(s)`);
+        },
+
+        start: function () {
+            const $button = $('.subscriber-import-start').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_start_import',
+                    nonce: bemaAdmin.nonce,
+                    file: this.file.file,
+                    name: this.file.name,
+                    mapping: this.getMapping(),
+                    policy: $('input[name="subscriber_import_policy"]:checked').val(),
+                    push: $('#subscriber-import-push').prop('checked') ? 1 : 0
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.showStep('import');
+                        this.render(response.data);
+                        this.poll();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Error starting import', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to start import: ' + error, 'error');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Pick up an import that is still running, e.g. after a reload
+         */
+        refresh: function () {
+            $.post(bemaAdmin.ajaxUrl, {
+                action: 'bema_get_import_status',
+                nonce: bemaAdmin.nonce
+            }).done((response) => {
+                if (response.success && this.isActive(response.data)) {
+                    this.open();
+                    this.showStep('import');
+                    this.render(response.data);
+                    this.poll();
+                }
+            });
+        },
+
+        poll: function () {
+            clearTimeout(this.pollTimer);
+
+            this.pollTimer = setTimeout(() => {
+                $.post(bemaAdmin.ajaxUrl, {
+                    action: 'bema_get_import_status',
+                    nonce: bemaAdmin.nonce
+                }).done((response) => {
+                    if (!response.success) {
+                        return;
+                    }
+
+                    const wasActive = this.isActive();
+                    this.render(response.data);
+
+                    if (this.isActive()) {
+                        this.poll();
+                    } else if (wasActive) {
+                        this.finished(response.data);
+                    }
+                }).fail(() => {
+                    // A failed poll is retried; the import itself runs on regardless
+                    this.poll();
+                });
+            }, this.pollInterval);
+        },
+
+        finished: function (status) {
+            if (status.status === 'failed') {
+                BemaAdmin.showNotification('Import of ' + status.name + ' stopped: ' + (status.error || 'unknown error'), 'error');
+            } else {
+                BemaAdmin.showNotification('Import of ' + status.name + ' finished', status.failed ? 'warning' : 'success');
+            }
+
+            BemaSubscriberTable.load({}, false);
+        },
+
+        isActive: function (status = this.status) {
+            return !!status && ['queued', 'running'].includes(status.status);
+        },
+
+        render: function (status) {
+            this.status = status;
+
+            const active = this.isActive(status);
+            const percent = status.total ? Math.round(status.processed / status.total * 100) : 0;
+            const $panel = $('.subscriber-import-progress').empty()
+                .removeClass('notice-info notice-success notice-warning notice-error')
+                .addClass('notice inline')
+                .addClass(active ? 'notice-info' : (status.status === 'failed' ? 'notice-error' : (status.failed ? 'notice-warning' : 'notice-success')));
+
+            $('<p>')
+                .append($('<strong>').text('Import of ' + status.name))
+                .append(document.createTextNode(' — ' + this.describeStatus(status)))
+                .appendTo($panel);
+
+            $('<div class="progress-bar">')
+                .attr({ role: 'progressbar', 'aria-valuemin': 0, 'aria-valuemax': 100, 'aria-valuenow': percent })
+                .append($('<div class="progress">').css('width', percent + '%'))
+                .appendTo($panel);
+
+            $('<p class="subscriber-import-counts">').text(
+                `${status.processed.toLocaleString()} of ${status.total.toLocaleString()} rows read · ` +
+                `${status.created.toLocaleString()} created · ${status.updated.toLocaleString()} updated · ` +
+                `${status.skipped.toLocaleString()} skipped · ${status.invalid.toLocaleString()} invalid · ${status.failed.toLocaleString()} failed`
+            ).appendTo($panel);
+
+            $('<p class="description">').text(
+                `${status.policy} when the email is already in the CRM; ${status.push ? 'pushed to MailerLite' : 'MailerLite is not changed'}. Started by ${status.started_by}.`
+            ).appendTo($panel);
+
+            if (status.errors.length) {
+                const $errors = $('<ul class="subscriber-import-errors">');
+                status.errors.forEach((error) => {
+                    $errors.append($('<li>').text(`Row ${error.row} (${error.email}): ${error.error}`));
+                });
+                if (status.failed > status.errors.length) {
+                    $errors.append($('<li>').text('…and ' + (status.failed - status.errors.length) + ' more; see the sync logs.'));
+                }
+                $panel.append($errors);
+            }
+
+            if (!active) {
+                $('<p class="subscriber-import-buttons">')
+                    .append($('<button type="button" class="button subscriber-import-again">').text('Import another file'))
+                    .append($('<button type="button" class="button-link subscriber-import-cancel">').text('Close'))
+                    .appendTo($panel);
+            }
+        },
+
+        describeStatus: function (status) {
+            switch (status.status) {
+                case 'queued':
+                    return 'waiting for the first batch to start';
+                case 'running':
+                    if (status.processed >= status.total && status.waiting) {
+                        return `waiting for MailerLite to take in ${status.waiting.toLocaleString()} new subscriber(s)`;
+                    }
+                    return 'running in the background; you can leave this page';
+                case 'failed':
+                    return 'stopped: ' + (status.error || 'unknown error');
+                default:
+                    return 'finished';
+            }
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSubscriberImport.init();
+    });
+})(jQuery);
@@ -1,8 +1,68 @@
 window.BemaLogs = {
+    // Rows have a fixed height so the scroll position maps straight to an index in logs
+    rowHeight: 40,
+    overscan: 10,
+
+    logs: [],
+    pending: [],
+    lastId: 0,
+    hasMore: false,
+    loadingMore: false,
+    tailing: false,
+    tailPaused: false,
+    tailTimeout: null,
+    renderedRange: null,
+
+    // Bumped whenever the table is reset, so responses for the old filters are dropped
+    generation: 0,
+
+    // Query fields with their own column; any other field name is looked up in the log's data
+    queryFields: ['status', 'level', 'campaign', 'source', 'operation', 'message', 'correlation_id', 'fingerprint', 'since', 'until', 'id'],
+    levels: ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'],
+    relativeTimes: ['15m', '1h', '2h', '24h', '7d', '30d'],
+    queryValues: {},
+
+    view: 'table',
+    views: ['table', 'timeline', 'errors'],
+    expandTimelineId: null,
+
+    // Id of the entry whose details are open, kept in the URL as log
+    openEntryId: null,
+    savedViews: [],
+
+    purgeCount: 0,
+    purgeGeneration: 0,
+
     init: function () {
+        const $tbody = jQuery('.bema-sync-logs .wp-list-table tbody');
+        if (!$tbody.length) {
+            return;
+        }
+
         this.bindEvents();
         this.initializeFilters();
+        this.initializeQueryAutocomplete();
+        this.resetLogs($tbody.data('logs') || [], !!$tbody.data('has-more'), $tbody.data('last-id') || 0);
+        this.renderArchives(jQuery('.log-archives').data('archives') || []);
+        this.renderSavedViews(jQuery('#log-saved-views').data('views') || []);
         this.initializeAutoRefresh();
+
+        const params = new URLSearchParams(window.location.search);
+        const search = !!jQuery('input[name="search"]').val();
+
+        if (this.views.includes(params.get('view'))) {
+            this.setView(params.get('view'), search);
+        }
+
+        // The page leaves a query in the search box for us to parse and load
+        if (search) {
+            this.filterLogs(jQuery('.log-filters'));
+        }
+
+        // A permalink to an entry opens its details
+        if (params.get('log')) {
+            this.loadLogDetails(params.get('log'));
+        }
     },
 
     bindEvents: function () {
@@ -20,14 +80,38 @@ window.BemaLogs = {
             self.exportLogs();
         });
 
-        // Clear logs
-        $('#clear-logs').on('click', function () {
-            self.clearLogs();
+        // Purge logs
+        $('#toggle-log-purge').on('click', function () {
+            const open = $('#log-purge').prop('hidden');
+            $('#log-purge').prop('hidden', !open);
+            $(this).attr('aria-expanded', open ? 'true' : 'false');
+            if (open) {
+                self.previewPurge();
+            }
+        });
+
+        let purgeTimeout;
+        $('.log-purge-form').on('input change', 'input, select', function () {
+            clearTimeout(purgeTimeout);
+            purgeTimeout = setTimeout(() => {
+                self.previewPurge();
+            }, 300);
+        });
+
+        $('.log-purge-form').on('submit', function (e) {
+            e.preventDefault();
+            self.purgeLogs();
+        });
+
+        $('.log-archives').on('click', '.restore-log-archive', function () {
+            self.restoreArchive($(this));
         });
 
         // Filter form submission
         $('.log-filters').on('submit', function (e) {
             e.preventDefault();
+            self.hideSuggestions();
+            self.clearSavedView();
             self.filterLogs($(this));
         });
 
@@ -36,22 +120,115 @@ window.BemaLogs = {
             $('.log-filters').submit();
         });
 
-        // Search input debouncing
+        // Search input debouncing; a half-typed query waits quietly instead of reporting errors
         let searchTimeout;
         $('input[name="search"]').on('input', function () {
+            self.clearSavedView();
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
-                $('.log-filters').submit();
+                self.filterLogs($('.log-filters'), true);
             }, 500);
         });
+
+        // Virtual scrolling, at most one render per frame
+        let scrollFrame = null;
+        $('.bema-log-scroller').on('scroll', function () {
+            if (scrollFrame) return;
+            scrollFrame = window.requestAnimationFrame(() => {
+                scrollFrame = null;
+                self.onScroll();
+            });
+        });
+
+        $('#toggle-tail').on('click', function () {
+            self.toggleTail();
+        });
+
+        $('#new-log-entries').on('click', function () {
+            self.flushPending();
+        });
+
+        $('.log-view-toggle button').on('click', function () {
+            self.setView($(this).data('view'));
+            self.updateUrl();
+        });
+
+        // Back and forward move between filter states
+        window.addEventListener('popstate', function () {
+            const params = new URLSearchParams(window.location.search);
+
+            self.openEntryId = null;
+            $('.log-details-modal:visible').fadeOut(200);
+            self.applyState(Object.fromEntries(params));
+
+            if (params.get('log')) {
+                self.loadLogDetails(params.get('log'));
+            }
+        });
+
+        $('#log-saved-views').on('change', function () {
+            const view = self.savedViews.find(item => item.id === this.value);
+            $('#delete-log-view').prop('disabled', !view);
+            if (view) {
+                self.applyState(view.state);
+            }
+        });
+
+        $('#save-log-view').on('click', function () {
+            self.saveView();
+        });
+
+        $('#delete-log-view').on('click', function () {
+            self.deleteView();
+        });
+
+        $(document).on('click', '.copy-log-permalink', function () {
+            self.copyPermalink($(this).siblings('.log-permalink'));
+        });
+
+        // The details modal closes on its close button, a click beside it or Escape
+        $(document).on('click', '.log-details-modal', function (e) {
+            if (e.target === this || $(e.target).hasClass('close')) {
+                self.closeEntry();
+            }
+        });
+        $(document).on('keyup', function (e) {
+            if (e.key === 'Escape' && self.openEntryId) {
+                self.closeEntry();
+            }
+        });
+
+        $('#log-timeline').on('click', '.timeline-toggle', function () {
+            self.toggleTimeline($(this).closest('.bema-timeline'));
+        });
+
+        // Open an entry's operation from its details
+        $(document).on('click', '.view-log-timeline', function () {
+            $(this).closest('.modal').fadeOut(200);
+            self.openEntryId = null;
+            self.showTimeline($(this).data('correlation'));
+        });
+
+        $('#error-group-state').on('change', function () {
+            self.loadErrorGroups();
+        });
+
+        $('#log-errors').on('click', '.update-error-group', function () {
+            self.updateErrorGroup($(this));
+        });
+
+        $('#log-errors').on('click', '.show-error-entries', function () {
+            self.showErrorEntries($(this).data('fingerprint'));
+        });
     },
 
     initializeFilters: function () {
+        const $ = jQuery;
         const urlParams = new URLSearchParams(window.location.search);
 
         // Set initial filter values from URL
         ['status', 'campaign', 'date'].forEach(filter => {
-            const value = urlParams.get(`filter_${filter}`);
+            const value = urlParams.get(filter);
             if (value) {
                 $(`#filter-${filter}`).val(value);
             }
@@ -64,56 +241,392 @@ window.BemaLogs = {
 
     initializeAutoRefresh: function () {
         const self = this;
-        let refreshInterval;
 
-        // Start auto-refresh if sync is running
-        if ($('.status-badge.status-running').length) {
-            refreshInterval = setInterval(() => {
-                self.refreshLogData();
-            }, 5000); // Refresh every 5 seconds
+        // New sync log lines on the progress stream mean new rows are about to be imported
+        if (window.BemaSyncStream) {
+            this.streamSubscription = BemaSyncStream.subscribe(function (type, data) {
+                if (type === 'log') {
+                    self.scheduleTail();
+                    return;
+                }
+
+                self.updateSyncStatus(data);
+            });
         }
 
-        // Stop auto-refresh when sync completes
-        $(document).on('syncStatusChange', function (e, status) {
-            if (status !== 'running' && refreshInterval) {
-                clearInterval(refreshInterval);
-            }
-        });
+        // Schedule and transition logs are not streamed, so check for those now and then
+        setInterval(() => this.refreshLogData(), 30000);
+    },
+
+    scheduleTail: function () {
+        clearTimeout(this.tailTimeout);
+        this.tailTimeout = setTimeout(() => this.refreshLogData(), 1000);
     },
 
+    // Fetches the entries added since lastId
     refreshLogData: function () {
         const self = this;
+        const generation = this.generation;
+
+        if (this.tailing) {
+            this.scheduleTail();
+            return;
+        }
+        this.tailing = true;
+
         jQuery.ajax({
             url: bemaAdmin.ajaxUrl,
             type: 'POST',
             data: {
                 action: 'bema_get_sync_logs',
                 nonce: bemaAdmin.nonce,
+                after_id: this.lastId,
                 current_filters: this.getCurrentFilters()
             },
             success: function (response) {
-                if (response.success) {
-                    self.updateLogTable(response.data.logs);
-                    self.updateSyncStatus(response.data.sync_status);
+                if (!response.success || generation !== self.generation) {
+                    return;
+                }
+
+                self.lastId = response.data.last_id;
+                self.receiveTail(response.data.logs);
+                self.updateTotal(response.data.total);
+                self.updateSyncStatus(response.data.sync_status);
+
+                if (response.data.has_more) {
+                    self.scheduleTail();
                 }
             },
             error: function (xhr, status, error) {
                 console.log('Error refreshing log data:', error);
+            },
+            complete: function () {
+                self.tailing = false;
+            }
+        });
+    },
+
+    // New entries only go in while the tail runs and the table is scrolled to the top; otherwise they wait behind the indicator
+    receiveTail: function (logs) {
+        if (!logs.length) return;
+
+        if (this.tailPaused || jQuery('.bema-log-scroller').scrollTop() > 0) {
+            this.pending = logs.concat(this.pending);
+            this.updateIndicator();
+            return;
+        }
+
+        this.logs = logs.concat(this.logs);
+        this.renderRows(true);
+        this.updateScrollStatus();
+    },
+
+    flushPending: function () {
+        this.logs = this.pending.concat(this.logs);
+        this.pending = [];
+        this.updateIndicator();
+
+        jQuery('.bema-log-scroller').scrollTop(0);
+        this.renderRows(true);
+        this.updateScrollStatus();
+    },
+
+    toggleTail: function () {
+        this.tailPaused = !this.tailPaused;
+
+        jQuery('#toggle-tail')
+            .text(this.tailPaused ? 'Resume tail' : 'Pause tail')
+            .attr('aria-pressed', this.tailPaused ? 'true' : 'false');
+
+        if (!this.tailPaused && this.pending.length) {
+            this.flushPending();
+        }
+    },
+
+    updateIndicator: function () {
+        const count = this.pending.length;
+
+        jQuery('#new-log-entries')
+            .text(count === 1 ? '1 new entry' : `${count} new entries`)
+            .prop('hidden', count === 0);
+    },
+
+    onScroll: function () {
+        const $scroller = jQuery('.bema-log-scroller');
+
+        this.renderRows();
+
+        if (this.hasMore && $scroller.scrollTop() + $scroller.innerHeight() >= (this.logs.length - this.overscan) * this.rowHeight) {
+            this.loadMore();
+        }
+
+        if ($scroller.scrollTop() === 0 && !this.tailPaused && this.pending.length) {
+            this.flushPending();
+        }
+    },
+
+    // Loads the batch of older entries below the last row
+    loadMore: function () {
+        const self = this;
+        const generation = this.generation;
+
+        if (this.loadingMore || !this.hasMore || !this.logs.length) {
+            return;
+        }
+        this.loadingMore = true;
+        this.updateScrollStatus();
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: jQuery.extend({}, this.getCurrentFilters(), {
+                action: 'bema_filter_logs',
+                nonce: bemaAdmin.nonce,
+                before_id: this.logs[this.logs.length - 1].id
+            }),
+            success: function (response) {
+                if (generation !== self.generation) {
+                    return;
+                }
+
+                if (response.success) {
+                    self.logs = self.logs.concat(response.data.logs);
+                    self.hasMore = response.data.has_more;
+                    self.renderRows(true);
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error loading older logs', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to load older logs: ' + error, 'error');
+            },
+            complete: function () {
+                if (generation === self.generation) {
+                    self.loadingMore = false;
+                    self.updateScrollStatus();
+                }
             }
         });
     },
 
+    // The search box goes to the server as the JSON of its parsed query, never as raw text
     getCurrentFilters: function () {
         const filters = {};
-        $('.log-filters select, .log-filters input[type="search"]').each(function () {
-            const $el = $(this);
+        jQuery('.log-filters select, .log-filters input[name="sync_id"]').each(function () {
+            const $el = jQuery(this);
             if ($el.val()) {
                 filters[$el.attr('name')] = $el.val();
             }
         });
+
+        const parsed = this.parseQuery(jQuery('input[name="search"]').val() || '');
+        if (parsed.query.clauses.length || parsed.query.text.length) {
+            filters.query = JSON.stringify(parsed.query);
+        }
         return filters;
     },
 
+    /**
+     * Parse the search box into clauses and text terms.
+     *
+     * status:error campaign:2024_ART_ALB level>=warning since:2h "rate limit" -debug
+     * gives a clause per field:value term (comma separated values are alternatives,
+     * a leading - excludes) and a text term per word or quoted phrase.
+     */
+    parseQuery: function (input) {
+        const query = { clauses: [], text: [] };
+        const errors = [];
+        const pattern = /\s*(-?)(?:([A-Za-z_][\w.]*)(>=|<=|!=|:|>|<)(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+))/y;
+        let match;
+
+        while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+            const [, negate, field, op, quoted, value, phrase, word] = match;
+
+            if (field) {
+                const name = this.queryFields.indexOf(field.toLowerCase()) !== -1 ? field.toLowerCase() : field;
+                const values = quoted !== undefined ? [quoted] : value.split(',').filter(v => v !== '');
+                const error = this.validateClause(name, op, values);
+
+                if (error) {
+                    errors.push(error);
+                } else {
+                    query.clauses.push({ field: name, op: op, values: values, negate: negate === '-' });
+                }
+                continue;
+            }
+
+            const text = phrase !== undefined ? phrase : word;
+            if (text) {
+                query.text.push({ value: text, negate: negate === '-' });
+            }
+        }
+
+        return { query: query, errors: errors };
+    },
+
+    validateClause: function (field, op, values) {
+        if (!values.length) {
+            return `${field}${op} needs a value`;
+        }
+
+        if (field === 'since' || field === 'until') {
+            if (op !== ':') {
+                return `${field} only takes ${field}:value`;
+            }
+            if (!/^\d+[mhdw]$/i.test(values[0]) && !/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/.test(values[0])) {
+                return `${field}:${values[0]} is not a relative time such as 2h or a date`;
+            }
+            return null;
+        }
+
+        if (field === 'level') {
+            const unknown = values.find(level => this.levels.indexOf(level.toLowerCase()) === -1);
+            return unknown ? `Unknown level ${unknown}, use one of ${this.levels.join(', ')}` : null;
+        }
+
+        if (this.queryFields.indexOf(field) === -1 && !/^[A-Za-z_]\w*(\.\w+)*$/.test(field)) {
+            return `Unknown field ${field}`;
+        }
+
+        if (['>', '>=', '<', '<='].indexOf(op) !== -1) {
+            if (['status', 'campaign', 'source', 'operation', 'message'].indexOf(field) !== -1) {
+                return `${field} cannot be compared with ${op}`;
+            }
+            if (isNaN(parseFloat(values[0]))) {
+                return `${field}${op} needs a number`;
+            }
+        }
+
+        return null;
+    },
+
+    initializeQueryAutocomplete: function () {
+        const self = this;
+        const $ = jQuery;
+        const $input = $('input[name="search"]');
+
+        this.queryValues = $input.data('values') || {};
+
+        $input.on('input click', function () {
+            self.updateSuggestions();
+        });
+
+        $input.on('keydown', function (e) {
+            self.onQueryKeydown(e);
+        });
+
+        $input.on('blur', function () {
+            self.hideSuggestions();
+        });
+
+        // mousedown so the pick lands before the input loses focus
+        $('.log-query-suggestions').on('mousedown', 'li', function (e) {
+            e.preventDefault();
+            self.acceptSuggestion($(this).data('value'));
+        });
+    },
+
+    // The term the caret is in, up to the caret
+    getQueryToken: function () {
+        const input = jQuery('input[name="search"]')[0];
+        const before = input.value.slice(0, input.selectionStart);
+        const text = before.match(/-?(\S*)$/)[1];
+
+        return { start: before.length - text.length, end: input.selectionStart, text: text };
+    },
+
+    getSuggestions: function (text) {
+        const match = text.match(/^([A-Za-z_][\w.]*)(>=|<=|!=|:|>|<)(.*)$/);
+
+        if (!match) {
+            const prefix = text.toLowerCase();
+            return this.queryFields
+                .filter(field => field.indexOf(prefix) === 0)
+                .map(field => ({ value: field + ':', label: field + ':' }))
+                .concat(prefix && 'level>='.indexOf(prefix) === 0 ? [{ value: 'level>=', label: 'level>=' }] : []);
+        }
+
+        const field = match[1].toLowerCase();
+        const chosen = match[3].split(',');
+        const partial = chosen.pop().toLowerCase();
+        const prefix = match[1] + match[2] + chosen.map(value => value + ',').join('');
+
+        let values = this.queryValues[field] || [];
+        if (field === 'level') {
+            values = this.levels;
+        } else if (field === 'since' || field === 'until') {
+            values = this.relativeTimes;
+        }
+
+        return values
+            .filter(value => String(value).toLowerCase().indexOf(partial) !== -1 && chosen.indexOf(String(value)) === -1)
+            .map(value => ({
+                // Values with spaces have to be quoted to stay one term
+                value: prefix + (/\s/.test(value) ? `"${value}"` : value),
+                label: String(value)
+            }));
+    },
+
+    updateSuggestions: function () {
+        const $list = jQuery('.log-query-suggestions').empty();
+        const token = this.getQueryToken();
+        const suggestions = token.text ? this.getSuggestions(token.text).slice(0, 8) : [];
+
+        // Nothing to offer when the term is already complete
+        if (!suggestions.length || (suggestions.length === 1 && suggestions[0].value === token.text)) {
+            this.hideSuggestions();
+            return;
+        }
+
+        suggestions.forEach((suggestion, index) => {
+            jQuery('<li role="option">')
+                .text(suggestion.label)
+                .attr('data-value', suggestion.value)
+                .toggleClass('is-active', index === 0)
+                .appendTo($list);
+        });
+        $list.prop('hidden', false);
+    },
+
+    hideSuggestions: function () {
+        jQuery('.log-query-suggestions').prop('hidden', true).empty();
+    },
+
+    onQueryKeydown: function (e) {
+        const $items = jQuery('.log-query-suggestions:not([hidden]) li');
+        if (!$items.length) {
+            return;
+        }
+
+        const index = $items.index($items.filter('.is-active'));
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = (index + (e.key === 'ArrowDown' ? 1 : -1) + $items.length) % $items.length;
+            $items.removeClass('is-active').eq(next).addClass('is-active');
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.acceptSuggestion($items.eq(Math.max(0, index)).data('value'));
+        } else if (e.key === 'Escape') {
+            this.hideSuggestions();
+        }
+    },
+
+    acceptSuggestion: function (value) {
+        const $input = jQuery('input[name="search"]');
+        const input = $input[0];
+        const token = this.getQueryToken();
+
+        // A field name stays open for its value, a value ends the term
+        const insert = /[:<>=]$/.test(value) ? value : value + ' ';
+        const after = input.value.slice(token.end).replace(/^\S*\s?/, '');
+
+        input.value = input.value.slice(0, token.start) + insert + after;
+        input.selectionStart = input.selectionEnd = token.start + insert.length;
+
+        $input.trigger('input');
+    },
+
     loadLogDetails: function (id) {
         const self = this;
         jQuery.ajax({
@@ -144,18 +657,30 @@ window.BemaLogs = {
         html += `
             <div class="log-header">
                 <div class="status-section">
-                    <span class="status-badge status-${data.status}">${this.formatLabel(data.status)}</span>
+                    <span class="status-badge status-${this.escapeHtml(data.status)}">${this.escapeHtml(this.formatLabel(data.status))}</span>
                     <span class="timestamp">${this.formatDate(data.created_at)}</span>
                 </div>
             </div>`;
 
+        // Operation section
+        if (data.correlation_id) {
+            html += `
+                <div class="section operation-section">
+                    <h3>Operation</h3>
+                    <code>${this.escapeHtml(data.correlation_id)}</code>
+                    <button type="button" class="button button-small view-log-timeline" data-correlation="${this.escapeHtml(data.correlation_id)}">
+                        View Timeline
+                    </button>
+                </div>`;
+        }
+
         // Campaign section
         if (data.campaign) {
             html += `
                 <div class="section campaign-section">
                     <h3>Campaign</h3>
                     <div class="campaign-info">
-                        <span class="campaign-badge">${data.campaign}</span>
+                        <span class="campaign-badge">${this.escapeHtml(data.campaign)}</span>
                         ${data.campaign_progress ? `
                             <div class="campaign-progress">
                                 <div class="progress-bar">
@@ -179,13 +704,13 @@ window.BemaLogs = {
                         ${data.memory_usage ? `
                             <div class="metric">
                                 <span class="label">Memory Usage:</span>
-                                <span class="value">${data.memory_usage}</span>
+                                <span class="value">${this.escapeHtml(data.memory_usage)}</span>
                             </div>
                         ` : ''}
                         ${data.peak_memory ? `
                             <div class="metric">
                                 <span class="label">Peak Memory:</span>
-                                <span class="value">${data.peak_memory}</span>
+                                <span class="value">${this.escapeHtml(data.peak_memory)}</span>
                             </div>
                         ` : ''}
                         ${data.duration ? `
@@ -202,10 +727,10 @@ window.BemaLogs = {
         html += `
             <div class="section message-section">
                 <h3>Message</h3>
-                <div class="message">${data.message}</div>
+                <div class="message">${this.escapeHtml(data.message)}</div>
                 ${data.details ? `
                     <div class="details">
-                        <pre>${this.formatJson(data.details)}</pre>
+                        <pre>${this.escapeHtml(this.formatJson(data.details))}</pre>
                     </div>
                 ` : ''}
             </div>`;
@@ -215,24 +740,476 @@ window.BemaLogs = {
             html += `
                 <div class="section error-section">
                     <h3>Error Details</h3>
-                    <div class="error-message">${data.error}</div>
+                    <div class="error-message">${this.escapeHtml(data.error)}</div>
                     ${data.stack_trace ? `
                         <div class="stack-trace">
-                            <pre>${data.stack_trace}</pre>
+                            <pre>${this.escapeHtml(data.stack_trace)}</pre>
                         </div>
                     ` : ''}
                 </div>`;
         }
 
+        // Permalink section
+        html += `
+            <div class="section permalink-section">
+                <h3>Link to this entry</h3>
+                <input type="text" class="large-text log-permalink" readonly value="${this.escapeHtml(this.getPermalink(data.id))}" />
+                <button type="button" class="button button-small copy-log-permalink">Copy link</button>
+            </div>`;
+
         html += '</div>';
 
-        BemaAdmin.showModal('Log Details', html);
+        BemaAdmin.showModal('Log Details', html).addClass('log-details-modal');
+        this.openEntryId = data.id;
+        this.updateUrl(true);
+    },
+
+    getPermalink: function (id) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.searchParams.set('page', 'bema-sync-logs');
+        url.searchParams.set('log', id);
+        return url.toString();
+    },
+
+    copyPermalink: function ($input) {
+        const done = () => BemaAdmin.showNotification('Link copied', 'success');
+
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText($input.val()).then(done);
+            return;
+        }
+
+        $input.trigger('select');
+        if (document.execCommand('copy')) {
+            done();
+        }
+    },
+
+    closeEntry: function () {
+        this.openEntryId = null;
+        this.updateUrl(true);
+    },
+
+    // Filters and view as saved views and the page URL hold them
+    getState: function () {
+        const state = {};
+        jQuery('.log-filters select, .log-filters input[name="search"]').each(function () {
+            if (this.value) {
+                state[this.name] = this.value;
+            }
+        });
+        if (this.view !== 'table') {
+            state.view = this.view;
+        }
+        return state;
+    },
+
+    applyState: function (state) {
+        const $ = jQuery;
+
+        ['status', 'campaign', 'date'].forEach(key => {
+            $(`#filter-${key}`).val(state[key] || '');
+        });
+        $('input[name="search"]').val(state.search || '');
+
+        this.setView(this.views.includes(state.view) ? state.view : 'table', true);
+        this.filterLogs($('.log-filters'));
+    },
+
+    // Typing replaces the current history entry; other changes add one that Back returns from
+    updateUrl: function (replace) {
+        const url = new URL(window.location.href);
+        const state = this.getState();
+
+        ['status', 'campaign', 'date', 'search', 'view', 'log'].forEach(key => url.searchParams.delete(key));
+        Object.keys(state).forEach(key => url.searchParams.set(key, state[key]));
+        if (this.openEntryId) {
+            url.searchParams.set('log', this.openEntryId);
+        }
+
+        const normalize = (search) => {
+            const params = new URLSearchParams(search);
+            params.sort();
+            return params.toString();
+        };
+        if (normalize(url.search) === normalize(window.location.search)) {
+            return;
+        }
+
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', url);
+    },
+
+    renderSavedViews: function (views, selectedId) {
+        const $select = jQuery('#log-saved-views');
+
+        this.savedViews = views;
+        $select.find('option:not(:first)').remove();
+        views.forEach(view => {
+            jQuery('<option>').val(view.id).text(view.name).appendTo($select);
+        });
+
+        $select.val(selectedId || '');
+        jQuery('#delete-log-view').prop('disabled', !selectedId);
+    },
+
+    clearSavedView: function () {
+        jQuery('#log-saved-views').val('');
+        jQuery('#delete-log-view').prop('disabled', true);
+    },
+
+    saveView: function () {
+        const self = this;
+        const current = this.savedViews.find(view => view.id === jQuery('#log-saved-views').val());
+        const name = prompt('Name this view, e.g. "Transition errors this week". A view with the same name is replaced.', current ? current.name : '');
+
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'bema_save_log_view',
+                nonce: bemaAdmin.nonce,
+                name: name.trim(),
+                state: this.getState()
+            },
+            success: function (response) {
+                if (response.success) {
+                    BemaAdmin.showNotification(response.data.message, 'success');
+                    self.renderSavedViews(response.data.views, response.data.view.id);
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error saving view', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to save view: ' + error, 'error');
+            }
+        });
+    },
+
+    deleteView: function () {
+        const self = this;
+        const view = this.savedViews.find(item => item.id === jQuery('#log-saved-views').val());
+
+        if (!view || !confirm(`Delete the saved view "${view.name}"?`)) {
+            return;
+        }
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'bema_delete_log_view',
+                nonce: bemaAdmin.nonce,
+                id: view.id
+            },
+            success: function (response) {
+                if (response.success) {
+                    BemaAdmin.showNotification(response.data.message, 'success');
+                    self.renderSavedViews(response.data.views);
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error deleting view', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to delete view: ' + error, 'error');
+            }
+        });
+    },
+
+    // deferLoad leaves loading the timelines to a filter request already on its way
+    setView: function (view, deferLoad) {
+        const $ = jQuery;
+        const table = view === 'table';
+
+        this.view = view;
+        $('.log-view-toggle button').each(function () {
+            const active = $(this).data('view') === view;
+            $(this).toggleClass('is-active', active).attr('aria-pressed', active ? 'true' : 'false');
+        });
+        $('.bema-log-scroller, .log-scroll-status, #toggle-tail, #new-log-entries').toggle(table);
+        $('#log-timeline').prop('hidden', view !== 'timeline');
+        $('#log-errors').prop('hidden', view !== 'errors');
+
+        if (table) {
+            this.updateIndicator();
+            this.renderRows(true);
+        } else if (!deferLoad) {
+            this.loadViewData();
+        }
+    },
+
+    loadViewData: function () {
+        if (this.view === 'timeline') {
+            this.loadTimelines();
+        } else if (this.view === 'errors') {
+            this.loadErrorGroups();
+        }
+    },
+
+    // Filtering reloads the timelines, which then opens this one
+    showTimeline: function (correlationId) {
+        this.expandTimelineId = correlationId;
+        jQuery('input[name="search"]').val(`correlation_id:${correlationId}`);
+        this.setView('timeline', true);
+        this.filterLogs(jQuery('.log-filters'));
+    },
+
+    loadTimelines: function () {
+        const self = this;
+        const generation = this.generation;
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: jQuery.extend({}, this.getCurrentFilters(), {
+                action: 'bema_get_log_timelines',
+                nonce: bemaAdmin.nonce
+            }),
+            success: function (response) {
+                if (generation !== self.generation) {
+                    return;
+                }
+
+                if (response.success) {
+                    self.renderTimelines(response.data.timelines);
+                    if (self.expandTimelineId) {
+                        self.toggleTimeline(jQuery('.bema-timeline').filter(function () {
+                            return jQuery(this).attr('data-id') === self.expandTimelineId;
+                        }));
+                        self.expandTimelineId = null;
+                    }
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error loading timelines', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to load timelines: ' + error, 'error');
+            }
+        });
+    },
+
+    renderTimelines: function (timelines) {
+        const $list = jQuery('.bema-timelines').empty();
+
+        if (!timelines.length) {
+            jQuery('<li class="no-items">').text('No operations found. Entries are grouped once they carry a correlation id.').appendTo($list);
+            return;
+        }
+
+        timelines.forEach(timeline => {
+            const $header = jQuery('<button type="button" class="timeline-toggle" aria-expanded="false">')
+                .append(jQuery('<strong>').text(this.formatLabel(timeline.operation || 'operation')))
+                .append(timeline.campaign ? jQuery('<span class="campaign-badge">').text(timeline.campaign) : '')
+                .append(jQuery('<span class="timeline-meta">').text(
+                    `${this.formatDate(timeline.started_at)} · ${this.formatElapsed(timeline.duration)} · ${timeline.entries} entries`
+                ))
+                .append(timeline.errors ? jQuery('<span class="status-badge status-error">').text(`${timeline.errors} errors`) : '');
+
+            jQuery('<li class="bema-timeline">')
+                .toggleClass('has-errors', timeline.errors > 0)
+                .attr('data-id', timeline.correlation_id)
+                .append($header)
+                .appendTo($list);
+        });
+    },
+
+    toggleTimeline: function ($item) {
+        const self = this;
+        const $steps = $item.find('.timeline-steps');
+
+        if (!$item.length) {
+            return;
+        }
+
+        if ($steps.length) {
+            const open = $item.hasClass('is-open');
+            $item.toggleClass('is-open', !open).find('.timeline-toggle').attr('aria-expanded', open ? 'false' : 'true');
+            $item.find('.timeline-body').toggle(!open);
+            return;
+        }
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'bema_get_log_timeline',
+                nonce: bemaAdmin.nonce,
+                correlation_id: $item.attr('data-id')
+            },
+            success: function (response) {
+                if (response.success) {
+                    self.renderTimelineSteps($item, response.data);
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error loading timeline', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to load timeline: ' + error, 'error');
+            }
+        });
+    },
+
+    renderTimelineSteps: function ($item, timeline) {
+        const $body = jQuery('<div class="timeline-body">');
+        const $steps = jQuery('<ol class="timeline-steps">');
+
+        if (timeline.failed_step !== null) {
+            const step = timeline.steps[timeline.failed_step];
+            jQuery('<p class="timeline-failure">')
+                .text(`Failed at step ${timeline.failed_step + 1} of ${timeline.steps.length}, ${this.formatElapsed(step.offset)} in: ${step.message}`)
+                .appendTo($body);
+        }
+
+        timeline.steps.forEach((step, index) => {
+            jQuery('<li>')
+                .toggleClass('is-failure', index === timeline.failed_step)
+                .toggleClass('is-error', step.failed)
+                .append(jQuery('<span class="step-offset">').text('+' + this.formatElapsed(step.offset)))
+                .append(jQuery('<span class="step-gap">')
+                    .toggleClass('is-slow', step.since_previous >= 5)
+                    .text(index ? `${this.formatElapsed(step.since_previous)} later` : 'start'))
+                .append(jQuery('<span class="status-badge">').addClass('status-' + step.level).text(this.formatLabel(step.level)))
+                .append(jQuery('<span class="step-message">').text(step.message))
+                .append(jQuery('<button type="button" class="button button-small view-log-details">').attr('data-id', step.id).text('Details'))
+                .appendTo($steps);
+        });
+
+        $body.append($steps);
+        if (timeline.truncated) {
+            jQuery('<p class="description">').text(`Showing the first ${timeline.steps.length} entries.`).appendTo($body);
+        }
+
+        $item.addClass('is-open').append($body).find('.timeline-toggle').attr('aria-expanded', 'true');
+
+        const $failure = $steps.find('.is-failure');
+        if ($failure.length) {
+            $failure[0].scrollIntoView({ block: 'nearest' });
+        }
+    },
+
+    loadErrorGroups: function () {
+        const self = this;
+        const generation = this.generation;
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: jQuery.extend({}, this.getCurrentFilters(), {
+                action: 'bema_get_error_groups',
+                nonce: bemaAdmin.nonce,
+                state: jQuery('#error-group-state').val()
+            }),
+            success: function (response) {
+                if (generation !== self.generation) {
+                    return;
+                }
+
+                if (response.success) {
+                    self.renderErrorGroups(response.data.groups);
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error loading error groups', 'error');
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to load error groups: ' + error, 'error');
+            }
+        });
+    },
+
+    renderErrorGroups: function (groups) {
+        const $ = jQuery;
+        const $body = $('.bema-error-groups tbody').empty();
+        const actions = {
+            open: [['resolved', 'Resolve'], ['muted', 'Mute']],
+            resolved: [['open', 'Reopen']],
+            muted: [['open', 'Unmute']]
+        };
+
+        if (!groups.length) {
+            $body.append('<tr><td colspan="6" class="no-items">No errors found.</td></tr>');
+            return;
+        }
+
+        groups.forEach((group) => {
+            const $error = $('<td class="column-error">')
+                .append(group.error_class ? $('<code class="error-class">').text(group.error_class) : '')
+                .append(group.regressed ? $('<span class="status-badge status-warning">').text('Regressed') : '')
+                .append(group.state !== 'open' ? $('<span class="status-badge">').text(this.formatLabel(group.state)) : '')
+                .append($('<div class="error-template">').text(group.template))
+                .append($('<div class="description">').text(this.formatLabel(group.operation || 'operation')));
+
+            if (group.sample) {
+                $error.append($('<div class="error-sample">')
+                    .append('Latest: ')
+                    .append($('<span>').text(group.sample.message + (group.sample.details && group.sample.details.error ? ': ' + group.sample.details.error : '')))
+                    .append(' ')
+                    .append($('<button type="button" class="button-link view-log-details">').attr('data-id', group.sample.id).text('Details')));
+            }
+
+            const $actions = $('<td class="column-error-actions">')
+                .append($('<button type="button" class="button button-small show-error-entries">').attr('data-fingerprint', group.fingerprint).text('Entries'));
+            actions[group.state].forEach(([state, label]) => {
+                $actions.append(' ').append($('<button type="button" class="button button-small update-error-group">')
+                    .attr('data-fingerprint', group.fingerprint)
+                    .attr('data-state', state)
+                    .text(label));
+            });
+
+            $('<tr>')
+                .toggleClass('is-regressed', group.regressed)
+                .append($error)
+                .append($('<td class="column-count">').text(group.entries))
+                .append($('<td>').text(this.formatDate(group.first_seen)))
+                .append($('<td>').text(this.formatDate(group.last_seen)))
+                .append($('<td>').text(group.campaigns.join(', ') || '—'))
+                .append($actions)
+                .appendTo($body);
+        });
+    },
+
+    updateErrorGroup: function ($button) {
+        const self = this;
+        $button.prop('disabled', true);
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'bema_update_error_group',
+                nonce: bemaAdmin.nonce,
+                fingerprint: $button.data('fingerprint'),
+                state: $button.data('state')
+            },
+            success: function (response) {
+                if (response.success) {
+                    BemaAdmin.showNotification(response.data.message, 'success');
+                    self.loadErrorGroups();
+                } else {
+                    BemaAdmin.showNotification(response.data.message || 'Error updating error group', 'error');
+                    $button.prop('disabled', false);
+                }
+            },
+            error: function (xhr, status, error) {
+                BemaAdmin.showNotification('Failed to update error group: ' + error, 'error');
+                $button.prop('disabled', false);
+            }
+        });
+    },
+
+    showErrorEntries: function (fingerprint) {
+        jQuery('input[name="search"]').val(`fingerprint:${fingerprint}`);
+        this.setView('table');
+        this.filterLogs(jQuery('.log-filters'));
     },
 
     updateSyncStatus: function (status) {
         if (!status) return;
 
-        const $statusSection = $('.sync-status-summary');
+        const $statusSection = jQuery('.sync-status-summary');
 
         // Update status badge
         $statusSection.find('.status-badge')
@@ -256,27 +1233,32 @@ window.BemaLogs = {
         }
     },
 
-    filterLogs: function ($form) {
+    filterLogs: function ($form, quiet) {
         const self = this;
-        const data = $form.serialize();
+        const parsed = this.parseQuery($form.find('input[name="search"]').val() || '');
+
+        jQuery('.log-query-error').text(quiet ? '' : parsed.errors.join('. ')).prop('hidden', quiet || !parsed.errors.length);
+        if (parsed.errors.length) {
+            return;
+        }
 
-        $form.find('button, select, input').prop('disabled', true);
+        // The search box keeps its focus while typing
+        $form.find('select, input[type="submit"]').prop('disabled', true);
 
         jQuery.ajax({
             url: bemaAdmin.ajaxUrl,
             type: 'POST',
-            data: data + '&action=bema_filter_logs&nonce=' + bemaAdmin.nonce,
+            data: jQuery.extend({}, this.getCurrentFilters(), {
+                action: 'bema_filter_logs',
+                nonce: bemaAdmin.nonce
+            }),
             success: function (response) {
                 if (response.success) {
-                    self.updateLogTable(response.data.logs);
-                    self.updatePagination(response.data.pagination);
-
-                    // Update URL with new filters
-                    const newUrl = new URL(window.location);
-                    self.getCurrentFilters().forEach((value, key) => {
-                        newUrl.searchParams.set(key, value);
-                    });
-                    window.history.pushState({}, '', newUrl);
+                    self.resetLogs(response.data.logs, response.data.has_more, response.data.last_id);
+                    self.updateTotal(response.data.total);
+
+                    self.loadViewData();
+                    self.updateUrl(quiet);
                 } else {
                     BemaAdmin.showNotification(response.data.message || 'Error filtering logs', 'error');
                 }
@@ -285,25 +1267,78 @@ window.BemaLogs = {
                 BemaAdmin.showNotification('Failed to filter logs: ' + error, 'error');
             },
             complete: function () {
-                $form.find('button, select, input').prop('disabled', false);
+                $form.find('select, input[type="submit"]').prop('disabled', false);
             }
         });
     },
 
-    updateLogTable: function (logs) {
-        const $tbody = jQuery('.wp-list-table tbody');
-        if (!logs.length) {
+    resetLogs: function (logs, hasMore, lastId) {
+        this.generation++;
+        this.logs = logs;
+        this.pending = [];
+        this.hasMore = hasMore;
+        this.lastId = lastId;
+        this.loadingMore = false;
+
+        jQuery('.bema-log-scroller').scrollTop(0);
+        this.renderRows(true);
+        this.updateIndicator();
+        this.updateScrollStatus();
+    },
+
+    updateTotal: function (total) {
+        jQuery('.log-filters .displaying-num').text(`${total} entries`);
+    },
+
+    updateScrollStatus: function () {
+        let text = '';
+        if (this.loadingMore) {
+            text = 'Loading older entries…';
+        } else if (this.hasMore) {
+            text = 'Scroll down to load older entries.';
+        } else if (this.logs.length) {
+            text = 'Showing all matching entries.';
+        }
+
+        jQuery('.log-scroll-status').text(text);
+    },
+
+    // Renders only the rows in and around the viewport, with spacer rows keeping the scroll height
+    renderRows: function (force) {
+        const $scroller = jQuery('.bema-log-scroller');
+        const $tbody = $scroller.find('tbody');
+
+        if (!this.logs.length) {
+            this.renderedRange = null;
             $tbody.html('<tr><td colspan="6" class="no-items">No logs found.</td></tr>');
             return;
         }
 
-        let html = '';
-        logs.forEach(log => {
-            html += this.generateLogRow(log);
-        });
+        const scrollTop = $scroller.scrollTop();
+        let start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.logs.length, Math.ceil((scrollTop + $scroller.innerHeight()) / this.rowHeight) + this.overscan);
+
+        // An even start keeps the striping of a row the same as the window moves
+        start -= start % 2;
+
+        if (!force && this.renderedRange && this.renderedRange[0] === start && this.renderedRange[1] === end) {
+            return;
+        }
+        this.renderedRange = [start, end];
+
+        let html = this.generateSpacerRow(start * this.rowHeight);
+        for (let i = start; i < end; i++) {
+            html += this.generateLogRow(this.logs[i]);
+        }
+        html += this.generateSpacerRow((this.logs.length - end) * this.rowHeight);
+
         $tbody.html(html);
     },
 
+    generateSpacerRow: function (height) {
+        return `<tr class="log-spacer" aria-hidden="true"><td colspan="6" style="height: ${height}px"></td></tr>`;
+    },
+
     generateLogRow: function (log) {
         return `
             <tr>
@@ -311,22 +1346,22 @@ window.BemaLogs = {
                     ${this.formatDate(log.created_at)}
                 </td>
                 <td class="column-campaign">
-                    ${log.campaign ? `<span class="campaign-badge">${log.campaign}</span>` : ''}
+                    ${log.campaign ? `<span class="campaign-badge">${this.escapeHtml(log.campaign)}</span>` : ''}
                 </td>
                 <td class="column-status">
-                    <span class="status-badge status-${log.status}">${this.formatLabel(log.status)}</span>
+                    <span class="status-badge status-${this.escapeHtml(log.status)}">${this.escapeHtml(this.formatLabel(log.status))}</span>
                 </td>
-                <td class="column-message">
-                    ${log.message}
+                <td class="column-message" title="${this.escapeHtml(log.message)}">
+                    ${this.escapeHtml(log.message)}
                     ${log.details ? `
-                        <br><small class="details-preview">${this.formatDetailsPreview(log.details)}</small>
+                        <small class="details-preview">${this.escapeHtml(this.formatDetailsPreview(log.details))}</small>
                     ` : ''}
                 </td>
                 <td class="column-memory">
-                    ${log.memory_usage ? `<span class="memory-usage">${log.memory_usage}</span>` : ''}
+                    ${log.memory_usage ? `<span class="memory-usage">${this.escapeHtml(log.memory_usage)}</span>` : ''}
                 </td>
                 <td class="column-actions">
-                    ${log.details ? `
+                    ${log.id ? `
                         <button type="button" class="button button-small view-log-details" data-id="${log.id}">
                             View Details
                         </button>
@@ -335,67 +1370,231 @@ window.BemaLogs = {
             </tr>`;
     },
 
+    // The file streams into a hidden frame as a normal download while its progress is polled
     exportLogs: function () {
-        const filters = this.getCurrentFilters();
+        const token = Date.now().toString(36) + Math.random().toString(36).slice(2);
+        const params = jQuery.extend({}, this.getCurrentFilters(), {
+            action: 'bema_download_logs',
+            nonce: bemaAdmin.nonce,
+            format: jQuery('#export-format').val(),
+            gzip: jQuery('#export-gzip').is(':checked') ? 1 : 0,
+            token: token
+        });
+
+        jQuery('#export-logs').prop('disabled', true);
+        jQuery('.log-export-progress').prop('hidden', false).find('progress').removeAttr('value');
+        jQuery('.log-export-status').text('Preparing export…');
+
+        jQuery('<iframe hidden>')
+            .attr('src', bemaAdmin.ajaxUrl + '?' + jQuery.param(params))
+            .attr('data-export-token', token)
+            .appendTo('body');
+
+        this.pollExportProgress(token, 0);
+    },
+
+    pollExportProgress: function (token, attempts) {
+        const self = this;
+
+        setTimeout(function () {
+            jQuery.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_log_export_progress',
+                    nonce: bemaAdmin.nonce,
+                    token: token
+                },
+                success: function (response) {
+                    const progress = response.success ? response.data : null;
+
+                    if (progress && progress.error) {
+                        self.finishExport(token, 'Export failed: ' + progress.error);
+                        BemaAdmin.showNotification('Failed to export logs: ' + progress.error, 'error');
+                        return;
+                    }
+
+                    // A download that never reports back was refused before it started
+                    if (!progress || (progress.total === null && attempts >= 30)) {
+                        self.finishExport(token, 'The export did not start.');
+                        return;
+                    }
+
+                    if (progress.total !== null) {
+                        const percentage = progress.total ? Math.round((progress.written / progress.total) * 100) : 100;
+                        jQuery('.log-export-progress progress').attr('value', percentage);
+                        jQuery('.log-export-status').text(`${progress.written} of ${progress.total} entries`);
+                    }
+
+                    if (progress.done) {
+                        self.finishExport(token, `Exported ${progress.written} entries.`);
+                    } else {
+                        self.pollExportProgress(token, attempts + 1);
+                    }
+                },
+                error: function () {
+                    self.pollExportProgress(token, attempts + 1);
+                }
+            });
+        }, 1000);
+    },
+
+    finishExport: function (token, message) {
+        jQuery('#export-logs').prop('disabled', false);
+        jQuery('.log-export-status').text(message);
+
+        // Leave the frame long enough for the browser to hand the file over
+        setTimeout(function () {
+            jQuery(`iframe[data-export-token="${token}"]`).remove();
+            jQuery('.log-export-progress').prop('hidden', true);
+        }, 5000);
+    },
+
+    getPurgeCriteria: function () {
+        const criteria = {};
+        jQuery('.log-purge-form').find('input, select').each(function () {
+            if (this.value) {
+                criteria[this.name] = this.value;
+            }
+        });
+        return criteria;
+    },
+
+    // Counts what the current criteria would delete; only the latest count is shown
+    previewPurge: function () {
+        const self = this;
+        const generation = ++this.purgeGeneration;
+        const $button = jQuery('.log-purge-form button[type="submit"]');
+
+        $button.prop('disabled', true);
+        jQuery('.log-purge-preview').text('Counting…');
 
         jQuery.ajax({
             url: bemaAdmin.ajaxUrl,
             type: 'POST',
-            data: {
-                action: 'bema_export_logs',
-                nonce: bemaAdmin.nonce,
-                filters: filters
+            data: jQuery.extend({}, this.getPurgeCriteria(), {
+                action: 'bema_preview_log_purge',
+                nonce: bemaAdmin.nonce
+            }),
+            success: function (response) {
+                if (generation !== self.purgeGeneration) {
+                    return;
+                }
+
+                if (response.success) {
+                    self.purgeCount = response.data.count;
+                    jQuery('.log-purge-preview').text(response.data.message);
+                    $button.prop('disabled', !response.data.count);
+                } else {
+                    jQuery('.log-purge-preview').text(response.data.message || 'Error counting logs');
+                }
             },
+            error: function (xhr, status, error) {
+                if (generation === self.purgeGeneration) {
+                    jQuery('.log-purge-preview').text('Failed to count logs: ' + error);
+                }
+            }
+        });
+    },
+
+    purgeLogs: function () {
+        const self = this;
+        if (!this.purgeCount || !confirm(`This will delete ${this.purgeCount} entries. They are archived first and can be restored later. Continue?`)) {
+            return;
+        }
+
+        const generation = ++this.purgeGeneration;
+        jQuery('.log-purge-form button[type="submit"]').prop('disabled', true);
+        jQuery('.log-purge-preview').text('Purging…');
+
+        jQuery.ajax({
+            url: bemaAdmin.ajaxUrl,
+            type: 'POST',
+            data: jQuery.extend({}, this.getPurgeCriteria(), {
+                action: 'bema_purge_logs',
+                nonce: bemaAdmin.nonce
+            }),
             success: function (response) {
                 if (response.success) {
-                    // Create and trigger download
-                    const blob = new Blob([response.data], { type: 'text/csv' });
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.style.display = 'none';
-                    a.href = url;
-                    a.download = `sync_logs_${new Date().toISOString().split('T')[0]}.csv`;
-                    document.body.appendChild(a);
-                    a.click();
-                    window.URL.revokeObjectURL(url);
-                    document.body.removeChild(a);
+                    BemaAdmin.showNotification(response.data.message, 'success');
+                    self.renderArchives(response.data.archives);
+                    self.filterLogs(jQuery('.log-filters'), true);
                 } else {
-                    BemaAdmin.showNotification(response.data.message || 'Error exporting logs', 'error');
+                    BemaAdmin.showNotification(response.data.message || 'Error purging logs', 'error');
                 }
             },
             error: function (xhr, status, error) {
-                BemaAdmin.showNotification('Failed to export logs: ' + error, 'error');
+                BemaAdmin.showNotification('Failed to purge logs: ' + error, 'error');
+            },
+            complete: function () {
+                if (generation === self.purgeGeneration) {
+                    self.previewPurge();
+                }
             }
         });
     },
 
-    clearLogs: function () {
-        if (!confirm('Are you sure you want to clear all logs? This action cannot be undone.')) {
+    renderArchives: function (archives) {
+        const $ = jQuery;
+        const $body = $('.log-archives tbody').empty();
+
+        if (!archives.length) {
+            $body.append('<tr><td colspan="4" class="no-items">No archives yet.</td></tr>');
             return;
         }
 
+        archives.forEach((archive) => {
+            $('<tr>')
+                .append($('<td>').append($('<code>').text(archive.name)))
+                .append($('<td>').text(this.formatDate(archive.created_at)))
+                .append($('<td>').text(archive.size))
+                .append($('<td>')
+                    .append($('<a class="button button-small">').attr('href', archive.download_url).text('Download'))
+                    .append(' ')
+                    .append($('<button type="button" class="button button-small restore-log-archive">')
+                        .attr('data-archive', archive.name)
+                        .text('Restore')))
+                .appendTo($body);
+        });
+    },
+
+    // Entries go back under their original ids, so the table shows them where they were
+    restoreArchive: function ($button) {
+        const self = this;
+        $button.prop('disabled', true);
+
         jQuery.ajax({
             url: bemaAdmin.ajaxUrl,
             type: 'POST',
             data: {
-                action: 'bema_clear_logs',
-                nonce: bemaAdmin.nonce
+                action: 'bema_restore_log_archive',
+                nonce: bemaAdmin.nonce,
+                archive: $button.data('archive')
             },
             success: function (response) {
                 if (response.success) {
-                    BemaAdmin.showNotification('Logs cleared successfully', 'success');
-                    location.reload();
+                    BemaAdmin.showNotification(response.data.message, 'success');
+                    self.filterLogs(jQuery('.log-filters'), true);
+                    self.previewPurge();
                 } else {
-                    BemaAdmin.showNotification(response.data.message || 'Error clearing logs', 'error');
+                    BemaAdmin.showNotification(response.data.message || 'Error restoring archive', 'error');
                 }
             },
             error: function (xhr, status, error) {
-                BemaAdmin.showNotification('Failed to clear logs: ' + error, 'error');
+                BemaAdmin.showNotification('Failed to restore archive: ' + error, 'error');
+            },
+            complete: function () {
+                $button.prop('disabled', false);
             }
         });
     },
 
     // Utility Methods
+    escapeHtml: function (value) {
+        return jQuery('<div>').text(value === null || value === undefined ? '' : String(value)).html()
+            .replace(/"/g, '&quot;');
+    },
+
     formatLabel: function (str) {
         return str.charAt(0).toUpperCase() +
             str.slice(1).toLowerCase().replace(/_/g, ' ');
@@ -405,6 +1604,16 @@ window.BemaLogs = {
         return new Date(date).toLocaleString();
     },
 
+    formatElapsed: function (seconds) {
+        if (seconds < 1) {
+            return `${Math.round(seconds * 1000)}ms`;
+        }
+        if (seconds < 60) {
+            return `${seconds.toFixed(1)}s`;
+        }
+        return this.formatDuration(seconds);
+    },
+
     formatDuration: function (seconds) {
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
@@ -0,0 +1,153 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Failed Jobs panel.
+     *
+     * Lists the failed steps of the last sync with their exception class and
+     * lets the user retry or discard a selection. Status comes from BemaSync
+     * through the syncStatusUpdate event.
+     */
+    window.BemaSyncFailures = {
+        active: false,
+        operations: {
+            campaigns: 'Campaign sync',
+            fields: 'Field sync',
+            groups: 'Group sync',
+            subscribers: 'Subscriber sync',
+            group_subscribers: 'Group subscribers'
+        },
+
+        init: function () {
+            const $panel = $('#sync-failures');
+            if (!$panel.length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.render($panel.data('failures') || [], $panel.data('next-retry') || null);
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('#sync-failures-all').on('change', function () {
+                $('#sync-failures-table tbody input[type="checkbox"]').prop('checked', this.checked);
+                self.updateActions();
+            });
+
+            $('#sync-failures-table').on('change', 'tbody input[type="checkbox"]', function () {
+                self.updateActions();
+            });
+
+            $('#retry-selected-failures').on('click', function () {
+                BemaSync.retryFailedJobs({ unit_ids: JSON.stringify(self.getSelectedIds()) });
+            });
+
+            $('#retry-retryable-failures').on('click', function () {
+                BemaSync.retryFailedJobs({ retryable_only: 1 });
+            });
+
+            $('#discard-selected-failures').on('click', function () {
+                self.discardSelected();
+            });
+
+            $(document).on('syncStatusUpdate', function (e, status) {
+                self.active = BemaSync.isActiveStatus(status.status) || status.status === 'paused';
+                self.render(status.failed_units || [], status.next_retry_at || null);
+            });
+        },
+
+        render: function (failures, nextRetryAt) {
+            const $body = $('#sync-failures-table tbody').empty();
+
+            $('#sync-failures').toggle(failures.length > 0);
+            $('#sync-failures-all').prop('checked', false);
+
+            failures.forEach((unit) => {
+                const $error = $('<td class="bema-sync-failure-error">').text(unit.error || '—');
+                if (unit.next_retry_at) {
+                    $error.append($('<div class="description">').text('Automatic retry ' + this.formatTime(unit.next_retry_at)));
+                }
+
+                $('<tr>')
+                    .append($('<th scope="row" class="check-column">').append(
+                        $('<input type="checkbox">').val(unit.id)
+                    ))
+                    .append($('<td>')
+                        .append($('<strong>').text(this.operations[unit.type] || unit.type))
+                        .append($('<div>').text(unit.label)))
+                    .append($('<td>')
+                        .append($('<code>').text(unit.error_class || 'Exception'))
+                        .append($('<span class="bema-sync-failure-kind">')
+                            .addClass(unit.retryable ? 'is-retryable' : 'is-permanent')
+                            .text(unit.retryable ? 'retryable' : 'needs attention')))
+                    .append($('<td>').text(unit.attempts))
+                    .append($error)
+                    .appendTo($body);
+            });
+
+            $('.bema-sync-failures-retry').text(
+                nextRetryAt ? 'Next automatic retry ' + this.formatTime(nextRetryAt) : ''
+            );
+            $('#retry-retryable-failures').prop('disabled', this.active || !failures.some((unit) => unit.retryable));
+            this.updateActions();
+        },
+
+        updateActions: function () {
+            const none = this.getSelectedIds().length === 0;
+            $('#retry-selected-failures, #discard-selected-failures').prop('disabled', this.active || none);
+        },
+
+        getSelectedIds: function () {
+            return $('#sync-failures-table tbody input[type="checkbox"]:checked').map(function () {
+                return this.value;
+            }).get();
+        },
+
+        discardSelected: function () {
+            const ids = this.getSelectedIds();
+            if (!ids.length || !confirm(bemaAdmin.strings.confirmDiscard)) {
+                return;
+            }
+
+            $('#discard-selected-failures').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_discard_failed',
+                    nonce: bemaAdmin.nonce,
+                    unit_ids: JSON.stringify(ids)
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'success');
+                        BemaSync.handleStatusUpdate(response.data);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message, 'error');
+                        this.updateActions();
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to discard steps: ' + error, 'error');
+                    this.updateActions();
+                }
+            });
+        },
+
+        formatTime: function (timestamp) {
+            const seconds = timestamp - Math.floor(Date.now() / 1000);
+            if (seconds <= 60) {
+                return 'in under a minute';
+            }
+
+            return 'in ' + BemaSync.formatDuration(seconds);
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSyncFailures.init();
+    });
+})(jQuery);
@@ -0,0 +1,264 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Sync preview panel.
+     *
+     * Starts dry runs, shows the resulting plan as a filterable diff and
+     * applies it. Status comes from BemaSync through the syncStatusUpdate event.
+     */
+    window.BemaSyncPlan = {
+        planId: null,
+        page: 1,
+        searchTimeout: null,
+        labels: {
+            'campaign.create': 'MailerLite campaign(s) to create',
+            'field.create': 'MailerLite field(s) to create',
+            'group.create': 'MailerLite group(s) to create',
+            'group.delete': 'local group(s) to delete',
+            'subscriber.insert': 'subscriber(s) to insert',
+            'subscriber.update': 'subscriber(s) to update',
+            'tier.add': 'campaign membership(s) to add',
+            'tier.change': 'tier change(s)'
+        },
+
+        init: function () {
+            if (!$('#sync-plan').length) {
+                return;
+            }
+
+            this.planId = $('#sync-plan').data('plan-id') || null;
+            this.bindEvents();
+
+            if (this.planId) {
+                this.loadPlan(1);
+            }
+        },
+
+        bindEvents: function () {
+            const self = this;
+
+            $('#preview-sync').on('click', function () {
+                self.startPreview();
+            });
+
+            $('#apply-sync-plan').on('click', function () {
+                self.applyPlan();
+            });
+
+            $('#sync-plan-type, #sync-plan-action').on('change', function () {
+                self.loadPlan(1);
+            });
+
+            $('#sync-plan-search').on('input', function () {
+                clearTimeout(self.searchTimeout);
+                self.searchTimeout = setTimeout(() => self.loadPlan(1), 300);
+            });
+
+            $('#sync-plan-prev').on('click', function () {
+                self.loadPlan(self.page - 1);
+            });
+
+            $('#sync-plan-next').on('click', function () {
+                self.loadPlan(self.page + 1);
+            });
+
+            $(document).on('syncStatusUpdate', function (e, status) {
+                self.handleStatusUpdate(status);
+            });
+        },
+
+        handleStatusUpdate: function (status) {
+            if (status.mode !== 'preview' && status.mode !== 'apply') {
+                return;
+            }
+
+            if (BemaSync.isActiveStatus(status.status)) {
+                $('#apply-sync-plan').prop('disabled', true);
+                return;
+            }
+
+            this.planId = status.mode === 'preview' ? status.sync_id : status.plan_id;
+            this.loadPlan(this.page);
+        },
+
+        startPreview: function () {
+            const campaigns = BemaSync.getSelectedCampaigns();
+            if (campaigns === null) {
+                return;
+            }
+
+            $('#preview-sync, #start-sync').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_preview_sync',
+                    nonce: bemaAdmin.nonce,
+                    campaigns: JSON.stringify(campaigns)
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'info');
+                        $('#sync-queue-builder').empty();
+                        $('#sync-plan').hide();
+
+                        BemaSync.updateStatusDisplay({
+                            status: response.data.status,
+                            processed: 0,
+                            total: 0,
+                            message: response.data.message
+                        });
+                        BemaSync.startStatusPolling();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Preview failed to start', 'error');
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to start preview: ' + error, 'error');
+                },
+                complete: () => {
+                    $('#preview-sync, #start-sync').prop('disabled', false);
+                }
+            });
+        },
+
+        loadPlan: function (page) {
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_get_sync_plan',
+                    nonce: bemaAdmin.nonce,
+                    type: $('#sync-plan-type').val(),
+                    // 'action' is taken by admin-ajax routing
+                    change_action: $('#sync-plan-action').val(),
+                    search: $('#sync-plan-search').val(),
+                    page: Math.max(1, page)
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.renderPlan(response.data);
+                    }
+                }
+            });
+        },
+
+        renderPlan: function (plan) {
+            const $panel = $('#sync-plan');
+
+            this.planId = plan.plan_id;
+            this.page = plan.page;
+            $panel.attr('data-plan-id', plan.plan_id).show();
+
+            $panel.find('.bema-sync-plan-status')
+                .text(plan.status.charAt(0).toUpperCase() + plan.status.slice(1))
+                .attr('class', `bema-sync-plan-status status-badge status-${plan.status}`);
+
+            this.renderSummary(plan);
+            this.renderChanges(plan.changes);
+
+            $('#sync-plan-page-info').text(`Page ${plan.page} of ${plan.pages} (${plan.filtered} of ${plan.total} changes)`);
+            $('#sync-plan-prev').prop('disabled', plan.page <= 1);
+            $('#sync-plan-next').prop('disabled', plan.page >= plan.pages);
+            $('#apply-sync-plan').prop('disabled', plan.status !== 'ready');
+        },
+
+        renderSummary: function (plan) {
+            const $summary = $('.bema-sync-plan-summary').empty();
+
+            if (plan.total === 0) {
+                $summary.text('No changes. MailerLite and the local tables are already in sync.');
+                return;
+            }
+
+            Object.keys(plan.summary).forEach((key) => {
+                const [type, action] = key.split('.');
+                $('<button type="button" class="bema-sync-plan-chip">')
+                    .addClass(`change-${action}`)
+                    .text(`${plan.summary[key]} ${this.labels[key] || key}`)
+                    .on('click', () => {
+                        $('#sync-plan-type').val(type);
+                        $('#sync-plan-action').val(action);
+                        this.loadPlan(1);
+                    })
+                    .appendTo($summary);
+            });
+        },
+
+        renderChanges: function (changes) {
+            const $body = $('#sync-plan-table tbody').empty();
+
+            if (!changes.length) {
+                $body.append('<tr><td colspan="6">No changes match these filters.</td></tr>');
+                return;
+            }
+
+            changes.forEach((change) => {
+                $('<tr>')
+                    .addClass(`change-${change.action}`)
+                    .append($('<td>').text(change.type))
+                    .append($('<td>').append($('<span class="bema-sync-plan-action">').text(change.action)))
+                    .append($('<td>').text(change.target))
+                    .append($('<td>').text(change.campaign || '—'))
+                    .append($('<td>').text(this.formatValue(change.before)))
+                    .append($('<td>').text(this.formatValue(change.after)))
+                    .appendTo($body);
+            });
+        },
+
+        formatValue: function (value) {
+            if (value === null || value === undefined || value === '') {
+                return '—';
+            }
+
+            if (typeof value === 'object') {
+                return Object.keys(value).map((key) => `${key}: ${value[key]}`).join(', ');
+            }
+
+            return String(value);
+        },
+
+        applyPlan: function () {
+            if (!this.planId || !confirm(bemaAdmin.strings.confirmApply)) {
+                return;
+            }
+
+            $('#apply-sync-plan').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_apply_sync_plan',
+                    nonce: bemaAdmin.nonce,
+                    plan_id: this.planId
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'success');
+                        BemaSync.updateStatusDisplay({
+                            status: response.data.status,
+                            processed: 0,
+                            total: 0,
+                            message: response.data.message
+                        });
+                        BemaSync.startStatusPolling();
+                    } else {
+                        BemaAdmin.showNotification(response.data.message, 'error');
+                        $('#apply-sync-plan').prop('disabled', false);
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to apply preview: ' + error, 'error');
+                    $('#apply-sync-plan').prop('disabled', false);
+                }
+            });
+        }
+    };
+
+    $(document).ready(function () {
+        BemaSyncPlan.init();
+    });
+})(jQuery);
@@ -0,0 +1,386 @@
+(function ($) {
+    'use strict';
+
+    /**
+     * Shared sync progress channel.
+     *
+     * Tabs of the same browser elect a leader through a lease in localStorage.
+     * Only the leader opens a Server-Sent Events connection; it hands every
+     * event to its own listeners and relays it to the other tabs over a
+     * BroadcastChannel (or storage events where that is missing). When the
+     * leader closes or stops renewing its lease, another tab takes over from
+     * the last relayed cursor.
+     *
+     * When EventSource is unavailable, or the host buffers the stream so
+     * nothing ever arrives, the leader falls back to polling the same events.
+     * Either way the server holds a request open for a few seconds at most and
+     * says how long to wait before the next one: briefly while a sync runs,
+     * a plain poll interval while none does.
+     */
+    window.BemaSyncStream = {
+        listeners: {},
+        nextListenerId: 1,
+        cursor: '',
+        source: null,
+        pollRequest: null,
+        pollTimer: null,
+        mode: null,
+        connectTimeout: null,
+        connectTimeoutMs: 10000,
+        pollRetryDelay: 5000,
+
+        tabId: Math.random().toString(36).slice(2) + Date.now().toString(36),
+        joined: false,
+        isLeader: false,
+        channel: null,
+        lastStatus: null,
+        leaseTimer: null,
+        leaseKey: 'bema_sync_stream_leader',
+        messageKey: 'bema_sync_stream_message',
+        leaseMs: 6000,
+        renewMs: 2000,
+
+        /**
+         * Register a listener and open the channel if needed
+         *
+         * @param {Function} callback Called with (type, data) where type is 'status' or 'log'
+         * @returns {number} Id to pass to unsubscribe()
+         */
+        subscribe: function (callback) {
+            const id = this.nextListenerId++;
+            this.listeners[id] = callback;
+
+            if (!this.joined) {
+                this.join();
+            } else if (this.lastStatus) {
+                // Late listeners get the current state instead of waiting for the next change
+                callback('status', this.lastStatus);
+            }
+
+            return id;
+        },
+
+        unsubscribe: function (id) {
+            delete this.listeners[id];
+
+            if (Object.keys(this.listeners).length === 0) {
+                this.leave();
+            }
+        },
+
+        join: function () {
+            const self = this;
+            this.joined = true;
+
+            if (window.BroadcastChannel) {
+                this.channel = new BroadcastChannel('bema-sync-stream');
+                this.channel.onmessage = function (e) {
+                    self.receive(e.data);
+                };
+            } else {
+                $(window).on('storage.bemaSyncStream', function (e) {
+                    const event = e.originalEvent;
+                    if (event.key === self.messageKey && event.newValue) {
+                        self.receive(JSON.parse(event.newValue));
+                    }
+                });
+            }
+
+            $(window).on('pagehide.bemaSyncStream', function () {
+                self.leave();
+            });
+
+            this.elect();
+            this.leaseTimer = setInterval(function () {
+                self.elect();
+            }, this.renewMs);
+
+            // The leader answers with the latest status so this tab does not start blank
+            if (!this.isLeader) {
+                this.broadcast({ kind: 'hello' });
+            }
+        },
+
+        leave: function () {
+            if (!this.joined) {
+                return;
+            }
+
+            clearInterval(this.leaseTimer);
+            $(window).off('.bemaSyncStream');
+
+            if (this.isLeader) {
+                this.writeLease(null);
+                this.broadcast({ kind: 'resign' });
+                this.stepDown();
+            }
+
+            if (this.channel) {
+                this.channel.close();
+                this.channel = null;
+            }
+
+            this.joined = false;
+            this.lastStatus = null;
+        },
+
+        /**
+         * Take or renew the lease when it is free, expired or already ours
+         */
+        elect: function () {
+            const lease = this.readLease();
+
+            // Without storage every tab keeps its own connection
+            if (lease === false) {
+                this.becomeLeader();
+                return;
+            }
+
+            if (lease && lease.id !== this.tabId && lease.expires > Date.now()) {
+                this.stepDown();
+                return;
+            }
+
+            this.writeLease({ id: this.tabId, expires: Date.now() + this.leaseMs });
+
+            // Two tabs can write at once; whoever's write stuck wins and the other backs off
+            const current = this.readLease();
+            if (!current || current.id === this.tabId) {
+                this.becomeLeader();
+            } else {
+                this.stepDown();
+            }
+        },
+
+        becomeLeader: function () {
+            if (this.isLeader) {
+                return;
+            }
+
+            this.isLeader = true;
+            this.connect();
+        },
+
+        stepDown: function () {
+            if (!this.isLeader) {
+                return;
+            }
+
+            this.isLeader = false;
+            this.disconnect();
+        },
+
+        /**
+         * @returns {Object|null|false} The lease, null when free, false when storage is unavailable
+         */
+        readLease: function () {
+            try {
+                return JSON.parse(localStorage.getItem(this.leaseKey));
+            } catch (e) {
+                return false;
+            }
+        },
+
+        writeLease: function (lease) {
+            try {
+                if (lease) {
+                    localStorage.setItem(this.leaseKey, JSON.stringify(lease));
+                } else if ((this.readLease() || {}).id === this.tabId) {
+                    localStorage.removeItem(this.leaseKey);
+                }
+            } catch (e) {
+                // Private browsing can refuse writes; elect() then sees no lease
+            }
+        },
+
+        broadcast: function (message) {
+            message.from = this.tabId;
+
+            if (this.channel) {
+                this.channel.postMessage(message);
+                return;
+            }
+
+            try {
+                // The timestamp makes repeated messages fire a storage event
+                localStorage.setItem(this.messageKey, JSON.stringify($.extend({ sent: Date.now() }, message)));
+            } catch (e) {
+                // Other tabs fall back to their own connection once the lease runs out
+            }
+        },
+
+        receive: function (message) {
+            switch (message.kind) {
+                case 'event':
+                    if (!this.isLeader) {
+                        this.cursor = message.cursor;
+                        this.dispatch(message.type, message.data);
+                    }
+                    break;
+                case 'hello':
+                    if (this.isLeader && this.lastStatus) {
+                        this.broadcast({ kind: 'event', type: 'status', data: this.lastStatus, cursor: this.cursor });
+                    }
+                    break;
+                case 'resign':
+                    this.elect();
+                    break;
+            }
+        },
+
+        /**
+         * Events from the server, passed to this tab and relayed to the others
+         */
+        publish: function (type, data) {
+            this.broadcast({ kind: 'event', type: type, data: data, cursor: this.cursor });
+            this.dispatch(type, data);
+        },
+
+        connect: function () {
+            if (window.EventSource) {
+                this.openEventSource();
+            } else {
+                this.startPolling();
+            }
+        },
+
+        disconnect: function () {
+            clearTimeout(this.connectTimeout);
+            clearTimeout(this.pollTimer);
+
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+
+            if (this.pollRequest) {
+                this.pollRequest.abort();
+                this.pollRequest = null;
+            }
+
+            this.mode = null;
+        },
+
+        openEventSource: function () {
+            const self = this;
+            const url = bemaAdmin.ajaxUrl + '?' + $.param({
+                action: 'bema_sync_stream',
+                nonce: bemaAdmin.nonce,
+                cursor: this.cursor
+            });
+
+            this.mode = 'sse';
+            this.source = new EventSource(url);
+            let received = false;
+
+            // Hosts that buffer output never deliver the first event
+            this.connectTimeout = setTimeout(function () {
+                if (!received) {
+                    self.fallBackToPoll();
+                }
+            }, this.connectTimeoutMs);
+
+            const handle = function (type) {
+                return function (e) {
+                    received = true;
+                    clearTimeout(self.connectTimeout);
+                    self.cursor = e.lastEventId || self.cursor;
+                    self.publish(type, JSON.parse(e.data));
+                };
+            };
+
+            this.source.addEventListener('status', handle('status'));
+            this.source.addEventListener('log', handle('log'));
+
+            this.source.onerror = function () {
+                // The server closes the stream on purpose every few seconds and
+                // EventSource reconnects by itself; only give up if it never worked
+                if (!received && self.source && self.source.readyState === EventSource.CLOSED) {
+                    self.fallBackToPoll();
+                }
+            };
+        },
+
+        fallBackToPoll: function () {
+            clearTimeout(this.connectTimeout);
+
+            if (!this.isLeader) {
+                return;
+            }
+
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+
+            this.startPolling();
+        },
+
+        startPolling: function () {
+            this.mode = 'poll';
+            this.poll();
+        },
+
+        /**
+         * Poll again after the delay, replacing a poll that is already waiting
+         */
+        schedulePoll: function (delay) {
+            const self = this;
+
+            clearTimeout(this.pollTimer);
+            this.pollTimer = setTimeout(function () {
+                self.poll();
+            }, delay);
+        },
+
+        poll: function () {
+            const self = this;
+
+            // A tab that stepped down leaves the requests to the new leader
+            if (this.mode !== 'poll' || !this.isLeader) {
+                return;
+            }
+
+            this.pollRequest = $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_sync_poll',
+                    nonce: bemaAdmin.nonce,
+                    cursor: this.cursor
+                },
+                success: function (response) {
+                    if (!response.success) {
+                        self.schedulePoll(self.pollRetryDelay);
+                        return;
+                    }
+
+                    self.cursor = response.data.cursor;
+                    response.data.events.forEach(function (event) {
+                        self.publish(event.type, event.data);
+                    });
+                    self.schedulePoll(response.data.retry);
+                },
+                error: function (xhr, status) {
+                    if (status !== 'abort') {
+                        self.schedulePoll(self.pollRetryDelay);
+                    }
+                }
+            });
+        },
+
+        dispatch: function (type, data) {
+            if (type === 'status') {
+                this.lastStatus = data;
+            }
+
+            Object.values(this.listeners).forEach(function (callback) {
+                try {
+                    callback(type, data);
+                } catch (e) {
+                    console.error('Sync stream listener failed:', e);
+                }
+            });
+        }
+    };
+})(jQuery);
@@ -23,10 +23,12 @@
     window.BemaSync = {
         currentSyncRequest: null,
         currentSyncId: null,
-        statusInterval: null,
+        streamSubscription: null,
+        activeStatuses: ['queued', 'running', 'stopping', 'pausing'],
         init: function () {
             debugLog('Initializing BemaSync', 'SYNC_JS');
             this.bindEvents();
+            this.updateGroupProgress($('#sync-group-progress').data('progress'));
             this.initializeStatusCheck();
             this.initializeTabs();
         },
@@ -68,35 +70,97 @@
                 self.stopSync();
             });
 
+            $('#pause-sync').on('click', function () {
+                self.pauseSync();
+            });
+
+            $('#resume-sync').on('click', function () {
+                self.resumeSync();
+            });
+
             $('#retry-failed').on('click', function () {
                 self.retryFailedJobs();
             });
 
+            // Campaign queue built before starting a sync
+            $('#add-to-queue').on('click', function () {
+                self.addToQueue($('#campaign-select').val());
+            });
+
+            $('#sync-queue-builder')
+                .on('click', '.queue-move-up, .queue-move-down', function () {
+                    const $item = $(this).closest('li');
+                    if ($(this).hasClass('queue-move-up')) {
+                        $item.insertBefore($item.prev());
+                    } else {
+                        $item.insertAfter($item.next());
+                    }
+                })
+                .on('click', '.queue-remove', function () {
+                    $(this).closest('li').remove();
+                });
+
+            // Queue of the running sync
+            $('#sync-campaign-queue')
+                .on('click', '.queue-skip', function () {
+                    self.skipCampaign($(this).closest('li').data('campaign'));
+                })
+                .on('click', '.queue-move-up, .queue-move-down', function () {
+                    const $item = $(this).closest('li');
+                    const $target = $(this).hasClass('queue-move-up') ? $item.prev() : $item.next();
+                    if (!$target.length || !$target.hasClass('campaign-state-pending')) {
+                        return;
+                    }
+
+                    if ($(this).hasClass('queue-move-up')) {
+                        $item.insertBefore($target);
+                    } else {
+                        $item.insertAfter($target);
+                    }
+                    self.reorderQueue();
+                });
+
             // Campaign selection handling
             $('.campaign-checkbox').on('change', function () {
                 self.updateBulkActions();
             });
         },
 
+        // The dashboard keeps listening while idle so a sync started by another
+        // admin shows up; BemaSyncStream shares one connection between all tabs
         initializeStatusCheck: function () {
-            if ($('#sync-status-display .status').hasClass('running')) {
+            if ($('#sync-status-display').length) {
+                this.startStatusPolling();
+            }
+        },
+
+        isActiveStatus: function (status) {
+            return this.activeStatuses.includes(status);
+        },
+
+        ensurePolling: function () {
+            if (!this.streamSubscription) {
                 this.startStatusPolling();
             }
         },
 
+        // Progress is pushed through BemaSyncStream; the name is kept for existing callers
         startStatusPolling: function () {
-            if (this.statusInterval) {
-                clearInterval(this.statusInterval);
+            if (this.streamSubscription) {
+                return;
             }
 
-            this.statusInterval = setInterval(() => {
-                this.checkSyncStatus();
-            }, 5000); // Check every 5 seconds
+            this.streamSubscription = BemaSyncStream.subscribe((type, data) => {
+                if (type === 'status') {
+                    this.handleStatusUpdate(data);
+                }
+            });
         },
 
         stopStatusPolling: function () {
-            if (this.statusInterval) {
-                clearInterval(this.statusInterval);
+            if (this.streamSubscription) {
+                BemaSyncStream.unsubscribe(this.streamSubscription);
+                this.streamSubscription = null;
             }
         },
 
@@ -110,24 +174,7 @@
                 },
                 success: (response) => {
                     if (response.success) {
-                        const status = response.data;
-                        debugLog('Full sync status update:', status);
-
-                        // Update main status display
-                        this.updateStatusDisplay(status);
-
-                        // Update campaign groups display
-                        this.updateCampaignGroupsDisplay(status);
-
-                        // Update performance metrics
-                        this.updatePerformanceMetrics(status.performance);
-
-                        // Continue polling if sync is active
-                        if (status.status === 'running') {
-                            this.ensurePolling();
-                        } else {
-                            this.stopStatusPolling();
-                        }
+                        this.handleStatusUpdate(response.data);
                     }
                 },
                 error: (xhr, status, error) => {
@@ -140,48 +187,218 @@
             });
         },
 
-        updateCampaignGroupsDisplay: function (status) {
-            const campaignDetails = status.campaign_details;
-            if (!campaignDetails) return;
-
-            $('.campaign-section').each(function () {
-                const $section = $(this);
-                const campaignName = $section.find('.campaign-name').text().trim();
-
-                if (campaignName === status.current_campaign) {
-                    // Update campaign progress
-                    $section.find('.campaign-progress').text(
-                        `Campaign ${campaignDetails.campaign_number} of ${campaignDetails.total_campaigns}`
-                    );
-
-                    // Update group status
-                    $section.find('.group-item').each(function () {
-                        const $group = $(this);
-                        const groupType = $group.data('group-type');
-
-                        if (groupType === campaignDetails.current_group) {
-                            $group.addClass('active');
-
-                            // Update page progress
-                            $group.find('.current-operation').html(
-                                `<span class="operation-status">
-                                    Processing page ${campaignDetails.current_page} 
-                                    (${campaignDetails.total_pages_processed} pages processed)
-                                </span>`
-                            );
-
-                            // Update group statistics
-                            if (campaignDetails.group_progress[groupType]) {
-                                const stats = campaignDetails.group_progress[groupType];
-                                $group.find('.processed-count').text(stats.processed);
-                                $group.find('.total-count').text(stats.total);
-                            }
-                        } else {
-                            $group.removeClass('active');
-                        }
-                    });
-                } else {
-                    $section.find('.group-item').removeClass('active');
+        handleStatusUpdate: function (status) {
+            debugLog('Full sync status update:', status);
+
+            // Update main status display
+            this.updateStatusDisplay(status);
+
+            // Update campaign groups display
+            this.updateGroupProgress(status.group_progress);
+            this.updateCampaignQueue(status);
+
+            // Update performance metrics
+            this.updatePerformanceMetrics(status.performance);
+
+            // Lets other dashboard modules follow the sync without their own stream
+            $(document).trigger('syncStatusUpdate', [status]);
+
+            // A tab whose listener was stopped picks the sync up again
+            if (this.isActiveStatus(status.status)) {
+                this.ensurePolling();
+            }
+        },
+
+        /**
+         * Render the campaign × group progress model, updating rows in place by id
+         */
+        updateGroupProgress: function (campaigns) {
+            const $container = $('#sync-group-progress');
+            if (!$container.length || !campaigns) return;
+
+            const campaignIds = campaigns.map((campaign) => campaign.id);
+            $container.children().filter(function () {
+                return !campaignIds.includes($(this).attr('data-id'));
+            }).remove();
+
+            campaigns.forEach((campaign) => {
+                let $campaign = this.findById($container.children(), campaign.id);
+                if (!$campaign.length) {
+                    $campaign = $('<li class="bema-sync-campaign">')
+                        .attr('data-id', campaign.id)
+                        .append(this.buildProgressRow())
+                        .append('<ul class="bema-sync-group-list"></ul>');
+                }
+
+                // Appending keeps the list in queue order after a reorder
+                $campaign.appendTo($container);
+                this.updateProgressRow($campaign.children('.bema-progress-row'), campaign, campaign.name);
+
+                const $groups = $campaign.children('.bema-sync-group-list');
+                const groupIds = campaign.groups.map((group) => group.id);
+                $groups.children().filter(function () {
+                    return !groupIds.includes($(this).attr('data-id'));
+                }).remove();
+
+                campaign.groups.forEach((group) => {
+                    let $group = this.findById($groups.children(), group.id);
+                    if (!$group.length) {
+                        $group = $('<li>').attr('data-id', group.id).append(this.buildProgressRow()).appendTo($groups);
+                    }
+
+                    const label = group.tier ? `${group.tier} (${group.group_name})` : group.group_name;
+                    this.updateProgressRow($group.children('.bema-progress-row'), group, label);
+                });
+            });
+
+            $container.toggle(campaigns.length > 0);
+        },
+
+        findById: function ($elements, id) {
+            return $elements.filter(function () {
+                return $(this).attr('data-id') === id;
+            });
+        },
+
+        buildProgressRow: function () {
+            return $('<div class="bema-progress-row">')
+                .append('<span class="progress-label"></span>')
+                .append('<span class="progress-counts"></span>')
+                .append('<span class="progress-issues"></span>')
+                .append('<span class="progress-state"></span>')
+                .append('<div class="bema-progress-track"><div class="bema-progress-fill"></div></div>');
+        },
+
+        updateProgressRow: function ($row, item, label) {
+            // MailerLite's group counts drift, so a finished group always reads full
+            const percent = item.state === 'done'
+                ? 100
+                : (item.total > 0 ? Math.min(100, Math.round((item.processed / item.total) * 100)) : 0);
+
+            const issues = [];
+            if (item.errors) issues.push(`${item.errors} error${item.errors === 1 ? '' : 's'}`);
+            if (item.skipped) issues.push(`${item.skipped} skipped`);
+
+            $row.attr('class', `bema-progress-row state-${item.state}`).attr('title', item.error || '');
+            $row.children('.progress-label').text(label);
+            $row.children('.progress-counts').text(item.total > 0 ? `${item.processed}/${item.total}` : `${item.processed}`);
+            $row.children('.progress-issues').text(issues.join(', '));
+            $row.children('.progress-state').text(item.state);
+            $row.find('.bema-progress-fill').css('width', `${percent}%`);
+        },
+
+        updateCampaignQueue: function (status) {
+            const $queue = $('.bema-sync-queue');
+            const $list = $('#sync-campaign-queue');
+            if (!$list.length || !status.campaign_queue) return;
+
+            const active = this.isActiveStatus(status.status) || status.status === 'paused';
+
+            $queue.toggle(status.campaign_queue.length > 0);
+            $('.bema-sync-queue-position').text(
+                status.current_campaign
+                    ? `Campaign ${status.campaign_number} of ${status.total_campaigns}: ${status.current_campaign}`
+                    : ''
+            );
+
+            $list.empty();
+            status.campaign_queue.forEach(function (entry) {
+                const $item = $('<li>')
+                    .addClass(`campaign-state-${entry.state}`)
+                    .attr('data-campaign', entry.name)
+                    .append($('<span class="campaign-name">').text(entry.name))
+                    .append($('<span class="campaign-progress">').text(`${entry.processed}/${entry.total}`))
+                    .append($('<span class="campaign-state">').text(entry.state));
+
+                if (active && (entry.state === 'pending' || entry.state === 'running')) {
+                    const $actions = $('<span class="queue-actions">');
+                    if (entry.state === 'pending') {
+                        $actions
+                            .append('<button type="button" class="queue-move-up" title="Move up">&uarr;</button>')
+                            .append('<button type="button" class="queue-move-down" title="Move down">&darr;</button>');
+                    }
+                    $actions.append('<button type="button" class="queue-skip">Skip</button>');
+                    $item.append($actions);
+                }
+
+                $item.appendTo($list);
+            });
+        },
+
+        addToQueue: function (campaign) {
+            const $builder = $('#sync-queue-builder');
+
+            if (!campaign) {
+                BemaAdmin.showNotification('Select a campaign to add to the queue', 'warning');
+                return;
+            }
+
+            const exists = $builder.find('li').filter(function () {
+                return $(this).data('campaign') === campaign;
+            }).length > 0;
+
+            if (exists) {
+                BemaAdmin.showNotification(`${campaign} is already queued`, 'info');
+                return;
+            }
+
+            $('<li>')
+                .attr('data-campaign', campaign)
+                .append($('<span class="campaign-name">').text(campaign))
+                .append(
+                    $('<span class="queue-actions">')
+                        .append('<button type="button" class="queue-move-up" title="Move up">&uarr;</button>')
+                        .append('<button type="button" class="queue-move-down" title="Move down">&darr;</button>')
+                        .append('<button type="button" class="queue-remove" title="Remove">&times;</button>')
+                )
+                .appendTo($builder);
+
+            $('#campaign-select').val('');
+        },
+
+        skipCampaign: function (campaign) {
+            if (!confirm(`Skip the remaining groups of ${campaign}?`)) {
+                return;
+            }
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_skip_sync_campaign',
+                    nonce: bemaAdmin.nonce,
+                    campaign: campaign
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'info');
+                        this.handleStatusUpdate(response.data);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message, 'error');
+                    }
+                }
+            });
+        },
+
+        reorderQueue: function () {
+            const order = $('#sync-campaign-queue li').map(function () {
+                return $(this).data('campaign');
+            }).get();
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_reorder_sync_queue',
+                    nonce: bemaAdmin.nonce,
+                    order: JSON.stringify(order)
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.handleStatusUpdate(response.data);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message, 'error');
+                    }
                 }
             });
         },
@@ -198,40 +415,11 @@
             }
         },
 
-        updateGroupDisplay: function (data) {
-            // Update active campaign and group
-            $('.campaign-section').each(function () {
-                const campaignName = $(this).find('.campaign-name').text().trim();
-                if (campaignName === data.current_campaign) {
-                    $(this).find('.status-badge').show();
-
-                    // Update group stats
-                    $(this).find('.group-item').each(function () {
-                        const groupType = $(this).find('.group-type').text().trim().toLowerCase();
-                        if (groupType === data.current_group) {
-                            $(this).addClass('active');
-
-                            // Update operation status if available
-                            if (data.current_page && data.total_pages) {
-                                $(this).find('.current-operation').html(
-                                    `<span class="operation-status">Processing page ${data.current_page} of ${data.total_pages}</span>`
-                                );
-                            }
-                        } else {
-                            $(this).removeClass('active');
-                        }
-                    });
-                } else {
-                    $(this).find('.status-badge').hide();
-                    $(this).find('.group-item').removeClass('active');
-                }
-            });
-        },
-
         updateStatusDisplay: function (data) {
             debugLog('Updating status display:', data);
 
             const statusDisplay = $('#sync-status-display');
+            const previousStatus = statusDisplay.attr('data-status');
             const progressBar = $('.progress-bar .progress');
             const progressText = $('.progress-text');
             const currentCampaign = $('.current-campaign');
@@ -251,6 +439,15 @@
                 progressText.text(`${data.processed} of ${data.total} processed (${progress}%)`);
             }
 
+            if (data.message) {
+                $('.sync-message').text(data.message);
+            }
+
+            if (data.sync_id) {
+                this.currentSyncId = data.sync_id;
+                this.updateRunLink();
+            }
+
             // Update current campaign and group
             if (data.current_campaign) {
                 currentCampaign.text(data.current_campaign);
@@ -274,21 +471,51 @@
             }
 
             // Handle status-specific UI updates
+            const failedCount = (data.failed_units || []).length;
+
             switch (data.status) {
+                case 'queued':
                 case 'running':
-                    $('#start-sync').hide();
+                    $('#start-sync-form').hide();
+                    $('#retry-failed, #resume-sync').hide();
+                    $('#pause-sync').show().prop('disabled', false);
                     $('#stop-sync').show().prop('disabled', false);
                     break;
+                case 'stopping':
+                case 'pausing':
+                    $('#start-sync-form').hide();
+                    $('#retry-failed, #resume-sync').hide();
+                    $('#pause-sync').show().prop('disabled', true);
+                    $('#stop-sync').show().prop('disabled', data.status === 'stopping');
+                    break;
+                case 'paused':
+                    $('#start-sync-form').hide();
+                    $('#retry-failed, #pause-sync').hide();
+                    $('#resume-sync').show().prop('disabled', false);
+                    $('#stop-sync').show().prop('disabled', false);
+
+                    if (previousStatus !== data.status) {
+                        BemaAdmin.showNotification(data.message || 'Sync paused', 'info');
+                    }
+                    break;
                 case 'stopped':
                 case 'completed':
                 case 'failed':
-                    $('#stop-sync').hide();
+                    $('#stop-sync, #pause-sync, #resume-sync').hide();
+                    $('#start-sync-form').show();
                     $('#start-sync').show().prop('disabled', false);
-                    this.stopStatusPolling();
+                    $('#retry-failed')
+                        .toggle(failedCount > 0)
+                        .find('.retry-count').text(failedCount);
+
+                    // Only notify when the sync finishes while the page is open
+                    if (previousStatus === data.status) {
+                        break;
+                    }
 
                     // Show appropriate notification
                     const messages = {
-                        'completed': 'Sync completed successfully',
+                        'completed': data.mode === 'preview' ? data.message : 'Sync completed successfully',
                         'stopped': 'Sync stopped by user',
                         'failed': data.error || 'Sync failed'
                     };
@@ -300,31 +527,87 @@
                     BemaAdmin.showNotification(messages[data.status], types[data.status]);
                     break;
             }
+
+            this.updateOwnership(data);
         },
 
-        getSelectedCampaigns: function () {
-            const campaign = $('#campaign-select').val();
-            debugLog('Selected campaign from dropdown:', campaign);
+        /**
+         * Show who started the sync and lock the start form while it belongs to someone else
+         */
+        updateOwnership: function (data) {
+            // Optimistic updates from this tab's own requests carry no owner
+            if (data.owner === undefined) {
+                return;
+            }
 
-            if (!campaign) {
-                return [];
+            const owner = data.owner;
+            const $form = $('#start-sync-form');
+            const $notice = $form.find('.bema-sync-lock-notice');
+            const holding = this.isActiveStatus(data.status) || data.status === 'paused';
+            const heldByOther = holding && owner && owner.user_id !== Number(bemaAdmin.currentUserId);
+
+            if (owner) {
+                const startedAt = new Date(owner.started_at * 1000).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+                $('.sync-owner').text(`Started by ${owner.name} at ${startedAt}`).show();
+            } else {
+                $('.sync-owner').hide();
             }
 
-            // Format campaign data properly
-            const campaignData = {
-                name: campaign,
-                field: campaign + '_PURCHASED',
-                tag: '$' + campaign.toLowerCase() + '_purchased'
-            };
+            if (heldByOther) {
+                const reason = data.status === 'paused' ? bemaAdmin.strings.syncPausedBy : bemaAdmin.strings.syncHeldBy;
+                $notice.show().find('.lock-reason').text(reason.replace('%s', owner.name));
+                $form.addClass('is-locked').show();
+                $('#start-sync, #preview-sync').prop('disabled', true);
+            } else if ($form.hasClass('is-locked')) {
+                $form.removeClass('is-locked');
+                $notice.hide();
+                $('#start-sync, #preview-sync').prop('disabled', false);
+            }
+        },
+
+        /**
+         * Point the "Run details" link at the run shown in the status display
+         */
+        updateRunLink: function () {
+            const $link = $('.sync-run-link');
+            if (!$link.length || !this.currentSyncId) {
+                return;
+            }
+
+            const url = new URL($link.attr('href'), window.location.href);
+            url.searchParams.set('run', this.currentSyncId);
+            $link.attr('href', url.toString()).show();
+        },
+
+        getSelectedCampaigns: function () {
+            // The queue wins over the dropdown, which stays usable for a single campaign
+            let campaigns = $('#sync-queue-builder li').map(function () {
+                return $(this).data('campaign');
+            }).get();
 
-            // Validate campaign format
-            if (!bemaAdmin.validCampaigns.includes(campaignData.name)) {
-                BemaAdmin.showNotification('Invalid campaign format', 'error');
-                return [];
+            if (!campaigns.length && $('#campaign-select').val()) {
+                campaigns = [$('#campaign-select').val()];
+            }
+            debugLog('Selected campaigns from queue:', campaigns);
+
+            const campaignData = [];
+            for (const campaign of campaigns) {
+                // Validate campaign format
+                if (!bemaAdmin.validCampaigns.includes(campaign)) {
+                    BemaAdmin.showNotification('Invalid campaign format', 'error');
+                    return null;
+                }
+
+                // Format campaign data properly
+                campaignData.push({
+                    name: campaign,
+                    field: campaign + '_PURCHASED',
+                    tag: '$' + campaign.toLowerCase() + '_purchased'
+                });
             }
 
             debugLog('Formatted campaign data:', campaignData);
-            return [campaignData];
+            return campaignData;
         },
 
         startSync: function () {
@@ -333,8 +616,8 @@
 
             debugLog('Selected campaigns:', selectedCampaigns);
 
-            if (selectedCampaigns.length === 0) {
-                BemaAdmin.showNotification('Please select at least one campaign', 'error');
+            // An empty selection syncs every campaign
+            if (selectedCampaigns === null) {
                 return;
             }
 
@@ -359,6 +642,15 @@
                 success: function (response) {
                     debugLog('Response received:', response);
                     if (response.success) {
+                        self.updateStatusDisplay({
+                            status: response.data.status,
+                            processed: 0,
+                            total: 0,
+                            message: response.data.message
+                        });
+
+                        $('#sync-queue-builder').empty();
+
                         // Start polling for status updates
                         self.startStatusPolling();
                         BemaAdmin.showNotification(response.data.message, 'success');
@@ -394,21 +686,9 @@
 
             debugLog('Stopping sync process', 'SYNC_JS');
 
-            // Disable stop button and show loading state
+            // Disable stop button while the request is in flight
             const $stopButton = $('#stop-sync');
-            $stopButton.prop('disabled', true).text('Stopping...');
-
-            // Clear any existing intervals first
-            this.stopStatusPolling();
-
-            // Set a timeout to prevent hanging
-            const stopTimeout = setTimeout(() => {
-                BemaAdmin.showNotification(
-                    'Sync stop taking longer than expected. Refreshing page...',
-                    'warning'
-                );
-                window.location.reload();
-            }, 30000);
+            $stopButton.prop('disabled', true);
 
             $.ajax({
                 url: bemaAdmin.ajaxUrl,
@@ -418,40 +698,19 @@
                     nonce: bemaAdmin.nonce
                 },
                 success: (response) => {
-                    clearTimeout(stopTimeout);
                     debugLog('Stop sync response:', response);
 
                     if (response.success && response.data) {
-                        BemaAdmin.showNotification(
-                            response.data.message || 'Sync stopped successfully',
-                            'success'
-                        );
-
-                        // Update display
-                        this.updateStatusDisplay({
-                            status: 'stopped',
-                            processed: response.data.processed || 0,
-                            total: response.data.total || 0,
-                            memory_usage: response.data.memory_usage || ''
-                        });
-
-                        // Reset UI state
-                        $('#start-sync-form').show();
-                        $stopButton
-                            .hide()
-                            .prop('disabled', false)
-                            .text('Stop Sync');
-
-                        // Force refresh after a short delay
-                        setTimeout(() => {
-                            window.location.reload();
-                        }, 2000);
+                        // A running batch finishes its current step before stopping
+                        this.handleStatusUpdate(response.data);
+                        if (this.isActiveStatus(response.data.status)) {
+                            BemaAdmin.showNotification(response.data.message, 'info');
+                        }
                     } else {
                         this.handleStopError(response.data?.message);
                     }
                 },
                 error: (xhr, status, error) => {
-                    clearTimeout(stopTimeout);
                     debugLog('Stop sync ajax error:', { xhr, status, error });
                     this.handleStopError(error);
                 }
@@ -462,35 +721,104 @@
             const message = errorMsg || 'Failed to stop sync';
             BemaAdmin.showNotification(message, 'error');
 
-            $('#stop-sync')
-                .prop('disabled', false)
-                .text('Stop Sync');
+            $('#stop-sync').prop('disabled', false);
 
-            // Force refresh after error
-            setTimeout(() => {
-                window.location.reload();
-            }, 3000);
+            // The sync may have finished or stopped meanwhile; show its real state
+            this.checkSyncStatus();
         },
 
-        retryFailedJobs: function () {
+        pauseSync: function () {
+            $('#pause-sync').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_pause_sync',
+                    nonce: bemaAdmin.nonce
+                },
+                success: (response) => {
+                    if (response.success) {
+                        if (this.isActiveStatus(response.data.status)) {
+                            BemaAdmin.showNotification(response.data.message, 'info');
+                        }
+                        this.handleStatusUpdate(response.data);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Failed to pause sync', 'error');
+                        $('#pause-sync').prop('disabled', false);
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to pause sync: ' + error, 'error');
+                    $('#pause-sync').prop('disabled', false);
+                }
+            });
+        },
+
+        resumeSync: function () {
+            $('#resume-sync').prop('disabled', true);
+
+            $.ajax({
+                url: bemaAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'bema_resume_sync',
+                    nonce: bemaAdmin.nonce
+                },
+                success: (response) => {
+                    if (response.success) {
+                        BemaAdmin.showNotification(response.data.message, 'success');
+                        this.handleStatusUpdate(response.data);
+                    } else {
+                        BemaAdmin.showNotification(response.data.message || 'Failed to resume sync', 'error');
+                        $('#resume-sync').prop('disabled', false);
+                    }
+                },
+                error: (xhr, status, error) => {
+                    BemaAdmin.showNotification('Failed to resume sync: ' + error, 'error');
+                    $('#resume-sync').prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Re-queue failed steps of the last sync
+         *
+         * @param {Object} [selection] unit_ids (JSON list) or retryable_only; retries every failed step when omitted
+         */
+        retryFailedJobs: function (selection = {}) {
             if (!confirm(bemaAdmin.strings.confirmRetry)) {
                 return;
             }
 
+            const self = this;
+
+            $('#retry-failed').prop('disabled', true);
+
             $.ajax({
                 url: bemaAdmin.ajaxUrl,
                 type: 'POST',
-                data: {
+                data: $.extend({
                     action: 'bema_retry_failed',
                     nonce: bemaAdmin.nonce
-                },
+                }, selection),
                 success: function (response) {
                     if (response.success) {
                         BemaAdmin.showNotification('Failed jobs queued for retry', 'success');
-                        location.reload();
+                        self.currentSyncId = response.data.sync_id;
+                        self.updateStatusDisplay({
+                            status: response.data.status,
+                            processed: 0,
+                            total: 0,
+                            message: response.data.message
+                        });
+                        self.startStatusPolling();
                     } else {
                         BemaAdmin.showNotification(response.data.message, 'error');
                     }
+                },
+                complete: function () {
+                    $('#retry-failed').prop('disabled', false);
                 }
             });
         },
@@ -498,6 +826,19 @@
         updateBulkActions: function () {
             const count = $('.campaign-checkbox:checked').length;
             $('#bulk-action-button').prop('disabled', count === 0);
+        },
+
+        formatDuration: function (seconds) {
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+            const remainingSeconds = Math.floor(seconds % 60);
+
+            const parts = [];
+            if (hours > 0) parts.push(`${hours}h`);
+            if (minutes > 0) parts.push(`${minutes}m`);
+            if (remainingSeconds > 0 || parts.length === 0) parts.push(`${remainingSeconds}s`);
+
+            return parts.join(' ');
         }
     };
 
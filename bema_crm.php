@@ -60,6 +60,8 @@ spl_autoload_register(function ($class) {
             'Triggers' => 'em_sync/triggers/class-triggers.php',
             'Utils' => 'em_sync/utils/class-utils.php',
             'Sync_Manager' => 'em_sync/sync/class-sync-manager.php',
+            'Sync_Job_Manager' => 'em_sync/sync/class-sync-job-manager.php',
+            'Sync_Schedule_Manager' => 'em_sync/sync/class-sync-schedule-manager.php',
             'Transition_Manager' => 'em_sync/transition/class-transition-manager.php',
         ];
 
@@ -961,6 +963,22 @@ class Bema_CRM
         Bema_CRM::get_logger()->debug('Text domain loaded');
     }
 
+    /**
+     * Bring tables created by an older release up to date after a plugin update
+     */
+    public function maybe_upgrade_database(): void
+    {
+        try {
+            if (!Database_Migrations::needs_upgrade()) {
+                return;
+            }
+
+            (new Database_Migrations())->maybe_upgrade();
+        } catch (Exception $e) {
+            Bema_CRM::get_logger()->error('Database upgrade check failed: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Check plugin dependencies
      */
@@ -1012,6 +1030,7 @@ class Bema_CRM
             // WordPress core hooks
             add_action('init', [$this, 'load_textdomain']);
             add_action('plugins_loaded', [$this, 'check_plugin_dependencies']);
+            add_action('plugins_loaded', [$this, 'maybe_upgrade_database']);
 
             // Admin-specific hooks
             if (is_admin()) {
@@ -1031,11 +1050,62 @@ class Bema_CRM
 
             // Register sync cron Hook
             add_action('bema_crm_sync_cron_job', function () {
-                // Perform the sync using manager factory pattern
-                $sync_manager = $this->get_manager('sync');
-                $sync_manager->sync_all_mailerlite_data();
+                // Run the full sync as a background job so it can be stopped and retried
+                try {
+                    \Bema\Manager_Factory::get_sync_job_manager()->start([], 'cron');
+                } catch (Exception $e) {
+                    Bema_CRM::get_logger()->warning('Scheduled sync skipped: ' . $e->getMessage());
+                }
+            });
+
+            // Register sync job batch cron Hook
+            add_action(Sync_Job_Manager::BATCH_HOOK, function ($sync_id) {
+                \Bema\Manager_Factory::get_sync_job_manager()->run_batch((string) $sync_id);
+            }, 10, 1);
+
+            // Register subscriber bulk action batch cron Hook
+            add_action(Subscriber_Bulk_Action_Manager::BATCH_HOOK, function ($job_id) {
+                \Bema\Manager_Factory::get_subscriber_bulk_action_manager()->run_batch((string) $job_id);
+            }, 10, 1);
+
+            // Register subscriber import batch cron Hook
+            add_action(Subscriber_Import_Manager::BATCH_HOOK, function ($job_id) {
+                \Bema\Manager_Factory::get_subscriber_import_manager()->run_batch((string) $job_id);
+            }, 10, 1);
+
+            // Register subscriber export batch cron Hook
+            add_action(Subscriber_Export_Manager::BATCH_HOOK, function ($job_id) {
+                \Bema\Manager_Factory::get_subscriber_export_manager()->run_batch((string) $job_id);
+            }, 10, 1);
+
+            // Register segment draft batch cron Hook
+            add_action(Segment_Draft_Manager::BATCH_HOOK, function ($job_id) {
+                \Bema\Manager_Factory::get_segment_draft_manager()->run_batch((string) $job_id);
+            }, 10, 1);
+
+            // Register automatic retry cron Hook for failed sync steps
+            add_action(Sync_Job_Manager::RETRY_HOOK, function ($sync_id) {
+                \Bema\Manager_Factory::get_sync_job_manager()->run_auto_retry((string) $sync_id);
+            }, 10, 1);
+
+            // Register recurring sync schedule Hooks
+            add_action(Sync_Schedule_Manager::RUN_HOOK, function ($schedule_id) {
+                \Bema\Manager_Factory::get_sync_schedule_manager()->run((string) $schedule_id);
+            }, 10, 1);
+
+            add_action(Sync_Job_Manager::FINISHED_HOOK, function ($job) {
+                \Bema\Manager_Factory::get_sync_schedule_manager()->record_result($job);
+            }, 10, 1);
+
+            // Register sync log retention cron Hook, scheduled here so existing installs pick it up
+            add_action(\Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK, function () {
+                \Bema\Manager_Factory::get_sync_log_database_manager()->enforce_retention();
             });
 
+            if (!wp_next_scheduled(\Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK)) {
+                wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', \Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK);
+            }
+
             // Register transition cron Hook
             add_action('bema_crm_transition_cron_job', function () {
                 // Perform transitions using manager factory pattern
@@ -1313,10 +1383,23 @@ class Bema_CRM
             (new \Bema\Database\Campaign_Group_Subscribers_Database_Manager())->create_table();
             // Create sync Table
             (new \Bema\Database\Sync_Database_Manager())->create_table();
+            // Create sync runs Table
+            (new \Bema\Database\Sync_Run_Database_Manager())->create_table();
+            // Create sync plan changes Table
+            (new \Bema\Database\Sync_Plan_Database_Manager())->create_table();
+            // Add the log columns to the sync logs table created by the migrations
+            (new \Bema\Database\Sync_Log_Database_Manager())->create_table();
             // Create transition table
             (new \Bema\Database\Transition_Database_Manager())->create_table();
             // Create transition subscribers table
             (new \Bema\Database\Transition_Subscribers_Database_Manager())->create_table();
+            // Create subscriber history table
+            (new \Bema\Database\Subscriber_History_Database_Manager())->create_table();
+            // Create segments table
+            (new \Bema\Database\Segment_Database_Manager())->create_table();
+
+            // Book the next run of sync schedules that were enabled before deactivation
+            \Bema\Manager_Factory::get_sync_schedule_manager()->restore_events();
 
             // Clear rewrite rules
             flush_rewrite_rules();
@@ -1351,6 +1434,16 @@ class Bema_CRM
                 }
             }
 
+            // Sync job batches are scheduled with the sync id as argument
+            wp_unschedule_hook(Sync_Job_Manager::BATCH_HOOK);
+            wp_unschedule_hook(Sync_Job_Manager::RETRY_HOOK);
+            wp_unschedule_hook(Sync_Schedule_Manager::RUN_HOOK);
+            wp_unschedule_hook(Subscriber_Bulk_Action_Manager::BATCH_HOOK);
+            wp_unschedule_hook(Subscriber_Import_Manager::BATCH_HOOK);
+            wp_unschedule_hook(Subscriber_Export_Manager::BATCH_HOOK);
+            wp_unschedule_hook(Segment_Draft_Manager::BATCH_HOOK);
+            wp_clear_scheduled_hook(\Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK);
+
             // Clear transients
             $transients_to_delete = [
                 'bema_sync_status',
@@ -1375,12 +1468,20 @@ class Bema_CRM
             // Clear sync status
             update_option('bema_sync_running', false);
 
+            // Delete segments table
+            (new \Bema\Database\Segment_Database_Manager())->delete_table();
+            // Delete subscriber history table
+            (new \Bema\Database\Subscriber_History_Database_Manager())->delete_table();
             // Delete transition subscribers table
             (new \Bema\Database\Transition_Subscribers_Database_Manager())->delete_table();
             // Delete transition table
             (new \Bema\Database\Transition_Database_Manager())->delete_table();
             // Delete sync Table
             (new \Bema\Database\Sync_Database_Manager())->delete_table();
+            // Delete sync runs Table
+            (new \Bema\Database\Sync_Run_Database_Manager())->delete_table();
+            // Delete sync plan changes Table
+            (new \Bema\Database\Sync_Plan_Database_Manager())->delete_table();
             // Delete campaign subscriber Table
             (new \Bema\Database\Campaign_Group_Subscribers_Database_Manager())->delete_table();
             // Delete subscriber Table
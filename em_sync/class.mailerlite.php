@@ -37,6 +37,14 @@ class MailerLite implements Provider_Interface
     const CACHE_TTL = 3600; // 1 hour
     const RATE_LIMIT_KEY = 'mailerlite_rate_limit';
 
+    /**
+     * Sender, content and unsubscribe language of drafts created without their own
+     */
+    const DRAFT_FROM_NAME = 'Bema Music Corporation';
+    const DRAFT_FROM_EMAIL = 'bemamarketing@bemamusic.com';
+    const DRAFT_CONTENT = '<p>Hello,</p><p>This is a test campaign.</p><p>Click <a href="{$unsubscribe}">here</a> to unsubscribe.</p>';
+    const DRAFT_LANGUAGE_ID = '4';
+
     public function __construct($apiKey, ?Bema_CRM_Logger $logger = null)
     {
         try {
@@ -1161,14 +1169,7 @@ class MailerLite implements Provider_Interface
                     if ($limit !== null && $count >= $limit) {
                         break;
                     }
-                    $allSubscribers[] = [
-                        'id' => $subscriber['id'],
-                        'email' => $subscriber['email'],
-                        'fields' => $subscriber['fields'] ?? [],
-                        'status' => $subscriber['status'],
-                        'subscribed_at' => $subscriber['subscribed_at'] ?? null,
-                        'group_id' => $groupId
-                    ];
+                    $allSubscribers[] = $this->formatGroupSubscriber($subscriber, $groupId);
                     $count++;
                 }
 
@@ -1188,6 +1189,52 @@ class MailerLite implements Provider_Interface
         }
     }
 
+    /**
+     * Get a single page of subscribers for a specific group.
+     *
+     * Lets long syncs store the returned cursor and continue from the next page
+     * in a later request instead of loading the whole group at once.
+     *
+     * @param string $groupId Group identifier
+     * @param string|null $cursor Cursor returned for the previous page, null for the first page.
+     * @return array{subscribers: array, next_cursor: string|null}
+     * @throws API_Exception Throws an exception if the API call fails.
+     */
+    public function getGroupSubscribersPage(string $groupId, ?string $cursor = null): array
+    {
+        try {
+            $this->waitForRateLimit();
+
+            $requestParams = ['limit' => $this->batchSize];
+            if ($cursor) {
+                $requestParams['cursor'] = $cursor;
+            }
+
+            $response = $this->makeRequest(
+                "groups/{$groupId}/subscribers?" . http_build_query($requestParams),
+                'GET'
+            );
+
+            $subscribers = [];
+            foreach ($response['data'] ?? [] as $subscriber) {
+                $subscribers[] = $this->formatGroupSubscriber($subscriber, $groupId);
+            }
+
+            return [
+                'subscribers' => $subscribers,
+                'next_cursor' => empty($subscribers) ? null : ($response['meta']['next_cursor'] ?? null),
+            ];
+        } catch (Exception $e) {
+            throw new API_Exception(
+                'Failed to get group subscribers page from MailerLite: ' . $e->getMessage(),
+                'groups/{groupId}/subscribers',
+                'GET',
+                $e->getCode(),
+                true
+            );
+        }
+    }
+
     /**
      * Imports a list of subscribers to a group in bulk.
      *
@@ -1230,6 +1277,18 @@ class MailerLite implements Provider_Interface
     /**
      * Normalize subscriber fields
      */
+    private function formatGroupSubscriber(array $subscriber, string $groupId): array
+    {
+        return [
+            'id' => $subscriber['id'],
+            'email' => $subscriber['email'],
+            'fields' => $subscriber['fields'] ?? [],
+            'status' => $subscriber['status'],
+            'subscribed_at' => $subscriber['subscribed_at'] ?? null,
+            'group_id' => $groupId
+        ];
+    }
+
     private function normalizeFields(array $fields): array
     {
         $normalized = [];
@@ -1245,7 +1304,7 @@ class MailerLite implements Provider_Interface
     }
 
     /**
-     * Creates a new draft campaign in MailerLite without users.
+     * Creates a new draft campaign in MailerLite, for the given groups or for no one yet.
      *
      * This function is intended to be a method within a class that handles
      * MailerLite API requests. It constructs the necessary payload based on
@@ -1255,12 +1314,13 @@ class MailerLite implements Provider_Interface
      * @param string $name        The name of the campaign. Maximum length is 255 characters.
      * @param string $type        The type of campaign. Must be 'regular', 'ab', 'resend', or 'multivariate'.
      * @param string $subject     The subject line of the email. Maximum length is 255 characters.
-     * @param string $from_name   The sender's name for the email. Maximum length is 255 characters.
-     * @param string $from_email  The sender's email address. Must be a verified email on your MailerLite account.
-     * @param string $content     (Optional) The HTML content of the email. If not provided, a default
+     * @param string|null $from_name   The sender's name for the email. Maximum length is 255 characters. Null for DRAFT_FROM_NAME.
+     * @param string|null $from_email  The sender's email address. Must be a verified email on your MailerLite account. Null for DRAFT_FROM_EMAIL.
+     * @param string|null $content     (Optional) The HTML content of the email. If not provided, DRAFT_CONTENT
      * will be used. The content must include an unsubscribe link and account details
      * to avoid the default email footer from being added.
-     * @param string $language_id (Optional) The ID for the unsubscribe link language. Defaults to 'eng' (4).
+     * @param string|null $language_id (Optional) The ID for the unsubscribe link language. Defaults to 'eng' (4).
+     * @param array  $group_ids   (Optional) IDs of the groups the campaign is sent to.
      * @return array|null The response data from the MailerLite API on success, or null on failure.
      * @throws Exception If the underlying makeRequest method throws an exception.
      */
@@ -1268,11 +1328,17 @@ class MailerLite implements Provider_Interface
         string $name,
         string $type = "regular",
         string $subject = "Music Album: ",
-        string $from_name = "Bema Music Corporation",
-        string $from_email = "bemamarketing@bemamusic.com",
-        string $content = '<p>Hello,</p><p>This is a test campaign.</p><p>Click <a href="{$unsubscribe}">here</a> to unsubscribe.</p>',
-        string $language_id = '4'
+        ?string $from_name = null,
+        ?string $from_email = null,
+        ?string $content = null,
+        ?string $language_id = null,
+        array $group_ids = []
     ): ?array {
+        $from_name = $from_name ?? self::DRAFT_FROM_NAME;
+        $from_email = $from_email ?? self::DRAFT_FROM_EMAIL;
+        $content = $content ?? self::DRAFT_CONTENT;
+        $language_id = $language_id ?? self::DRAFT_LANGUAGE_ID;
+
         try {
             $payload = [
                 'name' => $name,
@@ -1288,6 +1354,10 @@ class MailerLite implements Provider_Interface
                 ],
             ];
 
+            if (!empty($group_ids)) {
+                $payload['groups'] = array_values(array_map('strval', $group_ids));
+            }
+
             // Send a POST request to the 'campaigns' endpoint using the API handler.
             // It's assumed this class has a `makeRequest` method for handling API calls.
             $response = $this->makeRequest('campaigns', 'POST', $payload);
@@ -0,0 +1,1782 @@
+<?php
+namespace Bema;
+
+use Exception;
+use Throwable;
+use Bema\Exceptions\API_Exception;
+use Bema\Exceptions\RetryableException;
+use Bema\Exceptions\Sync_Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Runs a full MailerLite sync as a background job.
+ *
+ * The sync is split into units (campaigns, fields, groups, subscribers and one
+ * unit per campaign group). Each WP-Cron tick runs as many pending units as fit
+ * in the batch time budget and reschedules itself until the job is finished,
+ * stopped or every remaining unit has failed.
+ *
+ * This does not extend Background_Job_Manager on purpose. A sync can be paused,
+ * stopped and resumed from its unit checkpoints, keeps the owner lock for the
+ * whole run rather than per batch, and honours the legacy stop and pause flags,
+ * none of which fit the base class's run-chunks-until-done loop.
+ */
+class Sync_Job_Manager
+{
+    public $sync_manager;
+    public $lock_handler;
+    public $logger;
+    public $run_database;
+    public $plan_database;
+
+    const JOB_OPTION = 'bema_crm_sync_job';
+    const LEGACY_STATUS_OPTION = 'bema_crm_sync_status';
+    const STOP_FLAG_OPTION = 'bema_sync_stop_flag';
+    const PAUSE_FLAG_OPTION = 'bema_sync_pause_flag';
+    const PLAN_OPTION = 'bema_crm_sync_plan';
+
+    /**
+     * Skip and reorder requests of the active job. Kept apart from the job, which
+     * a running batch saves from its own copy, so that save cannot undo them.
+     */
+    const QUEUE_OPTION = 'bema_crm_sync_queue';
+    const BATCH_HOOK = 'bema_crm_sync_job_batch';
+
+    /**
+     * Action fired with the job once it completes, fails or is stopped.
+     */
+    const FINISHED_HOOK = 'bema_crm_sync_job_finished';
+
+    /**
+     * Single event that re-queues retryable failed units once their backoff elapsed.
+     */
+    const RETRY_HOOK = 'bema_crm_sync_job_retry';
+    const LOCK_KEY = 'bema_sync_lock_job';
+
+    /**
+     * Held from the moment a job is queued until it finishes or pauses. Records
+     * who started the job so other admins see why they cannot start one.
+     */
+    const OWNER_LOCK_KEY = 'bema_sync_lock_owner';
+    const BATCH_TIME_LIMIT = 20;
+
+    /**
+     * Seconds after which a batch that never finished (killed PHP worker, host
+     * restart) is picked up again from the last checkpoint. Matches the lock TTL.
+     */
+    const STALL_TIMEOUT = 900;
+
+    const STATUS_QUEUED = 'queued';
+    const STATUS_RUNNING = 'running';
+    const STATUS_STOPPING = 'stopping';
+    const STATUS_STOPPED = 'stopped';
+    const STATUS_PAUSING = 'pausing';
+    const STATUS_PAUSED = 'paused';
+    const STATUS_COMPLETED = 'completed';
+    const STATUS_FAILED = 'failed';
+
+    const UNIT_PENDING = 'pending';
+    const UNIT_DONE = 'done';
+    const UNIT_FAILED = 'failed';
+    const UNIT_SKIPPED = 'skipped';
+
+    /**
+     * A sync writes as usual, a preview only records the plan of what a sync
+     * would change, and an apply run writes exactly that reviewed plan.
+     */
+    const MODE_SYNC = 'sync';
+    const MODE_PREVIEW = 'preview';
+    const MODE_APPLY = 'apply';
+
+    const PLAN_BUILDING = 'building';
+    const PLAN_READY = 'ready';
+    const PLAN_INCOMPLETE = 'incomplete';
+    const PLAN_STALE = 'stale';
+    const PLAN_APPLIED = 'applied';
+
+    private $mailerlite_groups_map = null;
+
+    // ========================================
+    // PUBLIC JOB METHODS
+    // ========================================
+
+    /**
+     * Creates a new sync job and schedules its first batch.
+     *
+     * @param array $campaigns Campaign names to limit the group sync to, in the order they should run. Empty means all campaigns.
+     * @param string $trigger What started the job (manual, cron, ...).
+     * @return array The stored job.
+     * @throws Exception If another sync job is still active.
+     */
+    public function start(array $campaigns = [], string $trigger = 'manual'): array
+    {
+        $job = $this->create_job($campaigns, $trigger, self::MODE_SYNC);
+
+        // Local data changes under a ready plan, so it can no longer be applied as reviewed
+        $plan = $this->get_plan();
+        if ($plan && $plan['status'] === self::PLAN_READY) {
+            $plan['status'] = self::PLAN_STALE;
+            update_option(self::PLAN_OPTION, $plan, false);
+        }
+
+        return $job;
+    }
+
+    /**
+     * Starts a dry run that records what a sync would change without writing anything.
+     *
+     * @param array $campaigns Campaign names to limit the preview to. Empty means all campaigns.
+     * @return array The stored job.
+     * @throws Exception If another sync job is still active.
+     */
+    public function preview(array $campaigns = []): array
+    {
+        $job = $this->create_job($campaigns, 'manual', self::MODE_PREVIEW);
+
+        update_option(self::PLAN_OPTION, [
+            'plan_id' => $job['sync_id'],
+            'status' => self::PLAN_BUILDING,
+            'campaigns' => $job['campaigns'],
+            'user_id' => $job['user_id'],
+            'created_at' => $job['start_time'],
+            'applied_sync_id' => null,
+        ], false);
+        $this->plan_database->delete_other_plans($job['sync_id']);
+
+        return $job;
+    }
+
+    /**
+     * Starts a sync that only creates and writes what the reviewed preview listed.
+     *
+     * Records are refreshed from MailerLite, but campaigns, fields and groups that
+     * were not in the plan are never created and subscribers that were not in the
+     * plan are never written.
+     *
+     * @param string $plan_id Id of the plan the user reviewed.
+     * @return array The stored job.
+     * @throws Exception If the plan is missing, outdated or not complete.
+     */
+    public function apply_plan(string $plan_id): array
+    {
+        $plan = $this->get_plan();
+        if (!$plan || $plan['plan_id'] !== $plan_id) {
+            throw new Exception('This preview is no longer available. Run a new preview.');
+        }
+
+        if ($plan['status'] !== self::PLAN_READY) {
+            throw new Exception("This preview cannot be applied because it is {$plan['status']}.");
+        }
+
+        $job = $this->create_job($plan['campaigns'], 'manual', self::MODE_APPLY, $plan_id);
+
+        $plan['applied_sync_id'] = $job['sync_id'];
+        update_option(self::PLAN_OPTION, $plan, false);
+
+        return $job;
+    }
+
+    /**
+     * Returns the last preview plan, if any.
+     *
+     * @return array|null
+     */
+    public function get_plan(): ?array
+    {
+        wp_cache_delete(self::PLAN_OPTION, 'options');
+        $plan = get_option(self::PLAN_OPTION, null);
+
+        // Plans from before the changes moved to their own table have to be previewed again
+        if (is_array($plan) && array_key_exists('changes', $plan)) {
+            delete_option(self::PLAN_OPTION);
+            return null;
+        }
+
+        return is_array($plan) ? $plan : null;
+    }
+
+    /**
+     * Returns one page of the plan's changes together with per-type totals.
+     *
+     * @param array $filters Optional 'type', 'action', 'campaign' and 'search' filters.
+     * @param int $page 1-based page number.
+     * @param int $per_page Changes per page.
+     * @return array|null Null when there is no plan.
+     */
+    public function get_plan_changes(array $filters = [], int $page = 1, int $per_page = 50): ?array
+    {
+        $plan = $this->get_plan();
+        if (!$plan) {
+            return null;
+        }
+
+        $summary = $this->plan_database->get_summary($plan['plan_id']);
+        $filtered = $this->plan_database->count_changes($plan['plan_id'], $filters);
+        $page = max(1, $page);
+
+        return [
+            'plan_id' => $plan['plan_id'],
+            'status' => $plan['status'],
+            'campaigns' => $plan['campaigns'],
+            'created_at' => $plan['created_at'],
+            'applied_sync_id' => $plan['applied_sync_id'],
+            'summary' => $summary,
+            'total' => array_sum($summary),
+            'filtered' => $filtered,
+            'page' => $page,
+            'pages' => max(1, (int) ceil($filtered / $per_page)),
+            'changes' => $this->plan_database->get_changes($plan['plan_id'], $filters, $per_page, ($page - 1) * $per_page),
+        ];
+    }
+
+    /**
+     * Requests a cooperative stop of the active job.
+     *
+     * The running batch finishes its current unit and then marks the job as stopped.
+     * If no batch is running the job is stopped immediately.
+     *
+     * @return array The updated job.
+     * @throws Exception If there is no active job.
+     */
+    public function stop(): array
+    {
+        $job = $this->get_job();
+        if (!$job || (!$this->is_active($job) && !$this->is_paused($job))) {
+            throw new Exception('There is no active sync to stop.');
+        }
+
+        update_option(self::STOP_FLAG_OPTION, true, false);
+
+        if ($this->is_active($job) && get_transient(self::LOCK_KEY)) {
+            $job['status'] = self::STATUS_STOPPING;
+            $job['message'] = 'Stopping after the current step';
+            $this->save_job($job);
+        } else {
+            $job = $this->finish_stopped($job);
+        }
+
+        $this->logger->info('Sync job stop requested', [
+            'sync_id' => $job['sync_id'],
+            'status' => $job['status']
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Requests a pause of the active job.
+     *
+     * Like stop(), the running batch finishes its current step (one page of a
+     * group) first. The checkpoint is kept so resume() continues from there.
+     *
+     * @return array The updated job.
+     * @throws Exception If there is no active job.
+     */
+    public function pause(): array
+    {
+        $job = $this->get_job();
+        if (!$job || !$this->is_active($job)) {
+            throw new Exception('There is no active sync to pause.');
+        }
+
+        update_option(self::PAUSE_FLAG_OPTION, true, false);
+
+        if (get_transient(self::LOCK_KEY)) {
+            $job['status'] = self::STATUS_PAUSING;
+            $job['message'] = 'Pausing after the current step';
+            $this->save_job($job);
+        } else {
+            $job = $this->finish_paused($job);
+        }
+
+        $this->logger->info('Sync job pause requested', [
+            'sync_id' => $job['sync_id'],
+            'status' => $job['status']
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Continues a paused job from its checkpoint.
+     *
+     * @return array The updated job.
+     * @throws Exception If the job is not paused.
+     */
+    public function resume(): array
+    {
+        $job = $this->get_job();
+        if (!$job || !$this->is_paused($job)) {
+            throw new Exception('There is no paused sync to resume.');
+        }
+
+        $job['status'] = self::STATUS_QUEUED;
+        $job['message'] = 'Resuming from ' . $this->describe_checkpoint($job);
+        $job['paused_at'] = null;
+
+        delete_option(self::PAUSE_FLAG_OPTION);
+        delete_option(self::STOP_FLAG_OPTION);
+        $this->save_job($job);
+        $this->schedule_batch($job['sync_id']);
+
+        $this->logger->info('Sync job resumed', [
+            'sync_id' => $job['sync_id'],
+            'checkpoint' => $job['checkpoint'] ?? null
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Re-queues units that failed in the last job.
+     *
+     * @param array|null $unit_ids Units to retry. Null retries every failed unit.
+     * @return array The updated job.
+     * @throws Exception If the job is still active or nothing failed.
+     */
+    public function retry_failed(?array $unit_ids = null): array
+    {
+        $job = $this->get_finished_job_or_fail();
+
+        $retried = 0;
+        foreach ($job['units'] as &$unit) {
+            if ($unit['state'] === self::UNIT_FAILED && ($unit_ids === null || in_array($unit['id'], $unit_ids, true))) {
+                $unit['state'] = self::UNIT_PENDING;
+                $unit['next_retry_at'] = null;
+                $retried++;
+            }
+        }
+        unset($unit);
+
+        if ($unit_ids !== null && $retried === 0) {
+            throw new Exception('The selected sync steps are no longer failed.');
+        }
+
+        // A crashed batch can leave units pending, so those are picked up as well
+        if ($retried === 0 && $this->next_pending_unit($job) === null) {
+            throw new Exception('There are no failed sync steps to retry.');
+        }
+
+        wp_clear_scheduled_hook(self::RETRY_HOOK, [$job['sync_id']]);
+
+        $job['status'] = self::STATUS_QUEUED;
+        $job['message'] = "Retrying {$retried} failed step(s)";
+        $job['end_time'] = null;
+        $job['error'] = null;
+
+        delete_option(self::STOP_FLAG_OPTION);
+        $this->save_job($job);
+        $this->schedule_batch($job['sync_id']);
+
+        $this->logger->info('Sync job failed units re-queued', [
+            'sync_id' => $job['sync_id'],
+            'retried' => $retried,
+            'selected' => $unit_ids !== null
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Re-queues the failed units whose error is marked as retryable.
+     *
+     * @return array The updated job.
+     * @throws Exception If the job is still active or no failure is retryable.
+     */
+    public function retry_retryable(): array
+    {
+        $job = $this->get_finished_job_or_fail();
+
+        $unit_ids = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['state'] === self::UNIT_FAILED && !empty($unit['retryable'])) {
+                $unit_ids[] = $unit['id'];
+            }
+        }
+
+        if (empty($unit_ids)) {
+            throw new Exception('None of the failed sync steps can be retried automatically.');
+        }
+
+        return $this->retry_failed($unit_ids);
+    }
+
+    /**
+     * Gives up on failed units so they are neither retried nor reported as failures.
+     *
+     * @param array $unit_ids Units to discard.
+     * @return array The updated job.
+     * @throws Exception If the job is still active or none of the units failed.
+     */
+    public function discard_failed(array $unit_ids): array
+    {
+        $job = $this->get_finished_job_or_fail();
+
+        $discarded = 0;
+        foreach ($job['units'] as &$unit) {
+            if ($unit['state'] === self::UNIT_FAILED && in_array($unit['id'], $unit_ids, true)) {
+                $unit['state'] = self::UNIT_SKIPPED;
+                $unit['discarded'] = true;
+                $unit['next_retry_at'] = null;
+                $discarded++;
+            }
+        }
+        unset($unit);
+
+        if ($discarded === 0) {
+            throw new Exception('The selected sync steps are no longer failed.');
+        }
+
+        $remaining = count(array_filter($job['units'], function ($unit) {
+            return $unit['state'] === self::UNIT_FAILED;
+        }));
+
+        if ($remaining === 0) {
+            wp_clear_scheduled_hook(self::RETRY_HOOK, [$job['sync_id']]);
+
+            if ($job['status'] === self::STATUS_FAILED) {
+                $job['status'] = self::STATUS_COMPLETED;
+                $job['message'] = "Sync completed; {$discarded} failed step(s) discarded";
+            }
+        }
+
+        $this->save_job($job);
+
+        $this->logger->info('Sync job failed units discarded', [
+            'sync_id' => $job['sync_id'],
+            'discarded' => $discarded,
+            'remaining' => $remaining
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * WP-Cron handler that retries the failed units whose backoff has elapsed.
+     *
+     * @param string $sync_id
+     * @return void
+     */
+    public function run_auto_retry(string $sync_id): void
+    {
+        $job = $this->get_job();
+
+        // A newer job, a running retry or a stop by the user all cancel automatic retries
+        if (!$job || $job['sync_id'] !== $sync_id || $this->is_active($job) || $this->is_paused($job) || $job['status'] === self::STATUS_STOPPED) {
+            $this->logger->debug('Skipping automatic retry', ['sync_id' => $sync_id]);
+            return;
+        }
+
+        $due = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['state'] === self::UNIT_FAILED && !empty($unit['next_retry_at']) && $unit['next_retry_at'] <= time()) {
+                $due[] = $unit['id'];
+            }
+        }
+
+        if (empty($due)) {
+            $this->schedule_auto_retry($job);
+            return;
+        }
+
+        $this->logger->info('Automatically retrying failed sync steps', [
+            'sync_id' => $sync_id,
+            'units' => $due
+        ]);
+
+        $this->retry_failed($due);
+    }
+
+    /**
+     * Skips the remaining groups of one campaign without stopping the rest of the run.
+     *
+     * A group of that campaign that is already being synced finishes first.
+     *
+     * @param string $campaign Campaign name.
+     * @return array The updated job.
+     * @throws Exception If there is no active job or the campaign is not part of it.
+     */
+    public function skip_campaign(string $campaign): array
+    {
+        $job = $this->get_active_job_or_fail();
+
+        if (!in_array($campaign, $this->get_queue_campaigns($job), true)) {
+            throw new Exception("Campaign {$campaign} is not part of this sync.");
+        }
+
+        if (!in_array($campaign, $job['skipped_campaigns'], true)) {
+            $job['skipped_campaigns'][] = $campaign;
+        }
+
+        $this->save_queue_controls($job);
+        $job = $this->apply_queue_controls($job);
+        $this->save_job($job);
+
+        $this->logger->info('Sync job campaign skipped', [
+            'sync_id' => $job['sync_id'],
+            'campaign' => $campaign
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Changes the order in which the remaining campaigns are synced.
+     *
+     * @param array $campaigns Campaign names in the new order. Campaigns left out keep their place after these.
+     * @return array The updated job.
+     * @throws Exception If there is no active job.
+     */
+    public function reorder_campaigns(array $campaigns): array
+    {
+        $job = $this->get_active_job_or_fail();
+
+        $job['campaign_order'] = array_values(array_unique($campaigns));
+        if (!empty($job['campaigns'])) {
+            $job['campaigns'] = array_values(array_unique(array_merge(
+                array_intersect($job['campaign_order'], $job['campaigns']),
+                $job['campaigns']
+            )));
+        }
+
+        $this->save_queue_controls($job);
+        $job = $this->apply_queue_controls($job);
+        $this->save_job($job);
+
+        $this->logger->info('Sync job campaigns reordered', [
+            'sync_id' => $job['sync_id'],
+            'order' => $job['campaign_order']
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * WP-Cron handler that runs one batch of the given job.
+     *
+     * @param string $sync_id
+     * @return void
+     */
+    public function run_batch(string $sync_id): void
+    {
+        $job = $this->get_job();
+        if (!$job || $job['sync_id'] !== $sync_id || !$this->is_active($job)) {
+            $this->logger->debug('Skipping batch for inactive sync job', ['sync_id' => $sync_id]);
+            return;
+        }
+
+        // Another batch of the job, e.g. the watchdog next to a scheduled batch, is still running
+        if (!$this->lock_handler->acquireExclusiveLock(self::LOCK_KEY, [], self::STALL_TIMEOUT)) {
+            $this->logger->warning('Could not acquire sync job lock', ['sync_id' => $sync_id]);
+            return;
+        }
+
+        // Renewed every batch so the owner lock outlives long runs
+        $this->acquire_owner_lock($job);
+
+        // Every batch of a run logs under the run's sync id, whichever logger writes the line
+        Bema_CRM_Logger::beginOperation('sync', $sync_id);
+
+        $this->logger->startTimer('sync_job_batch');
+        $this->logger->info('WP-Cron Trigger Start: sync job batch', ['sync_id' => $sync_id]);
+
+        // Picks the job up again from its checkpoint if this request dies before the finally block
+        wp_clear_scheduled_hook(self::BATCH_HOOK, [$sync_id, 'watchdog']);
+        wp_schedule_single_event(time() + self::STALL_TIMEOUT, self::BATCH_HOOK, [$sync_id, 'watchdog']);
+
+        $batch_start = microtime(true);
+
+        try {
+            $job['status'] = self::STATUS_RUNNING;
+
+            while (($index = $this->next_pending_unit($job = $this->merge_queue_controls($job))) !== null) {
+                if ($this->stop_requested()) {
+                    $job = $this->finish_stopped($job);
+                    return;
+                }
+
+                if ($this->pause_requested()) {
+                    $job = $this->finish_paused($job);
+                    return;
+                }
+
+                if (microtime(true) - $batch_start >= self::BATCH_TIME_LIMIT) {
+                    break;
+                }
+
+                $job = $this->run_unit($job, $index);
+            }
+
+            if ($this->next_pending_unit($job) === null) {
+                $job = $this->finish_job($job);
+            } else {
+                $this->save_job($job);
+                $this->schedule_batch($sync_id);
+            }
+        } catch (Throwable $e) {
+            $this->logger->error('Sync job batch crashed', [
+                'sync_id' => $sync_id,
+                'error' => $e->getMessage()
+            ]);
+            $job['status'] = self::STATUS_FAILED;
+            $job['error'] = $e->getMessage();
+            $job['end_time'] = time();
+            $this->save_job($job);
+            $this->lock_handler->releaseLock(self::OWNER_LOCK_KEY);
+        } finally {
+            wp_clear_scheduled_hook(self::BATCH_HOOK, [$sync_id, 'watchdog']);
+            $this->lock_handler->releaseExclusiveLock(self::LOCK_KEY);
+            $this->logger->endTimer('sync_job_batch', '', ['sync_id' => $sync_id]);
+            Bema_CRM_Logger::endOperation();
+        }
+    }
+
+    /**
+     * Returns the stored job, or null if no sync has been started yet.
+     *
+     * @param bool $fresh Skip the object cache, for long-running readers such as the progress stream.
+     */
+    public function get_job(bool $fresh = false): ?array
+    {
+        if ($fresh) {
+            wp_cache_delete(self::JOB_OPTION, 'options');
+        }
+
+        $job = get_option(self::JOB_OPTION, null);
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * Whether the job still has work queued or in progress.
+     */
+    public function is_active(array $job): bool
+    {
+        return in_array($job['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING, self::STATUS_STOPPING, self::STATUS_PAUSING], true);
+    }
+
+    /**
+     * Whether the job is paused and waiting to be resumed from its checkpoint.
+     */
+    public function is_paused(array $job): bool
+    {
+        return $job['status'] === self::STATUS_PAUSED;
+    }
+
+    /**
+     * Builds the status payload consumed by BemaSync.
+     */
+    public function get_status(bool $fresh = false): array
+    {
+        $job = $this->get_job($fresh);
+
+        if (!$job) {
+            return [
+                'status' => 'idle',
+                'owner' => null,
+                'revision' => 0,
+                'processed' => 0,
+                'total' => 0,
+                'failed_units' => [],
+                'group_progress' => [],
+            ];
+        }
+
+        $processed = 0;
+        $skipped = 0;
+        $failed_units = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['state'] === self::UNIT_DONE) {
+                $processed++;
+            } elseif ($unit['state'] === self::UNIT_FAILED) {
+                $failed_units[] = $unit;
+            } elseif ($unit['state'] === self::UNIT_SKIPPED) {
+                $skipped++;
+            }
+        }
+
+        $end = $job['end_time'] ?? time();
+        $campaign_queue = $this->build_campaign_queue($job);
+        $current_campaign = null;
+        foreach ($campaign_queue as $position => $entry) {
+            if ($entry['state'] === 'running') {
+                $current_campaign = $entry['name'];
+                $campaign_number = $position + 1;
+            }
+        }
+
+        return [
+            'sync_id' => $job['sync_id'],
+            'status' => $job['status'],
+            'mode' => $job['mode'] ?? self::MODE_SYNC,
+            'plan_id' => $job['plan_id'] ?? null,
+            'revision' => $job['revision'] ?? 0,
+            'message' => $job['message'],
+            'trigger' => $job['trigger'],
+            'owner' => $this->get_owner($job),
+            'campaigns' => $job['campaigns'],
+            'current_unit' => $job['current_unit'],
+            'current_campaign' => $current_campaign,
+            'campaign_number' => $campaign_number ?? 0,
+            'total_campaigns' => count($campaign_queue),
+            'campaign_queue' => $campaign_queue,
+            'processed' => $processed,
+            'total' => count($job['units']) - $skipped,
+            'subscribers_count' => $job['subscribers_count'],
+            'failed_units' => $failed_units,
+            'group_progress' => $this->build_group_progress($job, $campaign_queue),
+            'checkpoint' => $job['checkpoint'] ?? null,
+            'paused_at' => $job['paused_at'] ?? null,
+            'next_retry_at' => wp_next_scheduled(self::RETRY_HOOK, [$job['sync_id']]) ?: null,
+            'memory_usage' => $job['memory_usage'],
+            'peak_memory' => $job['peak_memory'],
+            'error' => $job['error'],
+            'performance' => [
+                'memory_usage' => $job['memory_usage'] ?? '0 MB',
+                'peak_memory' => $job['peak_memory'] ?? '0 MB',
+                'start_time' => $job['start_time'],
+                'duration' => $end - $job['start_time'],
+            ],
+        ];
+    }
+
+    /**
+     * Returns a stored run, built from the live job while that run is still the current one.
+     *
+     * @param string $sync_id
+     * @return array|null Row shaped like Sync_Run_Database_Manager::get_run().
+     */
+    public function get_run(string $sync_id): ?array
+    {
+        $job = $this->get_job(true);
+
+        if ($job && $job['sync_id'] === $sync_id) {
+            return $this->build_run_record($job);
+        }
+
+        return $this->run_database ? $this->run_database->get_run($sync_id) : null;
+    }
+
+    /**
+     * Who started the job and when.
+     *
+     * Read from the owner lock while the job holds it, otherwise from the job itself.
+     *
+     * @param array $job
+     * @return array user_id, name, started_at, sync_id and whether the lock is held.
+     */
+    public function get_owner(array $job): array
+    {
+        $lock = $this->lock_handler->getLock(self::OWNER_LOCK_KEY);
+        $held = $lock && ($lock['owner']['sync_id'] ?? null) === $job['sync_id'];
+        $owner = $held ? $lock['owner'] : [
+            'user_id' => $job['user_id'] ?? 0,
+            'started_at' => $job['start_time'],
+        ];
+
+        $user = !empty($owner['user_id']) ? get_userdata($owner['user_id']) : false;
+
+        return [
+            'user_id' => (int) ($owner['user_id'] ?? 0),
+            'name' => $user ? $user->display_name : 'System',
+            'started_at' => (int) ($owner['started_at'] ?? $job['start_time']),
+            'sync_id' => $job['sync_id'],
+            'locked' => $held,
+        ];
+    }
+
+    // ========================================
+    // PRIVATE JOB METHODS
+    // ========================================
+
+    private function create_job(array $campaigns, string $trigger, string $mode, ?string $plan_id = null): array
+    {
+        $current = $this->get_job();
+        if ($current && $this->is_active($current)) {
+            $owner = $this->get_owner($current);
+            throw new Exception(sprintf(
+                'A sync started by %s at %s is already running.',
+                $owner['name'],
+                wp_date(get_option('time_format'), $owner['started_at'])
+            ));
+        }
+
+        if ($current && $this->is_paused($current)) {
+            throw new Exception('A sync is paused. Resume or stop it before starting a new one.');
+        }
+
+        $job = [
+            'sync_id' => 'sync_' . wp_generate_uuid4(),
+            'status' => self::STATUS_QUEUED,
+            'trigger' => $trigger,
+            'user_id' => get_current_user_id(),
+            'mode' => $mode,
+            'plan_id' => $plan_id,
+            'campaigns' => array_values(array_unique($campaigns)),
+            'campaign_order' => array_values(array_unique($campaigns)),
+            'skipped_campaigns' => [],
+            'units' => $this->build_initial_units(),
+            'current_unit' => null,
+            'message' => 'Waiting for the first batch to start',
+            'subscribers_count' => 0,
+            'start_time' => time(),
+            'end_time' => null,
+            'memory_usage' => null,
+            'peak_memory' => null,
+            'error' => null,
+            'checkpoint' => null,
+            'paused_at' => null,
+        ];
+
+        delete_option(self::STOP_FLAG_OPTION);
+        delete_option(self::PAUSE_FLAG_OPTION);
+        $this->save_job($job);
+        $this->acquire_owner_lock($job);
+        $this->schedule_batch($job['sync_id']);
+
+        $this->logger->info('Sync job queued', [
+            'sync_id' => $job['sync_id'],
+            'trigger' => $trigger,
+            'mode' => $mode,
+            'campaigns' => $job['campaigns']
+        ]);
+
+        return $job;
+    }
+
+    private function build_initial_units(): array
+    {
+        $steps = [
+            'campaigns' => 'Updating campaigns',
+            'fields' => 'Updating field database',
+            'groups' => 'Updating group database',
+            'subscribers' => 'Fetching subscribers data',
+        ];
+
+        $units = [];
+        foreach ($steps as $type => $label) {
+            $units[] = $this->make_unit($type, $type, $label);
+        }
+
+        return $units;
+    }
+
+    private function make_unit(string $id, string $type, string $label, array $extra = []): array
+    {
+        return array_merge([
+            'id' => $id,
+            'type' => $type,
+            'label' => $label,
+            'state' => self::UNIT_PENDING,
+            'attempts' => 0,
+            'errors' => 0,
+            'error' => null,
+        ], $extra);
+    }
+
+    private function next_pending_unit(array $job): ?int
+    {
+        foreach ($job['units'] as $index => $unit) {
+            if ($unit['state'] === self::UNIT_PENDING) {
+                return $index;
+            }
+        }
+        return null;
+    }
+
+    private function run_unit(array $job, int $index): array
+    {
+        $unit = $job['units'][$index];
+
+        $job['current_unit'] = $unit['id'];
+        $job['message'] = empty($unit['page']) ? $unit['label'] : "{$unit['label']} (page " . ($unit['page'] + 1) . ')';
+        $this->save_job($job);
+
+        // Later pages of the same group are not new attempts
+        if (empty($unit['page']) || $unit['error'] !== null) {
+            $unit['attempts']++;
+        }
+
+        // Measure this unit's own peak rather than the whole request's
+        if (function_exists('memory_reset_peak_usage')) {
+            memory_reset_peak_usage();
+        }
+        $unit_start = microtime(true);
+
+        try {
+            $result = $this->execute_unit($unit, $job);
+
+            if ($result === false) {
+                // The sync manager logged the cause; most of these are MailerLite lookups that can succeed later
+                throw new Sync_Exception("Sync step '{$unit['label']}' did not complete.", true);
+            }
+
+            if ($unit['type'] === 'group_subscribers') {
+                $unit['page']++;
+                $unit['cursor'] = $result['next_cursor'];
+                $unit['processed'] += $result['count'];
+                $unit['fetched'] = ($unit['fetched'] ?? 0) + $result['fetched'];
+                $unit['skipped'] = ($unit['skipped'] ?? 0) + $result['skipped'];
+            }
+
+            if ($unit['type'] === 'subscribers') {
+                $job['subscribers_count'] = (int) $result;
+            }
+
+            if ($unit['type'] === 'groups') {
+                $job['units'] = array_merge($job['units'], $this->build_group_units($job));
+            }
+
+            // A group with more pages stays pending so the next pass continues from its cursor
+            $unit['state'] = empty($unit['cursor']) ? self::UNIT_DONE : self::UNIT_PENDING;
+            $unit['error'] = null;
+            $unit['error_class'] = null;
+            $unit['next_retry_at'] = null;
+        } catch (Throwable $e) {
+            $unit['state'] = self::UNIT_FAILED;
+            $unit['errors'] = ($unit['errors'] ?? 0) + 1;
+            $unit['error'] = $e->getMessage();
+            $unit['error_class'] = (new \ReflectionClass($e))->getShortName();
+            $unit['retryable'] = $this->is_retryable($e);
+            $unit['failed_at'] = time();
+            $unit['next_retry_at'] = $unit['retryable'] ? $this->get_next_retry_time($unit, $e) : null;
+
+            $this->logger->error('Sync job unit failed', [
+                'sync_id' => $job['sync_id'],
+                'unit' => $unit['id'],
+                'attempts' => $unit['attempts'],
+                'error_class' => $unit['error_class'],
+                'retryable' => $unit['retryable'],
+                'next_retry_at' => $unit['next_retry_at'],
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        $unit['duration'] = ($unit['duration'] ?? 0) + (microtime(true) - $unit_start);
+        $unit['peak_memory'] = max($unit['peak_memory'] ?? 0, memory_get_peak_usage(true));
+        $job['units'][$index] = $unit;
+
+        // The checkpoint names where the job continues, so a pause or a killed worker resumes there
+        $next = $this->next_pending_unit($job);
+        $job['checkpoint'] = $next === null ? null : $this->make_checkpoint($job['units'][$next]);
+        $job['memory_usage'] = size_format(memory_get_usage(true));
+        $job['peak_memory_bytes'] = max($job['peak_memory_bytes'] ?? 0, $unit['peak_memory']);
+        $job['peak_memory'] = size_format($job['peak_memory_bytes']);
+
+        $this->save_job($job);
+
+        return $job;
+    }
+
+    private function execute_unit(array $unit, array $job)
+    {
+        $mode = $job['mode'] ?? self::MODE_SYNC;
+
+        if ($unit['type'] === 'group_subscribers') {
+            return $this->execute_group_page($unit, $job, $mode);
+        }
+
+        if ($mode === self::MODE_PREVIEW) {
+            $changes = $this->preview_unit($unit);
+            $this->append_plan_changes($job['sync_id'], $changes);
+            return count($changes);
+        }
+
+        if ($mode === self::MODE_APPLY) {
+            return $this->apply_unit($unit, $job);
+        }
+
+        switch ($unit['type']) {
+            case 'campaigns':
+                return $this->sync_manager->sync_album_campaign_data();
+            case 'fields':
+                return $this->sync_manager->sync_mailerlite_field_data();
+            case 'groups':
+                return $this->sync_manager->sync_mailerlite_group_data();
+            case 'subscribers':
+                return $this->sync_manager->sync_subscribers();
+            default:
+                throw new Exception("Unknown sync unit type: {$unit['type']}");
+        }
+    }
+
+    private function preview_unit(array $unit): array
+    {
+        switch ($unit['type']) {
+            case 'campaigns':
+                return $this->sync_manager->preview_album_campaign_data();
+            case 'fields':
+                return $this->sync_manager->preview_mailerlite_field_data();
+            case 'groups':
+                return $this->sync_manager->preview_mailerlite_group_data();
+            case 'subscribers':
+                return $this->sync_manager->preview_subscribers();
+            default:
+                throw new Exception("Unknown sync unit type: {$unit['type']}");
+        }
+    }
+
+    private function apply_unit(array $unit, array $job)
+    {
+        $plan = $this->get_applied_plan($job);
+
+        switch ($unit['type']) {
+            case 'campaigns':
+                return $this->sync_manager->sync_album_campaign_data($this->get_plan_refs($plan, 'campaign', 'create'));
+            case 'fields':
+                return $this->sync_manager->sync_mailerlite_field_data($this->get_plan_refs($plan, 'field', 'create'));
+            case 'groups':
+                return $this->sync_manager->sync_mailerlite_group_data($this->get_plan_refs($plan, 'group', 'create'));
+            case 'subscribers':
+                return $this->sync_manager->sync_subscribers($this->get_plan_refs($plan, 'subscriber'));
+            default:
+                throw new Exception("Unknown sync unit type: {$unit['type']}");
+        }
+    }
+
+    /**
+     * Runs one MailerLite page of a group, starting at the unit's saved cursor.
+     *
+     * Subscribers that were fetched but not written (outside the applied plan,
+     * or whose campaign is unknown locally) are counted as skipped. A preview
+     * writes nothing, so it skips nothing either.
+     *
+     * @return array{count: int, fetched: int, skipped: int, next_cursor: string|null}
+     */
+    private function execute_group_page(array $unit, array $job, string $mode): array
+    {
+        $group = $this->get_unit_group($unit);
+        $page = $this->sync_manager->get_campaign_group_subscribers_page($group, $unit['cursor']);
+        $mailerlite_groups_map = $this->get_mailerlite_groups_map();
+
+        if ($mode === self::MODE_PREVIEW) {
+            $changes = $this->sync_manager->preview_single_campaign_group_subscribers($group, $mailerlite_groups_map, $page['subscribers']);
+            $this->append_plan_changes($job['sync_id'], $changes);
+            $count = count($changes);
+        } else {
+            $subscriber_ids = $mode === self::MODE_APPLY
+                ? $this->get_plan_refs($this->get_applied_plan($job), 'tier', null, $unit['campaign'])
+                : null;
+            $count = $this->sync_manager->sync_single_campaign_group_subscribers($group, $mailerlite_groups_map, $subscriber_ids, $page['subscribers']);
+        }
+
+        $fetched = count($page['subscribers']);
+
+        return [
+            'count' => $count,
+            'fetched' => $fetched,
+            'skipped' => $mode === self::MODE_PREVIEW ? 0 : max(0, $fetched - $count),
+            'next_cursor' => $page['next_cursor'],
+        ];
+    }
+
+    private function get_applied_plan(array $job): array
+    {
+        $plan = $this->get_plan();
+        if (!$plan || $plan['plan_id'] !== $job['plan_id']) {
+            throw new Exception('The preview this sync applies was replaced.');
+        }
+        return $plan;
+    }
+
+    private function make_checkpoint(array $unit): array
+    {
+        return [
+            'unit' => $unit['id'],
+            'campaign' => $unit['campaign'] ?? null,
+            'group' => $unit['group_name'] ?? null,
+            'group_id' => $unit['group_id'] ?? null,
+            'cursor' => $unit['cursor'] ?? null,
+            'page' => $unit['page'] ?? 0,
+            'label' => $unit['label'],
+            'updated_at' => time(),
+        ];
+    }
+
+    private function describe_checkpoint(array $job): string
+    {
+        $checkpoint = $job['checkpoint'] ?? null;
+
+        if (!$checkpoint) {
+            return 'the start';
+        }
+
+        if ($checkpoint['group']) {
+            return "{$checkpoint['group']}, page " . ($checkpoint['page'] + 1);
+        }
+
+        return $checkpoint['label'];
+    }
+
+    private function get_unit_group(array $unit): array
+    {
+        $group = $this->sync_manager->group_database->get_group_by_id((int) $unit['group_id']);
+        if (!$group) {
+            throw new Exception("Group {$unit['group_id']} no longer exists.");
+        }
+        return $group;
+    }
+
+    private function get_plan_refs(array $plan, string $type, ?string $action = null, ?string $campaign = null): array
+    {
+        return $this->plan_database->get_refs($plan['plan_id'], $type, $action, $campaign);
+    }
+
+    private function append_plan_changes(string $plan_id, array $changes): void
+    {
+        $plan = $this->get_plan();
+        if (!$plan || $plan['plan_id'] !== $plan_id) {
+            throw new Exception('The preview this run builds was replaced.');
+        }
+
+        if (!empty($changes)) {
+            $this->plan_database->insert_changes($plan_id, $changes);
+        }
+    }
+
+    /**
+     * One unit per campaign group, so a failing group can be retried on its own.
+     */
+    private function build_group_units(array $job): array
+    {
+        $existing = array_column($job['units'], 'id');
+        $units = [];
+
+        foreach ($this->sync_manager->group_database->get_all_groups() as $group) {
+            $campaign_name = $this->sync_manager->utils->get_campaign_name_from_text($group['group_name']);
+
+            if (!empty($job['campaigns']) && !in_array($campaign_name, $job['campaigns'], true)) {
+                continue;
+            }
+
+            $id = 'group:' . $group['id'];
+            if (in_array($id, $existing, true)) {
+                continue;
+            }
+
+            $mailerlite_group = $this->get_mailerlite_groups_map()[strtoupper($group['group_name'])] ?? [];
+
+            $units[] = $this->make_unit($id, 'group_subscribers', "Syncing {$group['group_name']} subscribers", [
+                'group_id' => $group['id'],
+                'group_name' => $group['group_name'],
+                'campaign' => $campaign_name,
+                'tier' => ucwords(strtolower($this->sync_manager->utils->get_tier_from_group_name($group['group_name']))),
+                'total' => (int) ($mailerlite_group['active_count'] ?? 0),
+                'cursor' => null,
+                'page' => 0,
+                'fetched' => 0,
+                'processed' => 0,
+                'skipped' => 0,
+            ]);
+        }
+
+        return $units;
+    }
+
+    private function get_mailerlite_groups_map(): array
+    {
+        if ($this->mailerlite_groups_map === null) {
+            $this->mailerlite_groups_map = $this->sync_manager->mailerLiteInstance->getAllGroupsNameMap();
+        }
+        return $this->mailerlite_groups_map;
+    }
+
+    private function get_finished_job_or_fail(): array
+    {
+        $job = $this->get_job();
+        if (!$job) {
+            throw new Exception('There is no sync to retry.');
+        }
+
+        if ($this->is_active($job) || $this->is_paused($job)) {
+            throw new Exception('Wait for the current sync to finish before retrying.');
+        }
+
+        return $job;
+    }
+
+    /**
+     * Sync exceptions carry their own retryable flag. Anything else is a bug or
+     * bad data that running the same step again will not fix.
+     */
+    private function is_retryable(Throwable $e): bool
+    {
+        if ($e instanceof Sync_Exception || $e instanceof RetryableException) {
+            return $e->isRetryable();
+        }
+
+        return false;
+    }
+
+    /**
+     * Exponential backoff from the sync settings, or null once the unit used up its attempts.
+     */
+    private function get_next_retry_time(array $unit, Throwable $e): ?int
+    {
+        $policy = $this->get_retry_policy();
+        if (!$policy['enabled'] || $unit['attempts'] > $policy['attempts']) {
+            return null;
+        }
+
+        $delay = min($policy['max_delay'], $policy['delay'] * pow($policy['backoff'], $unit['attempts'] - 1));
+
+        // Retrying before MailerLite's rate limit window resets would fail again
+        if ($e instanceof API_Exception && $e->isRateLimitExceeded()) {
+            $delay = max($delay, $e->getTimeUntilReset() + 1);
+        }
+
+        return time() + (int) $delay;
+    }
+
+    /**
+     * @return array{enabled:bool, attempts:int, delay:int, backoff:float, max_delay:int}
+     */
+    private function get_retry_policy(): array
+    {
+        $settings = get_option('bema_crm_settings', []);
+        $sync = $settings['sync'] ?? [];
+
+        return [
+            'enabled' => (bool) ($sync['auto_retry'] ?? true),
+            'attempts' => max(0, (int) ($sync['retry_attempts'] ?? 3)),
+            'delay' => max(1, (int) ($sync['retry_delay'] ?? 300)),
+            'backoff' => max(1, (float) ($sync['retry_backoff'] ?? 2)),
+            'max_delay' => max(1, (int) ($sync['retry_max_delay'] ?? 3600)),
+        ];
+    }
+
+    private function schedule_auto_retry(array $job): void
+    {
+        $due = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['state'] === self::UNIT_FAILED && !empty($unit['next_retry_at'])) {
+                $due[] = $unit['next_retry_at'];
+            }
+        }
+
+        wp_clear_scheduled_hook(self::RETRY_HOOK, [$job['sync_id']]);
+
+        if (!empty($due)) {
+            wp_schedule_single_event(max(time(), min($due)), self::RETRY_HOOK, [$job['sync_id']]);
+        }
+    }
+
+    private function get_active_job_or_fail(): array
+    {
+        $job = $this->get_job(true);
+        if (!$job || (!$this->is_active($job) && !$this->is_paused($job))) {
+            throw new Exception('There is no active sync.');
+        }
+        return $job;
+    }
+
+    /**
+     * Campaigns of the run in queue order, known before group units exist.
+     */
+    private function get_queue_campaigns(array $job): array
+    {
+        $campaigns = array_merge($job['campaign_order'] ?? [], $job['campaigns']);
+
+        foreach ($job['units'] as $unit) {
+            if ($unit['type'] === 'group_subscribers') {
+                $campaigns[] = $unit['campaign'];
+            }
+        }
+
+        $campaigns = array_values(array_unique($campaigns));
+
+        // Campaigns of an "all campaigns" run only appear once their groups are known
+        if (!empty($job['campaigns'])) {
+            $campaigns = array_values(array_intersect($campaigns, $job['campaigns']));
+        }
+
+        return $campaigns;
+    }
+
+    private function build_campaign_queue(array $job): array
+    {
+        $queue = [];
+        foreach ($this->get_queue_campaigns($job) as $campaign) {
+            $queue[$campaign] = [
+                'name' => $campaign,
+                'state' => self::UNIT_PENDING,
+                'processed' => 0,
+                'total' => 0,
+                'failed' => 0,
+            ];
+        }
+
+        $has_pending = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['type'] !== 'group_subscribers' || !isset($queue[$unit['campaign']])) {
+                continue;
+            }
+
+            $entry = &$queue[$unit['campaign']];
+            $entry['total']++;
+            if ($unit['state'] === self::UNIT_DONE) {
+                $entry['processed']++;
+            } elseif ($unit['state'] === self::UNIT_FAILED) {
+                $entry['failed']++;
+            } elseif ($unit['state'] === self::UNIT_PENDING) {
+                $has_pending[$unit['campaign']] = true;
+            }
+
+            if ($job['current_unit'] === $unit['id']) {
+                $entry['state'] = 'running';
+            }
+            unset($entry);
+        }
+
+        foreach ($queue as $campaign => &$entry) {
+            if ($entry['state'] === 'running') {
+                continue;
+            }
+
+            if (in_array($campaign, $job['skipped_campaigns'] ?? [], true)) {
+                $entry['state'] = self::UNIT_SKIPPED;
+            } elseif ($entry['total'] > 0 && empty($has_pending[$campaign])) {
+                $entry['state'] = $entry['failed'] > 0 ? self::UNIT_FAILED : self::UNIT_DONE;
+            }
+        }
+        unset($entry);
+
+        return array_values($queue);
+    }
+
+    /**
+     * Progress of every campaign group, nested under its campaign in queue order.
+     *
+     * Groups keep their unit id and campaigns get a slug id, so the dashboard
+     * updates rows in place instead of matching names. A group's processed
+     * count is the subscribers read from MailerLite so far, its total the
+     * group's active subscriber count when the job reached the groups.
+     *
+     * @param array $job
+     * @param array $campaign_queue From build_campaign_queue(), for order and campaign state.
+     * @return array
+     */
+    private function build_group_progress(array $job, array $campaign_queue): array
+    {
+        $campaigns = [];
+        foreach ($campaign_queue as $entry) {
+            $campaigns[$entry['name']] = [
+                'id' => 'campaign:' . sanitize_title($entry['name']),
+                'name' => $entry['name'],
+                'state' => $entry['state'],
+                'processed' => 0,
+                'total' => 0,
+                'errors' => 0,
+                'skipped' => 0,
+                'groups' => [],
+            ];
+        }
+
+        foreach ($job['units'] as $unit) {
+            if ($unit['type'] !== 'group_subscribers' || !isset($campaigns[$unit['campaign']])) {
+                continue;
+            }
+
+            $group = [
+                'id' => $unit['id'],
+                'group_id' => $unit['group_id'],
+                'group_name' => $unit['group_name'],
+                'tier' => $unit['tier'] ?? '',
+                'state' => $job['current_unit'] === $unit['id'] ? 'running' : $unit['state'],
+                'page' => $unit['page'] ?? 0,
+                'processed' => $unit['fetched'] ?? 0,
+                'total' => $unit['total'] ?? 0,
+                'synced' => $unit['processed'] ?? 0,
+                'skipped' => $unit['skipped'] ?? 0,
+                'errors' => $unit['errors'] ?? 0,
+                'error' => $unit['error'],
+            ];
+
+            $campaign = &$campaigns[$unit['campaign']];
+            $campaign['groups'][] = $group;
+            foreach (['processed', 'total', 'errors', 'skipped'] as $count) {
+                $campaign[$count] += $group[$count];
+            }
+            unset($campaign);
+        }
+
+        return array_values($campaigns);
+    }
+
+    /**
+     * Picks up skip and reorder requests saved while this batch was running.
+     */
+    private function merge_queue_controls(array $job): array
+    {
+        return $this->apply_queue_controls($this->with_queue_controls($job));
+    }
+
+    /**
+     * Copies the stored skip and reorder requests onto the job, leaving its units as they are.
+     */
+    private function with_queue_controls(array $job): array
+    {
+        wp_cache_delete(self::QUEUE_OPTION, 'options');
+        $controls = get_option(self::QUEUE_OPTION, null);
+
+        if (is_array($controls) && ($controls['sync_id'] ?? null) === ($job['sync_id'] ?? null)) {
+            $job['skipped_campaigns'] = $controls['skipped_campaigns'];
+            $job['campaign_order'] = $controls['campaign_order'];
+            $job['campaigns'] = $controls['campaigns'];
+        }
+
+        return $job;
+    }
+
+    private function save_queue_controls(array $job): void
+    {
+        update_option(self::QUEUE_OPTION, [
+            'sync_id' => $job['sync_id'],
+            'skipped_campaigns' => $job['skipped_campaigns'],
+            'campaign_order' => $job['campaign_order'],
+            'campaigns' => $job['campaigns'],
+        ], false);
+    }
+
+    /**
+     * Marks pending groups of skipped campaigns as skipped and sorts group units by campaign order.
+     */
+    private function apply_queue_controls(array $job): array
+    {
+        $skipped = $job['skipped_campaigns'] ?? [];
+        $order = array_flip($job['campaign_order'] ?? []);
+
+        $steps = [];
+        $groups = [];
+        foreach ($job['units'] as $unit) {
+            if ($unit['type'] !== 'group_subscribers') {
+                $steps[] = $unit;
+                continue;
+            }
+
+            if ($unit['state'] === self::UNIT_PENDING && in_array($unit['campaign'], $skipped, true)) {
+                $unit['state'] = self::UNIT_SKIPPED;
+            }
+            $groups[] = $unit;
+        }
+
+        // Stable sort: campaigns missing from the order keep their place after the ordered ones
+        $positions = array_keys($groups);
+        array_multisort(
+            array_map(function ($unit) use ($order) {
+                return $order[$unit['campaign']] ?? PHP_INT_MAX;
+            }, $groups),
+            SORT_ASC,
+            $positions,
+            SORT_ASC,
+            $groups
+        );
+
+        $job['units'] = array_merge($steps, $groups);
+
+        return $job;
+    }
+
+    private function finish_job(array $job): array
+    {
+        $this->lock_handler->releaseLock(self::OWNER_LOCK_KEY);
+
+        $failed = count(array_filter($job['units'], function ($unit) {
+            return $unit['state'] === self::UNIT_FAILED;
+        }));
+
+        $job['status'] = $failed > 0 ? self::STATUS_FAILED : self::STATUS_COMPLETED;
+        $job['current_unit'] = null;
+        $job['end_time'] = time();
+        $job['message'] = $failed > 0
+            ? "Sync finished with {$failed} failed step(s)"
+            : 'Sync completed';
+
+        $mode = $job['mode'] ?? self::MODE_SYNC;
+
+        if ($failed > 0) {
+            $this->schedule_auto_retry($job);
+        }
+
+        if ($mode === self::MODE_PREVIEW) {
+            return $this->finish_preview($job, $failed);
+        }
+
+        $this->save_job($job);
+
+        if ($mode === self::MODE_APPLY) {
+            $plan = $this->get_plan();
+            if ($plan && $plan['plan_id'] === $job['plan_id'] && $failed === 0) {
+                $plan['status'] = self::PLAN_APPLIED;
+                update_option(self::PLAN_OPTION, $plan, false);
+            }
+        }
+
+        $this->sync_manager->sync_database->upsert_sync_record(
+            $failed > 0 ? 'Failed' : 'Complete',
+            $job['subscribers_count'],
+            $failed > 0
+                ? "{$failed} sync step(s) failed. Retry them from the dashboard."
+                : "Successfully synced {$job['subscribers_count']} subscribers."
+        );
+
+        $this->logger->info('Sync job finished', [
+            'sync_id' => $job['sync_id'],
+            'status' => $job['status'],
+            'failed_units' => $failed,
+            'duration' => $job['end_time'] - $job['start_time']
+        ]);
+
+        do_action(self::FINISHED_HOOK, $job);
+
+        return $job;
+    }
+
+    /**
+     * A preview writes no sync history; its result is the plan.
+     */
+    private function finish_preview(array $job, int $failed): array
+    {
+        $plan = $this->get_plan();
+        $changes = $plan ? $this->plan_database->count_changes($plan['plan_id']) : 0;
+
+        if ($plan && $plan['plan_id'] === $job['sync_id']) {
+            $plan['status'] = $failed > 0 ? self::PLAN_INCOMPLETE : self::PLAN_READY;
+            update_option(self::PLAN_OPTION, $plan, false);
+        }
+
+        $job['message'] = $failed > 0
+            ? "Preview finished with {$failed} failed step(s); retry them before applying"
+            : "Preview ready: {$changes} change(s) to review";
+
+        $this->save_job($job);
+
+        $this->logger->info('Sync preview finished', [
+            'sync_id' => $job['sync_id'],
+            'status' => $job['status'],
+            'changes' => $changes,
+            'failed_units' => $failed
+        ]);
+
+        do_action(self::FINISHED_HOOK, $job);
+
+        return $job;
+    }
+
+    private function finish_stopped(array $job): array
+    {
+        wp_clear_scheduled_hook(self::BATCH_HOOK, [$job['sync_id']]);
+        delete_option(self::STOP_FLAG_OPTION);
+        delete_option(self::PAUSE_FLAG_OPTION);
+        $this->lock_handler->releaseLock(self::OWNER_LOCK_KEY);
+
+        $job['status'] = self::STATUS_STOPPED;
+        $job['current_unit'] = null;
+        $job['end_time'] = time();
+        $job['message'] = 'Sync stopped by user';
+
+        $this->save_job($job);
+
+        $plan = $this->get_plan();
+        if ($plan && $plan['plan_id'] === $job['sync_id']) {
+            $plan['status'] = self::PLAN_INCOMPLETE;
+            update_option(self::PLAN_OPTION, $plan, false);
+        }
+
+        do_action(self::FINISHED_HOOK, $job);
+
+        return $job;
+    }
+
+    private function finish_paused(array $job): array
+    {
+        wp_clear_scheduled_hook(self::BATCH_HOOK, [$job['sync_id']]);
+        delete_option(self::PAUSE_FLAG_OPTION);
+        $this->lock_handler->releaseLock(self::OWNER_LOCK_KEY);
+
+        $job['status'] = self::STATUS_PAUSED;
+        $job['current_unit'] = null;
+        $job['paused_at'] = time();
+        $job['message'] = 'Paused at ' . $this->describe_checkpoint($job);
+
+        $this->save_job($job);
+
+        $this->logger->info('Sync job paused', [
+            'sync_id' => $job['sync_id'],
+            'checkpoint' => $job['checkpoint'] ?? null
+        ]);
+
+        return $job;
+    }
+
+    private function acquire_owner_lock(array $job): void
+    {
+        $this->lock_handler->acquireLock(self::OWNER_LOCK_KEY, [
+            'user_id' => $job['user_id'] ?? 0,
+            'sync_id' => $job['sync_id'],
+            'started_at' => $job['start_time'],
+        ]);
+    }
+
+    private function pause_requested(): bool
+    {
+        wp_cache_delete(self::PAUSE_FLAG_OPTION, 'options');
+        return (bool) get_option(self::PAUSE_FLAG_OPTION, false);
+    }
+
+    private function stop_requested(): bool
+    {
+        wp_cache_delete(self::STOP_FLAG_OPTION, 'options');
+        return (bool) get_option(self::STOP_FLAG_OPTION, false);
+    }
+
+    private function schedule_batch(string $sync_id): void
+    {
+        if (!wp_next_scheduled(self::BATCH_HOOK, [$sync_id])) {
+            wp_schedule_single_event(time(), self::BATCH_HOOK, [$sync_id]);
+        }
+    }
+
+    private function save_job(array &$job): void
+    {
+        // Units of a skipped campaign are marked by the next merge_queue_controls()
+        $job = $this->with_queue_controls($job);
+
+        // Lets progress listeners detect changes without diffing the whole job.
+        // The stored revision is checked too because stop() can save while a batch runs.
+        $stored = $this->get_job(true);
+        $job['revision'] = max($job['revision'] ?? 0, $stored['revision'] ?? 0) + 1;
+
+        update_option(self::JOB_OPTION, $job, false);
+        $this->update_legacy_status($job);
+
+        // The run history only changes when the job moves to another status
+        if (($stored['sync_id'] ?? null) !== $job['sync_id'] || ($stored['status'] ?? null) !== $job['status']) {
+            $this->record_run($job);
+        }
+    }
+
+    private function record_run(array $job): void
+    {
+        if (!$this->run_database) {
+            return;
+        }
+
+        $this->run_database->upsert_run($this->build_run_record($job));
+    }
+
+    /**
+     * Summarises a job in the shape stored by Sync_Run_Database_Manager.
+     */
+    private function build_run_record(array $job): array
+    {
+        $run = [
+            'sync_id' => $job['sync_id'],
+            'trigger_type' => $this->get_trigger_type($job['trigger']),
+            'trigger_source' => $job['trigger'],
+            'user_id' => (int) $job['user_id'],
+            'mode' => $job['mode'] ?? self::MODE_SYNC,
+            'status' => $job['status'],
+            'campaigns' => $job['campaigns'],
+            'started_at' => wp_date('Y-m-d H:i:s', $job['start_time']),
+            'ended_at' => $job['end_time'] ? wp_date('Y-m-d H:i:s', $job['end_time']) : null,
+            'duration' => ($job['end_time'] ?? time()) - $job['start_time'],
+            'subscribers_count' => (int) $job['subscribers_count'],
+            'units_total' => count($job['units']),
+            'units_done' => 0,
+            'units_failed' => 0,
+            'units_skipped' => 0,
+            'groups_total' => 0,
+            'groups_done' => 0,
+            'groups_failed' => 0,
+            'records_processed' => 0,
+            'peak_memory' => (int) ($job['peak_memory_bytes'] ?? 0),
+            'error' => $job['error'],
+            'units' => [],
+        ];
+
+        $unit_counts = [self::UNIT_DONE => 'units_done', self::UNIT_FAILED => 'units_failed', self::UNIT_SKIPPED => 'units_skipped'];
+        $group_counts = [self::UNIT_DONE => 'groups_done', self::UNIT_FAILED => 'groups_failed'];
+
+        foreach ($job['units'] as $unit) {
+            if (isset($unit_counts[$unit['state']])) {
+                $run[$unit_counts[$unit['state']]]++;
+            }
+
+            if ($unit['type'] === 'group_subscribers') {
+                $run['groups_total']++;
+                $run['records_processed'] += $unit['processed'] ?? 0;
+                if (isset($group_counts[$unit['state']])) {
+                    $run[$group_counts[$unit['state']]]++;
+                }
+            }
+
+            $run['units'][] = [
+                'id' => $unit['id'],
+                'type' => $unit['type'],
+                'label' => $unit['label'],
+                'campaign' => $unit['campaign'] ?? null,
+                'state' => $unit['state'],
+                'attempts' => $unit['attempts'],
+                'pages' => $unit['page'] ?? null,
+                'processed' => $unit['processed'] ?? null,
+                'duration' => round($unit['duration'] ?? 0, 2),
+                'peak_memory' => (int) ($unit['peak_memory'] ?? 0),
+                'error' => $unit['error'],
+            ];
+        }
+
+        return $run;
+    }
+
+    /**
+     * Groups trigger sources into manual, scheduled and webhook runs.
+     */
+    private function get_trigger_type(string $trigger): string
+    {
+        if ($trigger === 'cron' || strpos($trigger, 'schedule:') === 0) {
+            return 'scheduled';
+        }
+
+        if (strpos($trigger, 'webhook') === 0) {
+            return 'webhook';
+        }
+
+        return 'manual';
+    }
+
+    /**
+     * Keeps the option read by the Synchronize page in step with the job.
+     */
+    private function update_legacy_status(array $job): void
+    {
+        $labels = [
+            self::STATUS_QUEUED => 'Running',
+            self::STATUS_RUNNING => 'Running',
+            self::STATUS_STOPPING => 'Running',
+            self::STATUS_PAUSING => 'Running',
+            self::STATUS_PAUSED => 'Paused',
+            self::STATUS_COMPLETED => 'Completed',
+        ];
+
+        $done = count(array_filter($job['units'], function ($unit) {
+            return $unit['state'] === self::UNIT_DONE;
+        }));
+        $total = count(array_filter($job['units'], function ($unit) {
+            return $unit['state'] !== self::UNIT_SKIPPED;
+        }));
+
+        update_option(self::LEGACY_STATUS_OPTION, [
+            'status' => $labels[$job['status']] ?? 'Idle',
+            'message' => $job['message'],
+            'progress' => $done,
+            'total' => $total,
+            'percentage' => $total > 0 ? round(($done / $total) * 100) : 0,
+            'subscribers_count' => $job['subscribers_count'],
+            'last_sync_time' => wp_date('F j, Y g:i A', $job['start_time']),
+            'timestamp' => time()
+        ]);
+    }
+}
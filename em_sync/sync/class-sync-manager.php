@@ -22,8 +22,10 @@ class Sync_Manager
 
     /**
      * Synchronizes album and custom campaign data with MailerLite.
+     *
+     * @param array|null $allowed_new_campaigns Names of the MailerLite campaigns this run may create. Null allows all.
      */
-    public function sync_album_campaign_data(): bool
+    public function sync_album_campaign_data(?array $allowed_new_campaigns = null): bool
     {
         $this->logger->info('Starting album campaign data sync');
 
@@ -38,7 +40,7 @@ class Sync_Manager
                 return false;
             }
 
-            $campaigns_to_upsert = $this->process_campaigns($campaign_store_map, $mailerlite_campaign_map);
+            $campaigns_to_upsert = $this->process_campaigns($campaign_store_map, $mailerlite_campaign_map, $allowed_new_campaigns);
 
             if (!empty($campaigns_to_upsert)) {
                 $this->campaign_database->upsert_campaigns_bulk($campaigns_to_upsert);
@@ -55,8 +57,10 @@ class Sync_Manager
 
     /**
      * Synchronizes campaign purchase fields with MailerLite and the local database.
+     *
+     * @param array|null $allowed_new_fields Names of the MailerLite fields this run may create. Null allows all.
      */
-    public function sync_mailerlite_field_data(): bool
+    public function sync_mailerlite_field_data(?array $allowed_new_fields = null): bool
     {
         $this->logger->info('Starting MailerLite field data sync');
 
@@ -68,7 +72,7 @@ class Sync_Manager
                 return true;
             }
 
-            $fields_to_upsert = $this->prepare_field_data_for_upsert($required_fields);
+            $fields_to_upsert = $this->prepare_field_data_for_upsert($required_fields, $allowed_new_fields);
 
             if (!empty($fields_to_upsert)) {
                 $this->field_database->upsert_fields_bulk($fields_to_upsert);
@@ -85,8 +89,10 @@ class Sync_Manager
 
     /**
      * Synchronizes MailerLite group data with the local database.
+     *
+     * @param array|null $allowed_new_groups Names of the MailerLite groups this run may create. Null allows all.
      */
-    public function sync_mailerlite_group_data(): bool
+    public function sync_mailerlite_group_data(?array $allowed_new_groups = null): bool
     {
         $this->logger->info('Starting MailerLite group data sync');
 
@@ -103,6 +109,10 @@ class Sync_Manager
                 $process_result['found_names']
             );
 
+            if ($allowed_new_groups !== null) {
+                $missing_groups = array_intersect($missing_groups, array_map('strtoupper', $allowed_new_groups));
+            }
+
             if (!empty($missing_groups)) {
                 $new_groups = $this->create_missing_groups($missing_groups);
                 $groups_to_upsert = array_merge($groups_to_upsert, $new_groups);
@@ -123,13 +133,19 @@ class Sync_Manager
 
     /**
      * Synchronizes subscribers from MailerLite.
+     *
+     * @param array|null $subscriber_ids MailerLite subscriber IDs to write. Null writes all.
      */
-    public function sync_subscribers(): int
+    public function sync_subscribers(?array $subscriber_ids = null): int
     {
         $this->logger->info('Starting subscriber sync');
 
         try {
             $all_subscribers = $this->mailerLiteInstance->getSubscribers();
+
+            if ($subscriber_ids !== null) {
+                $all_subscribers = $this->filter_by_subscriber_ids($all_subscribers, 'id', $subscriber_ids);
+            }
             $subscribers_count = count($all_subscribers);
 
             if (empty($all_subscribers)) {
@@ -161,39 +177,10 @@ class Sync_Manager
             $mailerlite_groups_map = $this->mailerLiteInstance->getAllGroupsNameMap();
 
             foreach ($campaign_group_list as $group) {
-                $group_details = $mailerlite_groups_map[strtoupper($group['group_name'])] ?? null;
-
-                if (!$group_details) {
-                    continue;
-                }
-
-                $group_subscribers = $this->mailerLiteInstance->getGroupSubscribers($group['id']);
-
-                if (empty($group_subscribers)) {
-                    continue;
-                }
-
-                $campaign_name = $this->utils->get_campaign_name_from_text($group['group_name']);
-                $campaign_data = $this->campaign_database->get_campaign_by_name($campaign_name);
-
-                if (empty($campaign_data['id'])) {
-                    continue;
-                }
-
-                foreach ($group_subscribers as $subscriber) {
-                    $tier = $this->utils->get_tier_from_group_name($group['group_name']);
-                    $purchase_id = $this->get_purchase_id_from_subscriber($subscriber, $campaign_name);
-                    $field_id = $this->get_field_id_by_campaign($campaign_data['id']);
-
-                    $campaign_subscribers_data[] = [
-                        'campaign_id' => $campaign_data['id'],
-                        'subscriber_id' => $subscriber['id'],
-                        'group_id' => $group['id'],
-                        'field_id' => $field_id,
-                        'subscriber_tier' => ucwords(strtolower($tier)),
-                        'purchase_id' => $purchase_id,
-                    ];
-                }
+                $campaign_subscribers_data = array_merge(
+                    $campaign_subscribers_data,
+                    $this->build_campaign_group_subscriber_rows($group, $mailerlite_groups_map)
+                );
             }
 
             if (!empty($campaign_subscribers_data)) {
@@ -209,6 +196,41 @@ class Sync_Manager
         }
     }
 
+    /**
+     * Synchronizes the subscribers of a single campaign group.
+     * Errors are left to the caller so a failed group can be retried on its own.
+     *
+     * @param array|null $subscriber_ids MailerLite subscriber IDs to write. Null writes all.
+     * @param array|null $group_subscribers One page from get_campaign_group_subscribers_page(). Null fetches the whole group.
+     */
+    public function sync_single_campaign_group_subscribers(array $group, array $mailerlite_groups_map, ?array $subscriber_ids = null, ?array $group_subscribers = null): int
+    {
+        $rows = $this->build_campaign_group_subscriber_rows($group, $mailerlite_groups_map, $group_subscribers);
+
+        if ($subscriber_ids !== null) {
+            $rows = $this->filter_by_subscriber_ids($rows, 'subscriber_id', $subscriber_ids);
+        }
+
+        if (empty($rows)) {
+            return 0;
+        }
+
+        $this->campaign_group_subscribers_database->upsert_campaign_subscribers_bulk($rows);
+
+        return count($rows);
+    }
+
+    /**
+     * Fetches one page of a campaign group's MailerLite subscribers.
+     *
+     * @param string|null $cursor MailerLite cursor of the page, null for the first page.
+     * @return array{subscribers: array, next_cursor: string|null}
+     */
+    public function get_campaign_group_subscribers_page(array $group, ?string $cursor = null): array
+    {
+        return $this->mailerLiteInstance->getGroupSubscribersPage((string) $group['id'], $cursor);
+    }
+
     /**
      * Synchronizes all MailerLite data.
      */
@@ -306,7 +328,14 @@ class Sync_Manager
         }
     }
 
-    function resync_subscribers(array $ids)
+    /**
+     * Reads the given subscribers from MailerLite and writes them and their
+     * campaign group memberships to the local tables.
+     *
+     * @param array $ids Subscriber IDs.
+     * @return int Number of subscribers read from MailerLite.
+     */
+    function resync_subscribers(array $ids): int
     {
         $processed = 0;
         $subscribers_data = [];
@@ -321,7 +350,7 @@ class Sync_Manager
                     $processed++;
                 }
             } catch (Exception $e) {
-                $this->logger->error("Failed to fetch subscriber {$id}: " . $e->getMessage());
+                $this->logger->error("Failed to fetch subscriber {$id}: " . $e->getMessage(), ['subscriber_id' => $id]);
             }
         }
 
@@ -333,7 +362,7 @@ class Sync_Manager
             $this->sync_individual_campaign_group_subscribers($subscribers_data);
         }
 
-        \Bema\bema_notice("Resync complete: processed $processed subscriber(s).", 'success', 'Resync Completed');
+        return $processed;
     }
 
     private function sync_individual_campaign_group_subscribers(array $subscribers_data)
@@ -376,10 +405,226 @@ class Sync_Manager
         }
     }
 
+    // ========================================
+    // PUBLIC PREVIEW METHODS
+    // ========================================
+    // Each method mirrors a sync step without writing to MailerLite or the
+    // local tables, and returns the changes that step would make as
+    // ['type', 'action', 'target', 'campaign', 'before', 'after', 'ref'] rows.
+
+    /**
+     * Lists the MailerLite campaigns sync_album_campaign_data() would create.
+     */
+    public function preview_album_campaign_data(): array
+    {
+        $albums = $this->utils->get_all_albums();
+        $custom_campaigns = $this->campaign_database->get_all_campaigns();
+        $campaign_store_map = $this->prepare_campaign_store($albums, $custom_campaigns);
+        $mailerlite_campaign_map = $this->mailerLiteInstance->get_campaigns_name_to_id_map();
+
+        if (!is_array($mailerlite_campaign_map)) {
+            throw new \Exception('Failed to retrieve MailerLite campaigns');
+        }
+
+        $changes = [];
+        foreach ($campaign_store_map as $campaign) {
+            if (!isset($mailerlite_campaign_map[$campaign['name']])) {
+                $changes[] = $this->make_change('campaign', 'create', $campaign['name'], $campaign['name'], null, 'draft');
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Lists the MailerLite fields sync_mailerlite_field_data() would create.
+     */
+    public function preview_mailerlite_field_data(): array
+    {
+        $mailerlite_fields_map = $this->get_mailerlite_fields_map();
+        $changes = [];
+
+        foreach ($this->get_required_fields() as $field_name) {
+            if (!isset($mailerlite_fields_map[$field_name])) {
+                $campaign_name = $this->utils->get_campaign_name_from_text($field_name);
+                $changes[] = $this->make_change('field', 'create', $field_name, $campaign_name, null, 'number');
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Lists the MailerLite groups sync_mailerlite_group_data() would create and the local groups it would delete.
+     */
+    public function preview_mailerlite_group_data(): array
+    {
+        $all_campaign_group_names = $this->generate_all_campaign_group_names($this->fetch_campaign_names());
+        $process_result = $this->process_mailerlite_groups($this->fetch_mailerlite_groups(), $all_campaign_group_names);
+
+        $missing_groups = array_diff(
+            array_map('strtoupper', $all_campaign_group_names),
+            $process_result['found_names']
+        );
+
+        $changes = [];
+        foreach ($missing_groups as $group_name) {
+            $campaign_name = $this->utils->get_campaign_name_from_text($group_name);
+            $campaign_data = $this->campaign_database->get_campaign_by_name($campaign_name);
+
+            // create_missing_groups() skips groups of unknown campaigns too
+            if (isset($campaign_data['id'])) {
+                $changes[] = $this->make_change('group', 'create', $group_name, $campaign_name);
+            }
+        }
+
+        $mailerlite_groups_map = $this->mailerLiteInstance->getAllGroupsIdMap();
+        foreach ($this->group_database->get_all_groups() as $db_group) {
+            if (!isset($mailerlite_groups_map[strtoupper((string) $db_group['id'])])) {
+                $campaign_name = $this->utils->get_campaign_name_from_text($db_group['group_name']);
+                $changes[] = $this->make_change('group', 'delete', $db_group['group_name'], $campaign_name, $db_group['id'], null, $db_group['id']);
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Lists the local subscriber rows sync_subscribers() would insert or update.
+     */
+    public function preview_subscribers(): array
+    {
+        $all_subscribers = $this->mailerLiteInstance->getSubscribers();
+        $local_subscribers = array_column($this->subscribers_database->get_all_subscribers(), null, 'id');
+
+        $changes = [];
+        foreach ($all_subscribers as $subscriber) {
+            $after = [
+                'email' => $subscriber['email'],
+                'name' => trim(($subscriber['fields']['name'] ?? '') . ' ' . ($subscriber['fields']['last_name'] ?? '')),
+                'status' => $subscriber['status'] ?? 'unconfirmed',
+            ];
+
+            $local = $local_subscribers[$subscriber['id']] ?? null;
+            if (!$local) {
+                $changes[] = $this->make_change('subscriber', 'insert', $after['email'], null, null, $after, $subscriber['id']);
+                continue;
+            }
+
+            $before = array_map('strval', array_intersect_key($local, $after));
+            $changed = array_keys(array_diff_assoc($after, $before));
+            if (!empty($changed)) {
+                $changes[] = $this->make_change(
+                    'subscriber',
+                    'update',
+                    $after['email'],
+                    null,
+                    array_intersect_key($before, array_flip($changed)),
+                    array_intersect_key($after, array_flip($changed)),
+                    $subscriber['id']
+                );
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Lists the campaign tier memberships sync_single_campaign_group_subscribers() would add or change.
+     */
+    public function preview_single_campaign_group_subscribers(array $group, array $mailerlite_groups_map, ?array $group_subscribers = null): array
+    {
+        $rows = $this->build_campaign_group_subscriber_rows($group, $mailerlite_groups_map, $group_subscribers);
+
+        if (empty($rows)) {
+            return [];
+        }
+
+        $campaign_name = $this->utils->get_campaign_name_from_text($group['group_name']);
+        $existing = $this->campaign_group_subscribers_database->get_records_by_campaign((int) $rows[0]['campaign_id']);
+
+        $changes = [];
+        foreach ($rows as $row) {
+            $current = $existing[$row['subscriber_id']] ?? null;
+
+            if (!$current) {
+                $changes[] = $this->make_change('tier', 'add', $row['email'], $campaign_name, null, $row['subscriber_tier'], $row['subscriber_id']);
+            } elseif ($current['tier'] !== $row['subscriber_tier']) {
+                $changes[] = $this->make_change('tier', 'change', $row['email'], $campaign_name, $current['tier'], $row['subscriber_tier'], $row['subscriber_id']);
+            }
+        }
+
+        return $changes;
+    }
+
     // ========================================
     // PRIVATE SYNC METHODS
     // ========================================
 
+    private function make_change(string $type, string $action, string $target, ?string $campaign = null, $before = null, $after = null, $ref = null): array
+    {
+        return [
+            'type' => $type,
+            'action' => $action,
+            'target' => $target,
+            'campaign' => $campaign,
+            'before' => $before,
+            'after' => $after,
+            'ref' => $ref === null ? $target : (string) $ref,
+        ];
+    }
+
+    private function filter_by_subscriber_ids(array $records, string $key, array $subscriber_ids): array
+    {
+        $allowed = array_flip(array_map('strval', $subscriber_ids));
+
+        return array_values(array_filter($records, function ($record) use ($key, $allowed) {
+            return isset($allowed[(string) $record[$key]]);
+        }));
+    }
+
+    private function build_campaign_group_subscriber_rows(array $group, array $mailerlite_groups_map, ?array $group_subscribers = null): array
+    {
+        $group_details = $mailerlite_groups_map[strtoupper($group['group_name'])] ?? null;
+
+        if (!$group_details) {
+            return [];
+        }
+
+        if ($group_subscribers === null) {
+            $group_subscribers = $this->mailerLiteInstance->getGroupSubscribers($group['id']);
+        }
+
+        if (empty($group_subscribers)) {
+            return [];
+        }
+
+        $campaign_name = $this->utils->get_campaign_name_from_text($group['group_name']);
+        $campaign_data = $this->campaign_database->get_campaign_by_name($campaign_name);
+
+        if (empty($campaign_data['id'])) {
+            return [];
+        }
+
+        $rows = [];
+        $tier = $this->utils->get_tier_from_group_name($group['group_name']);
+        $field_id = $this->get_field_id_by_campaign($campaign_data['id']);
+
+        foreach ($group_subscribers as $subscriber) {
+            $rows[] = [
+                'campaign_id' => $campaign_data['id'],
+                'subscriber_id' => $subscriber['id'],
+                'email' => $subscriber['email'] ?? '',
+                'group_id' => $group['id'],
+                'field_id' => $field_id,
+                'subscriber_tier' => ucwords(strtolower($tier)),
+                'purchase_id' => $this->get_purchase_id_from_subscriber($subscriber, $campaign_name),
+            ];
+        }
+
+        return $rows;
+    }
+
     private function prepare_campaign_store(array $albums, array $custom_campaigns): array
     {
         $campaign_store_map = [];
@@ -413,7 +658,7 @@ class Sync_Manager
         return $campaign_store_map;
     }
 
-    private function process_campaigns(array $campaign_store_map, array $mailerlite_campaign_map): array
+    private function process_campaigns(array $campaign_store_map, array $mailerlite_campaign_map, ?array $allowed_new_campaigns = null): array
     {
         $campaigns_to_upsert = [];
 
@@ -422,7 +667,7 @@ class Sync_Manager
 
             if ($campaign_id) {
                 $campaigns_to_upsert[] = $this->format_campaign_for_upsert($campaign, $campaign_id);
-            } else {
+            } elseif ($allowed_new_campaigns === null || in_array($campaign['name'], $allowed_new_campaigns, true)) {
                 $campaign_id = $this->create_new_mailerlite_campaign($campaign);
                 if ($campaign_id) {
                     $campaigns_to_upsert[] = $this->format_campaign_for_upsert($campaign, $campaign_id);
@@ -468,13 +713,13 @@ class Sync_Manager
         }, $all_campaign_names);
     }
 
-    private function prepare_field_data_for_upsert(array $required_fields): array
+    private function prepare_field_data_for_upsert(array $required_fields, ?array $allowed_new_fields = null): array
     {
         $fields_to_upsert = [];
         $mailerlite_fields_map = $this->get_mailerlite_fields_map();
 
         foreach ($required_fields as $field_name) {
-            $field_id = $this->get_or_create_field($field_name, $mailerlite_fields_map);
+            $field_id = $this->get_or_create_field($field_name, $mailerlite_fields_map, $allowed_new_fields);
 
             if ($field_id) {
                 $campaign_id = $this->get_campaign_id_for_field($field_name);
@@ -499,12 +744,16 @@ class Sync_Manager
         return $fields_map;
     }
 
-    private function get_or_create_field(string $field_name, array $fields_map): ?string
+    private function get_or_create_field(string $field_name, array $fields_map, ?array $allowed_new_fields = null): ?string
     {
         if (isset($fields_map[$field_name])) {
             return $fields_map[$field_name];
         }
 
+        if ($allowed_new_fields !== null && !in_array($field_name, $allowed_new_fields, true)) {
+            return null;
+        }
+
         $new_field = $this->mailerLiteInstance->createField($field_name, 'number');
         return $new_field['id'] ?? null;
     }
@@ -0,0 +1,454 @@
+<?php
+namespace Bema;
+
+use DateTimeImmutable;
+use Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Recurring sync schedules configured from the Synchronize page.
+ *
+ * Every enabled schedule owns one single WP-Cron event at its next run time.
+ * When the event fires the schedule starts a sync job and books its following
+ * run; the job's outcome is recorded on the schedule once the job ends. Hourly
+ * and daily schedules are stored as the equivalent cron expression so there is
+ * only one way of computing run times, in the site's timezone.
+ */
+class Sync_Schedule_Manager
+{
+    public $job_manager;
+    public $logger;
+
+    const SCHEDULES_OPTION = 'bema_crm_sync_schedules';
+    const RUN_HOOK = 'bema_crm_scheduled_sync';
+    const TRIGGER_PREFIX = 'schedule:';
+
+    const TYPE_HOURLY = 'hourly';
+    const TYPE_DAILY = 'daily';
+    const TYPE_CRON = 'cron';
+
+    const RESULT_RUNNING = 'running';
+    const RESULT_SKIPPED = 'skipped';
+
+    /**
+     * Expressions that match nothing sooner than this are rejected
+     */
+    const MAX_LOOKAHEAD = 5 * YEAR_IN_SECONDS;
+
+    // ========================================
+    // PUBLIC SCHEDULE METHODS
+    // ========================================
+
+    /**
+     * Returns every schedule, ordered as they were created.
+     *
+     * @return array
+     */
+    public function get_schedules(): array
+    {
+        wp_cache_delete(self::SCHEDULES_OPTION, 'options');
+        $schedules = get_option(self::SCHEDULES_OPTION, []);
+
+        return is_array($schedules) ? array_values($schedules) : [];
+    }
+
+    /**
+     * @param string $schedule_id
+     * @return array|null
+     */
+    public function get_schedule(string $schedule_id): ?array
+    {
+        foreach ($this->get_schedules() as $schedule) {
+            if ($schedule['id'] === $schedule_id) {
+                return $schedule;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates an enabled schedule and books its first run.
+     *
+     * @param array $data label, campaigns (empty for all data), type, time (HH:MM, daily only) and expression (cron only).
+     * @return array The stored schedule.
+     * @throws Exception If the frequency, time or expression is invalid.
+     */
+    public function add_schedule(array $data): array
+    {
+        $type = $data['type'] ?? '';
+        $time = trim((string) ($data['time'] ?? ''));
+        $expression = $this->build_expression($type, $time, (string) ($data['expression'] ?? ''));
+        $campaigns = array_values(array_unique(array_filter((array) ($data['campaigns'] ?? []))));
+
+        $schedule = [
+            'id' => 'schedule_' . wp_generate_uuid4(),
+            'label' => trim((string) ($data['label'] ?? '')) ?: $this->describe_target($campaigns),
+            'campaigns' => $campaigns,
+            'type' => $type,
+            'time' => $type === self::TYPE_DAILY ? $time : null,
+            'expression' => $expression,
+            'enabled' => true,
+            'next_run' => $this->get_next_run($expression, time()),
+            'last_run' => null,
+            'last_sync_id' => null,
+            'last_status' => null,
+            'last_message' => null,
+            'created_at' => time(),
+        ];
+
+        $this->save_schedule($schedule);
+        $this->schedule_event($schedule);
+
+        $this->logger->info('Sync schedule added', [
+            'schedule_id' => $schedule['id'],
+            'expression' => $expression,
+            'campaigns' => $campaigns
+        ]);
+
+        return $schedule;
+    }
+
+    /**
+     * Turns a schedule on or off without losing its settings or last result.
+     *
+     * @param string $schedule_id
+     * @param bool $enabled
+     * @return array The stored schedule.
+     * @throws Exception If the schedule does not exist.
+     */
+    public function set_enabled(string $schedule_id, bool $enabled): array
+    {
+        $schedule = $this->get_schedule_or_fail($schedule_id);
+
+        $this->unschedule_event($schedule_id);
+        $schedule['enabled'] = $enabled;
+        $schedule['next_run'] = $enabled ? $this->get_next_run($schedule['expression'], time()) : null;
+
+        $this->save_schedule($schedule);
+
+        if ($enabled) {
+            $this->schedule_event($schedule);
+        }
+
+        $this->logger->info($enabled ? 'Sync schedule enabled' : 'Sync schedule disabled', [
+            'schedule_id' => $schedule_id
+        ]);
+
+        return $schedule;
+    }
+
+    /**
+     * @param string $schedule_id
+     * @return void
+     * @throws Exception If the schedule does not exist.
+     */
+    public function delete_schedule(string $schedule_id): void
+    {
+        $this->get_schedule_or_fail($schedule_id);
+        $this->unschedule_event($schedule_id);
+
+        $schedules = array_filter($this->get_schedules(), function ($schedule) use ($schedule_id) {
+            return $schedule['id'] !== $schedule_id;
+        });
+        update_option(self::SCHEDULES_OPTION, array_values($schedules), false);
+
+        $this->logger->info('Sync schedule deleted', ['schedule_id' => $schedule_id]);
+    }
+
+    /**
+     * WP-Cron callback: starts the scheduled sync and books the next run.
+     *
+     * A run that finds another sync still active is recorded as skipped rather
+     * than queued, so a slow sync never piles up scheduled runs behind it.
+     *
+     * @param string $schedule_id
+     * @return void
+     */
+    public function run(string $schedule_id): void
+    {
+        $schedule = $this->get_schedule($schedule_id);
+        if (!$schedule || !$schedule['enabled']) {
+            return;
+        }
+
+        // Book the next run first so a failed start never ends the schedule
+        $schedule['last_run'] = time();
+        $schedule['next_run'] = $this->get_next_run($schedule['expression'], time());
+        $this->schedule_event($schedule);
+
+        try {
+            $job = $this->job_manager->start($schedule['campaigns'], self::TRIGGER_PREFIX . $schedule_id);
+
+            $schedule['last_sync_id'] = $job['sync_id'];
+            $schedule['last_status'] = self::RESULT_RUNNING;
+            $schedule['last_message'] = 'Sync started';
+        } catch (Exception $e) {
+            $schedule['last_sync_id'] = null;
+            $schedule['last_status'] = self::RESULT_SKIPPED;
+            $schedule['last_message'] = $e->getMessage();
+
+            $this->logger->warning('Scheduled sync skipped', [
+                'schedule_id' => $schedule_id,
+                'reason' => $e->getMessage()
+            ]);
+        }
+
+        $this->save_schedule($schedule);
+    }
+
+    /**
+     * Records how a job started by a schedule ended.
+     *
+     * @param array $job The finished job, as passed with Sync_Job_Manager::FINISHED_HOOK.
+     * @return void
+     */
+    public function record_result(array $job): void
+    {
+        $trigger = (string) ($job['trigger'] ?? '');
+        if (strpos($trigger, self::TRIGGER_PREFIX) !== 0) {
+            return;
+        }
+
+        $schedule = $this->get_schedule(substr($trigger, strlen(self::TRIGGER_PREFIX)));
+        if (!$schedule || $schedule['last_sync_id'] !== $job['sync_id']) {
+            return;
+        }
+
+        $schedule['last_status'] = $job['status'];
+        $schedule['last_message'] = $job['message'];
+        $this->save_schedule($schedule);
+    }
+
+    /**
+     * Books the next run of every enabled schedule that has no cron event,
+     * e.g. after the plugin was deactivated and activated again.
+     *
+     * @return void
+     */
+    public function restore_events(): void
+    {
+        foreach ($this->get_schedules() as $schedule) {
+            if (!$schedule['enabled'] || wp_next_scheduled(self::RUN_HOOK, [$schedule['id']])) {
+                continue;
+            }
+
+            try {
+                $schedule['next_run'] = $this->get_next_run($schedule['expression'], time());
+                $this->save_schedule($schedule);
+                $this->schedule_event($schedule);
+            } catch (Exception $e) {
+                $this->logger->error('Failed to restore sync schedule', [
+                    'schedule_id' => $schedule['id'],
+                    'error' => $e->getMessage()
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Returns the first matching minute strictly after the given time.
+     *
+     * Supports the five standard fields with *, lists, ranges and steps. As in
+     * cron, a day matches either the day of month or the weekday when both are
+     * restricted.
+     *
+     * @param string $expression Cron expression (minute hour day month weekday).
+     * @param int $after Unix timestamp.
+     * @return int Unix timestamp.
+     * @throws Exception If the expression is invalid or never matches.
+     */
+    public function get_next_run(string $expression, int $after): int
+    {
+        $cron = $this->parse_expression($expression);
+        $limit = $after + self::MAX_LOOKAHEAD;
+
+        $time = (new DateTimeImmutable('@' . $after))->setTimezone(wp_timezone());
+        $time = $time->setTime((int) $time->format('G'), (int) $time->format('i'))->modify('+1 minute');
+
+        while ($time->getTimestamp() <= $limit) {
+            if (!isset($cron['month'][(int) $time->format('n')])) {
+                $time = $time->modify('first day of next month')->setTime(0, 0);
+            } elseif (!$this->matches_day($cron, $time)) {
+                $time = $time->modify('+1 day')->setTime(0, 0);
+            } elseif (!isset($cron['hour'][(int) $time->format('G')])) {
+                $time = $time->setTime((int) $time->format('G'), 0)->modify('+1 hour');
+            } elseif (!isset($cron['minute'][(int) $time->format('i')])) {
+                $time = $time->modify('+1 minute');
+            } else {
+                return $time->getTimestamp();
+            }
+        }
+
+        throw new Exception("The cron expression \"{$expression}\" never runs.");
+    }
+
+    /**
+     * Human readable frequency for the schedules table.
+     *
+     * @param array $schedule
+     * @return string
+     */
+    public function describe_frequency(array $schedule): string
+    {
+        switch ($schedule['type']) {
+            case self::TYPE_HOURLY:
+                return 'Every hour';
+            case self::TYPE_DAILY:
+                return 'Daily at ' . $schedule['time'];
+            default:
+                return 'Cron: ' . $schedule['expression'];
+        }
+    }
+
+    // ========================================
+    // PRIVATE SCHEDULE METHODS
+    // ========================================
+
+    private function get_schedule_or_fail(string $schedule_id): array
+    {
+        $schedule = $this->get_schedule($schedule_id);
+        if (!$schedule) {
+            throw new Exception('This schedule no longer exists.');
+        }
+
+        return $schedule;
+    }
+
+    /**
+     * Stores a schedule in place, re-reading the option so concurrent saves of
+     * other schedules are kept.
+     */
+    private function save_schedule(array $schedule): void
+    {
+        $schedules = $this->get_schedules();
+        $found = false;
+
+        foreach ($schedules as $index => $stored) {
+            if ($stored['id'] === $schedule['id']) {
+                $schedules[$index] = $schedule;
+                $found = true;
+                break;
+            }
+        }
+
+        if (!$found) {
+            $schedules[] = $schedule;
+        }
+
+        update_option(self::SCHEDULES_OPTION, $schedules, false);
+    }
+
+    private function schedule_event(array $schedule): void
+    {
+        $this->unschedule_event($schedule['id']);
+        wp_schedule_single_event($schedule['next_run'], self::RUN_HOOK, [$schedule['id']]);
+    }
+
+    private function unschedule_event(string $schedule_id): void
+    {
+        wp_clear_scheduled_hook(self::RUN_HOOK, [$schedule_id]);
+    }
+
+    private function build_expression(string $type, string $time, string $expression): string
+    {
+        switch ($type) {
+            case self::TYPE_HOURLY:
+                return '0 * * * *';
+
+            case self::TYPE_DAILY:
+                if (!preg_match('/^([01]?\d|2[0-3]):([0-5]\d)$/', $time, $matches)) {
+                    throw new Exception('Enter the daily run time as HH:MM.');
+                }
+                return (int) $matches[2] . ' ' . (int) $matches[1] . ' * * *';
+
+            case self::TYPE_CRON:
+                $expression = preg_replace('/\s+/', ' ', trim($expression));
+                $this->parse_expression($expression);
+                return $expression;
+
+            default:
+                throw new Exception('Choose how often the sync should run.');
+        }
+    }
+
+    private function describe_target(array $campaigns): string
+    {
+        return empty($campaigns) ? 'All data' : implode(', ', $campaigns);
+    }
+
+    private function parse_expression(string $expression): array
+    {
+        $parts = preg_split('/\s+/', trim($expression));
+        if (count($parts) !== 5) {
+            throw new Exception('A cron expression needs five fields: minute, hour, day of month, month and day of week.');
+        }
+
+        $weekday = $this->parse_field($parts[4], 0, 7);
+        // Both 0 and 7 mean Sunday
+        if (isset($weekday[7])) {
+            $weekday[0] = true;
+            unset($weekday[7]);
+        }
+
+        return [
+            'minute' => $this->parse_field($parts[0], 0, 59),
+            'hour' => $this->parse_field($parts[1], 0, 23),
+            'day' => $this->parse_field($parts[2], 1, 31),
+            'month' => $this->parse_field($parts[3], 1, 12),
+            'weekday' => $weekday,
+            'day_restricted' => $parts[2][0] !== '*',
+            'weekday_restricted' => $parts[4][0] !== '*',
+        ];
+    }
+
+    /**
+     * @return array Matching values as keys
+     */
+    private function parse_field(string $field, int $min, int $max): array
+    {
+        $values = [];
+
+        foreach (explode(',', $field) as $item) {
+            if (!preg_match('/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/', $item, $matches)) {
+                throw new Exception("Invalid cron field \"{$field}\".");
+            }
+
+            $step = ($matches[4] ?? '') !== '' ? (int) $matches[4] : 1;
+
+            if (($matches[1] ?? '') === '*') {
+                $start = $min;
+                $end = $max;
+            } else {
+                $start = (int) $matches[2];
+                // "5/15" runs from 5 to the end of the range
+                $end = ($matches[3] ?? '') !== '' ? (int) $matches[3] : (($matches[4] ?? '') !== '' ? $max : $start);
+            }
+
+            if ($start < $min || $end > $max || $start > $end || $step < 1) {
+                throw new Exception("Cron field \"{$field}\" must stay within {$min}-{$max}.");
+            }
+
+            for ($value = $start; $value <= $end; $value += $step) {
+                $values[$value] = true;
+            }
+        }
+
+        return $values;
+    }
+
+    private function matches_day(array $cron, DateTimeImmutable $time): bool
+    {
+        $day = isset($cron['day'][(int) $time->format('j')]);
+        $weekday = isset($cron['weekday'][(int) $time->format('w')]);
+
+        if ($cron['day_restricted'] && $cron['weekday_restricted']) {
+            return $day || $weekday;
+        }
+
+        return $day && $weekday;
+    }
+}
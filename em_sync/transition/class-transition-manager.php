@@ -45,9 +45,15 @@ class Transition_Manager
 
     /**
      * Transitions subscribers between campaigns based on defined rules.
+     *
+     * @param string $source_campaign_name
+     * @param string $destination_campaign_name
+     * @param int[]|null $subscriber_ids Only these subscribers, e.g. a segment's; null for all.
      */
-    public function transition_campaigns(string $source_campaign_name, string $destination_campaign_name)
+    public function transition_campaigns(string $source_campaign_name, string $destination_campaign_name, ?array $subscriber_ids = null)
     {
+        Bema_CRM_Logger::beginOperation('transition');
+
         try {
             if (!current_user_can('manage_options')) {
                 wp_die('You do not have permission to perform this action.');
@@ -64,15 +70,18 @@ class Transition_Manager
 
             $transition_id = $this->transition_database->insert_record($source_campaign_id, $destination_campaign_id, "Complete", 0);
             $transfer_count = 0;
+            $only_subscribers = $subscriber_ids !== null ? array_flip(array_map('intval', $subscriber_ids)) : null;
 
             foreach ($transition_rules as $rule) {
-                $transfer_count += $this->processTransitionRule($rule, $source_campaign_name, $destination_campaign_name, $transition_id);
+                $transfer_count += $this->processTransitionRule($rule, $source_campaign_name, $destination_campaign_name, $transition_id, $only_subscribers);
             }
 
             $this->transition_database->upsert_record($transition_id, "Complete", $transfer_count);
 
         } catch (Exception $e) {
             $this->logger->error('Error transitioning campaigns', ['error' => $e->getMessage()]);
+        } finally {
+            Bema_CRM_Logger::endOperation();
         }
     }
 
@@ -110,7 +119,10 @@ class Transition_Manager
         return $campaign_name . '_' . $normalized_tier;
     }
 
-    private function processTransitionRule(array $rule, string $source_campaign_name, string $destination_campaign_name, int $transition_id): int
+    /**
+     * @param array|null $only_subscribers Subscriber id => anything, to leave the others in the source group.
+     */
+    private function processTransitionRule(array $rule, string $source_campaign_name, string $destination_campaign_name, int $transition_id, ?array $only_subscribers = null): int
     {
         $normalize_current_tier = $this->normalizeTierName($rule['current_tier']);
         $normalize_next_tier = $this->normalizeTierName($rule['next_tier']);
@@ -130,6 +142,12 @@ class Transition_Manager
         }
 
         $subscribers = $this->mailerLiteInstance->getGroupSubscribers($source_group['id']);
+
+        if ($only_subscribers !== null) {
+            $subscribers = array_values(array_filter($subscribers, function ($subscriber) use ($only_subscribers) {
+                return isset($only_subscribers[(int) $subscriber['id']]);
+            }));
+        }
         
         if (empty($subscribers)) {
             $this->logger->info("No subscribers found in group '{$source_group_name}'");
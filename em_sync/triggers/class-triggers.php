@@ -51,34 +51,55 @@ class Triggers
         add_action('before_delete_post', [$this, 'capture_deleted_album_title']);
 
 
-        // WP-Cron
+        // WP-Cron, each handler run logged as its own operation
 
         // Schedule WP-Cron after deletion
         add_action('deleted_post', [$this, 'schedule_deleted_album_via_cron']);
 
         // WP-Cron hook to handle the update of purchase field on mailerlite
-        add_action('bema_handle_order_purchase_field_update', [$this, 'handle_order_purchase_field_update_via_cron'], 10, 3);
+        $this->add_cron_action('bema_handle_order_purchase_field_update', 'handle_order_purchase_field_update_via_cron', 3);
 
         // WP-Cron hook to handle the creation of purchase field asynchronously
-        add_action('bema_create_groups_on_album_publish', [$this, 'handle_create_groups_via_cron'], 10, 1);
+        $this->add_cron_action('bema_create_groups_on_album_publish', 'handle_create_groups_via_cron', 1);
 
         // WP-Cron hook to handle the creation of purchase field on mailerlite
-        add_action('bema_create_purchase_field_on_album_publish', [$this, 'handle_create_purchase_field_via_cron'], 10, 1);
+        $this->add_cron_action('bema_create_purchase_field_on_album_publish', 'handle_create_purchase_field_via_cron', 1);
 
         // WP-Cron hook to handle deletion of album groups/campaigns on mailerlite
-        add_action('bema_handle_deleted_album', [$this, 'handle_deleted_album_cron'], 10, 2);
+        $this->add_cron_action('bema_handle_deleted_album', 'handle_deleted_album_cron', 2);
         
         // WP-Cron hook to handle creation of custom campaigns
-        add_action('bema_create_custom_campaign', [$this, 'handle_create_custom_campaign_via_cron'], 10, 1);
+        $this->add_cron_action('bema_create_custom_campaign', 'handle_create_custom_campaign_via_cron', 1);
         
         // WP-Cron hook to handle deletion of custom campaigns
-        add_action('bema_delete_custom_campaign', [$this, 'handle_delete_custom_campaign_via_cron'], 10, 1);
+        $this->add_cron_action('bema_delete_custom_campaign', 'handle_delete_custom_campaign_via_cron', 1);
         
         // WP-Cron hook to handle creation of purchase fields for custom campaigns
-        add_action('bema_create_custom_campaign_purchase_field', [$this, 'handle_create_custom_campaign_purchase_field_via_cron'], 10, 1);
+        $this->add_cron_action('bema_create_custom_campaign_purchase_field', 'handle_create_custom_campaign_purchase_field_via_cron', 1);
         
         // WP-Cron hook to handle deletion of purchase fields for custom campaigns
-        add_action('bema_delete_custom_campaign_purchase_field', [$this, 'handle_delete_custom_campaign_purchase_field_via_cron'], 10, 1);
+        $this->add_cron_action('bema_delete_custom_campaign_purchase_field', 'handle_delete_custom_campaign_purchase_field_via_cron', 1);
+    }
+
+    /**
+     * Registers a WP-Cron handler whose log entries share one correlation id per run.
+     *
+     * @param string $hook The cron hook.
+     * @param string $method The handler method on this class.
+     * @param int $accepted_args Number of arguments the hook passes.
+     * @return void
+     */
+    private function add_cron_action(string $hook, string $method, int $accepted_args): void
+    {
+        add_action($hook, function (...$args) use ($hook, $method) {
+            Bema_CRM_Logger::beginOperation($hook);
+
+            try {
+                $this->$method(...$args);
+            } finally {
+                Bema_CRM_Logger::endOperation();
+            }
+        }, 10, $accepted_args);
     }
 
     /**
@@ -11,6 +11,9 @@ use Bema\Providers\EDD;
 use Bema\Sync_Manager;
 use Bema\Transition_Manager;
 use Bema\Manager_Factory;
+use Bema\Database\Sync_Log_Database_Manager;
+use Bema\Database\Subscribers_Database_Manager;
+use Bema\Database\Segment_Database_Manager;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -34,12 +37,31 @@ class Bema_Admin_Interface
     private $sync_db_manager;
     private $sync_manager;
     private $transition_manager;
+    private $sync_job_manager;
+    private $sync_log_database;
 
     const MENU_SLUG = 'bema-dashboard';
     const CAPABILITY = 'manage_options';
     const NONCE_ACTION = 'bema_admin_action';
     const AJAX_NONCE = 'bema_ajax_nonce';
 
+    /**
+     * Rows the Sync Logs table loads per scroll batch and per live-tail request
+     */
+    const LOGS_BATCH_SIZE = 100;
+    const LOGS_TAIL_LIMIT = 200;
+
+    /**
+     * User meta holding each user's saved Sync Logs views
+     */
+    const LOG_VIEWS_META = 'bema_sync_log_views';
+    const LOG_VIEWS_LIMIT = 50;
+
+    /**
+     * Page sizes offered by the Database page subscriber grid, the first one being the default
+     */
+    const SUBSCRIBER_PAGE_SIZES = [25, 10, 50, 100];
+
     // Status constants
     const STATUS_SUCCESS = 'success';
     const STATUS_ERROR = 'error';
@@ -85,6 +107,8 @@ class Bema_Admin_Interface
         try {
             $this->sync_manager = Manager_Factory::get_sync_manager();
             $this->transition_manager = Manager_Factory::get_transition_manager();
+            $this->sync_job_manager = Manager_Factory::get_sync_job_manager();
+            $this->sync_log_database = Manager_Factory::get_sync_log_database_manager();
             $this->logger->debug('New managers initialized successfully', []);
         } catch (Exception $e) {
             $this->logger->error('Failed to initialize new managers: ' . $e->getMessage(), []);
@@ -227,8 +251,57 @@ class Bema_Admin_Interface
             add_action('admin_post_bema_create_campaign', [$this, 'handle_create_campaign']);
             add_action('wp_ajax_update_campaign', [$this, 'handle_campaign_update']);
             add_action('wp_ajax_delete_campaign', [$this, 'handle_campaign_delete']);
+            add_action('wp_ajax_bema_get_subscribers', [$this, 'handle_get_subscribers']);
+            add_action('wp_ajax_bema_get_subscriber_details', [$this, 'handle_get_subscriber_details']);
+            add_action('wp_ajax_bema_start_bulk_action', [$this, 'handle_start_bulk_action']);
+            add_action('wp_ajax_bema_get_bulk_action_status', [$this, 'handle_get_bulk_action_status']);
+            add_action('wp_ajax_bema_undo_bulk_action', [$this, 'handle_undo_bulk_action']);
+            add_action('wp_ajax_bema_download_bulk_export', [$this, 'handle_download_bulk_export']);
+            add_action('wp_ajax_bema_upload_import_file', [$this, 'handle_upload_import_file']);
+            add_action('wp_ajax_bema_preview_import', [$this, 'handle_preview_import']);
+            add_action('wp_ajax_bema_start_import', [$this, 'handle_start_import']);
+            add_action('wp_ajax_bema_get_import_status', [$this, 'handle_get_import_status']);
+            add_action('wp_ajax_bema_get_duplicate_cluster', [$this, 'handle_get_duplicate_cluster']);
+            add_action('wp_ajax_bema_merge_subscribers', [$this, 'handle_merge_subscribers']);
+            add_action('wp_ajax_bema_save_segment', [$this, 'handle_save_segment']);
+            add_action('wp_ajax_bema_delete_segment', [$this, 'handle_delete_segment']);
+            add_action('wp_ajax_bema_count_segment', [$this, 'handle_count_segment']);
+            add_action('wp_ajax_bema_start_segment_draft', [$this, 'handle_start_segment_draft']);
+            add_action('wp_ajax_bema_get_segment_draft_status', [$this, 'handle_get_segment_draft_status']);
+            add_action('wp_ajax_bema_stream_subscriber_export', [$this, 'handle_stream_subscriber_export']);
+            add_action('wp_ajax_bema_start_subscriber_export', [$this, 'handle_start_subscriber_export']);
+            add_action('wp_ajax_bema_get_subscriber_export_status', [$this, 'handle_get_subscriber_export_status']);
+            add_action('wp_ajax_bema_download_subscriber_export', [$this, 'handle_download_subscriber_export']);
             add_action('wp_ajax_bema_debug_log', [$this, 'handle_debug_log']);
             add_action('wp_ajax_bema_get_sync_status', [$this, 'handle_get_sync_status']);
+            add_action('wp_ajax_bema_start_sync', [$this, 'handle_start_sync']);
+            add_action('wp_ajax_bema_stop_sync', [$this, 'handle_stop_sync']);
+            add_action('wp_ajax_bema_pause_sync', [$this, 'handle_pause_sync']);
+            add_action('wp_ajax_bema_resume_sync', [$this, 'handle_resume_sync']);
+            add_action('wp_ajax_bema_preview_sync', [$this, 'handle_preview_sync']);
+            add_action('wp_ajax_bema_get_sync_plan', [$this, 'handle_get_sync_plan']);
+            add_action('wp_ajax_bema_apply_sync_plan', [$this, 'handle_apply_sync_plan']);
+            add_action('wp_ajax_bema_retry_failed', [$this, 'handle_retry_failed']);
+            add_action('wp_ajax_bema_discard_failed', [$this, 'handle_discard_failed']);
+            add_action('wp_ajax_bema_skip_sync_campaign', [$this, 'handle_skip_sync_campaign']);
+            add_action('wp_ajax_bema_reorder_sync_queue', [$this, 'handle_reorder_sync_queue']);
+            add_action('wp_ajax_bema_sync_stream', [$this, 'handle_sync_stream']);
+            add_action('wp_ajax_bema_sync_poll', [$this, 'handle_sync_poll']);
+            add_action('wp_ajax_bema_get_sync_logs', [$this, 'handle_get_sync_logs']);
+            add_action('wp_ajax_bema_filter_logs', [$this, 'handle_filter_logs']);
+            add_action('wp_ajax_bema_get_log_details', [$this, 'handle_get_log_details']);
+            add_action('wp_ajax_bema_get_log_timelines', [$this, 'handle_get_log_timelines']);
+            add_action('wp_ajax_bema_get_log_timeline', [$this, 'handle_get_log_timeline']);
+            add_action('wp_ajax_bema_get_error_groups', [$this, 'handle_get_error_groups']);
+            add_action('wp_ajax_bema_save_log_view', [$this, 'handle_save_log_view']);
+            add_action('wp_ajax_bema_delete_log_view', [$this, 'handle_delete_log_view']);
+            add_action('wp_ajax_bema_update_error_group', [$this, 'handle_update_error_group']);
+            add_action('wp_ajax_bema_download_logs', [$this, 'handle_download_logs']);
+            add_action('wp_ajax_bema_log_export_progress', [$this, 'handle_log_export_progress']);
+            add_action('wp_ajax_bema_preview_log_purge', [$this, 'handle_preview_log_purge']);
+            add_action('wp_ajax_bema_purge_logs', [$this, 'handle_purge_logs']);
+            add_action('wp_ajax_bema_download_log_archive', [$this, 'handle_download_log_archive']);
+            add_action('wp_ajax_bema_restore_log_archive', [$this, 'handle_restore_log_archive']);
 
             $this->current_tab = $_GET['tab'] ?? 'general';
             $initialized = true;
@@ -307,6 +380,14 @@ class Bema_Admin_Interface
             ];
         }
 
+        if ($this->has_sync_capability()) {
+            $submenus['bema-sync-logs'] = [
+                'title' => __('Sync Logs', 'bema-crm'),
+                'menu_title' => __('Sync Logs', 'bema-crm'),
+                'callback' => 'render_sync_logs_page'
+            ];
+        }
+
         if ($this->has_sync_capability()) {
             $submenus['bema-transitions'] = [
                 'title' => __('Campaign Transitions', 'bema-crm'),
@@ -381,6 +462,16 @@ class Bema_Admin_Interface
                 );
             }
 
+            // Sync Logs page assets
+            if ( isset($_GET['page']) && $_GET['page'] === 'bema-sync-logs' ) {
+                wp_enqueue_style(
+                    'bema-sync-logs-style',
+                    plugins_url('assets/css/sync-logs.css', BEMA_FILE),
+                    [],
+                    BEMA_VERSION
+                );
+            }
+
             // Campaigns page assets
             if ( isset($_GET['page']) && $_GET['page'] === 'bema-campaigns' ) {
                 wp_enqueue_style(
@@ -474,7 +565,55 @@ class Bema_Admin_Interface
                 wp_enqueue_script(
                     'bema-crm-database-script',
                     plugins_url('assets/js/database/admin-database-table.js', BEMA_FILE),
-                    ['jquery'],
+                    ['jquery', 'bema-admin-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-subscriber-drawer',
+                    plugins_url('assets/js/database/subscriber-drawer.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-subscriber-bulk-actions',
+                    plugins_url('assets/js/database/subscriber-bulk-actions.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-crm-database-script'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-subscriber-import',
+                    plugins_url('assets/js/database/subscriber-import.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-crm-database-script'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-subscriber-duplicates',
+                    plugins_url('assets/js/database/subscriber-duplicates.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-subscriber-export',
+                    plugins_url('assets/js/database/subscriber-export.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-crm-database-script'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-crm-segment-builder',
+                    plugins_url('assets/js/database/segment-builder.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js'],
                     BEMA_VERSION,
                     true
                 );
@@ -491,12 +630,55 @@ class Bema_Admin_Interface
             }
 
 
+            // The log table follows new sync log lines through the shared progress stream
+            if ( isset($_GET['page']) && $_GET['page'] === 'bema-sync-logs' ) {
+                wp_enqueue_script(
+                    'bema-sync-stream-js',
+                    plugins_url('assets/js/modules/sync-stream.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-sync-logs-js',
+                    plugins_url('assets/js/modules/logs.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-sync-stream-js'],
+                    BEMA_VERSION,
+                    true
+                );
+            }
+
             // Module scripts for sync manager
             if (strpos($hook, 'bema-dashboard') !== false) {
+                wp_enqueue_script(
+                    'bema-sync-stream-js',
+                    plugins_url('assets/js/modules/sync-stream.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
                 wp_enqueue_script(
                     'bema-sync-js',
                     plugins_url('assets/js/modules/sync.js', BEMA_FILE),
-                    ['jquery', 'bema-admin-js'],
+                    ['jquery', 'bema-admin-js', 'bema-sync-stream-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-sync-plan-js',
+                    plugins_url('assets/js/modules/sync-plan.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-sync-js'],
+                    BEMA_VERSION,
+                    true
+                );
+
+                wp_enqueue_script(
+                    'bema-sync-failures-js',
+                    plugins_url('assets/js/modules/sync-failures.js', BEMA_FILE),
+                    ['jquery', 'bema-admin-js', 'bema-sync-js'],
                     BEMA_VERSION,
                     true
                 );
@@ -508,13 +690,18 @@ class Bema_Admin_Interface
                     'strings' => [
                         'confirmStop' => __('Are you sure you want to stop the sync?', 'bema-crm'),
                         'confirmRetry' => __('Are you sure you want to retry failed jobs?', 'bema-crm'),
+                        'confirmApply' => __('Apply the previewed changes to MailerLite and the local tables?', 'bema-crm'),
+                        'confirmDiscard' => __('Discard the selected failed steps? They will not be retried.', 'bema-crm'),
+                        'syncHeldBy' => __('%s is running a sync. You can start a new one once it finishes.', 'bema-crm'),
+                        'syncPausedBy' => __('%s paused their sync. It has to be resumed or stopped before a new one can start.', 'bema-crm'),
                         'noSelection' => __('Please select at least one campaign', 'bema-crm'),
                         'confirmGroupSync' => __('Are you sure you want to sync campaign groups? This may take a few minutes.', 'bema-crm')
                     ],
                     'debug' => [
                         'enabled' => true
                     ],
-                    'validCampaigns' => $this->campaign_manager ? $this->campaign_manager->get_all_valid_campaigns() : []
+                    'validCampaigns' => $this->get_sync_campaign_names(),
+                    'currentUserId' => get_current_user_id()
                 ]);
             }
 
@@ -588,6 +775,8 @@ class Bema_Admin_Interface
             $progress = $total > 0 ? min(100, round(($processed / $total) * 100)) : 0;
             $failed_jobs = $this->get_failed_jobs();
             $max_retries = $this->max_retries;
+            $sync_campaigns = $this->get_sync_campaign_names();
+            $sync_plan = $this->sync_job_manager->get_plan();
 
             // Set up dashboard statistics - provide default values if methods don't exist
             $campaign_stats = [
@@ -630,6 +819,7 @@ class Bema_Admin_Interface
     public function render_synchronize_page(): void
     {
         try {
+            $sync_campaigns = $this->get_sync_campaign_names();
             require_once BEMA_PATH . 'includes/admin/views/synchronize.php';
         } catch (Exception $e) {
             $this->add_admin_notice(
@@ -642,6 +832,39 @@ class Bema_Admin_Interface
         }
     }
 
+    public function render_sync_logs_page(): void
+    {
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $log_filters = $this->get_log_filters($_GET);
+
+            // The search box holds a query BemaLogs parses, so with one set the browser loads the rows
+            $log_batch = empty($log_filters['search'])
+                ? $this->get_log_batch($log_filters)
+                : ['logs' => [], 'has_more' => false, 'total' => 0, 'last_id' => 0];
+
+            // Values offered by the query autocomplete
+            $log_query_values = [];
+            foreach (['status', 'level', 'campaign', 'source', 'operation'] as $column) {
+                $log_query_values[$column] = $this->sync_log_database->get_distinct_values($column);
+            }
+            $log_statuses = $log_query_values['status'];
+            $log_campaigns = $log_query_values['campaign'];
+            $log_archives = array_map([$this, 'format_log_archive'], $this->sync_log_database->get_archives());
+            $log_views = $this->get_log_views();
+            $log_retention_days = (int) ($this->settings->get_settings()['logging']['retention_days'] ?? 30);
+            $sync_status = $this->get_sync_status_data();
+
+            require_once BEMA_PATH . 'includes/admin/views/sync-logs.php';
+        } catch (Exception $e) {
+            $this->logger->log('Failed to render sync logs page', 'error', [
+                'error' => $e->getMessage()
+            ]);
+            wp_die('Error loading sync logs page: ' . esc_html($e->getMessage()));
+        }
+    }
+
     public function render_database_page(): void
     {
         try {
@@ -874,14 +1097,13 @@ class Bema_Admin_Interface
     private function get_failed_jobs(): array
     {
         try {
-            if (!$this->sync_instance) {
+            if (!$this->sync_job_manager) {
                 return [];
             }
-            
-            $error_logs = $this->sync_instance->getErrorLogs();
-            return is_array($error_logs) ? $error_logs : [];
+
+            return $this->sync_job_manager->get_status()['failed_units'];
         } catch (Exception $e) {
-            $this->logger->log('Failed to get failed jobs', 'error', [
+            $this->logger->error('Failed to get failed jobs', [
                 'error' => $e->getMessage()
             ]);
             return [];
@@ -891,44 +1113,61 @@ class Bema_Admin_Interface
     private function get_sync_status_data(): array
     {
         try {
-            if (!$this->sync_instance) {
+            if (!$this->sync_job_manager) {
                 return [];
             }
 
-            $status = $this->sync_instance->getCurrentProgress();
-
-            // Add detailed campaign progress
-            if (isset($status['current_campaign'])) {
-                $campaign_progress = [];
-                if (isset($status['campaign_progress'][$status['current_campaign']])) {
-                    $campaign_progress = [
-                        'campaign_number' => $status['campaign_number'] ?? 1,
-                        'total_campaigns' => $status['total_campaigns'] ?? 1,
-                        'current_group' => $status['current_group'] ?? '',
-                        'current_page' => $status['current_page'] ?? 1,
-                        'total_pages_processed' => $status['total_pages_processed'] ?? 0,
-                        'group_progress' => $status['campaign_progress'][$status['current_campaign']] ?? []
-                    ];
-                }
-                $status['campaign_details'] = $campaign_progress;
-            }
+            return $this->sync_job_manager->get_status();
+        } catch (Exception $e) {
+            $this->logger->error('Failed to get sync status data', [
+                'error' => $e->getMessage()
+            ]);
+            return [];
+        }
+    }
 
-            // Add performance metrics
-            $status['performance'] = [
-                'memory_usage' => $status['memory_usage'] ?? '0 MB',
-                'peak_memory' => $status['peak_memory'] ?? '0 MB',
-                'start_time' => $status['start_time'] ?? 0,
-                'duration' => isset($status['start_time']) ?
-                    time() - $status['start_time'] : 0
-            ];
+    /**
+     * Campaign names a sync can be limited to.
+     */
+    private function get_sync_campaign_names(): array
+    {
+        $names = $this->campaign_manager ? $this->campaign_manager->get_all_valid_campaigns() : [];
 
-            return $status;
+        try {
+            $campaigns = Manager_Factory::get_campaign_database_manager()->get_all_campaigns();
+            $names = array_merge($names, array_column($campaigns, 'campaign'));
         } catch (Exception $e) {
-            $this->logger->log('Failed to get sync status data', 'error', [
+            $this->logger->error('Failed to load campaign names', [
                 'error' => $e->getMessage()
             ]);
-            return [];
         }
+
+        return array_values(array_unique($names));
+    }
+
+    /**
+     * Campaigns posted by BemaSync.getSelectedCampaigns, in queue order.
+     *
+     * Sends the JSON error and returns null when a campaign is unknown.
+     */
+    private function get_requested_sync_campaigns(): ?array
+    {
+        // Campaigns arrive as JSON objects from BemaSync.getSelectedCampaigns
+        $requested = isset($_POST['campaigns']) ? json_decode(wp_unslash($_POST['campaigns']), true) : [];
+        $requested = is_array($requested) ? $requested : [];
+
+        $valid_campaigns = $this->get_sync_campaign_names();
+        $campaigns = [];
+        foreach ($requested as $campaign) {
+            $name = sanitize_text_field(is_array($campaign) ? ($campaign['name'] ?? '') : $campaign);
+            if (!in_array($name, $valid_campaigns, true)) {
+                wp_send_json_error(['message' => sprintf('Unknown campaign: %s', $name)]);
+                return null;
+            }
+            $campaigns[] = $name;
+        }
+
+        return $campaigns;
     }
 
     // Utility methods
@@ -1424,14 +1663,14 @@ class Bema_Admin_Interface
     }
 
     /**
-     * Handle campaign deletion AJAX requests
+     * Handle AJAX request to start a background sync job
      * 
      * @return void
      */
-    public function handle_campaign_delete(): void
+    public function handle_start_sync(): void
     {
         // Verify nonce for security
-        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_campaign_nonce')) {
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
             wp_send_json_error(['message' => 'Invalid nonce']);
             return;
         }
@@ -1442,24 +1681,2054 @@ class Bema_Admin_Interface
             return;
         }
 
-        $campaign_id = intval($_POST['campaign_id']);
+        try {
+            $settings = get_option('bema_crm_settings', []);
+            if (empty($settings['api']['mailerlite_api_key'])) {
+                wp_send_json_error(['message' => 'Mailerlite API key missing. Visit settings page to configure.']);
+                return;
+            }
+
+            $campaigns = $this->get_requested_sync_campaigns();
+            if ($campaigns === null) {
+                return;
+            }
+
+            $job = $this->sync_job_manager->start($campaigns, 'manual');
+
+            wp_send_json_success([
+                'message' => 'Sync started. It will run in the background.',
+                'sync_id' => $job['sync_id'],
+                'status' => $job['status']
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Start sync handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error starting sync: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to start a dry run that builds a reviewable sync plan
+     * 
+     * @return void
+     */
+    public function handle_preview_sync(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
 
         try {
-            // Get the Bema_CRM instance to access triggers
-            $bema_crm = \Bema\Bema_CRM::get_instance();
-            $triggers = $bema_crm->get_triggers();
-            
-            // Schedule custom campaign deletion via cron
-            $triggers->schedule_custom_campaign_deletion($campaign_id);
+            $campaigns = $this->get_requested_sync_campaigns();
+            if ($campaigns === null) {
+                return;
+            }
 
-            wp_send_json_success(['message' => 'Campaign deletion scheduled successfully. It will be processed in the background.']);
+            $job = $this->sync_job_manager->preview($campaigns);
+
+            wp_send_json_success([
+                'message' => 'Preview started. Nothing is written until you apply it.',
+                'sync_id' => $job['sync_id'],
+                'status' => $job['status']
+            ]);
         } catch (Exception $e) {
-            $this->logger->error('Campaign deletion scheduling failed', [
-                'campaign_id' => $campaign_id,
-                'error' => $e->getMessage()
+            $this->logger->error('Preview sync handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error starting preview: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for one filtered page of the sync plan
+     * 
+     * @return void
+     */
+    public function handle_get_sync_plan(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            // 'action' is reserved for admin-ajax routing, so the change action arrives as change_action
+            $fields = ['type' => 'type', 'action' => 'change_action', 'campaign' => 'campaign', 'search' => 'search'];
+            $filters = [];
+            foreach ($fields as $key => $field) {
+                $filters[$key] = isset($_POST[$field]) ? sanitize_text_field(wp_unslash($_POST[$field])) : '';
+            }
+            $page = isset($_POST['page']) ? absint($_POST['page']) : 1;
+
+            $plan = $this->sync_job_manager->get_plan_changes($filters, $page);
+            if (!$plan) {
+                wp_send_json_error(['message' => 'No preview has been run yet']);
+                return;
+            }
+
+            wp_send_json_success($plan);
+        } catch (Exception $e) {
+            $this->logger->error('Get sync plan handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading sync preview: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to run a sync limited to a reviewed plan
+     * 
+     * @return void
+     */
+    public function handle_apply_sync_plan(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $plan_id = isset($_POST['plan_id']) ? sanitize_text_field(wp_unslash($_POST['plan_id'])) : '';
+            $job = $this->sync_job_manager->apply_plan($plan_id);
+
+            wp_send_json_success([
+                'message' => 'Applying the reviewed changes in the background.',
+                'sync_id' => $job['sync_id'],
+                'status' => $job['status']
             ]);
-            wp_send_json_error(['message' => 'Error scheduling campaign deletion: ' . $e->getMessage()]);
+        } catch (Exception $e) {
+            $this->logger->error('Apply sync plan handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error applying preview: ' . $e->getMessage()]);
         }
     }
-}
 
+    /**
+     * Handle AJAX request to stop the running sync job
+     * 
+     * @return void
+     */
+    public function handle_stop_sync(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_job_manager->stop();
+            $status = $this->sync_job_manager->get_status();
+
+            wp_send_json_success(array_merge($status, [
+                'message' => $status['status'] === 'stopped'
+                    ? 'Sync stopped successfully'
+                    : 'Sync will stop after the current step'
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Stop sync handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error stopping sync: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to pause the running sync job at its next checkpoint
+     * 
+     * @return void
+     */
+    public function handle_pause_sync(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_job_manager->pause();
+            $status = $this->sync_job_manager->get_status();
+
+            wp_send_json_success(array_merge($status, [
+                'message' => $status['status'] === 'paused'
+                    ? $status['message']
+                    : 'Sync will pause after the current step'
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Pause sync handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error pausing sync: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to resume a paused sync job from its checkpoint
+     * 
+     * @return void
+     */
+    public function handle_resume_sync(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_job_manager->resume();
+
+            wp_send_json_success($this->sync_job_manager->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Resume sync handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error resuming sync: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to re-queue the failed units of the last sync job
+     * 
+     * @return void
+     */
+    public function handle_retry_failed(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            if (!empty($_POST['retryable_only'])) {
+                $job = $this->sync_job_manager->retry_retryable();
+            } else {
+                $job = $this->sync_job_manager->retry_failed($this->get_requested_unit_ids());
+            }
+
+            wp_send_json_success([
+                'message' => $job['message'],
+                'sync_id' => $job['sync_id'],
+                'status' => $job['status']
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Retry failed jobs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error retrying failed jobs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to discard failed units of the last sync job
+     * 
+     * @return void
+     */
+    public function handle_discard_failed(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        $unit_ids = $this->get_requested_unit_ids();
+        if (empty($unit_ids)) {
+            wp_send_json_error(['message' => 'Select the failed steps to discard']);
+            return;
+        }
+
+        try {
+            $job = $this->sync_job_manager->discard_failed($unit_ids);
+
+            wp_send_json_success(array_merge($this->sync_job_manager->get_status(), [
+                'message' => $job['message']
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Discard failed jobs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error discarding failed jobs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Unit ids posted as JSON by BemaSyncFailures, or null when none were sent.
+     */
+    private function get_requested_unit_ids(): ?array
+    {
+        if (!isset($_POST['unit_ids'])) {
+            return null;
+        }
+
+        $unit_ids = json_decode(wp_unslash($_POST['unit_ids']), true);
+
+        return is_array($unit_ids) ? array_map('sanitize_text_field', $unit_ids) : [];
+    }
+
+    /**
+     * Handle AJAX request to skip one campaign of the running sync
+     * 
+     * @return void
+     */
+    public function handle_skip_sync_campaign(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $campaign = isset($_POST['campaign']) ? sanitize_text_field(wp_unslash($_POST['campaign'])) : '';
+            if ($campaign === '') {
+                wp_send_json_error(['message' => 'Campaign is required']);
+                return;
+            }
+
+            $this->sync_job_manager->skip_campaign($campaign);
+
+            wp_send_json_success(array_merge($this->sync_job_manager->get_status(), [
+                'message' => sprintf('%s will be skipped', $campaign)
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Skip sync campaign handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error skipping campaign: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to change the order of the remaining campaigns in the running sync
+     * 
+     * @return void
+     */
+    public function handle_reorder_sync_queue(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $order = isset($_POST['order']) ? json_decode(wp_unslash($_POST['order']), true) : [];
+            if (!is_array($order)) {
+                wp_send_json_error(['message' => 'Invalid campaign order']);
+                return;
+            }
+
+            $this->sync_job_manager->reorder_campaigns(array_map('sanitize_text_field', $order));
+
+            wp_send_json_success(array_merge($this->sync_job_manager->get_status(), [
+                'message' => 'Sync queue updated'
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Reorder sync queue handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error reordering sync queue: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle the Server-Sent Events progress stream
+     * 
+     * EventSource can only issue GET requests, so the nonce and cursor come from the query string.
+     * 
+     * @return void
+     */
+    public function handle_sync_stream(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $stream = new Sync_Progress_Stream($this->sync_job_manager);
+
+            // EventSource sends the last event id back when it reconnects
+            $encoded = $_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['cursor'] ?? '');
+            $cursor = $stream->decode_cursor(sanitize_text_field(wp_unslash($encoded)));
+
+            $stream->stream($cursor);
+            exit;
+        } catch (Exception $e) {
+            $this->logger->error('Sync stream handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error streaming sync progress: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle the polling fallback for the progress stream
+     * 
+     * @return void
+     */
+    public function handle_sync_poll(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $stream = new Sync_Progress_Stream($this->sync_job_manager);
+            $encoded = isset($_POST['cursor']) ? sanitize_text_field(wp_unslash($_POST['cursor'])) : '';
+
+            wp_send_json_success($stream->poll($stream->decode_cursor($encoded)));
+        } catch (Exception $e) {
+            $this->logger->error('Sync poll handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error polling sync progress: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to fetch the log entries added after the last one the table shows
+     * 
+     * @return void
+     */
+    public function handle_get_sync_logs(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $current = isset($_POST['current_filters']) && is_array($_POST['current_filters']) ? wp_unslash($_POST['current_filters']) : [];
+            $filters = $this->get_log_filters($current);
+            $after_id = isset($_POST['after_id']) ? absint($_POST['after_id']) : 0;
+
+            // One row past the limit tells the table another request is needed to catch up
+            $logs = $this->sync_log_database->get_logs_after($after_id, $filters, self::LOGS_TAIL_LIMIT + 1);
+            $has_more = count($logs) > self::LOGS_TAIL_LIMIT;
+            $logs = array_slice($logs, 0, self::LOGS_TAIL_LIMIT);
+
+            wp_send_json_success([
+                'logs' => array_reverse(array_map([$this, 'format_log_row'], $logs)),
+                'last_id' => empty($logs) ? $after_id : end($logs)['id'],
+                'has_more' => $has_more,
+                'total' => $this->sync_log_database->count_logs($filters),
+                'sync_status' => $this->sync_job_manager->get_status()
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Get sync logs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading sync logs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to filter the Sync Logs table or load the entries below the ones it shows
+     * 
+     * @return void
+     */
+    public function handle_filter_logs(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $filters = $this->get_log_filters(wp_unslash($_POST));
+
+            wp_send_json_success($this->get_log_batch($filters, isset($_POST['before_id']) ? absint($_POST['before_id']) : 0));
+        } catch (Exception $e) {
+            $this->logger->error('Filter logs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error filtering logs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to load one log entry for the details modal
+     * 
+     * @return void
+     */
+    public function handle_get_log_details(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $log = $this->sync_log_database->get_log(isset($_POST['id']) ? absint($_POST['id']) : 0);
+            if (!$log) {
+                wp_send_json_error(['message' => 'This log entry no longer exists']);
+                return;
+            }
+
+            $data = is_array($log['data']) ? $log['data'] : [];
+            $duration = isset($data['duration_ms']) ? $data['duration_ms'] / 1000 : ($data['duration'] ?? null);
+
+            wp_send_json_success(array_merge($this->format_log_row($log), [
+                'retry_count' => $log['retry_count'],
+                'peak_memory' => $data['peak_memory'] ?? null,
+                'duration' => is_numeric($duration) ? (float) $duration : null,
+                'error' => $log['error_message'] ?: (is_string($data['error'] ?? null) ? $data['error'] : null),
+                'stack_trace' => is_string($data['trace'] ?? null) ? $data['trace'] : null,
+            ]));
+        } catch (Exception $e) {
+            $this->logger->error('Get log details handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading log details: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to list the operations behind the filtered log entries
+     * 
+     * @return void
+     */
+    public function handle_get_log_timelines(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $timelines = $this->sync_log_database->get_timelines($this->get_log_filters(wp_unslash($_POST)));
+
+            wp_send_json_success(['timelines' => array_map(function ($timeline) {
+                $timeline['duration'] = strtotime($timeline['ended_at']) - strtotime($timeline['started_at']);
+                $timeline['started_at'] = mysql2date('c', $timeline['started_at']);
+                $timeline['ended_at'] = mysql2date('c', $timeline['ended_at']);
+                return $timeline;
+            }, $timelines)]);
+        } catch (Exception $e) {
+            $this->logger->error('Get log timelines handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading timelines: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to load the steps of one operation with the time between them
+     * 
+     * @return void
+     */
+    public function handle_get_log_timeline(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $correlation_id = isset($_POST['correlation_id']) ? sanitize_text_field(wp_unslash($_POST['correlation_id'])) : '';
+            $entries = $this->sync_log_database->get_timeline($correlation_id);
+
+            $steps = [];
+            $failed_step = null;
+            $started = null;
+            $previous = null;
+
+            foreach ($entries as $index => $entry) {
+                // Entries written inside an operation carry a precise time; older ones only have whole seconds
+                $time = isset($entry['data']['microtime']) && is_numeric($entry['data']['microtime'])
+                    ? (float) $entry['data']['microtime']
+                    : (float) strtotime(get_gmt_from_date($entry['created_at']) . ' UTC');
+
+                $started = $started ?? $time;
+                $failed = in_array($entry['level'], Sync_Log_Database_Manager::FAILURE_LEVELS, true);
+                if ($failed && $failed_step === null) {
+                    $failed_step = $index;
+                }
+
+                $steps[] = array_merge($this->format_log_row($entry), [
+                    'offset' => round($time - $started, 3),
+                    'since_previous' => $previous === null ? 0 : round($time - $previous, 3),
+                    'failed' => $failed,
+                ]);
+                $previous = $time;
+            }
+
+            wp_send_json_success([
+                'correlation_id' => $correlation_id,
+                'steps' => $steps,
+                'failed_step' => $failed_step,
+                'duration' => $previous === null ? 0 : round($previous - $started, 3),
+                'truncated' => count($entries) >= Sync_Log_Database_Manager::TIMELINE_ENTRY_LIMIT,
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Get log timeline handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading timeline: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to save the current Sync Logs filters and view under a name for the current user
+     * 
+     * A view with the same name is overwritten.
+     * 
+     * @return void
+     */
+    public function handle_save_log_view(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $name = isset($_POST['name']) ? trim(sanitize_text_field(wp_unslash($_POST['name']))) : '';
+            if ($name === '') {
+                throw new Exception('The view needs a name.');
+            }
+
+            $source = isset($_POST['state']) && is_array($_POST['state']) ? wp_unslash($_POST['state']) : [];
+            $state = [];
+            foreach (['status', 'campaign', 'date', 'search', 'view'] as $key) {
+                if (isset($source[$key]) && is_scalar($source[$key]) && $source[$key] !== '') {
+                    $state[$key] = sanitize_text_field((string) $source[$key]);
+                }
+            }
+
+            $views = array_values(array_filter($this->get_log_views(), function ($view) use ($name) {
+                return strcasecmp($view['name'], $name) !== 0;
+            }));
+            if (count($views) >= self::LOG_VIEWS_LIMIT) {
+                throw new Exception(sprintf('You can save up to %d views. Delete one first.', self::LOG_VIEWS_LIMIT));
+            }
+
+            $view = ['id' => wp_generate_uuid4(), 'name' => $name, 'state' => $state];
+            $views[] = $view;
+            usort($views, function ($a, $b) {
+                return strcasecmp($a['name'], $b['name']);
+            });
+
+            update_user_meta(get_current_user_id(), self::LOG_VIEWS_META, $views);
+
+            wp_send_json_success([
+                'message' => sprintf('Saved view "%s"', $name),
+                'view' => $view,
+                'views' => $views
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Save log view handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error saving view: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to delete one of the current user's saved Sync Logs views
+     * 
+     * @return void
+     */
+    public function handle_delete_log_view(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $id = isset($_POST['id']) ? sanitize_text_field(wp_unslash($_POST['id'])) : '';
+            $views = array_values(array_filter($this->get_log_views(), function ($view) use ($id) {
+                return $view['id'] !== $id;
+            }));
+
+            update_user_meta(get_current_user_id(), self::LOG_VIEWS_META, $views);
+
+            wp_send_json_success(['message' => 'View deleted', 'views' => $views]);
+        } catch (Exception $e) {
+            $this->logger->error('Delete log view handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error deleting view: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to list the filtered error entries grouped by fingerprint for the Errors view
+     * 
+     * @return void
+     */
+    public function handle_get_error_groups(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $state = isset($_POST['state']) ? sanitize_key($_POST['state']) : 'open';
+            if ($state !== 'all' && !in_array($state, Sync_Log_Database_Manager::ERROR_GROUP_STATES, true)) {
+                $state = 'open';
+            }
+
+            $groups = $this->sync_log_database->get_error_groups($this->get_log_filters(wp_unslash($_POST)), $state);
+
+            wp_send_json_success(['groups' => array_map(function ($group) {
+                return array_merge($group, [
+                    'first_seen' => mysql2date('c', $group['first_seen']),
+                    'last_seen' => mysql2date('c', $group['last_seen']),
+                    'state_changed_at' => $group['state_changed_at'] ? mysql2date('c', $group['state_changed_at']) : null,
+                    'sample' => $group['sample'] ? $this->format_log_row($group['sample']) : null,
+                ]);
+            }, $groups)]);
+        } catch (Exception $e) {
+            $this->logger->error('Get error groups handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading error groups: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to resolve, mute or reopen an error group
+     * 
+     * @return void
+     */
+    public function handle_update_error_group(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $fingerprint = isset($_POST['fingerprint']) ? sanitize_key($_POST['fingerprint']) : '';
+            $state = isset($_POST['state']) ? sanitize_key($_POST['state']) : '';
+
+            $this->sync_log_database->set_error_group_state($fingerprint, $state);
+
+            $messages = [
+                'open' => 'Error group reopened',
+                'resolved' => 'Error group resolved. It reopens if the error comes back.',
+                'muted' => 'Error group muted',
+            ];
+            wp_send_json_success(['message' => $messages[$state]]);
+        } catch (Exception $e) {
+            $this->logger->error('Update error group handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error updating error group: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle request to download the filtered logs as a CSV or JSON Lines file, optionally gzipped
+     * 
+     * The browser navigates to this endpoint, so the nonce and filters come from the query string.
+     * 
+     * @return void
+     */
+    public function handle_download_logs(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        $token = isset($_GET['token']) ? sanitize_key($_GET['token']) : '';
+
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $filters = $this->get_log_filters(wp_unslash($_GET));
+            $format = isset($_GET['format']) ? sanitize_key($_GET['format']) : 'csv';
+            $name = empty($filters['sync_run']) ? 'sync-logs' : 'sync-logs-' . sanitize_file_name($filters['sync_run']['sync_id']);
+
+            (new Sync_Log_Export($this->sync_log_database))->stream($filters, $format, !empty($_GET['gzip']), $token, $name);
+            exit;
+        } catch (Exception $e) {
+            Sync_Log_Export::set_progress($token, ['error' => $e->getMessage(), 'done' => true]);
+            $this->logger->error('Download logs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error exporting logs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the progress of a log download
+     * 
+     * @return void
+     */
+    public function handle_log_export_progress(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        $progress = Sync_Log_Export::get_progress(isset($_POST['token']) ? sanitize_key($_POST['token']) : '');
+
+        // Not started yet reads the same as not found; the browser gives up after a while
+        wp_send_json_success($progress ?? ['written' => 0, 'total' => null, 'done' => false]);
+    }
+
+    /**
+     * Handle AJAX request to count the log entries a purge would delete
+     * 
+     * @return void
+     */
+    public function handle_preview_log_purge(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $this->sync_log_database->import_logger_output();
+
+            $count = $this->sync_log_database->count_logs($this->get_log_purge_filters(wp_unslash($_POST)));
+
+            wp_send_json_success([
+                'count' => $count,
+                'message' => sprintf('This will delete %s %s.', number_format_i18n($count), $count === 1 ? 'entry' : 'entries')
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Preview log purge handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error counting logs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to archive and delete the log entries matching the purge criteria
+     * 
+     * @return void
+     */
+    public function handle_purge_logs(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $result = $this->sync_log_database->purge_logs($this->get_log_purge_filters(wp_unslash($_POST)));
+
+            wp_send_json_success([
+                'message' => $result['deleted']
+                    ? sprintf('Deleted %s entries and archived them to %s', number_format_i18n($result['deleted']), $result['archive'])
+                    : 'No entries matched',
+                'deleted' => $result['deleted'],
+                'archives' => array_map([$this, 'format_log_archive'], $this->sync_log_database->get_archives())
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Purge logs handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error purging logs: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle request to download a purged log archive
+     * 
+     * @return void
+     */
+    public function handle_download_log_archive(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_die('Invalid nonce', 403);
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_die('Unauthorized', 403);
+        }
+
+        $name = isset($_GET['archive']) ? sanitize_file_name(wp_unslash($_GET['archive'])) : '';
+        $path = $this->sync_log_database->get_archive_path($name);
+        if (!$path) {
+            wp_die('Log archive not found', 404);
+        }
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: application/gzip');
+        header('Content-Disposition: attachment; filename="' . $name . '"');
+        header('Content-Length: ' . filesize($path));
+        header('Cache-Control: no-store');
+        readfile($path);
+        exit;
+    }
+
+    /**
+     * Handle AJAX request to put the entries of a log archive back in the Sync Logs table
+     * 
+     * @return void
+     */
+    public function handle_restore_log_archive(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $name = isset($_POST['archive']) ? sanitize_file_name(wp_unslash($_POST['archive'])) : '';
+            $restored = $this->sync_log_database->restore_archive($name);
+
+            wp_send_json_success([
+                'message' => sprintf('Restored %s entries from %s', number_format_i18n($restored), $name),
+                'restored' => $restored
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Restore log archive handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error restoring log archive: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Sync Logs filters from a request, keeping only known keys.
+     *
+     * query is the search box as parsed by BemaLogs.parseQuery(), sent as JSON.
+     */
+    private function get_log_filters(array $source): array
+    {
+        $filters = [];
+
+        foreach (['status', 'campaign', 'date', 'search'] as $key) {
+            if (isset($source[$key]) && is_scalar($source[$key]) && $source[$key] !== '') {
+                $filters[$key] = sanitize_text_field((string) $source[$key]);
+            }
+        }
+
+        // Logs of one sync run, see the run's View Logs link. A run that left the history only matches lines naming it.
+        if (!empty($source['sync_id']) && is_string($source['sync_id'])) {
+            $sync_id = sanitize_text_field($source['sync_id']);
+            $run = $this->sync_job_manager->get_run($sync_id);
+            $filters['sync_run'] = [
+                'sync_id' => $sync_id,
+                'started_at' => $run['started_at'] ?? null,
+                'ended_at' => $run ? $run['ended_at'] : null,
+            ];
+        }
+
+        if (isset($source['query']) && is_string($source['query'])) {
+            $query = json_decode($source['query'], true);
+            if (is_array($query)) {
+                $filters['query'] = [
+                    'clauses' => is_array($query['clauses'] ?? null) ? $query['clauses'] : [],
+                    'text' => is_array($query['text'] ?? null) ? $query['text'] : [],
+                ];
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * The current user's saved Sync Logs views: id, name and state (filters and view).
+     */
+    private function get_log_views(): array
+    {
+        $views = get_user_meta(get_current_user_id(), self::LOG_VIEWS_META, true);
+
+        return is_array($views) ? array_values(array_filter($views, function ($view) {
+            return is_array($view) && isset($view['id'], $view['name']) && is_array($view['state'] ?? null);
+        })) : [];
+    }
+
+    /**
+     * Purge criteria from a request: age in days, status, campaign and operation.
+     */
+    private function get_log_purge_filters(array $source): array
+    {
+        $filters = [];
+
+        if (!empty($source['older_than_days'])) {
+            $filters['older_than_days'] = absint($source['older_than_days']);
+        }
+
+        foreach (['status', 'campaign', 'operation'] as $key) {
+            if (isset($source[$key]) && is_scalar($source[$key]) && $source[$key] !== '') {
+                $filters[$key] = sanitize_text_field((string) $source[$key]);
+            }
+        }
+
+        return array_filter($filters);
+    }
+
+    /**
+     * Shape an archive the way BemaLogs lists it.
+     */
+    private function format_log_archive(array $archive): array
+    {
+        return [
+            'name' => $archive['name'],
+            'size' => size_format($archive['size']),
+            'created_at' => wp_date('c', $archive['created_at']),
+            'download_url' => add_query_arg([
+                'action' => 'bema_download_log_archive',
+                'archive' => $archive['name'],
+                'nonce' => wp_create_nonce('bema_admin_nonce'),
+            ], admin_url('admin-ajax.php')),
+        ];
+    }
+
+    /**
+     * One scroll batch of formatted log rows, newest first, below before_id when given.
+     *
+     * The first batch also carries the id the live tail starts after.
+     */
+    private function get_log_batch(array $filters, int $before_id = 0): array
+    {
+        $logs = $this->sync_log_database->get_logs(
+            array_merge($filters, ['before_id' => $before_id]),
+            self::LOGS_BATCH_SIZE + 1
+        );
+
+        return [
+            'logs' => array_map([$this, 'format_log_row'], array_slice($logs, 0, self::LOGS_BATCH_SIZE)),
+            'has_more' => count($logs) > self::LOGS_BATCH_SIZE,
+            'total' => $this->sync_log_database->count_logs($filters),
+            'last_id' => $before_id ? null : $this->sync_log_database->get_last_id(),
+        ];
+    }
+
+    /**
+     * Shape a sync_logs row the way BemaLogs renders it.
+     */
+    private function format_log_row(array $log): array
+    {
+        $data = is_array($log['data']) ? $log['data'] : [];
+
+        return [
+            'id' => $log['id'],
+            'created_at' => mysql2date('c', $log['created_at']),
+            'campaign' => $log['campaign'],
+            'status' => $log['status'],
+            'level' => $log['level'],
+            'source' => $log['source'],
+            'operation' => $log['operation'],
+            'correlation_id' => $log['correlation_id'] ?? null,
+            'fingerprint' => $log['fingerprint'] ?? null,
+            'message' => $log['message'],
+            'details' => $log['data'] ?: null,
+            'memory_usage' => is_string($data['memory_usage'] ?? null) ? $data['memory_usage'] : null,
+        ];
+    }
+
+    /**
+     * Handle campaign deletion AJAX requests
+     * 
+     * @return void
+     */
+    public function handle_campaign_delete(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_campaign_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        $campaign_id = intval($_POST['campaign_id']);
+
+        try {
+            // Get the Bema_CRM instance to access triggers
+            $bema_crm = \Bema\Bema_CRM::get_instance();
+            $triggers = $bema_crm->get_triggers();
+            
+            // Schedule custom campaign deletion via cron
+            $triggers->schedule_custom_campaign_deletion($campaign_id);
+
+            wp_send_json_success(['message' => 'Campaign deletion scheduled successfully. It will be processed in the background.']);
+        } catch (Exception $e) {
+            $this->logger->error('Campaign deletion scheduling failed', [
+                'campaign_id' => $campaign_id,
+                'error' => $e->getMessage()
+            ]);
+            wp_send_json_error(['message' => 'Error scheduling campaign deletion: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for one page of the Database page subscriber grid
+     * 
+     * @return void
+     */
+    public function handle_get_subscribers(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_crm_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            wp_send_json_success($this->get_subscriber_grid(wp_unslash($_POST)));
+        } catch (Exception $e) {
+            $this->logger->error('Get subscribers handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading subscribers: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for a subscriber's details and timeline
+     * 
+     * @return void
+     */
+    public function handle_get_subscriber_details(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $subscriber_id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+
+            // Group changes and errors written since the Sync Logs page was last opened
+            $this->sync_log_database->import_logger_output();
+
+            $api_key = $this->settings->get_settings()['api']['mailerlite_api_key'] ?? '';
+            $mailerlite = $api_key ? new \Bema\Providers\MailerLite($api_key, $this->logger) : null;
+
+            $details = (new Subscriber_Timeline($mailerlite, $this->sync_log_database))->get($subscriber_id);
+            if (!$details) {
+                wp_send_json_error(['message' => 'Subscriber not found']);
+                return;
+            }
+
+            wp_send_json_success($details);
+        } catch (Exception $e) {
+            $this->logger->error('Get subscriber details handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading subscriber details: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to start a bulk action on the selected subscribers, or
+     * with select_all on every subscriber matching the grid's tier, campaign and search
+     * 
+     * @return void
+     */
+    public function handle_start_bulk_action(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+            $params = isset($_POST['params']) && is_array($_POST['params']) ? array_map('sanitize_text_field', wp_unslash($_POST['params'])) : [];
+
+            if (!empty($_POST['select_all'])) {
+                $filters = $this->get_subscriber_grid_filters(wp_unslash($_POST));
+                $segment = $this->get_filter_segment_definition($filters);
+
+                $ids = (new Subscribers_Database_Manager())->get_subscriber_ids($filters['campaign'], $filters['tier'], $filters['search'], $segment);
+            } else {
+                $ids = isset($_POST['ids']) ? array_map('absint', (array) $_POST['ids']) : [];
+            }
+
+            $bulk_actions = Manager_Factory::get_subscriber_bulk_action_manager();
+            $bulk_actions->start($action, $params, $ids);
+
+            wp_send_json_success($bulk_actions->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Start bulk action handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error starting bulk action: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the progress of the last bulk action
+     * 
+     * @return void
+     */
+    public function handle_get_bulk_action_status(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            wp_send_json_success(Manager_Factory::get_subscriber_bulk_action_manager()->get_status(true));
+        } catch (Exception $e) {
+            $this->logger->error('Get bulk action status handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading bulk action status: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to undo the last bulk action while its undo window is open
+     * 
+     * @return void
+     */
+    public function handle_undo_bulk_action(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $bulk_actions = Manager_Factory::get_subscriber_bulk_action_manager();
+            $bulk_actions->undo(isset($_POST['job_id']) ? sanitize_text_field(wp_unslash($_POST['job_id'])) : '');
+
+            wp_send_json_success($bulk_actions->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Undo bulk action handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error undoing bulk action: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle request to download the CSV written by the last Export bulk action
+     * 
+     * @return void
+     */
+    public function handle_download_bulk_export(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_die('Invalid nonce', 403);
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_die('Unauthorized', 403);
+        }
+
+        $job_id = isset($_GET['job_id']) ? sanitize_text_field(wp_unslash($_GET['job_id'])) : '';
+        $path = Manager_Factory::get_subscriber_bulk_action_manager()->get_export_path($job_id);
+        if (!$path) {
+            wp_die('Export not found. Only the last bulk action\'s export can be downloaded.', 404);
+        }
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . basename($path) . '"');
+        header('Content-Length: ' . filesize($path));
+        header('Cache-Control: no-store');
+        readfile($path);
+        exit;
+    }
+
+    /**
+     * Handle request to download every subscriber matching the grid's filters,
+     * written to the response as it is read
+     * 
+     * @return void
+     */
+    public function handle_stream_subscriber_export(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_die('Invalid nonce', 403);
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_die('Unauthorized', 403);
+        }
+
+        try {
+            [$filters, $segment, $format, $columns] = $this->get_subscriber_export_request(wp_unslash($_GET));
+
+            Manager_Factory::get_subscriber_export_manager()->stream($filters, $segment, $format, $columns);
+            exit;
+        } catch (Exception $e) {
+            $this->logger->error('Stream subscriber export handler error: ' . $e->getMessage());
+            wp_die(esc_html('Error exporting subscribers: ' . $e->getMessage()), 400);
+        }
+    }
+
+    /**
+     * Handle AJAX request to export every subscriber matching the grid's filters in the background
+     * 
+     * @return void
+     */
+    public function handle_start_subscriber_export(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            [$filters, $segment, $format, $columns] = $this->get_subscriber_export_request(wp_unslash($_POST));
+
+            $exports = Manager_Factory::get_subscriber_export_manager();
+            $exports->start($filters, $segment, $format, $columns);
+
+            wp_send_json_success($exports->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Start subscriber export handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error starting export: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the progress of the last background subscriber export
+     * 
+     * @return void
+     */
+    public function handle_get_subscriber_export_status(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            wp_send_json_success(Manager_Factory::get_subscriber_export_manager()->get_status(true));
+        } catch (Exception $e) {
+            $this->logger->error('Get subscriber export status handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading export status: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle request to download the file written by the last background subscriber export
+     * 
+     * @return void
+     */
+    public function handle_download_subscriber_export(): void
+    {
+        // Verify nonce for security
+        if (!isset($_GET['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_GET['nonce'])), 'bema_admin_nonce')) {
+            wp_die('Invalid nonce', 403);
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_die('Unauthorized', 403);
+        }
+
+        $exports = Manager_Factory::get_subscriber_export_manager();
+        $job_id = isset($_GET['job_id']) ? sanitize_text_field(wp_unslash($_GET['job_id'])) : '';
+        $path = $exports->get_export_path($job_id);
+        if (!$path) {
+            wp_die('Export not found. Only the last export can be downloaded.', 404);
+        }
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: ' . $exports->get_content_type($path));
+        header('Content-Disposition: attachment; filename="' . basename($path) . '"');
+        header('Content-Length: ' . filesize($path));
+        header('Cache-Control: no-store');
+        readfile($path);
+        exit;
+    }
+
+    /**
+     * Handle AJAX request to upload the CSV file of a subscriber import
+     * 
+     * @return void
+     */
+    public function handle_upload_import_file(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            if (empty($_FILES['file']) || !is_array($_FILES['file'])) {
+                throw new Exception('Choose a file to upload.');
+            }
+
+            wp_send_json_success(Manager_Factory::get_subscriber_import_manager()->upload($_FILES['file']));
+        } catch (Exception $e) {
+            $this->logger->error('Upload import file handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error uploading file: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to check the rows of an uploaded import file against a column mapping
+     * 
+     * @return void
+     */
+    public function handle_preview_import(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $import = $this->get_import_request(wp_unslash($_POST));
+
+            wp_send_json_success(Manager_Factory::get_subscriber_import_manager()->preview($import['file'], $import['mapping']));
+        } catch (Exception $e) {
+            $this->logger->error('Preview import handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error checking file: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to start importing an uploaded file with the chosen mapping,
+     * duplicate policy and push to MailerLite
+     * 
+     * @return void
+     */
+    public function handle_start_import(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $import = $this->get_import_request(wp_unslash($_POST));
+            $importer = Manager_Factory::get_subscriber_import_manager();
+
+            $importer->start(
+                $import['file'],
+                isset($_POST['name']) ? sanitize_file_name(wp_unslash($_POST['name'])) : '',
+                $import['mapping'],
+                isset($_POST['policy']) ? sanitize_key($_POST['policy']) : '',
+                !empty($_POST['push'])
+            );
+
+            wp_send_json_success($importer->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Start import handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error starting import: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the progress of the last subscriber import
+     * 
+     * @return void
+     */
+    public function handle_get_import_status(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            wp_send_json_success(Manager_Factory::get_subscriber_import_manager()->get_status(true));
+        } catch (Exception $e) {
+            $this->logger->error('Get import status handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading import status: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to load one group of duplicate subscribers for the
+     * compare view, with the MailerLite state of each record
+     * 
+     * @return void
+     */
+    public function handle_get_duplicate_cluster(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $email = isset($_POST['email']) ? sanitize_text_field(wp_unslash($_POST['email'])) : '';
+
+            $cluster = Manager_Factory::get_subscriber_merge_manager()->get_cluster($email);
+            if (!$cluster) {
+                wp_send_json_error(['message' => 'These records are no longer duplicates. Reload the report.']);
+                return;
+            }
+
+            wp_send_json_success($cluster);
+        } catch (Exception $e) {
+            $this->logger->error('Get duplicate cluster handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading duplicates: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to merge a group of duplicate subscribers into the
+     * chosen survivor, with the record chosen for each field and campaign
+     * 
+     * @return void
+     */
+    public function handle_merge_subscribers(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $email = isset($_POST['email']) ? sanitize_text_field(wp_unslash($_POST['email'])) : '';
+            $survivor_id = isset($_POST['survivor']) ? absint($_POST['survivor']) : 0;
+            $fields = isset($_POST['fields']) && is_array($_POST['fields']) ? array_map('sanitize_key', wp_unslash($_POST['fields'])) : [];
+            $campaigns = isset($_POST['campaigns']) && is_array($_POST['campaigns']) ? array_map('absint', wp_unslash($_POST['campaigns'])) : [];
+
+            wp_send_json_success(Manager_Factory::get_subscriber_merge_manager()->merge($email, $survivor_id, $fields, $campaigns));
+        } catch (Exception $e) {
+            $this->logger->error('Merge subscribers handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error merging subscribers: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to save a segment built on the Segments tab, new
+     * or under its ID, answering with every segment and its current count
+     * 
+     * @return void
+     */
+    public function handle_save_segment(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+            $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
+
+            $segments = Manager_Factory::get_segment_manager();
+            $segment = $segments->save($id ?: null, $name, $this->get_segment_definition(wp_unslash($_POST)));
+
+            wp_send_json_success([
+                'segment' => $segment,
+                'segments' => $segments->get_segments(),
+                'message' => "Saved {$segment['name']}.",
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Save segment handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error saving segment: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to delete a segment
+     * 
+     * @return void
+     */
+    public function handle_delete_segment(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $segments = Manager_Factory::get_segment_manager();
+            $segments->delete(isset($_POST['id']) ? absint($_POST['id']) : 0);
+
+            wp_send_json_success(['segments' => $segments->get_segments()]);
+        } catch (Exception $e) {
+            $this->logger->error('Delete segment handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error deleting segment: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the number of subscribers a segment matches
+     * while it is built, with the conditions in words
+     * 
+     * @return void
+     */
+    public function handle_count_segment(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $segments = Manager_Factory::get_segment_manager();
+            $definition = $segments->normalize($this->get_segment_definition(wp_unslash($_POST)));
+
+            wp_send_json_success([
+                'count' => $segments->count($definition),
+                'summary' => $segments->describe($definition),
+            ]);
+        } catch (Exception $e) {
+            $this->logger->error('Count segment handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error counting segment: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request to create a MailerLite draft campaign addressed to the
+     * current members of a segment, in the background
+     * 
+     * @return void
+     */
+    public function handle_start_segment_draft(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            $id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+            $subject = isset($_POST['subject']) ? sanitize_text_field(wp_unslash($_POST['subject'])) : '';
+
+            $drafts = Manager_Factory::get_segment_draft_manager();
+            $drafts->start($id, $subject);
+
+            wp_send_json_success($drafts->get_status());
+        } catch (Exception $e) {
+            $this->logger->error('Start segment draft handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error creating MailerLite draft: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle AJAX request for the progress of the last segment draft
+     * 
+     * @return void
+     */
+    public function handle_get_segment_draft_status(): void
+    {
+        // Verify nonce for security
+        if (!isset($_POST['nonce']) || !wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['nonce'])), 'bema_admin_nonce')) {
+            wp_send_json_error(['message' => 'Invalid nonce']);
+            return;
+        }
+
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Unauthorized']);
+            return;
+        }
+
+        try {
+            wp_send_json_success(Manager_Factory::get_segment_draft_manager()->get_status(true));
+        } catch (Exception $e) {
+            $this->logger->error('Get segment draft status handler error: ' . $e->getMessage());
+            wp_send_json_error(['message' => 'Error loading draft status: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * One page of the subscriber grid for the tier, campaign, search, segment,
+     * orderby, order, paged and per_page in a request, with the state it was read with.
+     *
+     * The Database page renders its first page from this too.
+     *
+     * @param array $source Request parameters.
+     * @return array subscribers, total, total_pages and state.
+     */
+    public function get_subscriber_grid(array $source): array
+    {
+        $state = $this->get_subscriber_grid_filters($source);
+
+        // A deleted segment, e.g. from an old link, shows every subscriber
+        $segment = $state['segment'] ? (new Segment_Database_Manager())->get_segment($state['segment']) : null;
+        if (!$segment) {
+            $state['segment'] = 0;
+        }
+        $definition = $segment['definition'] ?? [];
+
+        $state['orderby'] = isset($source['orderby']) && is_string($source['orderby']) ? sanitize_key($source['orderby']) : 'id';
+        $state['order'] = isset($source['order']) && strtolower((string) $source['order']) === 'asc' ? 'asc' : 'desc';
+
+        $per_page = isset($source['per_page']) ? absint($source['per_page']) : 0;
+        $state['per_page'] = in_array($per_page, self::SUBSCRIBER_PAGE_SIZES, true) ? $per_page : self::SUBSCRIBER_PAGE_SIZES[0];
+
+        $subscriber_db = new Subscribers_Database_Manager();
+        $total = $subscriber_db->count_subscribers($state['campaign'], $state['tier'], $state['search'], $definition);
+        $total_pages = max(1, (int) ceil($total / $state['per_page']));
+
+        // A page past the end, e.g. after narrowing the filters, shows the last one
+        $state['paged'] = min($total_pages, max(1, isset($source['paged']) ? absint($source['paged']) : 1));
+
+        $subscribers = $subscriber_db->get_subscribers(
+            $state['per_page'],
+            ($state['paged'] - 1) * $state['per_page'],
+            $state['campaign'],
+            $state['tier'],
+            $state['search'],
+            $state['orderby'],
+            $state['order'],
+            $definition
+        );
+
+        return [
+            'subscribers' => array_map([$this, 'format_subscriber_row'], $subscribers ?: []),
+            'total' => $total,
+            'total_pages' => $total_pages,
+            'state' => $state,
+        ];
+    }
+
+    /**
+     * The grid's tier, campaign, search and segment filters from request parameters.
+     */
+    private function get_subscriber_grid_filters(array $source): array
+    {
+        $filters = [];
+        foreach (['tier', 'campaign', 'search'] as $key) {
+            $filters[$key] = isset($source[$key]) && is_scalar($source[$key]) ? sanitize_text_field((string) $source[$key]) : '';
+        }
+        $filters['segment'] = isset($source['segment']) && is_scalar($source['segment']) ? absint($source['segment']) : 0;
+
+        return $filters;
+    }
+
+    /**
+     * Definition of the segment the grid filters name, empty when they name none.
+     *
+     * @throws Exception If the segment is gone; unlike the grid, an action on all
+     *                   matching subscribers must not widen to everyone else.
+     */
+    private function get_filter_segment_definition(array $filters): array
+    {
+        if (!$filters['segment']) {
+            return [];
+        }
+
+        $segment = (new Segment_Database_Manager())->get_segment($filters['segment']);
+        if (!$segment) {
+            throw new Exception('The segment no longer exists.');
+        }
+
+        return $segment['definition'];
+    }
+
+    /**
+     * The segment definition the segment builder sends with a request, as JSON.
+     */
+    private function get_segment_definition(array $source): array
+    {
+        $definition = isset($source['definition']) && is_string($source['definition']) ? json_decode($source['definition'], true) : null;
+
+        return is_array($definition) ? $definition : [];
+    }
+
+    /**
+     * The grid filters, format and columns an export is requested with.
+     *
+     * @return array filters, segment definition, format and columns.
+     * @throws Exception If the filters name a segment that is gone.
+     */
+    private function get_subscriber_export_request(array $source): array
+    {
+        $filters = $this->get_subscriber_grid_filters($source);
+        $format = isset($source['format']) && is_string($source['format']) ? sanitize_key($source['format']) : 'csv';
+        $columns = isset($source['columns']) && is_array($source['columns']) ? array_map('sanitize_key', array_filter($source['columns'], 'is_string')) : [];
+
+        return [$filters, $this->get_filter_segment_definition($filters), $format, $columns];
+    }
+
+    /**
+     * The uploaded file and column mapping the import wizard sends with a request.
+     */
+    private function get_import_request(array $source): array
+    {
+        return [
+            'file' => isset($source['file']) && is_scalar($source['file']) ? sanitize_file_name((string) $source['file']) : '',
+            'mapping' => isset($source['mapping']) && is_array($source['mapping']) ? array_map('sanitize_text_field', $source['mapping']) : [],
+        ];
+    }
+
+    /**
+     * Shape a subscriber row the way BemaSubscriberTable renders it.
+     */
+    private function format_subscriber_row(array $subscriber): array
+    {
+        $format_date = function ($date) {
+            return $date ? mysql2date('F j, Y, g:i a', $date) : null;
+        };
+
+        return [
+            'id' => (int) $subscriber['id'],
+            'email' => $subscriber['email'],
+            'name' => trim((string) $subscriber['name']),
+            'status' => $subscriber['status'] ?: 'unknown',
+            'subscribed_at' => $format_date($subscriber['subscribed_at'] ?? null),
+            'updated_at' => $format_date($subscriber['updated_at'] ?? null),
+            'campaign' => $subscriber['campaign'] ?? null,
+            'tier' => $subscriber['tier'] ?? null,
+            'purchase_id' => $subscriber['purchase_id'] ?? null,
+            'transition_date' => $format_date($subscriber['transition_date'] ?? null),
+        ];
+    }
+}
@@ -0,0 +1,277 @@
+<?php
+
+namespace Bema\Admin;
+
+use Exception;
+use Bema\Providers\MailerLite;
+use Bema\Database\Subscribers_Database_Manager;
+use Bema\Database\Campaign_Group_Subscribers_Database_Manager;
+use Bema\Database\Group_Database_Manager;
+use Bema\Database\Transition_Subscribers_Database_Manager;
+use Bema\Database\Subscriber_History_Database_Manager;
+use Bema\Database\Sync_Log_Database_Manager;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Everything known about one subscriber, for the Database page drawer.
+ *
+ * Campaign memberships, transitions, EDD orders placed with the subscriber's
+ * email, MailerLite group changes and errors from the sync logs, and changes
+ * made by hand are merged into one list, oldest first. The subscriber's
+ * current state in MailerLite is read live; when that fails the local part is
+ * still returned, with the error.
+ */
+class Subscriber_Timeline
+{
+    /**
+     * Most events returned; the newest ones are kept
+     */
+    const EVENT_LIMIT = 200;
+    const PURCHASE_LIMIT = 50;
+
+    /**
+     * Log levels shown as errors in the timeline
+     */
+    const ERROR_LEVELS = ['warning', 'error', 'critical', 'alert', 'emergency'];
+
+    private $mailerlite;
+    private $log_database;
+    private $group_names;
+
+    /**
+     * @param MailerLite|null $mailerlite Null when no API key is set.
+     * @param Sync_Log_Database_Manager $log_database
+     */
+    public function __construct(?MailerLite $mailerlite, Sync_Log_Database_Manager $log_database)
+    {
+        $this->mailerlite = $mailerlite;
+        $this->log_database = $log_database;
+    }
+
+    /**
+     * The subscriber, their campaigns, MailerLite state and timeline
+     *
+     * @param int $subscriber_id
+     * @return array|null Null when the subscriber is not in the local table.
+     */
+    public function get(int $subscriber_id): ?array
+    {
+        $subscriber = (new Subscribers_Database_Manager())->get_subscriber_by_id($subscriber_id);
+        if (!$subscriber) {
+            return null;
+        }
+
+        $campaigns = (new Campaign_Group_Subscribers_Database_Manager())->get_all_subscriber_campaigns($subscriber_id);
+
+        $events = array_merge(
+            $this->get_campaign_events($campaigns),
+            $this->get_transition_events($subscriber_id),
+            $this->get_purchase_events($subscriber['email']),
+            $this->get_log_events($subscriber_id, $subscriber['email']),
+            $this->get_history_events($subscriber_id)
+        );
+
+        // Memberships from before join dates were recorded have none and go first
+        usort($events, function ($a, $b) {
+            return strcmp((string) $a['date'], (string) $b['date']);
+        });
+
+        return [
+            'subscriber' => [
+                'id' => (int) $subscriber['id'],
+                'email' => $subscriber['email'],
+                'name' => trim((string) $subscriber['name']),
+                'status' => $subscriber['status'] ?: 'unknown',
+                'subscribed_at' => $this->format_date($subscriber['subscribed_at']),
+                'unsubscribed_at' => $this->format_date($subscriber['unsubscribed_at']),
+                'updated_at' => $this->format_date($subscriber['updated_at']),
+            ],
+            'campaigns' => array_map(function ($campaign) {
+                return [
+                    'campaign' => $campaign['campaign'],
+                    'tier' => $campaign['tier'],
+                    'purchase_id' => $campaign['purchase_id'] ? (int) $campaign['purchase_id'] : null,
+                ];
+            }, $campaigns),
+            'mailerlite' => $this->get_mailerlite_state($subscriber_id),
+            'events' => array_map(function ($event) {
+                $event['when'] = $this->format_date($event['date']);
+                return $event;
+            }, array_slice($events, -self::EVENT_LIMIT)),
+            'truncated' => count($events) > self::EVENT_LIMIT,
+        ];
+    }
+
+    private function get_campaign_events(array $campaigns): array
+    {
+        return array_map(function ($campaign) {
+            $detail = 'Tier: ' . $campaign['tier'];
+            if (!empty($campaign['purchase_id'])) {
+                $detail .= ', purchase #' . $campaign['purchase_id'];
+            }
+
+            return $this->event('campaign', $campaign['joined_at'] ?? null, 'Joined campaign ' . $campaign['campaign'], $detail);
+        }, $campaigns);
+    }
+
+    private function get_transition_events(int $subscriber_id): array
+    {
+        return array_map(function ($transition) {
+            $detail = $transition['tier'] ? 'Tier in ' . $transition['destination'] . ': ' . $transition['tier'] : null;
+            if ($transition['status'] === 'Failed') {
+                $detail = trim('Transition failed. ' . $detail);
+            }
+
+            return $this->event(
+                'transition',
+                $transition['transition_date'],
+                sprintf('Moved from %s to %s', $transition['source'] ?: 'a deleted campaign', $transition['destination'] ?: 'a deleted campaign'),
+                $detail
+            );
+        }, (new Transition_Subscribers_Database_Manager())->get_subscriber_transitions($subscriber_id));
+    }
+
+    /**
+     * EDD orders placed with the email, from EDD 3 orders or EDD 2 payments
+     */
+    private function get_purchase_events(string $email): array
+    {
+        $events = [];
+
+        if (function_exists('edd_get_orders')) {
+            $orders = edd_get_orders([
+                'email' => $email,
+                'type' => 'sale',
+                'number' => self::PURCHASE_LIMIT,
+                'orderby' => 'date_created',
+                'order' => 'DESC',
+            ]);
+
+            foreach ($orders as $order) {
+                $products = wp_list_pluck($order->get_items(), 'product_name');
+                $events[] = $this->event(
+                    'purchase',
+                    get_date_from_gmt($order->date_created),
+                    'Purchased ' . ($products ? implode(', ', $products) : 'an order'),
+                    sprintf('Order #%s, %s, %s', $order->get_number(), edd_currency_filter(edd_format_amount($order->total), $order->currency), $order->status)
+                );
+            }
+        } elseif (function_exists('edd_get_payments')) {
+            $payments = edd_get_payments([
+                'user' => $email,
+                'number' => self::PURCHASE_LIMIT,
+                'status' => 'any',
+                'output' => 'payments',
+            ]);
+
+            foreach ($payments as $payment) {
+                $products = wp_list_pluck((array) $payment->cart_details, 'name');
+                $events[] = $this->event(
+                    'purchase',
+                    $payment->date,
+                    'Purchased ' . ($products ? implode(', ', $products) : 'an order'),
+                    sprintf('Order #%s, %s, %s', $payment->number, edd_currency_filter(edd_format_amount($payment->total), $payment->currency), $payment->status)
+                );
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * MailerLite group changes and problems written to the sync logs
+     */
+    private function get_log_events(int $subscriber_id, string $email): array
+    {
+        $events = [];
+
+        foreach ($this->log_database->get_subscriber_logs($subscriber_id, $email, self::EVENT_LIMIT) as $row) {
+            $data = is_array($row['data']) ? $row['data'] : [];
+            $group_id = $data['group_id'] ?? null;
+
+            if (in_array($row['level'], self::ERROR_LEVELS, true)) {
+                $error = $row['error_message'] ?: (is_string($data['error'] ?? null) ? $data['error'] : null);
+                $event = $this->event('error', $row['created_at'], $row['message'], $error);
+                $event['level'] = $row['level'];
+            } elseif (stripos($row['message'], 'added to group') !== false) {
+                $event = $this->event('group_add', $row['created_at'], 'Added to MailerLite group ' . $this->get_group_name($group_id));
+            } elseif (stripos($row['message'], 'removed from group') !== false) {
+                $event = $this->event('group_remove', $row['created_at'], 'Removed from MailerLite group ' . $this->get_group_name($group_id));
+            } else {
+                continue;
+            }
+
+            $event['log_id'] = $row['id'];
+            $events[] = $event;
+        }
+
+        return $events;
+    }
+
+    private function get_history_events(int $subscriber_id): array
+    {
+        return array_map(function ($row) {
+            $user = $row['user_id'] ? get_userdata($row['user_id']) : null;
+
+            $event = $this->event('edit', $row['created_at'], $row['summary'], $user ? 'By ' . $user->display_name : null);
+            $event['event'] = $row['event'];
+            return $event;
+        }, (new Subscriber_History_Database_Manager())->get_history($subscriber_id, self::EVENT_LIMIT));
+    }
+
+    /**
+     * Status and groups as MailerLite has them now
+     */
+    private function get_mailerlite_state(int $subscriber_id): array
+    {
+        if (!$this->mailerlite) {
+            return ['error' => 'No MailerLite API key is set.'];
+        }
+
+        try {
+            $remote = $this->mailerlite->getSubscriber($subscriber_id);
+
+            return [
+                'status' => $remote['status'] ?? null,
+                'email' => $remote['email'] ?? null,
+                'updated_at' => $remote['updated_at'] ?? null,
+                'groups' => $this->mailerlite->getSubscriberGroups((string) $subscriber_id),
+                'error' => null,
+            ];
+        } catch (Exception $e) {
+            return ['error' => $e->getMessage()];
+        }
+    }
+
+    private function get_group_name($group_id): string
+    {
+        if ($this->group_names === null) {
+            $groups = (new Group_Database_Manager())->get_all_groups() ?: [];
+            $this->group_names = array_column($groups, 'group_name', 'id');
+        }
+
+        if (!$group_id) {
+            return '(unknown)';
+        }
+
+        return $this->group_names[$group_id] ?? '#' . $group_id;
+    }
+
+    private function event(string $type, ?string $date, string $title, ?string $detail = null): array
+    {
+        return [
+            'type' => $type,
+            'date' => $date ?: null,
+            'title' => $title,
+            'detail' => $detail,
+        ];
+    }
+
+    private function format_date(?string $date): ?string
+    {
+        return $date ? mysql2date('F j, Y, g:i a', $date) : null;
+    }
+}
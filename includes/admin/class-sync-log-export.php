@@ -0,0 +1,158 @@
+<?php
+
+namespace Bema\Admin;
+
+use Bema\Database\Sync_Log_Database_Manager;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Streams sync logs to the browser as a file download.
+ *
+ * Rows are read in id order one batch at a time and written straight to the
+ * response, optionally through a gzip stream, so the export never holds more
+ * than one batch in memory however many months of logs match. Progress is
+ * kept in a transient under a token chosen by the browser, which polls it
+ * while the download runs.
+ */
+class Sync_Log_Export
+{
+    const BATCH_SIZE = 500;
+    const PROGRESS_TRANSIENT = 'bema_log_export_';
+
+    /**
+     * Export format => content type
+     */
+    const FORMATS = [
+        'csv' => 'text/csv',
+        'jsonl' => 'application/x-ndjson',
+    ];
+
+    const COLUMNS = ['id', 'created_at', 'level', 'status', 'source', 'operation', 'campaign', 'message', 'error_message', 'data'];
+
+    private $log_database;
+    private $deflate;
+    private $csv_buffer;
+
+    public function __construct(Sync_Log_Database_Manager $log_database)
+    {
+        $this->log_database = $log_database;
+    }
+
+    /**
+     * Send every log row matching the filters, newest first
+     *
+     * @param array $filters Filters as taken by Sync_Log_Database_Manager::get_logs()
+     * @param string $format csv or jsonl
+     * @param bool $gzip Compress the file
+     * @param string $token Progress token, empty when nobody is watching
+     * @param string $name File name without extension
+     */
+    public function stream(array $filters, string $format, bool $gzip, string $token = '', string $name = 'sync-logs'): void
+    {
+        if (!isset(self::FORMATS[$format])) {
+            throw new \InvalidArgumentException("Unknown export format {$format}");
+        }
+
+        $total = $this->log_database->count_logs($filters);
+        $this->set_progress($token, ['written' => 0, 'total' => $total, 'done' => false]);
+
+        @set_time_limit(0);
+        @ini_set('zlib.output_compression', '0');
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        $filename = $name . '-' . wp_date('Y-m-d-His') . '.' . $format . ($gzip ? '.gz' : '');
+        header('Content-Type: ' . ($gzip ? 'application/gzip' : self::FORMATS[$format] . '; charset=utf-8'));
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('Cache-Control: no-store');
+        header('X-Accel-Buffering: no');
+
+        $this->deflate = $gzip ? deflate_init(ZLIB_ENCODING_GZIP) : null;
+        $this->csv_buffer = fopen('php://memory', 'w+');
+
+        if ($format === 'csv') {
+            $this->write($this->format_csv([self::COLUMNS]));
+        }
+
+        $written = 0;
+        $before_id = 0;
+
+        do {
+            $rows = $this->log_database->get_logs(array_merge($filters, ['before_id' => $before_id]), self::BATCH_SIZE);
+            if (empty($rows)) {
+                break;
+            }
+
+            $this->write($format === 'csv' ? $this->format_csv(array_map([$this, 'csv_row'], $rows)) : $this->format_jsonl($rows), ZLIB_SYNC_FLUSH);
+            flush();
+
+            $written += count($rows);
+            $before_id = end($rows)['id'];
+            $this->set_progress($token, ['written' => $written, 'total' => $total, 'done' => false]);
+        } while (count($rows) === self::BATCH_SIZE && !connection_aborted());
+
+        $this->write('', ZLIB_FINISH);
+        fclose($this->csv_buffer);
+        flush();
+
+        $this->set_progress($token, ['written' => $written, 'total' => $total, 'done' => true]);
+    }
+
+    /**
+     * Progress of an export, null when the token is unknown
+     */
+    public static function get_progress(string $token): ?array
+    {
+        $progress = $token ? get_transient(self::PROGRESS_TRANSIENT . $token) : false;
+
+        return is_array($progress) ? $progress : null;
+    }
+
+    public static function set_progress(string $token, array $progress): void
+    {
+        if ($token) {
+            set_transient(self::PROGRESS_TRANSIENT . $token, $progress, HOUR_IN_SECONDS);
+        }
+    }
+
+    private function write(string $chunk, int $flush = ZLIB_NO_FLUSH): void
+    {
+        echo $this->deflate ? deflate_add($this->deflate, $chunk, $flush) : $chunk;
+    }
+
+    private function csv_row(array $row): array
+    {
+        $row['data'] = $row['data'] === null ? '' : wp_json_encode($row['data']);
+
+        return array_map(function ($column) use ($row) {
+            return $row[$column];
+        }, self::COLUMNS);
+    }
+
+    private function format_csv(array $rows): string
+    {
+        rewind($this->csv_buffer);
+        ftruncate($this->csv_buffer, 0);
+
+        foreach ($rows as $row) {
+            fputcsv($this->csv_buffer, $row);
+        }
+
+        rewind($this->csv_buffer);
+        return stream_get_contents($this->csv_buffer);
+    }
+
+    private function format_jsonl(array $rows): string
+    {
+        $lines = '';
+        foreach ($rows as $row) {
+            $lines .= wp_json_encode(array_intersect_key($row, array_flip(self::COLUMNS))) . "\n";
+        }
+
+        return $lines;
+    }
+}
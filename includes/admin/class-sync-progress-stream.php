@@ -0,0 +1,216 @@
+<?php
+
+namespace Bema\Admin;
+
+use Bema\Bema_CRM_Logger;
+use Bema\Sync_Job_Manager;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Pushes sync progress to the admin screens.
+ *
+ * Serves the same events two ways: as a Server-Sent Events stream and, for
+ * browsers or hosts where SSE does not work, as a polled request. Both
+ * resume from a cursor holding the last seen job revision and the byte offset
+ * of each sync log file, so a reconnect never replays or skips events.
+ *
+ * Requests are held open for a few seconds at most, and only while a job is
+ * running, so they never tie up a PHP worker for long. With no active job the
+ * request returns at once and the client comes back after a plain poll interval.
+ * BemaSyncStream lets only one tab per browser connect, so while a sync runs a
+ * browser holds a worker for HOLD_DURATION out of every HOLD_DURATION plus
+ * ACTIVE_RETRY_MS.
+ */
+class Sync_Progress_Stream
+{
+    /**
+     * Longest a request waits for new events while a job is running, in seconds
+     */
+    const HOLD_DURATION = 2;
+    const CHECK_INTERVAL = 1;
+
+    /**
+     * How soon the client should come back, in milliseconds, while a job is running and while none is
+     */
+    const ACTIVE_RETRY_MS = 3000;
+    const IDLE_RETRY_MS = 10000;
+
+    /**
+     * Log files whose new lines are forwarded to listeners
+     */
+    const LOG_SOURCES = ['sync-job', 'sync-manager'];
+
+    private $job_manager;
+    private $loggers = [];
+    private $job_status = 'idle';
+
+    public function __construct(Sync_Job_Manager $job_manager)
+    {
+        $this->job_manager = $job_manager;
+
+        foreach (self::LOG_SOURCES as $source) {
+            $this->loggers[$source] = Bema_CRM_Logger::create($source);
+        }
+    }
+
+    /**
+     * Decode a cursor sent by the client, starting at the current end of the logs when missing
+     *
+     * @param string $encoded Base64 JSON cursor, as returned in event ids
+     * @return array
+     */
+    public function decode_cursor(string $encoded): array
+    {
+        $cursor = json_decode(base64_decode($encoded, true) ?: '', true);
+
+        if (!is_array($cursor)) {
+            $cursor = ['revision' => -1, 'logs' => []];
+        }
+
+        $cursor['revision'] = (int) ($cursor['revision'] ?? -1);
+        $cursor['logs'] = is_array($cursor['logs'] ?? null) ? $cursor['logs'] : [];
+
+        foreach ($this->loggers as $source => $logger) {
+            if (!isset($cursor['logs'][$source])) {
+                $cursor['logs'][$source] = $logger->get_log_size();
+            }
+            $cursor['logs'][$source] = (int) $cursor['logs'][$source];
+        }
+
+        return $cursor;
+    }
+
+    public function encode_cursor(array $cursor): string
+    {
+        return base64_encode(wp_json_encode($cursor));
+    }
+
+    /**
+     * Collect every event that happened after the cursor
+     *
+     * @param array $cursor Decoded cursor, advanced in place
+     * @return array List of ['type' => 'status'|'log', 'data' => array]
+     */
+    public function collect(array &$cursor): array
+    {
+        $events = [];
+
+        $status = $this->job_manager->get_status(true);
+        $this->job_status = $status['status'];
+
+        if ($status['revision'] !== $cursor['revision']) {
+            $cursor['revision'] = $status['revision'];
+            $events[] = ['type' => 'status', 'data' => $status];
+        }
+
+        foreach ($this->loggers as $source => $logger) {
+            $result = $logger->read_since($cursor['logs'][$source]);
+            $cursor['logs'][$source] = $result['offset'];
+
+            foreach ($result['lines'] as $line) {
+                $events[] = ['type' => 'log', 'data' => $line];
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Whether the job seen by the last collect() can still produce events
+     */
+    private function is_job_running(): bool
+    {
+        return in_array($this->job_status, [
+            Sync_Job_Manager::STATUS_QUEUED,
+            Sync_Job_Manager::STATUS_RUNNING,
+            Sync_Job_Manager::STATUS_STOPPING,
+            Sync_Job_Manager::STATUS_PAUSING,
+        ], true);
+    }
+
+    /**
+     * Milliseconds the client should wait before asking again
+     */
+    public function get_retry_delay(): int
+    {
+        return $this->is_job_running() ? self::ACTIVE_RETRY_MS : self::IDLE_RETRY_MS;
+    }
+
+    /**
+     * Send events as text/event-stream for a few seconds at most
+     *
+     * The stream ends as soon as there is no running job, and otherwise after
+     * the hold duration. The browser's EventSource reconnects on its own after
+     * the announced retry delay and sends the last event id back, which is the cursor.
+     *
+     * @param array $cursor
+     * @return void
+     */
+    public function stream(array $cursor): void
+    {
+        ignore_user_abort(false);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache, no-transform');
+        header('X-Accel-Buffering: no');
+
+        $started = time();
+
+        while (!connection_aborted()) {
+            $events = $this->collect($cursor);
+
+            // Sent every round, as the delay changes when a job starts or ends
+            echo 'retry: ' . $this->get_retry_delay() . "\n\n";
+
+            if (!empty($events)) {
+                $id = $this->encode_cursor($cursor);
+                foreach ($events as $event) {
+                    echo "id: {$id}\n";
+                    echo "event: {$event['type']}\n";
+                    echo 'data: ' . wp_json_encode($event['data']) . "\n\n";
+                }
+            }
+            flush();
+
+            if (!$this->is_job_running() || time() - $started >= self::HOLD_DURATION) {
+                break;
+            }
+
+            sleep(self::CHECK_INTERVAL);
+        }
+    }
+
+    /**
+     * Return new events, waiting a few seconds for some while a job is running
+     *
+     * @param array $cursor
+     * @return array{cursor:string, events:array, retry:int}
+     */
+    public function poll(array $cursor): array
+    {
+        $started = time();
+
+        while (true) {
+            $events = $this->collect($cursor);
+
+            if (!empty($events) || !$this->is_job_running() || time() - $started >= self::HOLD_DURATION || connection_aborted()) {
+                break;
+            }
+
+            sleep(self::CHECK_INTERVAL);
+        }
+
+        return [
+            'cursor' => $this->encode_cursor($cursor),
+            'events' => $events,
+            'retry' => $this->get_retry_delay(),
+        ];
+    }
+}
@@ -302,6 +302,107 @@ $revenue_stats = Dashboard_Data::get_revenue_statistics();
                 <span class="dashicons dashicons-clock"></span>
                 Last sync: <strong><?php echo esc_html($sync_stats['last_sync_time'] ?: 'Never'); ?></strong>
             </div>
+
+            <!-- Sync Controls -->
+            <?php
+            $sync_active = in_array($current_status, ['queued', 'running', 'stopping', 'pausing'], true);
+            $sync_paused = $current_status === 'paused';
+
+            // Another admin's sync keeps the start form visible but disabled, with the reason
+            $sync_owner = $sync_status['owner'] ?? null;
+            $held_by_other = ($sync_active || $sync_paused) && $sync_owner && $sync_owner['user_id'] !== get_current_user_id();
+            ?>
+            <div id="sync-status-display" class="bema-sync-controls" data-status="<?php echo esc_attr($current_status); ?>">
+                <div class="bema-sync-state">
+                    <span class="status <?php echo esc_attr($current_status); ?> value status-badge status-<?php echo esc_attr($current_status); ?>">
+                        <?php echo esc_html(ucfirst($current_status)); ?>
+                    </span>
+                    <span class="sync-message"><?php echo esc_html($sync_status['message'] ?? ''); ?></span>
+                    <a class="sync-run-link" href="<?php echo esc_url(add_query_arg('run', $sync_status['sync_id'] ?? '', admin_url('admin.php?page=bema-synchronize'))); ?>"
+                        <?php echo empty($sync_status['sync_id']) ? 'style="display: none;"' : ''; ?>>Run details</a>
+                    <span class="sync-owner" <?php echo $sync_owner ? '' : 'style="display: none;"'; ?>>
+                        <?php if ($sync_owner): ?>
+                            <?php echo esc_html(sprintf('Started by %s at %s', $sync_owner['name'], wp_date(get_option('time_format'), $sync_owner['started_at']))); ?>
+                        <?php endif; ?>
+                    </span>
+                </div>
+
+                <div class="progress-bar">
+                    <div class="progress" style="width: <?php echo esc_attr($progress); ?>%"></div>
+                </div>
+                <div class="progress-text">
+                    <?php echo esc_html(sprintf('%d of %d processed (%d%%)', $processed, $total, $progress)); ?>
+                </div>
+
+                <div class="bema-sync-queue" <?php echo empty($sync_status['campaign_queue']) ? 'style="display:none"' : ''; ?>>
+                    <div class="bema-sync-queue-position">
+                        <?php if (!empty($sync_status['current_campaign'])): ?>
+                            <?php echo esc_html(sprintf('Campaign %d of %d: %s', $sync_status['campaign_number'], $sync_status['total_campaigns'], $sync_status['current_campaign'])); ?>
+                        <?php endif; ?>
+                    </div>
+                    <ol id="sync-campaign-queue" class="bema-sync-queue-list">
+                        <?php foreach ($sync_status['campaign_queue'] ?? [] as $entry): ?>
+                            <li class="campaign-state-<?php echo esc_attr($entry['state']); ?>" data-campaign="<?php echo esc_attr($entry['name']); ?>">
+                                <span class="campaign-name"><?php echo esc_html($entry['name']); ?></span>
+                                <span class="campaign-progress"><?php echo esc_html(sprintf('%d/%d', $entry['processed'], $entry['total'])); ?></span>
+                                <span class="campaign-state"><?php echo esc_html($entry['state']); ?></span>
+                            </li>
+                        <?php endforeach; ?>
+                    </ol>
+                </div>
+
+                <!-- Campaign × group progress, rendered by BemaSync from the status payload -->
+                <ul id="sync-group-progress" class="bema-sync-groups"
+                    data-progress="<?php echo esc_attr(wp_json_encode($sync_status['group_progress'] ?? [])); ?>"
+                    <?php echo empty($sync_status['group_progress']) ? 'style="display:none"' : ''; ?>></ul>
+
+                <div id="start-sync-form" class="<?php echo $held_by_other ? 'is-locked' : ''; ?>" <?php echo ($sync_active || $sync_paused) && !$held_by_other ? 'style="display:none"' : ''; ?>>
+                    <p class="bema-sync-lock-notice" <?php echo $held_by_other ? '' : 'style="display:none"'; ?>>
+                        <span class="dashicons dashicons-lock"></span>
+                        <span class="lock-reason">
+                            <?php if ($held_by_other): ?>
+                                <?php echo esc_html(sprintf(
+                                    $sync_paused ? '%s paused their sync. It has to be resumed or stopped before a new one can start.' : '%s is running a sync. You can start a new one once it finishes.',
+                                    $sync_owner['name']
+                                )); ?>
+                            <?php endif; ?>
+                        </span>
+                    </p>
+                    <select id="campaign-select">
+                        <option value=""><?php esc_html_e('All campaigns', 'bema-crm'); ?></option>
+                        <?php foreach ($sync_campaigns as $campaign_name): ?>
+                            <option value="<?php echo esc_attr($campaign_name); ?>"><?php echo esc_html($campaign_name); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <button type="button" id="add-to-queue" class="bema-btn">
+                        <span class="dashicons dashicons-plus-alt2"></span> Add to queue
+                    </button>
+                    <ol id="sync-queue-builder" class="bema-sync-queue-list"></ol>
+                    <button type="button" id="start-sync" class="bema-btn bema-btn-primary" <?php disabled($held_by_other); ?>>
+                        <span class="dashicons dashicons-update"></span> Start Sync
+                    </button>
+                    <button type="button" id="preview-sync" class="bema-btn" <?php disabled($held_by_other); ?>>
+                        <span class="dashicons dashicons-visibility"></span> Preview
+                    </button>
+                </div>
+
+                <button type="button" id="pause-sync" class="bema-btn" <?php echo $sync_active ? '' : 'style="display:none"'; ?> <?php disabled(in_array($current_status, ['stopping', 'pausing'], true)); ?>>
+                    <span class="dashicons dashicons-controls-pause"></span> Pause
+                </button>
+
+                <button type="button" id="resume-sync" class="bema-btn bema-btn-primary" <?php echo $sync_paused ? '' : 'style="display:none"'; ?>>
+                    <span class="dashicons dashicons-controls-play"></span> Resume
+                </button>
+
+                <button type="button" id="stop-sync" class="bema-btn" <?php echo ($sync_active || $sync_paused) ? '' : 'style="display:none"'; ?>>
+                    <span class="dashicons dashicons-dismiss"></span> Stop Sync
+                </button>
+
+                <button type="button" id="retry-failed" class="bema-btn" <?php echo (!$sync_active && !$sync_paused && !empty($failed_jobs)) ? '' : 'style="display:none"'; ?>>
+                    <span class="dashicons dashicons-controls-repeat"></span>
+                    Retry <span class="retry-count"><?php echo esc_html(count($failed_jobs)); ?></span> failed step(s)
+                </button>
+            </div>
         </div>
         
         <!-- Subscriber Metrics -->
@@ -337,6 +438,103 @@ $revenue_stats = Dashboard_Data::get_revenue_statistics();
         </div>
     </div>
     
+    <!-- Failed Jobs -->
+    <div id="sync-failures" class="bema-section"
+        data-failures="<?php echo esc_attr(wp_json_encode($failed_jobs)); ?>"
+        data-next-retry="<?php echo esc_attr($sync_status['next_retry_at'] ?? ''); ?>"
+        <?php echo empty($failed_jobs) ? 'style="display:none"' : ''; ?>>
+        <div class="bema-section-header">
+            <h2><span class="dashicons dashicons-warning"></span> Failed Jobs</h2>
+            <span class="bema-sync-failures-retry"></span>
+        </div>
+
+        <table id="sync-failures-table" class="widefat striped">
+            <thead>
+                <tr>
+                    <td class="check-column"><input type="checkbox" id="sync-failures-all"></td>
+                    <th>Operation</th>
+                    <th>Exception</th>
+                    <th>Attempts</th>
+                    <th>Last Error</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+
+        <div class="bema-sync-failures-actions">
+            <button type="button" id="retry-selected-failures" class="bema-btn" disabled>
+                <span class="dashicons dashicons-controls-repeat"></span> Retry selected
+            </button>
+            <button type="button" id="discard-selected-failures" class="bema-btn" disabled>
+                <span class="dashicons dashicons-trash"></span> Discard selected
+            </button>
+            <button type="button" id="retry-retryable-failures" class="bema-btn bema-btn-primary">
+                <span class="dashicons dashicons-update"></span> Retry all retryable
+            </button>
+        </div>
+    </div>
+
+    <!-- Sync Preview -->
+    <div id="sync-plan" class="bema-section" data-plan-id="<?php echo esc_attr($sync_plan['plan_id'] ?? ''); ?>" <?php echo empty($sync_plan) ? 'style="display:none"' : ''; ?>>
+        <div class="bema-section-header">
+            <h2><span class="dashicons dashicons-visibility"></span> Sync Preview</h2>
+            <span class="bema-sync-plan-status status-badge"></span>
+        </div>
+
+        <p class="bema-sync-plan-note">
+            Changes a sync would make right now. Nothing has been written to MailerLite or the local tables.
+            Applying creates and writes only what is listed here.
+        </p>
+
+        <div class="bema-sync-plan-summary"></div>
+
+        <div class="bema-sync-plan-filters">
+            <select id="sync-plan-type">
+                <option value="">All changes</option>
+                <option value="campaign">Campaigns</option>
+                <option value="field">Fields</option>
+                <option value="group">Groups</option>
+                <option value="subscriber">Subscribers</option>
+                <option value="tier">Tiers</option>
+            </select>
+            <select id="sync-plan-action">
+                <option value="">Any action</option>
+                <option value="create">Create</option>
+                <option value="delete">Delete</option>
+                <option value="insert">Insert</option>
+                <option value="update">Update</option>
+                <option value="add">Add</option>
+                <option value="change">Change</option>
+            </select>
+            <input type="search" id="sync-plan-search" placeholder="Search name or email">
+        </div>
+
+        <table id="sync-plan-table" class="widefat striped">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Campaign</th>
+                    <th>Before</th>
+                    <th>After</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+
+        <div class="bema-sync-plan-footer">
+            <div class="bema-pagination-controls">
+                <button type="button" id="sync-plan-prev" disabled>Previous</button>
+                <span id="sync-plan-page-info">Page 1</span>
+                <button type="button" id="sync-plan-next" disabled>Next</button>
+            </div>
+            <button type="button" id="apply-sync-plan" class="bema-btn bema-btn-primary" disabled>
+                <span class="dashicons dashicons-yes"></span> Apply these changes
+            </button>
+        </div>
+    </div>
+
     <!-- Revenue Analytics -->
     <div class="bema-section">
         <div class="bema-section-header">
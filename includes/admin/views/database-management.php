@@ -13,6 +13,10 @@ $current_tab = isset($_GET['tab']) ? sanitize_text_field($_GET['tab']) : 'subscr
 
 <div class="wrap bema-database-management">
     <h1 class="wp-heading-inline"><?php echo esc_html(get_admin_page_title()); ?></h1>
+    <?php if ($current_tab === 'subscribers'): ?>
+        <button type="button" class="page-title-action" id="subscriber-import-open" aria-controls="subscriber-import" aria-expanded="false">Import CSV</button>
+        <button type="button" class="page-title-action" id="subscriber-export-open" aria-controls="subscriber-export" aria-expanded="false">Export</button>
+    <?php endif; ?>
 
     <!-- Navigation Tabs -->
     <nav class="nav-tab-wrapper">
@@ -20,6 +24,14 @@ $current_tab = isset($_GET['tab']) ? sanitize_text_field($_GET['tab']) : 'subscr
             class="nav-tab <?php echo $current_tab === 'subscribers' ? 'nav-tab-active' : ''; ?>">
             <?php _e('Subscribers', 'bema-crm'); ?>
         </a>
+        <a href="?page=bema-database&tab=duplicates"
+            class="nav-tab <?php echo $current_tab === 'duplicates' ? 'nav-tab-active' : ''; ?>">
+            <?php _e('Duplicates', 'bema-crm'); ?>
+        </a>
+        <a href="?page=bema-database&tab=segments"
+            class="nav-tab <?php echo $current_tab === 'segments' ? 'nav-tab-active' : ''; ?>">
+            <?php _e('Segments', 'bema-crm'); ?>
+        </a>
     </nav>
     
 
@@ -34,6 +46,28 @@ $current_tab = isset($_GET['tab']) ? sanitize_text_field($_GET['tab']) : 'subscr
         }
         ?>
 
+    <?php elseif ($current_tab === 'duplicates'): ?>
+        <?php
+        $duplicates_view_path = plugin_dir_path(BEMA_FILE) . 'includes/admin/views/database/duplicates-view.php';
+
+        if (file_exists($duplicates_view_path)) {
+            include $duplicates_view_path;
+        } else {
+            \Bema\bema_notice('Missing view file: duplicates-view.php', 'error');
+        }
+        ?>
+
+    <?php elseif ($current_tab === 'segments'): ?>
+        <?php
+        $segments_view_path = plugin_dir_path(BEMA_FILE) . 'includes/admin/views/database/segments-view.php';
+
+        if (file_exists($segments_view_path)) {
+            include $segments_view_path;
+        } else {
+            \Bema\bema_notice('Missing view file: segments-view.php', 'error');
+        }
+        ?>
+
     <?php elseif ($current_tab === 'sync-logs'): ?>
         <!-- Sync Logs Content -->
         <p>Sync logs functionality not yet implemented.</p>
@@ -0,0 +1,99 @@
+<?php
+use Bema\Manager_Factory;
+
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+$logger = \Bema\Bema_CRM_Logger::create('duplicates-view');
+
+$paged = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+
+try {
+	$report = Manager_Factory::get_subscriber_merge_manager()->get_clusters($paged);
+} catch (Exception $e) {
+	$report = ['clusters' => [], 'total' => 0, 'pages' => 1, 'page' => 1];
+	$logger->error('Failed to load duplicate subscribers', ['error' => $e->getMessage()]);
+}
+
+?>
+
+<div class="wrap bema-duplicates">
+	<p class="description">
+		Records whose emails only differ in case or whitespace. Review a group to compare its records side by side,
+		choose the one to keep and which record each field and campaign tier comes from, then merge them.
+		The other records are deleted locally; their transitions and history move to the one kept.
+	</p>
+
+	<!-- Compare view for one group, filled in by BemaSubscriberDuplicates -->
+	<div id="duplicate-merge" class="duplicate-merge" hidden>
+		<h2>Review <span class="duplicate-merge-email"></span></h2>
+		<div class="duplicate-merge-notices"></div>
+		<form id="duplicate-merge-form">
+			<table class="widefat duplicate-merge-table">
+				<thead></thead>
+				<tbody></tbody>
+			</table>
+			<p>
+				<?php submit_button('Merge', 'primary', 'duplicate-merge-submit', false); ?>
+				<button type="button" class="button-link duplicate-merge-cancel">Cancel</button>
+			</p>
+		</form>
+	</div>
+
+	<div class="tablenav top">
+		<div class="tablenav-pages">
+			<span class="displaying-num"><?php echo esc_html(number_format_i18n($report['total'])); ?> <?php echo $report['total'] === 1 ? 'group' : 'groups'; ?></span>
+			<?php
+			echo paginate_links(array(
+				'base' => add_query_arg('paged', '%#%'),
+				'format' => '',
+				'prev_text' => '«',
+				'next_text' => '»',
+				'total' => $report['pages'],
+				'current' => $report['page'],
+			));
+			?>
+		</div>
+	</div>
+
+	<table class="wp-list-table widefat fixed striped duplicates-table">
+		<thead>
+			<tr>
+				<th scope="col" class="manage-column column-email">Email</th>
+				<th scope="col" class="manage-column column-records">Records</th>
+				<th scope="col" class="manage-column column-stored">Stored as</th>
+				<th scope="col" class="manage-column column-conflicts">Conflicting tiers</th>
+				<th scope="col" class="manage-column column-actions"><span class="screen-reader-text">Actions</span></th>
+			</tr>
+		</thead>
+		<tbody>
+			<?php if (!empty($report['clusters'])): ?>
+				<?php foreach ($report['clusters'] as $cluster): ?>
+					<tr data-email="<?php echo esc_attr($cluster['email']); ?>">
+						<td><?php echo esc_html($cluster['email']); ?></td>
+						<td><?php echo esc_html($cluster['records']); ?></td>
+						<!-- Quoted so leading and trailing whitespace shows -->
+						<td>
+							<?php foreach ($cluster['records'] as $record): ?>
+								<code>"<?php echo esc_html($record['email']); ?>"</code> #<?php echo esc_html($record['id']); ?><br />
+							<?php endforeach; ?>
+						</td>
+						<td>
+							<?php if (!empty($cluster['conflicts'])): ?>
+								<span class="duplicate-conflict"><?php echo esc_html(implode(', ', $cluster['conflicts'])); ?></span>
+							<?php else: ?>
+								—
+							<?php endif; ?>
+						</td>
+						<td><button type="button" class="button duplicate-review">Review</button></td>
+					</tr>
+				<?php endforeach; ?>
+			<?php else: ?>
+				<tr>
+					<td colspan="5">No duplicate subscribers found.</td>
+				</tr>
+			<?php endif; ?>
+		</tbody>
+	</table>
+</div>
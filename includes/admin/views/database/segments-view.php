@@ -0,0 +1,110 @@
+<?php
+use Bema\Manager_Factory;
+use Bema\Segment_Manager;
+use Bema\Database\Campaign_Database_Manager;
+use Bema\Database\Group_Database_Manager;
+
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+$logger = \Bema\Bema_CRM_Logger::create('segments-view');
+
+try {
+	$segments = Manager_Factory::get_segment_manager()->get_segments();
+} catch (Exception $e) {
+	$segments = [];
+	$logger->error('Failed to load segments', ['error' => $e->getMessage()]);
+}
+
+$groups = (new Group_Database_Manager())->get_all_groups() ?: [];
+usort($groups, function ($a, $b) {
+	return strcasecmp($a['group_name'], $b['group_name']);
+});
+
+// Everything the builder offers, so BemaSegmentBuilder can render conditions without a request
+$builder_config = [
+	'fields' => Segment_Manager::FIELDS,
+	'matches' => Segment_Manager::MATCHES,
+	'tiers' => array_values(get_option('bema_crm_tiers', [])),
+	'campaigns' => array_column((new Campaign_Database_Manager())->get_all_campaigns(), 'campaign'),
+	'groups' => array_map(function ($group) {
+		return ['id' => (int) $group['id'], 'name' => $group['group_name']];
+	}, $groups),
+	'statuses' => Segment_Manager::STATUSES,
+	'max_groups' => Segment_Manager::MAX_GROUPS,
+	'max_conditions' => Segment_Manager::MAX_CONDITIONS,
+];
+
+?>
+
+<div class="wrap bema-segments">
+	<p class="description">
+		A segment is a saved set of conditions. Its subscribers are worked out whenever it is used: as a filter on the
+		Subscribers tab, and so as the target of bulk actions and exports, to narrow a campaign transition, or as the
+		recipients of a MailerLite draft campaign.
+	</p>
+
+	<!-- Rows are rendered by BemaSegmentBuilder from the data attribute, and again after every save or delete -->
+	<table id="segment-list" class="wp-list-table widefat fixed striped"
+		data-segments="<?php echo esc_attr(wp_json_encode($segments)); ?>">
+		<thead>
+			<tr>
+				<th scope="col" class="manage-column column-name">Name</th>
+				<th scope="col" class="manage-column column-conditions">Conditions</th>
+				<th scope="col" class="manage-column column-count">Subscribers</th>
+				<th scope="col" class="manage-column column-actions"><span class="screen-reader-text">Actions</span></th>
+			</tr>
+		</thead>
+		<tbody></tbody>
+	</table>
+
+	<div class="segment-draft-progress" aria-live="polite" hidden></div>
+
+	<!-- Shown by a segment's "MailerLite draft" action -->
+	<form id="segment-draft" class="segment-draft" hidden>
+		<h3>MailerLite draft for <span class="segment-draft-name"></span></h3>
+		<p class="description">
+			The segment's current subscribers are added to a new MailerLite group the draft is addressed to.
+			Subscribers who join the segment later are not added; create another draft for them.
+		</p>
+		<p>
+			<label for="segment-draft-subject">Subject</label>
+			<input type="text" id="segment-draft-subject" class="regular-text" maxlength="255" required />
+		</p>
+		<p>
+			<?php submit_button('Create draft', 'primary', 'segment-draft-submit', false); ?>
+			<button type="button" class="button-link segment-draft-cancel">Cancel</button>
+		</p>
+	</form>
+
+	<form id="segment-builder" class="segment-builder" data-config="<?php echo esc_attr(wp_json_encode($builder_config)); ?>">
+		<h2 class="segment-builder-title">New segment</h2>
+		<input type="hidden" name="id" value="" />
+
+		<p>
+			<label for="segment-name">Name</label>
+			<input type="text" id="segment-name" name="name" class="regular-text" maxlength="191" required />
+		</p>
+
+		<p>
+			<label for="segment-match">Subscribers who match</label>
+			<select id="segment-match" class="segment-match"></select>
+			<span>of these groups of conditions</span>
+		</p>
+
+		<!-- Groups and their conditions are rendered by BemaSegmentBuilder -->
+		<div class="segment-groups"></div>
+
+		<p>
+			<button type="button" class="button segment-add-group">Add group</button>
+		</p>
+
+		<p class="segment-preview" aria-live="polite"></p>
+
+		<p>
+			<?php submit_button('Save segment', 'primary', 'segment-save', false); ?>
+			<button type="button" class="button segment-reset">New segment</button>
+		</p>
+	</form>
+</div>
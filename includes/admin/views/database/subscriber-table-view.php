@@ -1,117 +1,174 @@
 <?php
-use Bema\Database\Subscribers_Database_Manager;
 use Bema\Database\Campaign_Database_Manager;
-use Bema\Database\Transition_Database_Manager;
-use Bema\Manager_Factory;
+use Bema\Database\Group_Database_Manager;
+use Bema\Database\Segment_Database_Manager;
+use Bema\Subscriber_Bulk_Action_Manager;
+use Bema\Subscriber_Export_Manager;
+use Bema\Subscriber_Import_Manager;
 
 if (!defined('ABSPATH')) {
 	exit;
 }
 
-$sync_manager = Manager_Factory::get_sync_manager();
 $campaign_database = new Campaign_Database_Manager();
 
-// Get database manager from main plugin instance
-$transition_database = new Transition_Database_Manager();
-
-$transition_date_from_id_map = $transition_database->get_transition_date_from_id_map();
-
-// Handle filter inputs.
-$selected_tier = isset($_GET['tier']) ? sanitize_text_field(wp_unslash($_GET['tier'])) : '';
-$selected_campaign = isset($_GET['campaign']) ? sanitize_text_field(wp_unslash($_GET['campaign'])) : '';
-$search_query = isset($_GET['search']) ? sanitize_text_field(wp_unslash($_GET['search'])) : '';
-$orderby = isset($_GET['orderby']) ? sanitize_text_field(wp_unslash($_GET['orderby'])) : 'id';
-$order = isset($_GET['order']) ? sanitize_text_field(wp_unslash($_GET['order'])) : 'desc';
-
-// Fetch subscriber data with filters/pagination.
-$subscriber_db = new Subscribers_Database_Manager();
-
 // Retrieve tiers from WordPress option.
 $tiers = get_option('bema_crm_tiers', []);
 
 // Retrieve EDD product list (campaigns).
 $campaigns = $campaign_database->get_all_campaigns();
 
+// MailerLite groups for the add and remove group bulk actions
+$groups = (new Group_Database_Manager())->get_all_groups() ?: [];
+usort($groups, function ($a, $b) {
+	return strcasecmp($a['group_name'], $b['group_name']);
+});
 
-// Pagination setup.
-$paged = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
-$per_page = 25;
-$offset = ($paged - 1) * $per_page;
-
-// Fetch subscribers with filters
-$subscribers = $subscriber_db->get_subscribers(
-	$per_page,
-	$offset,
-	$selected_campaign,
-	$selected_tier,
-	$search_query,
-	$orderby,
-	$order
-);
-
-// Get total count for pagination
-$total_items = $subscriber_db->count_subscribers(
-	$selected_campaign,
-	$selected_tier,
-	$search_query
-);
-
-$total_pages = max(1, (int) ceil($total_items / $per_page));
-
-function bema_crm_print_notice($message, $type = 'success')
-{
-	printf('<div class="notice notice-%s is-dismissible"><p>%s</p></div>', esc_attr($type), esc_html($message));
-}
-function bema_crm_sortable_column($column, $label, $current_orderby, $current_order) {
-	$new_order = ($current_orderby === $column && $current_order === 'asc') ? 'desc' : 'asc';
-	$class = 'sortable';
-	if ($current_orderby === $column) {
-		$class = $current_order === 'asc' ? 'sorted asc' : 'sorted desc';
-	}
-	$url = add_query_arg(['orderby' => $column, 'order' => $new_order]);
-	return sprintf('<a href="%s"><span>%s</span><span class="sorting-indicator"></span></a>', esc_url($url), esc_html($label));
-}
-// Bulk actions
-if (isset($_POST['bulk-action'])) {
-	switch (sanitize_text_field(wp_unslash($_POST['bulk-action']))) {
-		case 'resync':
-			// Verify nonce
-			if (!isset($_POST['bema_crm_nonce']) || !wp_verify_nonce(wp_unslash($_POST['bema_crm_nonce']), 'bema_crm_bulk_action')) {
-				wp_die('Security check failed. Please try again.');
-			}
-
-			// Capability check
-			if (!current_user_can('manage_options')) {
-				wp_die('You do not have permission to perform this action.');
-			}
-
-			// Get selected subscriber IDs (IDs only per requirements)
-			$ids = isset($_POST['subscriber_ids']) ? (array) wp_unslash($_POST['subscriber_ids']) : [];
-			$ids = array_filter(array_map('absint', $ids));
-
-			if (empty($ids)) {
-				\Bema\bema_notice('No subscribers selected. Please select subscribers to resync.', 'warning', 'Selection Required');
-				break;
-			}
-
-			try {
-				$processed = $sync_manager->resync_subscribers( $ids);
-			} catch (Exception $e) {
-				\Bema\bema_notice('Resync failed: ' . $e->getMessage(), 'error', 'Resync Error');
-			}
-
-			break;
-	}
-}
-
+// Saved segments, built on the Segments tab
+$segments = (new Segment_Database_Manager())->get_segments();
 
+// The first page comes with the page; BemaSubscriberTable loads the others from the same query
+$subscriber_grid = $admin->get_subscriber_grid(wp_unslash($_GET));
+$grid_state = $subscriber_grid['state'];
 
 ?>
 
-<div class="wrap">
+<div class="wrap bema-subscriber-grid">
+
+	<!-- CSV import wizard, opened from "Import CSV" and driven by BemaSubscriberImport -->
+	<div id="subscriber-import" class="subscriber-import" hidden>
+		<h2>Import subscribers</h2>
+		<ol class="subscriber-import-steps">
+			<li data-step="upload">Upload</li>
+			<li data-step="map">Map columns</li>
+			<li data-step="review">Review</li>
+			<li data-step="import">Import</li>
+		</ol>
+
+		<section class="subscriber-import-step" data-step="upload">
+			<form id="subscriber-import-upload" enctype="multipart/form-data">
+				<p>
+					<label for="subscriber-import-file">CSV file</label>
+					<input type="file" id="subscriber-import-file" name="file" accept=".csv,text/csv" required />
+				</p>
+				<p class="description">
+					A header row, then one subscriber per row; up to <?php echo esc_html(number_format_i18n(Subscriber_Import_Manager::MAX_ROWS)); ?> rows
+					and <?php echo esc_html(size_format(Subscriber_Import_Manager::MAX_FILE_SIZE)); ?>. Columns may be separated by commas, semicolons or tabs.
+				</p>
+				<p>
+					<?php submit_button('Upload', 'primary', 'subscriber-import-upload-submit', false); ?>
+					<button type="button" class="button-link subscriber-import-cancel">Cancel</button>
+				</p>
+			</form>
+		</section>
+
+		<section class="subscriber-import-step" data-step="map" hidden>
+			<p class="subscriber-import-file-summary"></p>
+			<table class="form-table" role="presentation">
+				<tbody>
+					<?php foreach (Subscriber_Import_Manager::FIELDS as $field => $label): ?>
+						<tr>
+							<th scope="row"><label for="subscriber-import-field-<?php echo esc_attr($field); ?>"><?php echo esc_html($label); ?></label></th>
+							<td>
+								<!-- Options are the file's columns, added by BemaSubscriberImport -->
+								<select id="subscriber-import-field-<?php echo esc_attr($field); ?>" class="subscriber-import-field" data-field="<?php echo esc_attr($field); ?>"></select>
+								<?php if ($field === 'email'): ?>
+									<span class="description">Required</span>
+								<?php elseif ($field === 'tier'): ?>
+									<span class="description">One of <?php echo esc_html(implode(', ', $tiers)); ?>; needs a campaign</span>
+								<?php endif; ?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+			<div class="subscriber-import-sample"></div>
+			<p>
+				<button type="button" class="button button-primary subscriber-import-check">Check rows</button>
+				<button type="button" class="button subscriber-import-back" data-step="upload">Back</button>
+			</p>
+		</section>
+
+		<section class="subscriber-import-step" data-step="review" hidden>
+			<div class="subscriber-import-summary"></div>
+			<div class="subscriber-import-problems"></div>
+
+			<fieldset class="subscriber-import-policy">
+				<legend>Rows whose email is already in the CRM</legend>
+				<?php foreach (Subscriber_Import_Manager::POLICIES as $policy => $label): ?>
+					<label>
+						<input type="radio" name="subscriber_import_policy" value="<?php echo esc_attr($policy); ?>" <?php checked($policy, 'skip'); ?> />
+						<?php echo esc_html($label); ?>
+					</label><br />
+				<?php endforeach; ?>
+			</fieldset>
+
+			<p>
+				<label>
+					<input type="checkbox" id="subscriber-import-push" checked />
+					Push to MailerLite
+				</label>
+			</p>
+			<p class="description">
+				With the push, rows with a campaign and tier are imported into that tier's MailerLite group, which creates the
+				subscribers MailerLite does not have yet. Without it MailerLite is not changed: only emails it already has are
+				imported, and the next sync can overwrite the tiers set here.
+			</p>
+
+			<p>
+				<button type="button" class="button button-primary subscriber-import-start">Import</button>
+				<button type="button" class="button subscriber-import-back" data-step="map">Back</button>
+			</p>
+		</section>
+
+		<section class="subscriber-import-step" data-step="import" hidden>
+			<div class="subscriber-import-progress" aria-live="polite"></div>
+		</section>
+	</div>
+
+	<!-- Export of every subscriber matching the filters, opened from "Export" and driven by BemaSubscriberExport -->
+	<form id="subscriber-export" class="subscriber-export" data-stream-limit="<?php echo esc_attr(Subscriber_Export_Manager::STREAM_LIMIT); ?>" hidden>
+		<h2>Export subscribers</h2>
+		<p class="subscriber-export-summary"></p>
+
+		<fieldset class="subscriber-export-formats">
+			<legend>Format</legend>
+			<?php foreach (array_keys(Subscriber_Export_Manager::FORMATS) as $format): ?>
+				<label>
+					<input type="radio" name="subscriber_export_format" value="<?php echo esc_attr($format); ?>" <?php checked($format, 'csv'); ?> />
+					<?php echo esc_html(strtoupper($format)); ?>
+				</label>
+			<?php endforeach; ?>
+		</fieldset>
+
+		<fieldset class="subscriber-export-columns">
+			<legend>Columns</legend>
+			<?php foreach (Subscriber_Export_Manager::COLUMNS as $column => $label): ?>
+				<label>
+					<input type="checkbox" name="subscriber_export_columns[]" value="<?php echo esc_attr($column); ?>"
+						<?php checked(in_array($column, Subscriber_Export_Manager::DEFAULT_COLUMNS, true)); ?> />
+					<?php echo esc_html($label); ?>
+				</label>
+			<?php endforeach; ?>
+		</fieldset>
+
+		<p class="description">
+			Purchases are the campaigns bought, with their EDD order; total spent is the customer's lifetime value in Easy Digital
+			Downloads. Exports of up to <?php echo esc_html(number_format_i18n(Subscriber_Export_Manager::STREAM_LIMIT)); ?> subscribers
+			download right away; bigger ones are written in the background, and a download link appears here when they are ready.
+		</p>
+
+		<p>
+			<?php submit_button('Export', 'primary', 'subscriber-export-submit', false); ?>
+			<button type="button" class="button-link subscriber-export-cancel">Cancel</button>
+		</p>
+	</form>
+
+	<!-- Progress and download link of the last background export, rendered by BemaSubscriberExport -->
+	<div class="subscriber-export-progress" aria-live="polite" hidden></div>
 
 	<!-- Filter Form -->
-	<form method="get">
+	<form method="get" class="subscriber-filters">
 		<input type="hidden" name="page" value="<?php echo esc_attr($_GET['page']); ?>" />
 
 		<div class="tablenav top">
@@ -120,7 +177,7 @@ if (isset($_POST['bulk-action'])) {
 				<select name="tier" id="filter-tier">
 					<option value="">Tiers</option>
 					<?php foreach ($tiers as $tier): ?>
-						<option value="<?php echo esc_attr($tier); ?>" <?php selected($selected_tier, $tier); ?>>
+						<option value="<?php echo esc_attr($tier); ?>" <?php selected($grid_state['tier'], $tier); ?>>
 							<?php echo esc_html($tier); ?>
 						</option>
 					<?php endforeach; ?>
@@ -130,135 +187,105 @@ if (isset($_POST['bulk-action'])) {
 				<select name="campaign" id="filter-campaign">
 					<option value="">Campaigns</option>
 					<?php foreach ($campaigns as $name): ?>
-						<option value="<?php echo esc_attr($name['campaign']); ?>" <?php selected($selected_campaign, $name['campaign']); ?>>
+						<option value="<?php echo esc_attr($name['campaign']); ?>" <?php selected($grid_state['campaign'], $name['campaign']); ?>>
 							<?php echo esc_html($name['campaign']); ?>
 						</option>
 					<?php endforeach; ?>
 				</select>
 
+				<!-- Segment Filter -->
+				<select name="segment" id="filter-segment">
+					<option value="0">Segments</option>
+					<?php foreach ($segments as $segment): ?>
+						<option value="<?php echo esc_attr($segment['id']); ?>" <?php selected($grid_state['segment'], $segment['id']); ?>>
+							<?php echo esc_html($segment['name']); ?>
+						</option>
+					<?php endforeach; ?>
+				</select>
+
 				<!-- Search -->
-				<input type="search" id="subscriber-search-input" name="search" placeholder="name@email.com"
-					value="<?php echo esc_attr($search_query); ?>" />
+				<input type="search" id="subscriber-search-input" name="search" placeholder="name@email.com" autocomplete="off"
+					value="<?php echo esc_attr($grid_state['search']); ?>" />
 
 				<?php submit_button('Filter', '', 'filter_action', false); ?>
 			</div>
+			<div class="alignright actions subscriber-grid-options">
+				<label for="subscriber-per-page">Per page</label>
+				<select name="per_page" id="subscriber-per-page">
+					<?php foreach ($admin::SUBSCRIBER_PAGE_SIZES as $size): ?>
+						<option value="<?php echo esc_attr($size); ?>" <?php selected($grid_state['per_page'], $size); ?>><?php echo esc_html($size); ?></option>
+					<?php endforeach; ?>
+				</select>
+
+				<!-- Column checkboxes are rendered by BemaSubscriberTable -->
+				<details class="subscriber-column-chooser">
+					<summary class="button">Columns</summary>
+					<fieldset class="subscriber-column-options">
+						<legend class="screen-reader-text">Columns</legend>
+					</fieldset>
+				</details>
+			</div>
+			<input type="hidden" name="orderby" value="<?php echo esc_attr($grid_state['orderby']); ?>" />
+			<input type="hidden" name="order" value="<?php echo esc_attr($grid_state['order']); ?>" />
 		</div>
 	</form>
 
-	<!-- Bulk Actions Form -->
-	<form method="post">
-		<?php wp_nonce_field('bema_crm_bulk_action', 'bema_crm_nonce'); ?>
-
+	<!-- Bulk Actions Form, submitted by BemaSubscriberBulkActions -->
+	<form method="post" id="subscriber-bulk-form">
 		<div class="tablenav top bulk-pagination">
 			<div class="alignleft actions bulkactions">
-				<select name="bulk-action" id="bulk-action-selector-top">
-					<option value="-1">Bulk actions</option>
-					<option value="resync">Resync</option>
+				<label for="bulk-action-selector-top" class="screen-reader-text">Select bulk action</label>
+				<select name="bulk_action" id="bulk-action-selector-top">
+					<option value="">Bulk actions</option>
+					<?php foreach (Subscriber_Bulk_Action_Manager::ACTIONS as $action => $label): ?>
+						<option value="<?php echo esc_attr($action); ?>"><?php echo esc_html($label); ?></option>
+					<?php endforeach; ?>
 				</select>
+
+				<!-- Shown for the actions listed in data-actions -->
+				<select name="bulk_campaign" id="bulk-action-campaign" class="bulk-action-param" data-actions="move_tier add_campaign mark_purchased" aria-label="Campaign" hidden>
+					<option value="">Campaign</option>
+					<?php foreach ($campaigns as $name): ?>
+						<option value="<?php echo esc_attr($name['campaign']); ?>"><?php echo esc_html($name['campaign']); ?></option>
+					<?php endforeach; ?>
+				</select>
+
+				<select name="bulk_tier" id="bulk-action-tier" class="bulk-action-param" data-actions="move_tier add_campaign" aria-label="Tier" hidden>
+					<option value="">Tier</option>
+					<?php foreach ($tiers as $tier): ?>
+						<option value="<?php echo esc_attr($tier); ?>"><?php echo esc_html($tier); ?></option>
+					<?php endforeach; ?>
+				</select>
+
+				<select name="bulk_group" id="bulk-action-group" class="bulk-action-param" data-actions="add_group remove_group" aria-label="MailerLite group" hidden>
+					<option value="">MailerLite group</option>
+					<?php foreach ($groups as $group): ?>
+						<option value="<?php echo esc_attr($group['id']); ?>"><?php echo esc_html($group['group_name']); ?></option>
+					<?php endforeach; ?>
+				</select>
+
 				<?php submit_button('Apply', '', 'doaction', false); ?>
 			</div>
-			<div class="tablenav-pages">
-				<span class="displaying-num"><?php echo esc_html($total_items); ?> items</span>
-				<?php
-				echo paginate_links(
-					array(
-						'base' => add_query_arg('paged', '%#%'),
-						'format' => '',
-						'prev_text' => '«',
-						'next_text' => '»',
-						'total' => $total_pages,
-						'current' => $paged,
-					)
-				);
-				?>
-			</div>
+			<div class="tablenav-pages subscriber-pagination"></div>
 		</div>
 
-		<table class="wp-list-table widefat fixed striped table-view-list users">
-			<thead>
+		<!-- "Select all N matching" and the bulk action's progress, rendered by BemaSubscriberBulkActions -->
+		<div class="subscriber-select-all" hidden></div>
+		<div class="bulk-action-progress" aria-live="polite" hidden></div>
+
+		<!-- Header and rows are rendered by BemaSubscriberTable from the data attribute, the same way every later page is -->
+		<table id="subscriber-grid" class="wp-list-table widefat fixed striped table-view-list users"
+			data-grid="<?php echo esc_attr(wp_json_encode($subscriber_grid)); ?>">
+			<thead></thead>
+			<tbody>
 				<tr>
-					<td id="cb" class="manage-column column-cb check-column">
-						<input type="checkbox" id="select-all-subscribers" />
-					</td>
-					<th scope="col" class="manage-column column-email sortable <?php echo ($orderby === 'email') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('email', 'Email', $orderby, $order); ?></th>
-					<th scope="col" class="manage-column column-name sortable <?php echo ($orderby === 'name') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('name', 'Name', $orderby, $order); ?></th>
-					<th scope="col" class="manage-column column-status sortable <?php echo ($orderby === 'status') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('status', 'Status', $orderby, $order); ?></th>
-					<?php if ($selected_campaign): ?>
-						<th scope="col" class="manage-column column-campaign sortable <?php echo ($orderby === 'campaign') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('campaign', 'Campaign', $orderby, $order); ?></th>
-						<th scope="col" class="manage-column column-tier sortable <?php echo ($orderby === 'tier') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('tier', 'Tier', $orderby, $order); ?></th>
-						<th scope="col" class="manage-column column-purchase_id sortable <?php echo ($orderby === 'purchase_id') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('purchase_id', 'Purchase ID', $orderby, $order); ?></th>
-						<th scope="col" class="manage-column column-transition_date sortable <?php echo ($orderby === 'transition_date') ? ($order === 'asc' ? 'sorted asc' : 'sorted desc') : 'desc'; ?>"><?php echo bema_crm_sortable_column('transition_date', 'Transition Date', $orderby, $order); ?></th>
-					<?php endif; ?>
+					<td class="text-center">Loading subscribers…</td>
 				</tr>
-			</thead>
-			<tbody>
-				<?php if (!empty($subscribers)): ?>
-					<?php foreach ($subscribers as $subscriber): ?>
-						<tr>
-							<th scope="row" class="check-column">
-								<input type="checkbox" name="subscriber_ids[]"
-									value="<?php echo esc_attr($subscriber['id']); ?>" />
-							</th>
-							<td>
-							<strong><?php echo esc_html($subscriber['email'] ?? '—'); ?></strong>
-                                <br><small>ID: <?php echo esc_html($subscriber['id']); ?></small>
-							</td>
-							<td><?php echo esc_html(strlen(trim($subscriber['name'])) ? $subscriber['name'] : '—'); ?></td>
-							<td>
-								<span class="status-badge status-<?php echo esc_attr($subscriber['status'] ?? 'unknown'); ?>">
-									<?php echo esc_html(ucfirst($subscriber['status'] ?? '—')); ?>
-								</span>
-							</td>
-							<?php if ($selected_campaign): ?>
-								<td><?php echo esc_html($selected_campaign); ?> </td>
-								<td><?php echo esc_html($subscriber['tier'] ?? '—'); ?></td>
-								<td><?php echo esc_html($subscriber['purchase_id'] ?? '—'); ?></td>
-								<td>
-									<?php
-									    if (isset($subscriber['transition_date'])) {
-
-											try {
-												$timestamp = new DateTime($subscriber['transition_date']);
-												echo $timestamp->format('F j, Y, g:i a');
-
-											} catch (Exception $e) {
-												echo '—';
-												$admin->logger('Error: ' . $e->getMessage());
-											}
-										} else {
-											echo '—';
-										}
-									?>
-							</td>
-							<?php endif; ?>
-						</tr>
-					<?php endforeach; ?>
-				<?php else: ?>
-					<tr>
-						<td class="text-center" colspan="<?php echo $selected_campaign ? 9 : 5; ?>">
-							No subscribers found.
-						</td>
-					</tr>
-				<?php endif; ?>
 			</tbody>
 		</table>
 
 		<div class="tablenav bottom">
-			<div class="tablenav-pages">
-				<span class="displaying-num"><?php echo esc_html($total_items); ?> items</span>
-				<?php
-				echo paginate_links(
-					array(
-						'base' => add_query_arg('paged', '%#%'),
-						'format' => '',
-						'prev_text' => '«',
-						'next_text' => '»',
-						'total' => $total_pages,
-						'current' => $paged,
-					)
-				);
-				?>
-			</div>
+			<div class="tablenav-pages subscriber-pagination"></div>
 		</div>
 	</form>
 </div>
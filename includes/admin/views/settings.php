@@ -173,6 +173,56 @@ if ($test_results && is_array($test_results['messages'])) {
                             </p>
                         </td>
                     </tr>
+                    <tr>
+                        <th scope="row">
+                            <?php _e('Automatic Retries', 'bema-crm'); ?>
+                        </th>
+                        <td>
+                            <label>
+                                <input type="hidden" name="bema_crm_settings[sync][auto_retry]" value="0">
+                                <input type="checkbox"
+                                    name="bema_crm_settings[sync][auto_retry]"
+                                    value="1"
+                                    <?php checked($current_settings['sync']['auto_retry'] ?? true); ?>>
+                                <?php _e('Retry failed sync steps with a retryable error automatically', 'bema-crm'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="retry_delay"><?php _e('Retry Backoff', 'bema-crm'); ?></label>
+                        </th>
+                        <td>
+                            <input type="number"
+                                id="retry_delay"
+                                name="bema_crm_settings[sync][retry_delay]"
+                                value="<?php echo esc_attr($current_settings['sync']['retry_delay'] ?? 300); ?>"
+                                min="60"
+                                max="3600"
+                                class="small-text">
+                            <?php _e('seconds, multiplied by', 'bema-crm'); ?>
+                            <input type="number"
+                                id="retry_backoff"
+                                name="bema_crm_settings[sync][retry_backoff]"
+                                value="<?php echo esc_attr($current_settings['sync']['retry_backoff'] ?? 2); ?>"
+                                min="1"
+                                max="10"
+                                step="0.5"
+                                class="small-text">
+                            <?php _e('after each attempt, up to', 'bema-crm'); ?>
+                            <input type="number"
+                                id="retry_max_delay"
+                                name="bema_crm_settings[sync][retry_max_delay]"
+                                value="<?php echo esc_attr($current_settings['sync']['retry_max_delay'] ?? 3600); ?>"
+                                min="60"
+                                max="86400"
+                                class="small-text">
+                            <?php _e('seconds', 'bema-crm'); ?>
+                            <p class="description">
+                                <?php _e('With the defaults a failed step is retried after 5, 10 and 20 minutes.', 'bema-crm'); ?>
+                            </p>
+                        </td>
+                    </tr>
                     <tr>
                         <th scope="row">
                             <label for="memory_limit"><?php _e('Memory Limit', 'bema-crm'); ?></label>
@@ -283,6 +333,7 @@ if ($test_results && is_array($test_results['messages'])) {
                                 max="365"
                                 class="small-text">
                             <span class="description"><?php _e('days', 'bema-crm'); ?></span>
+                            <p class="description"><?php _e('Sync log entries older than this are archived and deleted once a day. Archives are kept on the Sync Logs page.', 'bema-crm'); ?></p>
                         </td>
                     </tr>
                 </table>
@@ -0,0 +1,217 @@
+<?php
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$sync_state = $sync_status['status'] ?? 'idle';
+$sync_percentage = !empty($sync_status['total']) ? round(($sync_status['processed'] / $sync_status['total']) * 100, 1) : 0;
+$date_ranges = ['today' => 'Today', 'week' => 'Last 7 days', 'month' => 'Last 30 days'];
+?>
+
+<div class="wrap bema-sync-logs">
+    <h1 class="wp-heading-inline">Sync Logs</h1>
+    <button type="button" id="toggle-log-purge" class="page-title-action" aria-expanded="false" aria-controls="log-purge">Purge Logs</button>
+    <hr class="wp-header-end">
+
+    <!-- Purged entries are archived first; the archives can be downloaded or restored below -->
+    <div id="log-purge" class="log-purge" hidden>
+        <h2>Purge Logs</h2>
+        <p class="description">
+            <?php echo esc_html(sprintf('Entries older than %d days are archived and deleted automatically once a day. Change this with Log Retention on the Settings page.', $log_retention_days)); ?>
+        </p>
+        <form class="log-purge-form">
+            <label>
+                Older than
+                <input type="number" name="older_than_days" min="1" class="small-text" value="<?php echo esc_attr($log_retention_days); ?>" />
+                days
+            </label>
+            <select name="status">
+                <option value="">Any status</option>
+                <?php foreach ($log_statuses as $status): ?>
+                    <option value="<?php echo esc_attr($status); ?>"><?php echo esc_html(ucfirst($status)); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <select name="campaign">
+                <option value="">Any campaign</option>
+                <?php foreach ($log_campaigns as $campaign): ?>
+                    <option value="<?php echo esc_attr($campaign); ?>"><?php echo esc_html($campaign); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <select name="operation">
+                <option value="">Any operation</option>
+                <?php foreach ($log_query_values['operation'] as $operation): ?>
+                    <option value="<?php echo esc_attr($operation); ?>"><?php echo esc_html($operation); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <button type="submit" class="button button-link-delete" disabled>Purge</button>
+            <span class="log-purge-preview"></span>
+        </form>
+
+        <h3>Archives</h3>
+        <table class="wp-list-table widefat fixed striped log-archives" data-archives="<?php echo esc_attr(wp_json_encode($log_archives)); ?>">
+            <thead>
+                <tr>
+                    <th>Archive</th>
+                    <th class="column-date">Created</th>
+                    <th class="column-size">Size</th>
+                    <th class="column-actions"></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    </div>
+
+    <div class="sync-status-summary">
+        <p>
+            <strong>Sync status:</strong>
+            <span class="status-badge status-<?php echo esc_attr($sync_state); ?>"><?php echo esc_html(ucfirst($sync_state)); ?></span>
+        </p>
+        <div class="progress-bar">
+            <div class="progress" style="width: <?php echo esc_attr($sync_percentage); ?>%"></div>
+        </div>
+        <p class="progress-text">
+            <?php echo esc_html(sprintf('%d of %d processed (%s%%)', $sync_status['processed'] ?? 0, $sync_status['total'] ?? 0, $sync_percentage)); ?>
+        </p>
+        <p class="memory-usage">
+            Memory: <span class="value"><?php echo esc_html($sync_status['memory_usage'] ?? '—'); ?></span>
+        </p>
+    </div>
+
+    <?php if (!empty($log_filters['sync_run'])): ?>
+        <?php $run_url = admin_url('admin.php?page=bema-synchronize&run=' . rawurlencode($log_filters['sync_run']['sync_id'])); ?>
+        <div class="notice notice-info inline">
+            <p>
+                Showing the logs of sync run <a href="<?php echo esc_url($run_url); ?>"><code><?php echo esc_html($log_filters['sync_run']['sync_id']); ?></code></a>.
+                <a href="<?php echo esc_url(admin_url('admin.php?page=bema-sync-logs')); ?>">Show all logs</a>
+            </p>
+        </div>
+    <?php endif; ?>
+
+    <!-- Saved filters and view, per user; the options are rendered by BemaLogs -->
+    <div class="log-saved-views">
+        <label for="log-saved-views">Saved views</label>
+        <select id="log-saved-views" data-views="<?php echo esc_attr(wp_json_encode($log_views)); ?>">
+            <option value="">Choose a view…</option>
+        </select>
+        <button type="button" id="save-log-view" class="button">Save current view</button>
+        <button type="button" id="delete-log-view" class="button button-link-delete" disabled>Delete view</button>
+    </div>
+
+    <form method="get" class="log-filters tablenav top">
+        <input type="hidden" name="page" value="bema-sync-logs" />
+        <?php if (!empty($log_filters['sync_run'])): ?>
+            <input type="hidden" name="sync_id" value="<?php echo esc_attr($log_filters['sync_run']['sync_id']); ?>" />
+        <?php endif; ?>
+        <div class="alignleft actions">
+            <select id="filter-status" name="status">
+                <option value="">All statuses</option>
+                <?php foreach ($log_statuses as $status): ?>
+                    <option value="<?php echo esc_attr($status); ?>" <?php selected($log_filters['status'] ?? '', $status); ?>><?php echo esc_html(ucfirst($status)); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <select id="filter-campaign" name="campaign">
+                <option value="">All campaigns</option>
+                <?php foreach ($log_campaigns as $campaign): ?>
+                    <option value="<?php echo esc_attr($campaign); ?>" <?php selected($log_filters['campaign'] ?? '', $campaign); ?>><?php echo esc_html($campaign); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <select id="filter-date" name="date">
+                <option value="">Any time</option>
+                <?php foreach ($date_ranges as $value => $label): ?>
+                    <option value="<?php echo esc_attr($value); ?>" <?php selected($log_filters['date'] ?? '', $value); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <span class="log-query">
+                <input type="search" name="search" autocomplete="off"
+                    placeholder='status:error since:2h "rate limit"'
+                    title="Filter with field:value terms (status, level, campaign, source, operation, message, fingerprint, since, until or any data key), level>=warning style comparisons, quoted phrases and -term to exclude"
+                    value="<?php echo esc_attr($log_filters['search'] ?? ''); ?>"
+                    data-values="<?php echo esc_attr(wp_json_encode($log_query_values)); ?>" />
+                <ul class="log-query-suggestions" role="listbox" hidden></ul>
+            </span>
+            <input type="submit" class="button" value="Filter" />
+        </div>
+        <div class="tablenav-pages log-tail-controls">
+            <span class="log-view-toggle button-group">
+                <button type="button" class="button is-active" data-view="table" aria-pressed="true">Table</button>
+                <button type="button" class="button" data-view="timeline" aria-pressed="false">Timeline</button>
+                <button type="button" class="button" data-view="errors" aria-pressed="false">Errors</button>
+            </span>
+            <span class="displaying-num"><?php echo esc_html(number_format_i18n($log_batch['total'])); ?> entries</span>
+            <button type="button" id="new-log-entries" class="button button-primary" hidden></button>
+            <button type="button" id="toggle-tail" class="button" aria-pressed="false">Pause tail</button>
+        </div>
+    </form>
+    <p class="log-query-error" hidden></p>
+
+    <!-- Downloads stream from the server; the progress is polled while they run -->
+    <div class="log-export">
+        <label for="export-format">Export</label>
+        <select id="export-format">
+            <option value="csv">CSV</option>
+            <option value="jsonl">JSON Lines</option>
+        </select>
+        <label><input type="checkbox" id="export-gzip" /> gzip</label>
+        <button type="button" id="export-logs" class="button">Download</button>
+        <span class="log-export-progress" hidden>
+            <progress max="100" value="0"></progress>
+            <span class="log-export-status"></span>
+        </span>
+    </div>
+
+    <!-- Only the rows in view are in the DOM; spacer rows stand in for the rest -->
+    <div class="bema-log-scroller">
+        <table class="wp-list-table widefat fixed striped">
+            <thead>
+                <tr>
+                    <th class="column-date">Date</th>
+                    <th class="column-campaign">Campaign</th>
+                    <th class="column-status">Status</th>
+                    <th class="column-message">Message</th>
+                    <th class="column-memory">Memory</th>
+                    <th class="column-actions"></th>
+                </tr>
+            </thead>
+            <!-- Rows are rendered by BemaLogs from the data attributes, the same way filtering renders them -->
+            <tbody data-logs="<?php echo esc_attr(wp_json_encode($log_batch['logs'])); ?>"
+                data-has-more="<?php echo $log_batch['has_more'] ? '1' : '0'; ?>"
+                data-last-id="<?php echo esc_attr($log_batch['last_id']); ?>">
+                <tr>
+                    <td colspan="6" class="no-items">No logs found.</td>
+                </tr>
+            </tbody>
+        </table>
+    </div>
+    <p class="log-scroll-status description"></p>
+
+    <!-- Operations behind the filtered entries, grouped by correlation id -->
+    <div id="log-timeline" hidden>
+        <ul class="bema-timelines"></ul>
+    </div>
+
+    <!-- Error entries grouped by exception class, message template and operation -->
+    <div id="log-errors" hidden>
+        <div class="log-errors-controls">
+            <label for="error-group-state">Show</label>
+            <select id="error-group-state">
+                <option value="open">Open</option>
+                <option value="resolved">Resolved</option>
+                <option value="muted">Muted</option>
+                <option value="all">All</option>
+            </select>
+        </div>
+        <table class="wp-list-table widefat fixed striped bema-error-groups">
+            <thead>
+                <tr>
+                    <th class="column-error">Error</th>
+                    <th class="column-count">Count</th>
+                    <th class="column-date">First seen</th>
+                    <th class="column-date">Last seen</th>
+                    <th class="column-campaign">Campaigns</th>
+                    <th class="column-error-actions"></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    </div>
+</div>
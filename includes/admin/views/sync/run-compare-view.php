@@ -0,0 +1,128 @@
+<?php
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$compare_ids = array_slice(array_map('sanitize_text_field', (array) wp_unslash($_GET['compare'])), 0, 2);
+$runs = array_filter(array_map([$sync_job_manager, 'get_run'], $compare_ids));
+$back_url = admin_url('admin.php?page=bema-synchronize');
+
+// Older run on the left so deltas read as "what changed since"
+usort($runs, function ($a, $b) {
+    return strcmp($a['started_at'], $b['started_at']);
+});
+
+// Metric => [label, whether a higher value is worse]
+$metrics = [
+    'subscribers_count' => ['Subscribers', false],
+    'records_processed' => ['Group records', false],
+    'groups_total' => ['Groups', false],
+    'groups_done' => ['Groups done', false],
+    'groups_failed' => ['Groups failed', true],
+    'units_failed' => ['Failed steps', true],
+    'units_skipped' => ['Skipped steps', true],
+    'duration' => ['Duration (seconds)', true],
+    'peak_memory' => ['Peak memory', true],
+];
+
+$format_metric = function ($key, $value) {
+    return $key === 'peak_memory' ? size_format($value) : number_format_i18n($value);
+};
+
+$group_records = function ($run) {
+    $records = [];
+    foreach ($run['units'] as $unit) {
+        if ($unit['type'] === 'group_subscribers') {
+            $records[$unit['label']] = (int) ($unit['processed'] ?? 0);
+        }
+    }
+    return $records;
+};
+?>
+
+<div class="wrap bema-sync-run">
+    <h1>
+        Compare Sync Runs
+        <a href="<?php echo esc_url($back_url); ?>" class="page-title-action">Back to Synchronize</a>
+    </h1>
+
+    <?php if (count($runs) !== 2): ?>
+        <?php \Bema\bema_notice('Select two runs from the sync history to compare them.', 'warning'); ?>
+    <?php else: ?>
+        <?php
+        [$before, $after] = array_values($runs);
+        $before_groups = $group_records($before);
+        $after_groups = $group_records($after);
+        $group_labels = array_unique(array_merge(array_keys($before_groups), array_keys($after_groups)));
+        sort($group_labels);
+        ?>
+        <table class="widefat striped bema-run-compare">
+            <thead>
+                <tr>
+                    <th></th>
+                    <?php foreach ([$before, $after] as $run): ?>
+                        <th>
+                            <a href="<?php echo esc_url(add_query_arg('run', $run['sync_id'], $back_url)); ?>">
+                                <?php echo esc_html(mysql2date('M j, Y g:i a', $run['started_at'])); ?>
+                            </a>
+                            <div class="description">
+                                <?php echo esc_html(ucfirst($run['trigger_type']) . ' · ' . ucfirst($run['status'])); ?>
+                            </div>
+                        </th>
+                    <?php endforeach; ?>
+                    <th>Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($metrics as $key => [$label, $higher_is_worse]): ?>
+                    <?php
+                    $delta = $after[$key] - $before[$key];
+                    $worse = $delta !== 0 && ($delta > 0) === $higher_is_worse;
+                    ?>
+                    <tr>
+                        <th scope="row"><?php echo esc_html($label); ?></th>
+                        <td><?php echo esc_html($format_metric($key, $before[$key])); ?></td>
+                        <td><?php echo esc_html($format_metric($key, $after[$key])); ?></td>
+                        <td class="<?php echo $delta === 0 ? '' : ($worse ? 'run-regression' : 'run-improvement'); ?>">
+                            <?php echo $delta === 0 ? '—' : esc_html(($delta > 0 ? '+' : '−') . $format_metric($key, abs($delta))); ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <h2>Records per Group</h2>
+        <table class="widefat striped bema-run-compare">
+            <thead>
+                <tr>
+                    <th>Group</th>
+                    <th>Before</th>
+                    <th>After</th>
+                    <th>Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($group_labels)): ?>
+                    <tr class="text-center">
+                        <td colspan="4">Neither run reached the campaign groups.</td>
+                    </tr>
+                <?php endif; ?>
+                <?php foreach ($group_labels as $label): ?>
+                    <?php
+                    $old = $before_groups[$label] ?? null;
+                    $new = $after_groups[$label] ?? null;
+                    $delta = ($new ?? 0) - ($old ?? 0);
+                    ?>
+                    <tr>
+                        <th scope="row"><?php echo esc_html($label); ?></th>
+                        <td><?php echo $old === null ? '—' : esc_html(number_format_i18n($old)); ?></td>
+                        <td><?php echo $new === null ? '—' : esc_html(number_format_i18n($new)); ?></td>
+                        <td class="<?php echo $delta < 0 ? 'run-regression' : ''; ?>">
+                            <?php echo $delta === 0 ? '—' : esc_html(($delta > 0 ? '+' : '−') . number_format_i18n(abs($delta))); ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
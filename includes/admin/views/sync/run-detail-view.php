@@ -0,0 +1,127 @@
+<?php
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$sync_id = sanitize_text_field(wp_unslash($_GET['run']));
+$run = $sync_job_manager->get_run($sync_id);
+$back_url = admin_url('admin.php?page=bema-synchronize');
+?>
+
+<div class="wrap bema-sync-run">
+    <h1>
+        Sync Run
+        <a href="<?php echo esc_url($back_url); ?>" class="page-title-action">Back to Synchronize</a>
+        <a href="<?php echo esc_url(admin_url('admin.php?page=bema-sync-logs&sync_id=' . rawurlencode($sync_id))); ?>" class="page-title-action">View Logs</a>
+    </h1>
+
+    <?php if (!$run): ?>
+        <?php \Bema\bema_notice('This sync run is no longer in the history.', 'warning'); ?>
+    <?php else: ?>
+        <?php
+        $user = $run['user_id'] ? get_userdata($run['user_id']) : null;
+        $group_units = array_filter($run['units'], function ($unit) {
+            return $unit['type'] === 'group_subscribers';
+        });
+        $failed_units = array_filter($run['units'], function ($unit) {
+            return $unit['state'] === 'failed';
+        });
+        ?>
+        <p class="description"><code><?php echo esc_html($run['sync_id']); ?></code></p>
+
+        <div class="status-grid">
+            <div class="status-item">
+                <div class="label">Run</div>
+                <div>
+                    <p><strong>Status:</strong>
+                        <span class="status-badge status-<?php echo esc_attr($run['status']); ?>"><?php echo esc_html(ucfirst($run['status'])); ?></span>
+                    </p>
+                    <p><strong>Trigger:</strong> <?php echo esc_html(ucfirst($run['trigger_type']) . " ({$run['trigger_source']})"); ?></p>
+                    <p><strong>Mode:</strong> <?php echo esc_html(ucfirst($run['mode'])); ?></p>
+                    <p><strong>User:</strong> <?php echo esc_html($user ? $user->display_name : 'System'); ?></p>
+                    <p><strong>Campaigns:</strong> <?php echo esc_html(empty($run['campaigns']) ? 'All' : implode(', ', $run['campaigns'])); ?></p>
+                </div>
+            </div>
+            <div class="status-item">
+                <div class="label">Timing</div>
+                <div>
+                    <p><strong>Started:</strong> <?php echo esc_html(mysql2date('M j, Y g:i:s a', $run['started_at'])); ?></p>
+                    <p><strong>Ended:</strong> <?php echo $run['ended_at'] ? esc_html(mysql2date('M j, Y g:i:s a', $run['ended_at'])) : '—'; ?></p>
+                    <p><strong>Duration:</strong> <?php echo esc_html(gmdate('H:i:s', $run['duration'])); ?></p>
+                    <p><strong>Peak memory:</strong> <?php echo esc_html($run['peak_memory'] ? size_format($run['peak_memory']) : '—'); ?></p>
+                </div>
+            </div>
+            <div class="status-item">
+                <div class="label">Counts</div>
+                <div>
+                    <p><strong>Subscribers:</strong> <?php echo esc_html(number_format_i18n($run['subscribers_count'])); ?></p>
+                    <p><strong>Group records:</strong> <?php echo esc_html(number_format_i18n($run['records_processed'])); ?></p>
+                    <p><strong>Groups:</strong> <?php echo esc_html("{$run['groups_done']} of {$run['groups_total']} done, {$run['groups_failed']} failed"); ?></p>
+                    <p><strong>Steps:</strong> <?php echo esc_html("{$run['units_done']} of {$run['units_total']} done, {$run['units_failed']} failed, {$run['units_skipped']} skipped"); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <?php if ($run['error']): ?>
+            <?php \Bema\bema_notice($run['error'], 'error', 'Run error:'); ?>
+        <?php endif; ?>
+
+        <?php if (!empty($failed_units)): ?>
+            <h2>Failures</h2>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th>Step</th>
+                        <th>Attempts</th>
+                        <th>Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($failed_units as $unit): ?>
+                        <tr>
+                            <td><?php echo esc_html($unit['label']); ?></td>
+                            <td><?php echo esc_html($unit['attempts']); ?></td>
+                            <td><?php echo esc_html($unit['error']); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        <?php endif; ?>
+
+        <h2>Groups Processed</h2>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th>Campaign</th>
+                    <th>Group</th>
+                    <th>State</th>
+                    <th>Pages</th>
+                    <th>Records</th>
+                    <th>Time</th>
+                    <th>Peak Memory</th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($group_units)): ?>
+                    <tr class="text-center">
+                        <td colspan="7">This run did not reach the campaign groups.</td>
+                    </tr>
+                <?php else: ?>
+                    <?php foreach ($group_units as $unit): ?>
+                        <tr>
+                            <td><?php echo esc_html($unit['campaign'] ?? '—'); ?></td>
+                            <td><?php echo esc_html($unit['label']); ?></td>
+                            <td>
+                                <span class="status-badge status-<?php echo esc_attr($unit['state']); ?>"><?php echo esc_html(ucfirst($unit['state'])); ?></span>
+                            </td>
+                            <td><?php echo esc_html($unit['pages'] ?? 0); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($unit['processed'] ?? 0)); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($unit['duration'], 1) . 's'); ?></td>
+                            <td><?php echo esc_html($unit['peak_memory'] ? size_format($unit['peak_memory']) : '—'); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                <?php endif; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
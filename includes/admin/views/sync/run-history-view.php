@@ -0,0 +1,126 @@
+<?php
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$logger = \Bema\Bema_CRM_Logger::create('sync-run-history-view');
+
+// Filters and pagination
+$run_filters = [
+    'status' => isset($_GET['run_status']) ? sanitize_key($_GET['run_status']) : '',
+    'trigger_type' => isset($_GET['run_trigger']) ? sanitize_key($_GET['run_trigger']) : '',
+];
+$paged = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+$per_page = 20;
+
+try {
+    $sync_runs = $sync_job_manager->run_database->get_runs($per_page, ($paged - 1) * $per_page, $run_filters);
+    $total_items = $sync_job_manager->run_database->count_runs($run_filters);
+    $total_pages = max(1, (int) ceil($total_items / $per_page));
+} catch (Exception $e) {
+    $sync_runs = [];
+    $total_items = 0;
+    $total_pages = 1;
+    $logger->error('Failed to load sync run history', ['error' => $e->getMessage()]);
+}
+
+$run_statuses = ['queued', 'running', 'paused', 'completed', 'failed', 'stopped'];
+$run_triggers = ['manual' => 'Manual', 'scheduled' => 'Scheduled', 'webhook' => 'Webhook'];
+$base_url = admin_url('admin.php?page=bema-synchronize');
+?>
+
+<div class="bema-sync-runs">
+    <h2>Sync History</h2>
+
+    <form method="get" class="tablenav top">
+        <input type="hidden" name="page" value="bema-synchronize" />
+        <div class="alignleft actions">
+            <select name="run_status">
+                <option value="">All statuses</option>
+                <?php foreach ($run_statuses as $status): ?>
+                    <option value="<?php echo esc_attr($status); ?>" <?php selected($run_filters['status'], $status); ?>><?php echo esc_html(ucfirst($status)); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <select name="run_trigger">
+                <option value="">All triggers</option>
+                <?php foreach ($run_triggers as $value => $label): ?>
+                    <option value="<?php echo esc_attr($value); ?>" <?php selected($run_filters['trigger_type'], $value); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <input type="submit" class="button" value="Filter" />
+        </div>
+        <div class="tablenav-pages">
+            <span class="displaying-num"><?php echo esc_html($total_items); ?> runs</span>
+            <?php
+            echo paginate_links([
+                'base' => add_query_arg('paged', '%#%'),
+                'format' => '',
+                'prev_text' => '«',
+                'next_text' => '»',
+                'total' => $total_pages,
+                'current' => $paged,
+            ]);
+            ?>
+        </div>
+    </form>
+
+    <!-- Ticking two runs and submitting opens them side by side -->
+    <form method="get" action="<?php echo esc_url(admin_url('admin.php')); ?>">
+        <input type="hidden" name="page" value="bema-synchronize" />
+        <table class="wp-list-table widefat fixed striped">
+            <thead>
+                <tr>
+                    <td class="check-column"></td>
+                    <th>Started</th>
+                    <th>Trigger</th>
+                    <th>Status</th>
+                    <th>Duration</th>
+                    <th>Subscribers</th>
+                    <th>Groups</th>
+                    <th>Failed Steps</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($sync_runs)): ?>
+                    <tr class="text-center">
+                        <td colspan="9">No sync runs found.</td>
+                    </tr>
+                <?php else: ?>
+                    <?php foreach ($sync_runs as $run): ?>
+                        <?php $user = $run['user_id'] ? get_userdata($run['user_id']) : null; ?>
+                        <tr>
+                            <th scope="row" class="check-column">
+                                <input type="checkbox" name="compare[]" value="<?php echo esc_attr($run['sync_id']); ?>" />
+                            </th>
+                            <td><?php echo esc_html(mysql2date('M j, Y g:i a', $run['started_at'])); ?></td>
+                            <td>
+                                <?php echo esc_html($run_triggers[$run['trigger_type']] ?? ucfirst($run['trigger_type'])); ?>
+                                <?php if ($run['mode'] !== 'sync'): ?>
+                                    <span class="run-mode">(<?php echo esc_html($run['mode']); ?>)</span>
+                                <?php endif; ?>
+                                <div class="description"><?php echo esc_html($user ? $user->display_name : 'System'); ?></div>
+                            </td>
+                            <td>
+                                <span class="status-badge status-<?php echo esc_attr($run['status']); ?>">
+                                    <?php echo esc_html(ucfirst($run['status'])); ?>
+                                </span>
+                            </td>
+                            <td><?php echo esc_html(gmdate('H:i:s', $run['duration'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($run['subscribers_count'])); ?></td>
+                            <td><?php echo esc_html("{$run['groups_done']} / {$run['groups_total']}"); ?></td>
+                            <td class="<?php echo $run['units_failed'] ? 'run-has-failures' : ''; ?>"><?php echo esc_html($run['units_failed']); ?></td>
+                            <td>
+                                <a href="<?php echo esc_url(add_query_arg('run', $run['sync_id'], $base_url)); ?>">Details</a>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                <?php endif; ?>
+            </tbody>
+        </table>
+        <p>
+            <input type="submit" class="button" value="Compare Selected" />
+            <span class="description">Tick two runs to compare their counts side by side.</span>
+        </p>
+    </form>
+</div>
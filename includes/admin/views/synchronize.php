@@ -11,20 +11,15 @@ define('SYNC_CRON_JOB', 'bema_crm_sync_cron_job');
 // Option Key
 $sync_option_key = 'bema_crm_sync_status';
 
-// Ensure Sync DB Manager Available
-$sync_db_manager = new \Bema\Database\Sync_Database_Manager();
-$sync_state = get_option($sync_option_key, []);
-$sync_state['status'] = COMPLETE;
-update_option($sync_option_key, $sync_state);
+$sync_job_manager = \Bema\Manager_Factory::get_sync_job_manager();
 
-// Helper to Trigger Immediate Sync
-function trigger_immediate_sync()
-{
-    if (!wp_next_scheduled(SYNC_CRON_JOB)) {
-        // Schedule 30 seconds in the future to avoid conflicts
-        wp_schedule_single_event(time() + 30, SYNC_CRON_JOB);
-    }
+// Run detail and comparison pages replace the overview
+if (isset($_GET['run']) || isset($_GET['compare'])) {
+    $sync_run_view = isset($_GET['compare']) ? 'run-compare-view.php' : 'run-detail-view.php';
+    include BEMA_PATH . 'includes/admin/views/sync/' . $sync_run_view;
+    return;
 }
+
 // Handle Start Sync Form
 if (isset($_POST['start_sync'])) {
     // Load saved plugin settings once to avoid repeated get_option() calls
@@ -51,33 +46,57 @@ if (isset($_POST['start_sync'])) {
         \Bema\bema_notice("$labels missing. Visit settings page to configure.", 'error', 'Configuration Error');
         return; // abort starting sync
     }
-    // Read current sync status (provide default to avoid warnings)
-    $current_status = get_option($sync_option_key, []);
-    $status = isset($current_status['status']) ? $current_status['status'] : null;
-    // Only start a new sync if there is no active running state
-    if (empty($current_status) || in_array($status, [IDLE, COMPLETE], true)) {
-        // Prepare new sync state and store it
-        $sync_state = [
-            'status' => RUNNING,
-            // Use WP-aware current_time('timestamp') then format for display
-            'last_sync_time' => date('F j, Y g:i A', current_time('timestamp')),
-        ];
-        update_option($sync_option_key, $sync_state);
-        // Only clear if we're sure no other cron jobs are using this hook
-        // wp_clear_scheduled_hook( SYNC_CRON_JOB );
-        // Trigger the actual immediate sync process
-        trigger_immediate_sync();
+    // The sync job owns the sync state, so let it decide whether a new sync can start
+    try {
+        $sync_job_manager->start([], 'manual');
         \Bema\bema_notice('Sync process started successfully!', 'success', 'Sync Started');
-    } else {
+    } catch (\Exception $e) {
         // Inform the user that a sync is already in progress
         \Bema\bema_notice('Sync is already running. Please wait for it to complete.', 'info', 'Sync In Progress');
     }
 }
 
-// Load Current Status & Sync History
+// Handle Schedule Forms
+$schedule_manager = \Bema\Manager_Factory::get_sync_schedule_manager();
+if (isset($_POST['schedule_action']) && check_admin_referer('bema_sync_schedules', 'bema_schedule_nonce')) {
+    $schedule_id = sanitize_text_field(wp_unslash($_POST['schedule_id'] ?? ''));
+    try {
+        switch ($_POST['schedule_action']) {
+            case 'add':
+                $requested = isset($_POST['schedule_campaigns']) ? (array) wp_unslash($_POST['schedule_campaigns']) : [];
+                $schedule_manager->add_schedule([
+                    'label' => sanitize_text_field(wp_unslash($_POST['schedule_label'] ?? '')),
+                    // Ignore campaigns that are not part of the sync
+                    'campaigns' => array_values(array_intersect(array_map('sanitize_text_field', $requested), $sync_campaigns)),
+                    'type' => sanitize_key($_POST['schedule_type'] ?? ''),
+                    'time' => sanitize_text_field(wp_unslash($_POST['schedule_time'] ?? '')),
+                    'expression' => sanitize_text_field(wp_unslash($_POST['schedule_expression'] ?? '')),
+                ]);
+                \Bema\bema_notice('Sync schedule added.', 'success', 'Schedule Saved');
+                break;
+            case 'enable':
+                $schedule_manager->set_enabled($schedule_id, true);
+                \Bema\bema_notice('Sync schedule enabled.', 'success', 'Schedule Saved');
+                break;
+            case 'disable':
+                $schedule_manager->set_enabled($schedule_id, false);
+                \Bema\bema_notice('Sync schedule disabled. It keeps its settings until you enable it again.', 'success', 'Schedule Saved');
+                break;
+            case 'delete':
+                $schedule_manager->delete_schedule($schedule_id);
+                \Bema\bema_notice('Sync schedule deleted.', 'success', 'Schedule Deleted');
+                break;
+        }
+    } catch (\Exception $e) {
+        \Bema\bema_notice($e->getMessage(), 'error', 'Schedule Not Saved');
+    }
+}
+
+// Load Current Status
 $current_status = get_option($sync_option_key, []);
-// Load Sync History
-$sync_history = $sync_db_manager->get_sync_records();
+// Load Sync Schedules
+$sync_schedules = $schedule_manager->get_schedules();
+$date_format = get_option('date_format') . ' ' . get_option('time_format');
 ?>
 <div class="wrap">
     <h1>Synchronize Mailerlite</h1>
@@ -95,7 +114,7 @@ $sync_history = $sync_db_manager->get_sync_records();
             <div class="label">Status</div>
             <div>
                 <p><strong>State:</strong> <?php echo esc_html($current_status['status'] ?? IDLE); ?></p>
-                <p><strong>Message:</strong> <span id="sync-msg"><?php echo esc_html($current_status['status_message']); ?></span></p>
+                <p><strong>Message:</strong> <span id="sync-msg"><?php echo esc_html($current_status['message'] ?? ''); ?></span></p>
                 <p><strong>Last Sync Time:</strong> <?php echo esc_html($current_status['last_sync_time'] ?? 'N/A'); ?></p>
             </div>
             <div class="sync-progress-container">
@@ -105,53 +124,115 @@ $sync_history = $sync_db_manager->get_sync_records();
             </div>
         </div>
     </div>
-    <h2>Sync History</h2>
-    <table class="widefat striped">
+    <h2>Scheduled Syncs</h2>
+    <table class="widefat striped bema-sync-schedules">
         <thead>
             <tr>
-                <th>Date/Time</th>
-                <th>Status</th>
-                <th>Subscribers</th>
-                <th>Notes</th>
+                <th>Schedule</th>
+                <th>Data</th>
+                <th>Frequency</th>
+                <th>Next Run</th>
+                <th>Last Result</th>
+                <th>Actions</th>
             </tr>
         </thead>
         <tbody>
-            <?php if (empty($sync_history)): ?>
+            <?php if (empty($sync_schedules)): ?>
                 <tr class="text-center">
-                    <td colspan="4">No sync history found.</td>
+                    <td colspan="6">No scheduled syncs. Add one below to sync automatically.</td>
                 </tr>
             <?php else: ?>
-                <?php foreach ($sync_history as $record): ?>
-                    <tr>
+                <?php foreach ($sync_schedules as $schedule): ?>
+                    <tr class="<?php echo $schedule['enabled'] ? '' : 'schedule-disabled'; ?>">
+                        <td><strong><?php echo esc_html($schedule['label']); ?></strong></td>
+                        <td><?php echo esc_html(empty($schedule['campaigns']) ? 'All data' : implode(', ', $schedule['campaigns'])); ?></td>
+                        <td><?php echo esc_html($schedule_manager->describe_frequency($schedule)); ?></td>
                         <td>
-                            <?php
-                                if (isset($record['sync_date'])) {
-                                    try {
-                                        $timestamp = strtotime($record['sync_date']);
-
-                                        echo esc_html(date('F j, Y', $timestamp));
-                                    } catch (Exception $e) {
-                                        echo '—';
-                                        $logger->error('Date formatting error', ['error' => $e->getMessage()]);
-                                    }
-
-                                } else {
-                                    echo '—';
-                                }
-                            ?>
+                            <?php echo $schedule['enabled'] && $schedule['next_run']
+                                ? esc_html(wp_date($date_format, $schedule['next_run']))
+                                : '<em>Disabled</em>'; ?>
                         </td>
                         <td>
-                            <span class="status-badge status-<?php echo esc_attr(strtolower($record['status'] ?? 'unknown')); ?>">
-                                <?php echo esc_html(ucfirst($record['status'] ?? '—')); ?>
-                            </span>
+                            <?php if ($schedule['last_run']): ?>
+                                <span class="status-badge status-<?php echo esc_attr($schedule['last_status']); ?>">
+                                    <?php echo esc_html(ucfirst($schedule['last_status'])); ?>
+                                </span>
+                                <span class="schedule-last-run"><?php echo esc_html(wp_date($date_format, $schedule['last_run'])); ?></span>
+                                <div class="description"><?php echo esc_html($schedule['last_message']); ?></div>
+                            <?php else: ?>
+                                —
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <form method="post" class="schedule-actions">
+                                <?php wp_nonce_field('bema_sync_schedules', 'bema_schedule_nonce'); ?>
+                                <input type="hidden" name="schedule_id" value="<?php echo esc_attr($schedule['id']); ?>" />
+                                <?php if ($schedule['enabled']): ?>
+                                    <button type="submit" name="schedule_action" value="disable" class="button button-small">Disable</button>
+                                <?php else: ?>
+                                    <button type="submit" name="schedule_action" value="enable" class="button button-small">Enable</button>
+                                <?php endif; ?>
+                                <button type="submit" name="schedule_action" value="delete" class="button button-small button-link-delete"
+                                    onclick="return confirm('Delete this schedule?');">Delete</button>
+                            </form>
                         </td>
-                        <td><?php echo intval($record['synced_subscribers']); ?></td>
-                        <td><?php echo esc_html($record['notes']); ?></td>
                     </tr>
                 <?php endforeach; ?>
             <?php endif; ?>
         </tbody>
     </table>
+
+    <form method="post" class="bema-schedule-form">
+        <?php wp_nonce_field('bema_sync_schedules', 'bema_schedule_nonce'); ?>
+        <h3>Add Schedule</h3>
+        <div class="schedule-fields">
+            <label>
+                Name
+                <input type="text" name="schedule_label" placeholder="Nightly full sync" />
+            </label>
+            <label>
+                Data
+                <select name="schedule_campaigns[]" multiple size="4">
+                    <?php foreach ($sync_campaigns as $campaign): ?>
+                        <option value="<?php echo esc_attr($campaign); ?>"><?php echo esc_html($campaign); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <span class="description">Leave empty to sync all data.</span>
+            </label>
+            <label>
+                Frequency
+                <select name="schedule_type" id="schedule-type">
+                    <option value="hourly">Every hour</option>
+                    <option value="daily" selected>Daily at…</option>
+                    <option value="cron">Cron expression</option>
+                </select>
+            </label>
+            <label class="schedule-type-daily">
+                Time
+                <input type="time" name="schedule_time" value="02:00" />
+            </label>
+            <label class="schedule-type-cron">
+                Expression
+                <input type="text" name="schedule_expression" placeholder="*/30 6-22 * * 1-5" />
+                <span class="description">minute hour day month weekday</span>
+            </label>
+        </div>
+        <p class="description">
+            Times use the site timezone (<?php echo esc_html(wp_timezone_string()); ?>).
+            A run that finds another sync in progress is skipped.
+        </p>
+        <button type="submit" name="schedule_action" value="add" class="button button-primary">Add Schedule</button>
+    </form>
+
+    <?php
+        $sync_run_history_view_path = BEMA_PATH . 'includes/admin/views/sync/run-history-view.php';
+
+        if (file_exists($sync_run_history_view_path)) {
+            include $sync_run_history_view_path;
+        } else {
+            \Bema\bema_notice('Missing view file: run-history-view.php', 'error');
+        }
+    ?>
 </div>
 
 <?php
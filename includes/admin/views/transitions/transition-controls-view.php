@@ -8,6 +8,7 @@ $campaign_database = new \Bema\Database\Campaign_Database_Manager();
 $transition_manager = Manager_Factory::get_transition_manager();
 
 $available_campaigns = $campaign_database->get_all_campaigns();
+$segments = (new \Bema\Database\Segment_Database_Manager())->get_segments();
 
 /**
  * Handles the form submission for campaign transition.
@@ -25,7 +26,18 @@ function handle_campaign_transition($transition_manager)
     $source_campaign = isset($_POST['source_campaign']) ? sanitize_text_field($_POST['source_campaign']) : '';
     $destination_campaign = isset($_POST['destination_campaign']) ? sanitize_text_field($_POST['destination_campaign']) : '';
 
-    $transition_manager->transition_campaigns($source_campaign, $destination_campaign);
+    // A segment that cannot be resolved stops the run rather than transitioning everyone
+    $segment_id = isset($_POST['segment']) ? absint($_POST['segment']) : 0;
+    $subscriber_ids = null;
+    if ($segment_id) {
+        try {
+            $subscriber_ids = Manager_Factory::get_segment_manager()->get_subscriber_ids($segment_id);
+        } catch (Exception $e) {
+            wp_die(esc_html($e->getMessage()), 'Error', ['response' => 400]);
+        }
+    }
+
+    $transition_manager->transition_campaigns($source_campaign, $destination_campaign, $subscriber_ids);
 }
 
 // Check if the form has been submitted
@@ -75,6 +87,21 @@ if (isset($_POST['submit_transition_button'])) {
                         <p class="description">Select the campaign to transition subscribers to.</p>
                     </td>
                 </tr>
+                <tr>
+                    <th scope="row"><label for="transition_segment">Segment</label></th>
+                    <td>
+                        <select name="segment" id="transition_segment" class="regular-text">
+                            <option value="0">All subscribers</option>
+                            <?php foreach ($segments as $segment): ?>
+                                <option value="<?php echo esc_attr($segment['id']); ?>"
+                                    <?php selected(isset($_POST['segment']) ? absint($_POST['segment']) : 0, $segment['id']); ?>>
+                                    <?php echo esc_html($segment['name']); ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                        <p class="description">Optionally only transition the subscribers in a segment built on the Database page.</p>
+                    </td>
+                </tr>
             </tbody>
         </table>
 
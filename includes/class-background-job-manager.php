@@ -0,0 +1,228 @@
+<?php
+namespace Bema;
+
+use Throwable;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Runs a job in WP-Cron batches, one job of a kind at a time.
+ *
+ * The job is kept in the JOB_OPTION option, finished or not, and worked through
+ * by BATCH_HOOK events that each run chunks until the batch time budget is spent.
+ * A batch holds the LOCK_KEY lock while it runs and books a watchdog event, so a
+ * batch killed part way through is picked up again after STALL_TIMEOUT seconds.
+ * Subclasses define JOB_OPTION, BATCH_HOOK, LOCK_KEY, OPERATION and JOB_NAME and
+ * say what one chunk does and when the job is done.
+ *
+ * Sync_Job_Manager keeps its own runner, see the note there.
+ */
+abstract class Background_Job_Manager
+{
+    public $lock_handler;
+    public $logger;
+
+    const BATCH_TIME_LIMIT = 20;
+
+    /**
+     * Seconds after which a batch that never finished is picked up again. Matches the lock TTL.
+     */
+    const STALL_TIMEOUT = 900;
+
+    /**
+     * Seconds the next batch waits when the job has nothing to do until later
+     */
+    const WAIT_DELAY = 0;
+
+    const STATUS_QUEUED = 'queued';
+    const STATUS_RUNNING = 'running';
+    const STATUS_COMPLETED = 'completed';
+    const STATUS_FAILED = 'failed';
+
+    /**
+     * Processes the next chunk of the job.
+     *
+     * @param array $job
+     * @return array The job with its progress.
+     */
+    abstract protected function run_chunk(array $job): array;
+
+    /**
+     * Whether every chunk of the job has been processed.
+     */
+    abstract protected function is_done(array $job): bool;
+
+    /**
+     * Completes a job that is done, through complete_job().
+     */
+    abstract protected function finish_job(array $job): void;
+
+    /**
+     * WP-Cron handler that runs one batch of the given job.
+     *
+     * @param string $job_id
+     * @return void
+     */
+    public function run_batch(string $job_id): void
+    {
+        $job = $this->get_job();
+        if (!$job || $job['job_id'] !== $job_id || !$this->is_active($job)) {
+            $this->logger->debug('Skipping batch for inactive ' . static::JOB_NAME, ['job_id' => $job_id]);
+            return;
+        }
+
+        if (!$this->lock_handler->acquireExclusiveLock(static::LOCK_KEY, [], static::STALL_TIMEOUT)) {
+            $this->logger->warning('Could not acquire ' . static::JOB_NAME . ' lock', ['job_id' => $job_id]);
+            return;
+        }
+
+        // History rows name the admin who started the job, not the cron request
+        wp_set_current_user($job['user_id']);
+
+        Bema_CRM_Logger::beginOperation(static::OPERATION, $job_id);
+
+        wp_clear_scheduled_hook(static::BATCH_HOOK, [$job_id, 'watchdog']);
+        wp_schedule_single_event(time() + static::STALL_TIMEOUT, static::BATCH_HOOK, [$job_id, 'watchdog']);
+
+        $batch_start = microtime(true);
+
+        try {
+            $job['status'] = self::STATUS_RUNNING;
+
+            while (!$this->is_done($job) && microtime(true) - $batch_start < static::BATCH_TIME_LIMIT) {
+                $job = $this->run_chunk($job);
+
+                // Saved per chunk, so a killed batch repeats at most one chunk and the progress bar moves
+                $this->save_job($job);
+
+                if ($this->is_waiting($job)) {
+                    break;
+                }
+            }
+
+            if ($this->is_done($job)) {
+                $this->finish_job($job);
+            } else {
+                $this->save_job($job);
+                $this->schedule_batch($job_id, $this->is_waiting($job) ? static::WAIT_DELAY : 0);
+            }
+        } catch (Throwable $e) {
+            $this->logger->error(ucfirst(static::JOB_NAME) . ' batch crashed', [
+                'job_id' => $job_id,
+                'error' => $e->getMessage()
+            ]);
+            $job['status'] = self::STATUS_FAILED;
+            $job['error'] = $e->getMessage();
+            $job['finished_at'] = time();
+            $this->save_job($job);
+            $this->clean_up_failed_job($job);
+        } finally {
+            wp_clear_scheduled_hook(static::BATCH_HOOK, [$job_id, 'watchdog']);
+            $this->lock_handler->releaseExclusiveLock(static::LOCK_KEY);
+            Bema_CRM_Logger::endOperation();
+        }
+    }
+
+    /**
+     * Returns the stored job, or null if none has been started yet.
+     *
+     * @param bool $fresh Skip the object cache, for pollers.
+     */
+    public function get_job(bool $fresh = false): ?array
+    {
+        if ($fresh) {
+            wp_cache_delete(static::JOB_OPTION, 'options');
+        }
+
+        $job = get_option(static::JOB_OPTION, null);
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * Whether the job still has work to do.
+     */
+    public function is_active(array $job): bool
+    {
+        return in_array($job['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING], true);
+    }
+
+    /**
+     * Whether the job has nothing to do until a later batch, which then runs WAIT_DELAY seconds later.
+     */
+    protected function is_waiting(array $job): bool
+    {
+        return false;
+    }
+
+    /**
+     * Removes what a failed job leaves behind, e.g. its files.
+     */
+    protected function clean_up_failed_job(array $job): void
+    {
+    }
+
+    /**
+     * Marks the job completed and stores it.
+     *
+     * @return array The completed job.
+     */
+    protected function complete_job(array $job): array
+    {
+        $job['status'] = self::STATUS_COMPLETED;
+        $job['finished_at'] = time();
+        $this->save_job($job);
+
+        return $job;
+    }
+
+    protected function schedule_batch(string $job_id, int $delay = 0): void
+    {
+        if (!wp_next_scheduled(static::BATCH_HOOK, [$job_id])) {
+            wp_schedule_single_event(time() + $delay, static::BATCH_HOOK, [$job_id]);
+        }
+    }
+
+    protected function save_job(array $job): void
+    {
+        update_option(static::JOB_OPTION, $job, false);
+    }
+
+    /**
+     * Directory under uploads for a job's files, kept out of reach of direct requests.
+     *
+     * Files are only handed out by capability-checked handlers. Not every server
+     * honours .htaccess, so the directory name also carries a random key, stored
+     * in $key_option, and an index.php keeps it from being listed.
+     */
+    protected static function get_private_dir(string $name, string $key_option): string
+    {
+        $key = get_option($key_option, '');
+        if (!$key) {
+            // add_option() keeps the key of a request that got there first
+            add_option($key_option, wp_generate_password(20, false), '', 'no');
+            $key = get_option($key_option);
+        }
+
+        $dir = WP_CONTENT_DIR . '/uploads/' . $name . '-' . $key;
+
+        if (!is_dir($dir)) {
+            wp_mkdir_p($dir);
+        }
+        if (!file_exists($dir . '/.htaccess')) {
+            file_put_contents($dir . '/.htaccess', "Deny from all\n");
+        }
+        if (!file_exists($dir . '/index.php')) {
+            file_put_contents($dir . '/index.php', '<?php // Silence is golden');
+        }
+
+        return $dir;
+    }
+
+    protected function get_user_name(int $user_id): string
+    {
+        $user = $user_id ? get_userdata($user_id) : null;
+        return $user ? $user->display_name : 'another admin';
+    }
+}
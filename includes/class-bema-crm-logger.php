@@ -44,6 +44,12 @@ class Bema_CRM_Logger
         'log_level' => 'warning'
     ];
 
+    /**
+     * Operations running in this request, innermost last, each with its
+     * correlation id and name. Shared by every logger instance.
+     */
+    private static $operations = [];
+
     /**
      * Create a standardized logger instance
      * 
@@ -123,7 +129,7 @@ class Bema_CRM_Logger
     private $config;
 
     /**
-     * Current correlation ID for tracking related log entries.
+     * Correlation ID set on this instance, overriding the current operation's.
      */
     private $correlation_id;
 
@@ -156,9 +162,6 @@ class Bema_CRM_Logger
         $this->log_dir = WP_CONTENT_DIR . '/uploads/bema-crm-logger/' . $this->identifier;
         $this->log_file = $this->log_dir . '/' . $this->identifier . '.log';
 
-        // Generate correlation ID for this logger instance
-        $this->correlation_id = uniqid('Bema_CRM_', true);
-
         // Ensure the log directory exists and is secure.
         $this->ensure_log_directory();
 
@@ -227,9 +230,17 @@ class Bema_CRM_Logger
             return;
         }
 
-        // Add correlation ID if set
-        if ($this->correlation_id) {
-            $context['correlation_id'] = $this->correlation_id;
+        // Tag the entry with the operation it belongs to, unless the caller already did
+        $operation = end(self::$operations);
+        $correlation_id = $this->correlation_id ?? ($operation['correlation_id'] ?? null);
+        if ($correlation_id && !isset($context['correlation_id'])) {
+            $context['correlation_id'] = $correlation_id;
+        }
+        if ($operation) {
+            $context += [
+                'operation' => $operation['name'],
+                'microtime' => round(microtime(true), 3),
+            ];
         }
 
         // Format the log message.
@@ -268,7 +279,45 @@ class Bema_CRM_Logger
      */
     public function getCorrelationId(): ?string
     {
-        return $this->correlation_id;
+        return $this->correlation_id ?? self::getOperationCorrelationId();
+    }
+
+    /**
+     * Start an operation; every logger tags its entries with the operation's
+     * correlation id until endOperation() is called.
+     *
+     * @param string $name Operation name, stored as the entries' operation
+     * @param string|null $correlation_id Id to continue, e.g. a sync id spanning several requests
+     * @return string The operation's correlation id
+     */
+    public static function beginOperation(string $name, ?string $correlation_id = null): string
+    {
+        $correlation_id = $correlation_id ?: uniqid('crm_', true);
+
+        self::$operations[] = [
+            'name' => $name,
+            'correlation_id' => $correlation_id,
+        ];
+
+        return $correlation_id;
+    }
+
+    /**
+     * End the innermost operation
+     */
+    public static function endOperation(): void
+    {
+        array_pop(self::$operations);
+    }
+
+    /**
+     * Correlation id of the innermost running operation
+     */
+    public static function getOperationCorrelationId(): ?string
+    {
+        $operation = end(self::$operations);
+
+        return $operation ? $operation['correlation_id'] : null;
     }
 
     /**
@@ -357,6 +406,90 @@ class Bema_CRM_Logger
         return file_get_contents($this->log_file);
     }
 
+    /**
+     * Read log lines appended after a byte offset
+     *
+     * Starts over from the beginning when the file was rotated or cleared
+     * since the offset was taken.
+     *
+     * @param int $offset Byte offset returned by a previous call
+     * @param int $limit Maximum number of lines to return
+     * @return array{offset:int, lines:array}
+     */
+    public function read_since(int $offset, int $limit = 200): array
+    {
+        if (!file_exists($this->log_file)) {
+            return ['offset' => 0, 'lines' => []];
+        }
+
+        clearstatcache(true, $this->log_file);
+        $size = filesize($this->log_file);
+        if ($offset > $size) {
+            $offset = 0;
+        }
+
+        $lines = [];
+        $handle = fopen($this->log_file, 'r');
+        if ($handle === false) {
+            return ['offset' => $offset, 'lines' => []];
+        }
+
+        fseek($handle, $offset);
+        while (count($lines) < $limit && ($line = fgets($handle)) !== false) {
+            // Leave a partially written line for the next read
+            if (substr($line, -1) !== "\n") {
+                break;
+            }
+            $offset += strlen($line);
+
+            $parsed = self::parse_line($line);
+            if ($parsed) {
+                $parsed['source'] = $this->identifier;
+                $lines[] = $parsed;
+            }
+        }
+        fclose($handle);
+
+        return ['offset' => $offset, 'lines' => $lines];
+    }
+
+    /**
+     * Current size of the log file, used as the starting offset for read_since()
+     */
+    public function get_log_size(): int
+    {
+        clearstatcache(true, $this->log_file);
+        return file_exists($this->log_file) ? (int) filesize($this->log_file) : 0;
+    }
+
+    /**
+     * Parse a formatted log line back into its parts
+     *
+     * @param string $line A line written by format_message()
+     * @return array|null Null when the line does not match the log format
+     */
+    public static function parse_line(string $line): ?array
+    {
+        if (!preg_match('/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] ([A-Z]+): (.*?)(?: (\{.*\}))?$/', trim($line), $matches)) {
+            return null;
+        }
+
+        $context = isset($matches[4]) ? json_decode($matches[4], true) : null;
+
+        // Messages can legitimately end in braces, keep them when the tail is not JSON
+        if (isset($matches[4]) && !is_array($context)) {
+            $matches[3] .= ' ' . $matches[4];
+            $context = [];
+        }
+
+        return [
+            'timestamp' => $matches[1],
+            'level' => strtolower($matches[2]),
+            'message' => $matches[3],
+            'context' => $context ?? [],
+        ];
+    }
+
     /**
      * Clear all log files
      */
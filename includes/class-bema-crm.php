@@ -238,6 +238,8 @@ class Bema_CRM
             
             // Clear any scheduled cron jobs
             \wp_clear_scheduled_hook('bema_crm_sync_cron_job');
+            \wp_unschedule_hook('bema_crm_scheduled_sync');
+            \wp_clear_scheduled_hook(\Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK);
             
             // Flush rewrite rules
             \flush_rewrite_rules();
@@ -264,12 +266,18 @@ class Bema_CRM
             \delete_option('bema_crm_settings');
             \delete_option('bema_crm_tiers');
             \delete_option('bema_crm_transition_matrix');
+            \delete_option('bema_crm_sync_schedules');
+            \delete_option('bema_sync_log_offsets');
+            \delete_option('bema_sync_log_error_groups');
+            \delete_metadata('user', 0, 'bema_sync_log_views', '', true);
             
             // Remove any transients
             \delete_transient('bema_api_test_results');
             
             // Clear any scheduled cron jobs
             \wp_clear_scheduled_hook('bema_crm_sync_cron_job');
+            \wp_unschedule_hook('bema_crm_scheduled_sync');
+            \wp_clear_scheduled_hook(\Bema\Database\Sync_Log_Database_Manager::RETENTION_HOOK);
             
             $logger->info('Bema CRM uninstall completed successfully');
         } catch (\Exception $e) {
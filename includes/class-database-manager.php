@@ -164,13 +164,14 @@ class Database_Manager
                     'operation' => 'tier_update',
                     'campaign' => $campaign,
                     'status' => 'completed',
+                    'subscriber_email' => strtolower($email),
                     'data' => wp_json_encode([
                         'email' => $email,
                         'new_tier' => $tier,
                         'timestamp' => current_time('mysql')
                     ])
                 ],
-                ['%s', '%s', '%s', '%s']
+                ['%s', '%s', '%s', '%s', '%s']
             );
         } catch (Exception $e) {
             $this->logger->error('Failed to log tier update', [
@@ -4,6 +4,12 @@ namespace Bema;
 
 use Exception;
 use Bema\Bema_CRM_Logger;
+use Bema\Database\Sync_Log_Database_Manager;
+use Bema\Database\Sync_Plan_Database_Manager;
+use Bema\Handlers\Default_Lock_Handler;
+use Bema\Database\Segment_Database_Manager;
+use Bema\Database\Subscriber_History_Database_Manager;
+use Bema\Database\Sync_Run_Database_Manager;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -23,6 +29,23 @@ class Database_Migrations
     const STATUS_FAILED = 'failed';
     const STATUS_ROLLED_BACK = 'rolled_back';
 
+    /**
+     * Schema versions of the tables created by the managers in includes/database.
+     *
+     * Plugin updates do not run the activation hook, so bumping a version here is
+     * what brings tables created by an older release up to date, on the next request.
+     */
+    const SCHEMA_VERSIONS = [
+        'sync_logs' => '1.2.0',
+        'bemacrm_campaign_subscribersmeta' => '1.1.0',
+        'bemacrm_sync_plan_changes' => '1.0.0',
+        'bemacrm_segmentsmeta' => '1.0.0',
+        'bemacrm_subscriber_history' => '1.0.0',
+        'bemacrm_sync_runs' => '1.0.0',
+    ];
+    const SCHEMA_VERSIONS_OPTION = 'bema_crm_schema_versions';
+    const SCHEMA_UPGRADE_LOCK_KEY = 'bema_crm_schema_upgrade_lock';
+
     public function __construct(?Bema_CRM_Logger $logger = null)
     {
         global $wpdb;
@@ -206,6 +229,7 @@ class Database_Migrations
             }
 
             delete_option('bema_crm_db_version');
+            delete_option(self::SCHEMA_VERSIONS_OPTION);
             $this->logger->log('Database uninstallation completed', 'info');
 
             return true;
@@ -264,6 +288,16 @@ class Database_Migrations
         return $backups;
     }
 
+    /**
+     * Whether a table is behind its entry in SCHEMA_VERSIONS
+     *
+     * Cheap enough to call on every request: it only reads an autoloaded option.
+     */
+    public static function needs_upgrade(): bool
+    {
+        return get_option(self::SCHEMA_VERSIONS_OPTION, []) != self::SCHEMA_VERSIONS;
+    }
+
     public function maybe_upgrade(): bool
     {
         try {
@@ -282,7 +316,8 @@ class Database_Migrations
                     ]);
                 }
             }
-            return true;
+
+            return $this->upgradeSchemas();
         } catch (Exception $e) {
             $this->logger->error('Database upgrade failed', [
                 'error' => $e->getMessage()
@@ -291,6 +326,107 @@ class Database_Migrations
         }
     }
 
+    /**
+     * Run the schema upgrade of every table behind its entry in SCHEMA_VERSIONS
+     *
+     * A table whose upgrade fails keeps its old version, so the next request retries it.
+     */
+    private function upgradeSchemas(): bool
+    {
+        if (!self::needs_upgrade()) {
+            return true;
+        }
+
+        // An exclusive lock, so concurrent requests do not alter the same table twice
+        $lock_handler = new Default_Lock_Handler();
+        if (!$lock_handler->acquireExclusiveLock(self::SCHEMA_UPGRADE_LOCK_KEY, [], 300)) {
+            return true;
+        }
+
+        try {
+            $schema_versions = get_option(self::SCHEMA_VERSIONS_OPTION, []);
+            $upgraded = true;
+
+            foreach (self::SCHEMA_VERSIONS as $table => $version) {
+                $installed_version = $schema_versions[$table] ?? null;
+                if ($installed_version === $version) {
+                    continue;
+                }
+
+                if (!$this->upgradeSchema($table)) {
+                    $this->logger->error("Failed to upgrade {$table} schema", [
+                        'from' => $installed_version,
+                        'to' => $version
+                    ]);
+                    $upgraded = false;
+                    continue;
+                }
+
+                $schema_versions[$table] = $version;
+                update_option(self::SCHEMA_VERSIONS_OPTION, $schema_versions);
+
+                $this->logger->log("Upgraded {$table} schema", 'info', [
+                    'from' => $installed_version,
+                    'to' => $version
+                ]);
+            }
+
+            return $upgraded;
+        } finally {
+            $lock_handler->releaseExclusiveLock(self::SCHEMA_UPGRADE_LOCK_KEY);
+        }
+    }
+
+    private function upgradeSchema(string $table): bool
+    {
+        switch ($table) {
+            case 'sync_logs':
+                // dbDelta adds the level, source, message, correlation_id, fingerprint and subscriber columns and their keys
+                return (new Sync_Log_Database_Manager())->create_table();
+            case 'bemacrm_campaign_subscribersmeta':
+                // Not dbDelta, which mistakes the table's FOREIGN KEY lines for columns
+                return $this->addColumn($table, 'joined_at', 'DATETIME NULL');
+            case 'bemacrm_sync_runs':
+                // Sites updated without reactivating the plugin never ran the activation hook that creates it
+                return (new Sync_Run_Database_Manager())->create_table();
+            case 'bemacrm_subscriber_history':
+                // Same as the sync runs table, created here for sites that never reactivated
+                return (new Subscriber_History_Database_Manager())->create_table();
+            case 'bemacrm_segmentsmeta':
+                // Saved segments, created the same way
+                return (new Segment_Database_Manager())->create_table();
+            case 'bemacrm_sync_plan_changes':
+                // Holds preview changes that used to be kept in the plan option
+                return (new Sync_Plan_Database_Manager())->create_table();
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Add a column unless the table already has it
+     *
+     * A missing table counts as done, since its manager creates it with the column.
+     */
+    private function addColumn(string $table, string $column, string $definition): bool
+    {
+        if (!$this->tableExists($table)) {
+            return true;
+        }
+
+        $exists = $this->wpdb->get_var(
+            $this->wpdb->prepare(
+                "SHOW COLUMNS FROM {$this->wpdb->prefix}{$table} LIKE %s",
+                $column
+            )
+        );
+        if ($exists !== null) {
+            return true;
+        }
+
+        return $this->wpdb->query("ALTER TABLE {$this->wpdb->prefix}{$table} ADD COLUMN {$column} {$definition}") !== false;
+    }
+
     public function restoreBackup(string $backup): bool
     {
         try {
@@ -9,6 +9,11 @@ use Bema\Database\Group_Database_Manager;
 use Bema\Database\Subscribers_Database_Manager;
 use Bema\Database\Campaign_group_Subscribers_Database_Manager;
 use Bema\Database\Sync_Database_Manager;
+use Bema\Database\Sync_Run_Database_Manager;
+use Bema\Database\Sync_Plan_Database_Manager;
+use Bema\Database\Sync_Log_Database_Manager;
+use Bema\Database\Subscriber_History_Database_Manager;
+use Bema\Database\Segment_Database_Manager;
 use Bema\Database\Transition_Database_Manager;
 use Bema\Database\Transition_Subscribers_Database_Manager;
 
@@ -44,6 +49,130 @@ class Manager_Factory
         return $manager;
     }
 
+    public static function get_sync_job_manager(): \Bema\Sync_Job_Manager
+    {
+        $manager = new \Bema\Sync_Job_Manager();
+
+        $manager->sync_manager = self::get_sync_manager();
+        $manager->lock_handler = new \Bema\Handlers\Default_Lock_Handler();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('sync-job');
+        $manager->run_database = new Sync_Run_Database_Manager();
+        $manager->plan_database = new Sync_Plan_Database_Manager();
+
+        return $manager;
+    }
+
+    public static function get_sync_schedule_manager(): \Bema\Sync_Schedule_Manager
+    {
+        $manager = new \Bema\Sync_Schedule_Manager();
+
+        $manager->job_manager = self::get_sync_job_manager();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('sync-schedule');
+
+        return $manager;
+    }
+
+    public static function get_sync_log_database_manager(): Sync_Log_Database_Manager
+    {
+        return new Sync_Log_Database_Manager();
+    }
+
+    public static function get_subscriber_bulk_action_manager(): \Bema\Subscriber_Bulk_Action_Manager
+    {
+        $manager = new \Bema\Subscriber_Bulk_Action_Manager();
+
+        $sync_manager = self::get_sync_manager();
+
+        $manager->sync_manager = $sync_manager;
+        $manager->mailerlite = $sync_manager->mailerLiteInstance;
+        $manager->lock_handler = new \Bema\Handlers\Default_Lock_Handler();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('bulk-action');
+        $manager->subscribers_database = $sync_manager->subscribers_database;
+        $manager->campaign_database = $sync_manager->campaign_database;
+        $manager->campaign_subscribers_database = $sync_manager->campaign_group_subscribers_database;
+        $manager->group_database = $sync_manager->group_database;
+        $manager->history_database = new Subscriber_History_Database_Manager();
+
+        return $manager;
+    }
+
+    public static function get_subscriber_import_manager(): \Bema\Subscriber_Import_Manager
+    {
+        $manager = new \Bema\Subscriber_Import_Manager();
+
+        $sync_manager = self::get_sync_manager();
+
+        $manager->mailerlite = $sync_manager->mailerLiteInstance;
+        $manager->lock_handler = new \Bema\Handlers\Default_Lock_Handler();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('subscriber-import');
+        $manager->subscribers_database = $sync_manager->subscribers_database;
+        $manager->campaign_database = $sync_manager->campaign_database;
+        $manager->campaign_subscribers_database = $sync_manager->campaign_group_subscribers_database;
+        $manager->group_database = $sync_manager->group_database;
+        $manager->history_database = new Subscriber_History_Database_Manager();
+
+        return $manager;
+    }
+
+    public static function get_subscriber_export_manager(): \Bema\Subscriber_Export_Manager
+    {
+        $manager = new \Bema\Subscriber_Export_Manager();
+
+        // Exports only read the local tables, so they work without MailerLite set up
+        $manager->lock_handler = new \Bema\Handlers\Default_Lock_Handler();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('subscriber-export');
+        $manager->subscribers_database = new Subscribers_Database_Manager();
+        $manager->campaign_subscribers_database = new Campaign_Group_Subscribers_Database_Manager();
+
+        return $manager;
+    }
+
+    public static function get_subscriber_merge_manager(): \Bema\Subscriber_Merge_Manager
+    {
+        $manager = new \Bema\Subscriber_Merge_Manager();
+
+        $sync_manager = self::get_sync_manager();
+
+        $manager->mailerlite = $sync_manager->mailerLiteInstance;
+        $manager->logger = \Bema\Bema_CRM_Logger::create('subscriber-merge');
+        $manager->subscribers_database = $sync_manager->subscribers_database;
+        $manager->campaign_subscribers_database = $sync_manager->campaign_group_subscribers_database;
+        $manager->transition_subscribers_database = new Transition_Subscribers_Database_Manager();
+        $manager->history_database = new Subscriber_History_Database_Manager();
+
+        return $manager;
+    }
+
+    public static function get_segment_manager(): \Bema\Segment_Manager
+    {
+        $manager = new \Bema\Segment_Manager();
+
+        $sync_manager = self::get_sync_manager();
+
+        $manager->logger = \Bema\Bema_CRM_Logger::create('segments');
+        $manager->segment_database = new Segment_Database_Manager();
+        $manager->subscribers_database = $sync_manager->subscribers_database;
+        $manager->campaign_database = $sync_manager->campaign_database;
+        $manager->group_database = $sync_manager->group_database;
+
+        return $manager;
+    }
+
+    public static function get_segment_draft_manager(): \Bema\Segment_Draft_Manager
+    {
+        $manager = new \Bema\Segment_Draft_Manager();
+
+        $sync_manager = self::get_sync_manager();
+
+        $manager->mailerlite = $sync_manager->mailerLiteInstance;
+        $manager->lock_handler = new \Bema\Handlers\Default_Lock_Handler();
+        $manager->logger = \Bema\Bema_CRM_Logger::create('segment-draft');
+        $manager->segment_manager = self::get_segment_manager();
+        $manager->subscribers_database = $sync_manager->subscribers_database;
+
+        return $manager;
+    }
+
     public static function get_transition_manager(): \Bema\Transition_Manager
     {
         $manager = new \Bema\Transition_Manager();
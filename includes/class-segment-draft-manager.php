@@ -0,0 +1,203 @@
+<?php
+namespace Bema;
+
+use Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Creates a MailerLite draft campaign for a segment's members as a background job.
+ *
+ * MailerLite campaigns go to groups, so the job creates a group named after the
+ * segment and the time, imports the members into it CHUNK_SIZE at a time in
+ * WP-Cron batches, and creates the draft addressed to that group once every
+ * member is in. The segment's definition is stored with the job, so the group is
+ * a snapshot of who matched when the job started. MailerLite imports in the
+ * background as well, so the group can take a few more minutes to fill up.
+ */
+class Segment_Draft_Manager extends Background_Job_Manager
+{
+    public $mailerlite;
+    public $segment_manager;
+    public $subscribers_database;
+
+    const JOB_OPTION = 'bema_crm_segment_draft_job';
+    const BATCH_HOOK = 'bema_crm_segment_draft_batch';
+    const LOCK_KEY = 'bema_segment_draft_lock';
+    const OPERATION = 'segment_draft';
+    const JOB_NAME = 'segment draft';
+
+    /**
+     * Subscribers sent to MailerLite per group import
+     */
+    const CHUNK_SIZE = 500;
+
+    // ========================================
+    // PUBLIC DRAFT METHODS
+    // ========================================
+
+    /**
+     * Creates the segment's MailerLite group and queues the import of its members.
+     *
+     * @param int $id Segment id.
+     * @param string $subject Subject line of the draft.
+     * @return array The stored job.
+     * @throws Exception If the subject is empty, the segment is missing or empty,
+     *                   another draft is being created or MailerLite refuses the group.
+     */
+    public function start(int $id, string $subject): array
+    {
+        $segment = $this->segment_manager->get_segment($id);
+
+        $subject = trim($subject);
+        if ($subject === '') {
+            throw new Exception('Enter a subject for the draft.');
+        }
+
+        $total = $this->subscribers_database->count_subscribers('', '', '', $segment['definition']);
+        if (!$total) {
+            throw new Exception("{$segment['name']} has no subscribers.");
+        }
+
+        $current = $this->get_job(true);
+        if ($current && $this->is_active($current)) {
+            throw new Exception(sprintf(
+                'A draft for %s started by %s is still being created (%s of %s subscribers added).',
+                $current['segment'],
+                $this->get_user_name($current['user_id']),
+                number_format_i18n($current['processed']),
+                number_format_i18n($current['total'])
+            ));
+        }
+
+        $group_name = 'SEGMENT_' . strtoupper(trim(preg_replace('/[^A-Za-z0-9]+/', '_', $segment['name']), '_')) . '_' . current_time('Ymd_His');
+        $group = $this->mailerlite->createGroup($group_name);
+        if (empty($group['id'])) {
+            throw new Exception("MailerLite did not create the group {$group_name}.");
+        }
+
+        $job = [
+            'job_id' => 'draft_' . wp_generate_uuid4(),
+            'status' => self::STATUS_QUEUED,
+            'user_id' => get_current_user_id(),
+            'segment_id' => $id,
+            'segment' => $segment['name'],
+            'definition' => $segment['definition'],
+            'subject' => $subject,
+            'group_id' => (string) $group['id'],
+            'group' => $group_name,
+            'total' => $total,
+            'processed' => 0,
+            'last_id' => 0,
+            // Set once a chunk comes back short, which means no member is left
+            'done' => false,
+            'campaign_id' => null,
+            'error' => null,
+            'started_at' => time(),
+            'finished_at' => null,
+        ];
+
+        $this->save_job($job);
+        $this->schedule_batch($job['job_id']);
+
+        $this->logger->info('Segment draft queued', [
+            'job_id' => $job['job_id'],
+            'segment' => $segment['name'],
+            'group' => $group_name,
+            'subscribers' => $total
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Builds the progress payload consumed by BemaSegmentBuilder.
+     */
+    public function get_status(bool $fresh = false): array
+    {
+        $job = $this->get_job($fresh);
+
+        if (!$job) {
+            return ['status' => 'idle'];
+        }
+
+        return [
+            'job_id' => $job['job_id'],
+            'status' => $job['status'],
+            'segment' => $job['segment'],
+            'group' => $job['group'],
+            // Subscribers who joined the segment since the job started are added too
+            'total' => max($job['total'], $job['processed']),
+            'processed' => $job['processed'],
+            'campaign_id' => $job['campaign_id'],
+            'error' => $job['error'],
+            'started_by' => $this->get_user_name($job['user_id']),
+            'finished_at' => $job['finished_at'],
+        ];
+    }
+
+    // ========================================
+    // PRIVATE JOB METHODS
+    // ========================================
+
+    protected function run_chunk(array $job): array
+    {
+        $ids = $this->subscribers_database->get_subscriber_ids('', '', '', $job['definition'], $job['last_id'], self::CHUNK_SIZE);
+        $job['done'] = count($ids) < self::CHUNK_SIZE;
+
+        if ($ids) {
+            $subscribers = array_map(function ($subscriber) {
+                return ['email' => $subscriber['email']];
+            }, array_values($this->subscribers_database->get_subscribers_by_ids($ids)));
+
+            if (!$this->mailerlite->importBulkSubscribersToGroup($subscribers, $job['group_id'])) {
+                throw new Exception("MailerLite did not take the subscribers into {$job['group']}; the group was created but the draft was not.");
+            }
+
+            $job['processed'] += count($ids);
+            $job['last_id'] = end($ids);
+        }
+
+        return $job;
+    }
+
+    protected function is_done(array $job): bool
+    {
+        return $job['done'];
+    }
+
+    /**
+     * @throws Exception If MailerLite refuses the draft, which fails the job.
+     */
+    protected function finish_job(array $job): void
+    {
+        // The sender, content and language are left to MailerLite::create_draft_campaign()
+        $campaign = $this->mailerlite->create_draft_campaign(
+            $job['segment'] . ' ' . current_time('Y-m-d H:i'),
+            'regular',
+            $job['subject'],
+            null,
+            null,
+            null,
+            null,
+            [$job['group_id']]
+        );
+
+        if (empty($campaign['id'])) {
+            throw new Exception("MailerLite did not create the draft; its recipients are in the group {$job['group']}.");
+        }
+
+        $job['campaign_id'] = (string) $campaign['id'];
+        $job = $this->complete_job($job);
+
+        $this->logger->info('Created MailerLite draft for segment', [
+            'job_id' => $job['job_id'],
+            'segment' => $job['segment'],
+            'campaign_id' => $job['campaign_id'],
+            'group' => $job['group'],
+            'subscribers' => $job['processed']
+        ]);
+    }
+}
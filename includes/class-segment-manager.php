@@ -0,0 +1,386 @@
+<?php
+namespace Bema;
+
+use Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Saved subscriber segments: named sets of conditions on tier, purchases,
+ * MailerLite group, date added, MailerLite status and total spent in Easy
+ * Digital Downloads.
+ *
+ * A definition is a list of condition groups. The conditions in a group are
+ * combined with the group's match (all or any) and the groups with the
+ * segment's, so "(A and B) or C" is two groups matched on any. Members are
+ * worked out by Subscribers_Database_Manager each time a segment is used: as
+ * a Database page filter, and so as the target of bulk actions and exports,
+ * to narrow a transition run, or as the recipients of a MailerLite draft,
+ * which Segment_Draft_Manager creates.
+ */
+class Segment_Manager
+{
+    public $logger;
+    public $segment_database;
+    public $subscribers_database;
+    public $campaign_database;
+    public $group_database;
+
+    /**
+     * Condition field => label and operators, in the order the builder lists them
+     */
+    const FIELDS = [
+        'tier' => [
+            'label' => 'Tier',
+            'operators' => ['in' => 'is one of', 'not_in' => 'is none of'],
+        ],
+        'purchased' => [
+            'label' => 'Purchased campaign',
+            'operators' => ['is' => 'is', 'is_not' => 'is not'],
+        ],
+        'group' => [
+            'label' => 'MailerLite group',
+            'operators' => ['in' => 'is in', 'not_in' => 'is not in'],
+        ],
+        'date_added' => [
+            'label' => 'Date added',
+            'operators' => ['between' => 'is between'],
+        ],
+        'status' => [
+            'label' => 'MailerLite status',
+            'operators' => ['in' => 'is one of', 'not_in' => 'is none of'],
+        ],
+        'total_spent' => [
+            'label' => 'Total spent',
+            'operators' => ['gte' => 'is at least', 'gt' => 'is more than', 'lte' => 'is at most', 'lt' => 'is less than'],
+        ],
+    ];
+
+    const MATCHES = ['all' => 'all', 'any' => 'any'];
+
+    const STATUSES = ['active', 'unsubscribed', 'unconfirmed', 'bounced', 'junk'];
+
+    const MAX_GROUPS = 10;
+    const MAX_CONDITIONS = 20;
+
+    // ========================================
+    // PUBLIC SEGMENT METHODS
+    // ========================================
+
+    /**
+     * Every saved segment with its current member count and a readable summary.
+     *
+     * @return array
+     */
+    public function get_segments(): array
+    {
+        return array_map(function ($segment) {
+            try {
+                $segment['count'] = $this->subscribers_database->count_subscribers('', '', '', $segment['definition']);
+            } catch (Exception $e) {
+                $segment['count'] = null;
+                $segment['error'] = $e->getMessage();
+            }
+
+            $segment['summary'] = $this->describe($segment['definition']);
+            return $segment;
+        }, $this->segment_database->get_segments());
+    }
+
+    /**
+     * @param int $id
+     * @return array The saved segment.
+     * @throws Exception If there is no segment with the ID.
+     */
+    public function get_segment(int $id): array
+    {
+        $segment = $id ? $this->segment_database->get_segment($id) : null;
+        if (!$segment) {
+            throw new Exception('The segment no longer exists.');
+        }
+
+        return $segment;
+    }
+
+    /**
+     * Saves a segment under a name no other segment has.
+     *
+     * @param int|null $id Null for a new segment.
+     * @param string $name
+     * @param array $definition As sent by the builder; normalized before it is stored.
+     * @return array The saved segment.
+     * @throws Exception If the name is taken or the definition is not valid.
+     */
+    public function save(?int $id, string $name, array $definition): array
+    {
+        $name = trim($name);
+        if ($name === '') {
+            throw new Exception('Give the segment a name.');
+        }
+
+        $existing = $this->segment_database->get_segment_by_name($name);
+        if ($existing && $existing['id'] !== $id) {
+            throw new Exception("There already is a segment named {$name}.");
+        }
+
+        if ($id) {
+            $this->get_segment($id);
+        }
+
+        $definition = $this->normalize($definition);
+        if (!$this->count_conditions($definition)) {
+            throw new Exception('Add at least one condition.');
+        }
+
+        $saved_id = $this->segment_database->save_segment($id, $name, $definition);
+        if (!$saved_id) {
+            throw new Exception('The segment could not be saved.');
+        }
+
+        return $this->get_segment($saved_id);
+    }
+
+    /**
+     * @throws Exception If there is no segment with the ID.
+     */
+    public function delete(int $id): void
+    {
+        $this->get_segment($id);
+        $this->segment_database->delete_segment($id);
+    }
+
+    /**
+     * Number of subscribers a definition matches, e.g. while it is built.
+     *
+     * @throws Exception If the definition is not valid.
+     */
+    public function count(array $definition): int
+    {
+        return $this->subscribers_database->count_subscribers('', '', '', $this->normalize($definition));
+    }
+
+    /**
+     * IDs of the subscribers a saved segment matches now.
+     *
+     * @return int[]
+     * @throws Exception If there is no segment with the ID.
+     */
+    public function get_subscriber_ids(int $id): array
+    {
+        return $this->subscribers_database->get_subscriber_ids('', '', '', $this->get_segment($id)['definition']);
+    }
+
+    /**
+     * Checks a definition from the builder and keeps only what a segment can hold.
+     *
+     * @param array $definition match and groups, each group with match and conditions.
+     * @return array The definition with empty groups dropped.
+     * @throws Exception For a condition on an unknown field, operator, tier,
+     *                   campaign, group or status, or a missing value.
+     */
+    public function normalize(array $definition): array
+    {
+        $groups = array_values(array_filter((array) ($definition['groups'] ?? []), 'is_array'));
+        if (count($groups) > self::MAX_GROUPS) {
+            throw new Exception('A segment can have up to ' . self::MAX_GROUPS . ' groups of conditions.');
+        }
+
+        $normalized = [
+            'match' => $this->normalize_match($definition['match'] ?? ''),
+            'groups' => [],
+        ];
+
+        foreach ($groups as $group) {
+            $conditions = array_values(array_filter((array) ($group['conditions'] ?? []), 'is_array'));
+            if (!$conditions) {
+                continue;
+            }
+
+            if (count($conditions) > self::MAX_CONDITIONS) {
+                throw new Exception('A group can have up to ' . self::MAX_CONDITIONS . ' conditions.');
+            }
+
+            $normalized['groups'][] = [
+                'match' => $this->normalize_match($group['match'] ?? ''),
+                'conditions' => array_map([$this, 'normalize_condition'], $conditions),
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * The definition in words, e.g. "Tier is one of Gold, Silver and Total spent is at least 50".
+     */
+    public function describe(array $definition): string
+    {
+        $groups = $definition['groups'] ?? [];
+
+        $texts = array_map(function ($group) use ($groups) {
+            $conditions = array_map([$this, 'describe_condition'], $group['conditions']);
+            $text = implode($group['match'] === 'any' ? ' or ' : ' and ', $conditions);
+
+            return count($groups) > 1 && count($conditions) > 1 ? "({$text})" : $text;
+        }, $groups);
+
+        return implode(($definition['match'] ?? 'all') === 'any' ? ' or ' : ' and ', $texts);
+    }
+
+    // ========================================
+    // PRIVATE HELPER METHODS
+    // ========================================
+
+    private function normalize_match($match): string
+    {
+        return isset(self::MATCHES[$match]) ? $match : 'all';
+    }
+
+    /**
+     * @throws Exception
+     */
+    private function normalize_condition(array $condition): array
+    {
+        $field = (string) ($condition['field'] ?? '');
+        if (!isset(self::FIELDS[$field])) {
+            throw new Exception("Unknown condition {$field}.");
+        }
+
+        $operator = (string) ($condition['operator'] ?? '');
+        if (!isset(self::FIELDS[$field]['operators'][$operator])) {
+            $operator = array_key_first(self::FIELDS[$field]['operators']);
+        }
+
+        $label = self::FIELDS[$field]['label'];
+        $value = $condition['value'] ?? null;
+        $normalized = ['field' => $field, 'operator' => $operator];
+
+        switch ($field) {
+            case 'tier':
+                $tiers = get_option('bema_crm_tiers', []);
+                $value = array_values(array_intersect($tiers, array_map('strval', (array) $value)));
+                if (!$value) {
+                    throw new Exception('Choose at least one tier.');
+                }
+
+                $normalized['campaign'] = '';
+                if (!empty($condition['campaign'])) {
+                    $normalized['campaign'] = $this->get_campaign_name((string) $condition['campaign']);
+                }
+                break;
+
+            case 'purchased':
+                $value = $this->get_campaign_name((string) $value);
+                break;
+
+            case 'group':
+                $group = $this->group_database->get_group_by_id((int) $value);
+                if (!$group) {
+                    throw new Exception('Choose a MailerLite group.');
+                }
+                $value = (int) $group['id'];
+                break;
+
+            case 'date_added':
+                $value = [
+                    'from' => $this->normalize_date($value['from'] ?? ''),
+                    'to' => $this->normalize_date($value['to'] ?? ''),
+                ];
+                if (!$value['from'] && !$value['to']) {
+                    throw new Exception("{$label} needs a start date, an end date or both.");
+                }
+                break;
+
+            case 'status':
+                $value = array_values(array_intersect(self::STATUSES, array_map('strval', (array) $value)));
+                if (!$value) {
+                    throw new Exception('Choose at least one MailerLite status.');
+                }
+                break;
+
+            case 'total_spent':
+                if (!is_numeric($value) || $value < 0) {
+                    throw new Exception("{$label} needs an amount of 0 or more.");
+                }
+                if (!$this->has_edd_customers()) {
+                    throw new Exception("{$label} needs Easy Digital Downloads; its customers table was not found.");
+                }
+                $value = round((float) $value, 2);
+                break;
+        }
+
+        $normalized['value'] = $value;
+        return $normalized;
+    }
+
+    private function describe_condition(array $condition): string
+    {
+        $field = self::FIELDS[$condition['field']];
+        $value = $condition['value'];
+
+        switch ($condition['field']) {
+            case 'tier':
+                $value = implode(', ', $value) . ($condition['campaign'] ? " in {$condition['campaign']}" : '');
+                break;
+            case 'group':
+                $group = $this->group_database->get_group_by_id((int) $value);
+                $value = $group ? $group['group_name'] : '#' . $value;
+                break;
+            case 'date_added':
+                if (!$value['to']) {
+                    return "{$field['label']} is on or after {$value['from']}";
+                }
+                if (!$value['from']) {
+                    return "{$field['label']} is on or before {$value['to']}";
+                }
+                $value = "{$value['from']} and {$value['to']}";
+                break;
+            case 'status':
+                $value = implode(', ', $value);
+                break;
+            case 'total_spent':
+                $value = number_format_i18n($value, 2);
+                break;
+        }
+
+        return "{$field['label']} {$field['operators'][$condition['operator']]} {$value}";
+    }
+
+    private function count_conditions(array $definition): int
+    {
+        return array_sum(array_map(function ($group) {
+            return count($group['conditions']);
+        }, $definition['groups']));
+    }
+
+    /**
+     * @throws Exception If there is no campaign with the name.
+     */
+    private function get_campaign_name(string $name): string
+    {
+        $campaign = $name !== '' ? $this->campaign_database->get_campaign_by_name($name) : null;
+        if (!$campaign) {
+            throw new Exception($name !== '' ? "Unknown campaign {$name}." : 'Choose a campaign.');
+        }
+
+        return $campaign['campaign'];
+    }
+
+    /**
+     * A Y-m-d date, or an empty string when none or an invalid one is given.
+     */
+    private function normalize_date($date): string
+    {
+        $parsed = \DateTime::createFromFormat('!Y-m-d', (string) $date);
+        return $parsed ? $parsed->format('Y-m-d') : '';
+    }
+
+    private function has_edd_customers(): bool
+    {
+        global $wpdb;
+        $table = $wpdb->prefix . 'edd_customers';
+
+        return $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($table))) === $table;
+    }
+}
@@ -90,6 +90,9 @@ class Bema_Settings
                 'batch_size' => 1000,
                 'retry_attempts' => 3,
                 'retry_delay' => 300,
+                'auto_retry' => true,
+                'retry_backoff' => 2,
+                'retry_max_delay' => 3600,
                 'memory_limit' => '256M',
                 'execution_timeout' => 3600,
                 'lock_timeout' => 900
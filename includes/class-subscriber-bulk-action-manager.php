@@ -0,0 +1,948 @@
+<?php
+namespace Bema;
+
+use Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Runs a Database page bulk action as a background job.
+ *
+ * The selected subscribers are worked through in WP-Cron batches that each run
+ * until the batch time budget is spent, so an action on thousands of rows never
+ * hits a request timeout. Every subscriber an action changes gets a history row
+ * holding their state before the change, and for UNDO_WINDOW seconds after the
+ * job finishes those rows are used to put the last bulk change back. One bulk
+ * action runs at a time; the last job, finished or not, is kept in an option.
+ */
+class Subscriber_Bulk_Action_Manager extends Background_Job_Manager
+{
+    public $mailerlite;
+    public $sync_manager;
+    public $subscribers_database;
+    public $campaign_database;
+    public $campaign_subscribers_database;
+    public $group_database;
+    public $history_database;
+
+    const JOB_OPTION = 'bema_crm_bulk_action_job';
+
+    /**
+     * The job's subscriber ids, stored once instead of with the progress saved after every chunk
+     */
+    const IDS_OPTION = 'bema_crm_bulk_action_job_ids';
+    const BATCH_HOOK = 'bema_crm_bulk_action_batch';
+    const LOCK_KEY = 'bema_bulk_action_lock';
+    const OPERATION = 'bulk_action';
+    const JOB_NAME = 'bulk action';
+
+    /**
+     * Subscribers loaded, changed and written to the history together
+     */
+    const CHUNK_SIZE = 50;
+
+    /**
+     * Seconds after a job finishes during which it can be undone
+     */
+    const UNDO_WINDOW = 1800;
+
+    /**
+     * Failed subscribers kept on the job with their error, the rest are only counted
+     */
+    const ERROR_LIMIT = 20;
+
+    const EXPORT_DIR = 'bema-crm-exports';
+
+    /**
+     * Random suffix of the export directory, so its files cannot be found by guessing the URL
+     */
+    const EXPORT_DIR_KEY_OPTION = 'bema_crm_export_dir_key';
+    const EXPORT_COLUMNS = ['id', 'email', 'name', 'status', 'subscribed_at', 'unsubscribed_at', 'updated_at', 'campaigns'];
+    const PURCHASE_LOOKUP_LIMIT = 50;
+
+    const MODE_APPLY = 'apply';
+    const MODE_UNDO = 'undo';
+
+    /**
+     * Bulk action => label, in the order the Database page lists them
+     */
+    const ACTIONS = [
+        'resync' => 'Resync from MailerLite',
+        'move_tier' => 'Move to tier',
+        'add_campaign' => 'Add to campaign',
+        'add_group' => 'Add to MailerLite group',
+        'remove_group' => 'Remove from MailerLite group',
+        'mark_purchased' => 'Mark purchased',
+        'export' => 'Export',
+        'delete' => 'Delete',
+    ];
+
+    /**
+     * Resync and export change nothing there is an earlier state of to go back to
+     */
+    const UNDOABLE_ACTIONS = ['move_tier', 'add_campaign', 'add_group', 'remove_group', 'mark_purchased', 'delete'];
+
+    private $groups = null;
+    private $job_ids = null;
+
+    // ========================================
+    // PUBLIC JOB METHODS
+    // ========================================
+
+    /**
+     * Queues a bulk action on the given subscribers.
+     *
+     * @param string $action One of ACTIONS.
+     * @param array $params campaign and tier, group_id or nothing, depending on the action.
+     * @param int[] $subscriber_ids
+     * @return array The stored job.
+     * @throws Exception If the action or its parameters are invalid, or another bulk action is running.
+     */
+    public function start(string $action, array $params, array $subscriber_ids): array
+    {
+        if (!isset(self::ACTIONS[$action])) {
+            throw new Exception("Unknown bulk action {$action}");
+        }
+
+        $subscriber_ids = array_values(array_unique(array_filter(array_map('absint', $subscriber_ids))));
+        if (empty($subscriber_ids)) {
+            throw new Exception('No subscribers selected.');
+        }
+
+        $params = $this->resolve_params($action, $params);
+
+        return $this->create_job($action, self::MODE_APPLY, $params, $subscriber_ids, $this->describe($action, $params));
+    }
+
+    /**
+     * Queues a job that puts back what the last bulk action changed.
+     *
+     * @param string $job_id The job to undo; must be the last one.
+     * @return array The stored undo job.
+     * @throws Exception If that job is not the last one, cannot be undone or its undo window has passed.
+     */
+    public function undo(string $job_id): array
+    {
+        $job = $this->get_job();
+
+        if (!$job || $job['job_id'] !== $job_id) {
+            throw new Exception('Only the last bulk action can be undone.');
+        }
+
+        if (!$this->can_undo($job)) {
+            throw new Exception('This bulk action can no longer be undone.');
+        }
+
+        $subscriber_ids = $this->history_database->get_job_subscriber_ids($job_id);
+        if (empty($subscriber_ids)) {
+            throw new Exception('The bulk action did not change any subscriber.');
+        }
+
+        return $this->create_job($job['action'], self::MODE_UNDO, $job['params'], $subscriber_ids, 'Undo ' . lcfirst($job['label']), [
+            'job_id' => $job['job_id'],
+            'label' => $job['label'],
+        ]);
+    }
+
+    /**
+     * Whether the job changed subscribers that can still be put back.
+     */
+    public function can_undo(array $job): bool
+    {
+        return $job['mode'] === self::MODE_APPLY
+            && in_array($job['action'], self::UNDOABLE_ACTIONS, true)
+            && in_array($job['status'], [self::STATUS_COMPLETED, self::STATUS_FAILED], true)
+            && $job['changed'] > 0
+            && time() < $job['finished_at'] + self::UNDO_WINDOW;
+    }
+
+    /**
+     * Builds the progress payload consumed by BemaSubscriberBulkActions.
+     */
+    public function get_status(bool $fresh = false): array
+    {
+        $job = $this->get_job($fresh);
+
+        if (!$job) {
+            return ['status' => 'idle'];
+        }
+
+        $can_undo = $this->can_undo($job);
+
+        return [
+            'job_id' => $job['job_id'],
+            'action' => $job['action'],
+            'mode' => $job['mode'],
+            'label' => $job['label'],
+            'status' => $job['status'],
+            'total' => $job['total'],
+            'processed' => $job['processed'],
+            'changed' => $job['changed'],
+            'skipped' => $job['skipped'],
+            'failed' => $job['failed'],
+            'errors' => $job['errors'],
+            'error' => $job['error'],
+            'started_by' => $this->get_user_name($job['user_id']),
+            'can_undo' => $can_undo,
+            'undo_until' => $can_undo ? $job['finished_at'] + self::UNDO_WINDOW : null,
+            'download' => $job['action'] === 'export' && $job['status'] === self::STATUS_COMPLETED && $this->get_export_path($job['job_id']) !== null,
+        ];
+    }
+
+    /**
+     * Path of the CSV written by an export job, null when that job is not the last one or its file is gone.
+     */
+    public function get_export_path(string $job_id): ?string
+    {
+        $job = $this->get_job();
+        if (!$job || $job['job_id'] !== $job_id || empty($job['file'])) {
+            return null;
+        }
+
+        $path = $this->get_export_dir() . '/' . $job['file'];
+        return file_exists($path) ? $path : null;
+    }
+
+    /**
+     * Directory exports are written to, see get_private_dir().
+     */
+    public static function get_export_dir(): string
+    {
+        return self::get_private_dir(self::EXPORT_DIR, self::EXPORT_DIR_KEY_OPTION);
+    }
+
+    /**
+     * Prefixes a cell that spreadsheet apps would run as a formula with a quote, so it opens as text.
+     *
+     * @param mixed $value
+     * @return mixed
+     */
+    public static function escape_formula($value)
+    {
+        if (is_string($value) && $value !== '' && in_array($value[0], ['=', '+', '-', '@', "\t", "\r"], true)) {
+            return "'" . $value;
+        }
+
+        return $value;
+    }
+
+    // ========================================
+    // PRIVATE JOB METHODS
+    // ========================================
+
+    private function create_job(string $action, string $mode, array $params, array $subscriber_ids, string $label, ?array $undo_of = null): array
+    {
+        $current = $this->get_job(true);
+        if ($current && $this->is_active($current)) {
+            throw new Exception(sprintf(
+                'A bulk action started by %s is still running (%s of %s subscribers done).',
+                $this->get_user_name($current['user_id']),
+                number_format_i18n($current['processed']),
+                number_format_i18n($current['total'])
+            ));
+        }
+
+        // Only the last job's export can be downloaded, so an older file has no way out
+        if (!empty($current['file'])) {
+            wp_delete_file($this->get_export_dir() . '/' . $current['file']);
+        }
+
+        $job = [
+            'job_id' => 'bulk_' . wp_generate_uuid4(),
+            'action' => $action,
+            'mode' => $mode,
+            'params' => $params,
+            'label' => $label,
+            'undo_of' => $undo_of,
+            'status' => self::STATUS_QUEUED,
+            'user_id' => get_current_user_id(),
+            'total' => count($subscriber_ids),
+            'processed' => 0,
+            'changed' => 0,
+            'skipped' => 0,
+            'failed' => 0,
+            'errors' => [],
+            'error' => null,
+            'file' => $action === 'export' && $mode === self::MODE_APPLY ? $this->create_export_file() : null,
+            'started_at' => time(),
+            'finished_at' => null,
+        ];
+
+        update_option(self::IDS_OPTION, ['job_id' => $job['job_id'], 'ids' => $subscriber_ids], false);
+        $this->save_job($job);
+        $this->schedule_batch($job['job_id']);
+
+        $this->logger->info('Bulk action queued', [
+            'job_id' => $job['job_id'],
+            'action' => $action,
+            'mode' => $mode,
+            'subscribers' => $job['total'],
+            'undo_of' => $undo_of['job_id'] ?? null
+        ]);
+
+        return $job;
+    }
+
+    protected function run_chunk(array $job): array
+    {
+        $chunk = array_slice($this->get_job_ids($job), $job['processed'], self::CHUNK_SIZE);
+
+        $job = $job['mode'] === self::MODE_UNDO ? $this->undo_chunk($job, $chunk) : $this->apply_chunk($job, $chunk);
+        $job['processed'] += count($chunk);
+
+        return $job;
+    }
+
+    protected function is_done(array $job): bool
+    {
+        return $job['processed'] >= $job['total'];
+    }
+
+    /**
+     * Subscriber ids the job works through, in order, read once per batch.
+     *
+     * @throws Exception When they are not stored for this job.
+     */
+    private function get_job_ids(array $job): array
+    {
+        if ($this->job_ids === null) {
+            $stored = get_option(self::IDS_OPTION, []);
+            if (($stored['job_id'] ?? null) !== $job['job_id'] || count($stored['ids']) !== $job['total']) {
+                throw new Exception('The subscribers selected for this bulk action are no longer stored');
+            }
+
+            $this->job_ids = $stored['ids'];
+        }
+
+        return $this->job_ids;
+    }
+
+    private function apply_chunk(array $job, array $subscriber_ids): array
+    {
+        if ($job['action'] === 'resync') {
+            return $this->resync_chunk($job, $subscriber_ids);
+        }
+
+        $subscribers = $this->subscribers_database->get_subscribers_by_ids($subscriber_ids);
+        $plans = [];
+        $export_rows = [];
+
+        // Group membership as the last sync left it, read for the whole chunk instead of asking MailerLite per subscriber
+        $memberships = in_array($job['action'], ['add_group', 'remove_group'], true)
+            ? $this->campaign_subscribers_database->get_campaigns_by_subscriber_ids($subscriber_ids)
+            : [];
+
+        foreach ($subscriber_ids as $subscriber_id) {
+            $subscriber = $subscribers[$subscriber_id] ?? null;
+
+            // Deleted since it was selected
+            if (!$subscriber) {
+                $job['skipped']++;
+                continue;
+            }
+
+            try {
+                if ($job['action'] === 'export') {
+                    $export_rows[] = $this->get_export_row($subscriber);
+                    $job['changed']++;
+                    continue;
+                }
+
+                $plan = $this->plan_action($job['action'], $job['params'], $subscriber, $memberships[$subscriber_id] ?? []);
+
+                if ($plan === null) {
+                    $job['skipped']++;
+                    continue;
+                }
+
+                $plans[$subscriber_id] = $plan;
+            } catch (Exception $e) {
+                $job = $this->add_failure($job, $subscriber_id, $e->getMessage());
+            }
+        }
+
+        if ($plans) {
+            // Written before anything changes, so a batch killed part way through still leaves undo what it needs
+            $snapshots = [];
+            foreach ($plans as $subscriber_id => $plan) {
+                $snapshots[] = ['subscriber_id' => $subscriber_id, 'summary' => 'Bulk action: ' . $job['label'], 'data' => $plan['before']];
+            }
+
+            if ($this->history_database->record_job($job['job_id'], $job['action'], $snapshots) < count($snapshots)) {
+                throw new Exception('The undo history could not be written, so the subscribers were left unchanged');
+            }
+        }
+
+        // A change that fails keeps its snapshot; undoing it puts back the state the subscriber is still in
+        foreach ($plans as $subscriber_id => $plan) {
+            try {
+                $this->apply_action($job['action'], $job['params'], $subscribers[$subscriber_id], $plan);
+                $job['changed']++;
+            } catch (Exception $e) {
+                $job = $this->add_failure($job, $subscriber_id, $e->getMessage());
+            }
+        }
+
+        if ($export_rows) {
+            $this->append_export_rows($job['file'], $export_rows);
+        }
+
+        return $job;
+    }
+
+    private function undo_chunk(array $job, array $subscriber_ids): array
+    {
+        $snapshots = $this->history_database->get_job_snapshots($job['undo_of']['job_id'], $subscriber_ids);
+        $subscribers = $this->subscribers_database->get_subscribers_by_ids($subscriber_ids);
+        $restored = [];
+
+        foreach ($subscriber_ids as $subscriber_id) {
+            try {
+                if (!isset($snapshots[$subscriber_id]) || !$this->undo_action($job['action'], $job['params'], $subscriber_id, $snapshots[$subscriber_id], $subscribers[$subscriber_id] ?? null)) {
+                    $job['skipped']++;
+                    continue;
+                }
+
+                $restored[] = $subscriber_id;
+                $job['changed']++;
+            } catch (Exception $e) {
+                $job = $this->add_failure($job, $subscriber_id, $e->getMessage());
+            }
+        }
+
+        if ($restored) {
+            $this->history_database->record_many($restored, 'undo', 'Undid bulk action: ' . $job['undo_of']['label'], [
+                'job_id' => $job['undo_of']['job_id'],
+            ]);
+        }
+
+        return $job;
+    }
+
+    /**
+     * Resync goes through Sync_Manager a chunk at a time; subscribers it could not read are logged there.
+     */
+    private function resync_chunk(array $job, array $subscriber_ids): array
+    {
+        $processed = $this->sync_manager->resync_subscribers($subscriber_ids);
+        $this->history_database->record_many($subscriber_ids, 'resync', 'Resynced from MailerLite on the Database page');
+
+        $job['changed'] += $processed;
+        if ($processed < count($subscriber_ids)) {
+            $job['failed'] += count($subscriber_ids) - $processed;
+            if (count($job['errors']) < self::ERROR_LIMIT) {
+                $job['errors'][] = [
+                    'subscriber_id' => null,
+                    'error' => sprintf('%d subscriber(s) could not be read from MailerLite; see the sync logs.', count($subscriber_ids) - $processed),
+                ];
+            }
+        }
+
+        return $job;
+    }
+
+    private function add_failure(array $job, int $subscriber_id, string $error): array
+    {
+        $job['failed']++;
+
+        if (count($job['errors']) < self::ERROR_LIMIT) {
+            $job['errors'][] = ['subscriber_id' => $subscriber_id, 'error' => $error];
+        }
+
+        $this->logger->warning('Bulk action failed for subscriber', [
+            'job_id' => $job['job_id'],
+            'action' => $job['action'],
+            'mode' => $job['mode'],
+            'subscriber_id' => $subscriber_id,
+            'error' => $error
+        ]);
+
+        return $job;
+    }
+
+    protected function finish_job(array $job): void
+    {
+        $job = $this->complete_job($job);
+
+        $this->logger->info('Bulk action finished', [
+            'job_id' => $job['job_id'],
+            'action' => $job['action'],
+            'mode' => $job['mode'],
+            'changed' => $job['changed'],
+            'skipped' => $job['skipped'],
+            'failed' => $job['failed']
+        ]);
+    }
+
+    // ========================================
+    // PRIVATE ACTION METHODS
+    // ========================================
+    // plan_action() returns the part of the subscriber's state the action is
+    // about to change as 'before', with whatever apply_action() needs to make
+    // the change as 'change', or null when there is nothing to change for them.
+    // apply_action() makes the change once 'before' is in the history.
+    // undo_action() puts that state back and returns whether anything changed.
+
+    /**
+     * @param array $memberships The subscriber's campaign memberships, for the group actions.
+     * @throws Exception When EDD cannot be read.
+     */
+    private function plan_action(string $action, array $params, array $subscriber, array $memberships = []): ?array
+    {
+        $subscriber_id = (int) $subscriber['id'];
+
+        switch ($action) {
+            case 'move_tier':
+                $membership = $this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $params['campaign_id']);
+                if (!$membership || strcasecmp($membership['tier'], $params['tier']) === 0) {
+                    return null;
+                }
+
+                return ['before' => ['campaign_id' => $params['campaign_id'], 'tier' => $membership['tier'], 'group_id' => (int) $membership['group_id']], 'change' => []];
+
+            case 'add_campaign':
+                if ($this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $params['campaign_id'])) {
+                    return null;
+                }
+
+                return ['before' => ['campaign_id' => $params['campaign_id']], 'change' => []];
+
+            case 'add_group':
+                if ($this->in_group($memberships, $params['group_id'])) {
+                    return null;
+                }
+
+                return ['before' => ['group_id' => $params['group_id']], 'change' => []];
+
+            case 'remove_group':
+                if (!$this->in_group($memberships, $params['group_id'])) {
+                    return null;
+                }
+
+                return ['before' => ['group_id' => $params['group_id']], 'change' => []];
+
+            case 'mark_purchased':
+                $membership = $this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $params['campaign_id']);
+                if (!$membership) {
+                    return null;
+                }
+
+                $order_id = $this->find_order_id($subscriber['email'], $params['product_id']);
+                if (!$order_id) {
+                    throw new Exception("No completed EDD order for {$params['campaign']} was placed with {$subscriber['email']}");
+                }
+
+                if ((int) $membership['purchase_id'] === $order_id) {
+                    return null;
+                }
+
+                return [
+                    'before' => ['campaign_id' => $params['campaign_id'], 'purchase_id' => $membership['purchase_id'] ? (int) $membership['purchase_id'] : null],
+                    'change' => ['order_id' => $order_id],
+                ];
+
+            case 'delete':
+                $campaigns = $this->campaign_subscribers_database->get_all_subscriber_campaigns($subscriber_id);
+
+                return [
+                    'before' => [
+                        'subscriber' => $subscriber,
+                        'campaigns' => array_map(function ($campaign) {
+                            return array_intersect_key($campaign, array_flip(['campaign_id', 'campaign', 'group_id', 'field_id', 'tier', 'purchase_id', 'joined_at']));
+                        }, $campaigns),
+                    ],
+                    'change' => [],
+                ];
+        }
+
+        return null;
+    }
+
+    /**
+     * @throws Exception When MailerLite or the local tables refuse the change.
+     */
+    private function apply_action(string $action, array $params, array $subscriber, array $plan): void
+    {
+        $subscriber_id = (int) $subscriber['id'];
+
+        switch ($action) {
+            case 'move_tier':
+                $this->move_group($subscriber_id, $plan['before']['group_id'], $params['group_id']);
+                $this->update_membership($subscriber_id, $params['campaign_id'], ['tier' => $params['tier'], 'group_id' => $params['group_id']]);
+                break;
+
+            case 'add_campaign':
+                $this->move_group($subscriber_id, 0, $params['group_id']);
+                if (!$this->campaign_subscribers_database->insert_campaign_subscriber($subscriber_id, $params['group_id'], $params['campaign_id'], $params['tier'])) {
+                    throw new Exception("Added to the MailerLite group, but the membership in {$params['campaign']} could not be saved");
+                }
+                break;
+
+            case 'add_group':
+                $this->move_group($subscriber_id, 0, $params['group_id']);
+                break;
+
+            case 'remove_group':
+                $this->move_group($subscriber_id, $params['group_id'], 0);
+                break;
+
+            case 'mark_purchased':
+                $this->set_purchase($subscriber_id, $params, $plan['change']['order_id']);
+                break;
+
+            case 'delete':
+                if (!$this->subscribers_database->delete_subscriber_by_id($subscriber_id)) {
+                    throw new Exception('The subscriber could not be deleted');
+                }
+                break;
+        }
+    }
+
+    /**
+     * @throws Exception When MailerLite or the local tables refuse the change.
+     */
+    private function undo_action(string $action, array $params, int $subscriber_id, array $before, ?array $subscriber): bool
+    {
+        switch ($action) {
+            case 'move_tier':
+                $membership = $this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $before['campaign_id']);
+                if (!$membership || !$subscriber) {
+                    return false;
+                }
+
+                $this->move_group($subscriber_id, (int) $membership['group_id'], $before['group_id']);
+                $this->update_membership($subscriber_id, $before['campaign_id'], ['tier' => $before['tier'], 'group_id' => $before['group_id']]);
+                return true;
+
+            case 'add_campaign':
+                $membership = $this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $before['campaign_id']);
+                if (!$membership) {
+                    return false;
+                }
+
+                $this->move_group($subscriber_id, (int) $membership['group_id'], 0);
+                if ($this->campaign_subscribers_database->delete_campaign_subscriber($subscriber_id, $before['campaign_id']) === false) {
+                    throw new Exception("Removed from the MailerLite group, but the membership in {$params['campaign']} could not be deleted");
+                }
+                return true;
+
+            case 'add_group':
+                $this->move_group($subscriber_id, $before['group_id'], 0);
+                return true;
+
+            case 'remove_group':
+                $this->move_group($subscriber_id, 0, $before['group_id']);
+                return true;
+
+            case 'mark_purchased':
+                if (!$subscriber || !$this->campaign_subscribers_database->get_campaign_subscriber($subscriber_id, $before['campaign_id'])) {
+                    return false;
+                }
+
+                $this->set_purchase($subscriber_id, $params, $before['purchase_id']);
+                return true;
+
+            case 'delete':
+                // Already back, e.g. from a sync that ran in between
+                if ($subscriber) {
+                    return false;
+                }
+
+                $this->restore_subscriber($before['subscriber'], $before['campaigns']);
+                return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Moves a subscriber between MailerLite groups; 0 for either side only adds or removes.
+     */
+    private function move_group(int $subscriber_id, int $from_group_id, int $to_group_id): void
+    {
+        if ($to_group_id && !$this->mailerlite->addSubscriberToGroup($subscriber_id, $to_group_id)) {
+            throw new Exception('Could not add the subscriber to the MailerLite group ' . $this->get_group_name($to_group_id));
+        }
+
+        if ($from_group_id && $from_group_id !== $to_group_id && !$this->mailerlite->removeSubscriberFromGroup($subscriber_id, $from_group_id)) {
+            throw new Exception('Could not remove the subscriber from the MailerLite group ' . $this->get_group_name($from_group_id));
+        }
+    }
+
+    private function update_membership(int $subscriber_id, int $campaign_id, array $data): void
+    {
+        if (!$this->campaign_subscribers_database->update_campaign_subscriber($subscriber_id, $campaign_id, $data)) {
+            throw new Exception('MailerLite was updated, but the local campaign membership could not be');
+        }
+    }
+
+    /**
+     * Writes the purchase to the campaign's MailerLite purchase field and the local membership; null clears it.
+     */
+    private function set_purchase(int $subscriber_id, array $params, ?int $order_id): void
+    {
+        if (!$this->mailerlite->updateSubscriber($subscriber_id, ['fields' => [$params['campaign'] . '_PURCHASE' => $order_id]])) {
+            throw new Exception("Could not update the {$params['campaign']} purchase field in MailerLite");
+        }
+
+        $this->update_membership($subscriber_id, $params['campaign_id'], ['purchase_id' => $order_id]);
+    }
+
+    private function in_group(array $memberships, int $group_id): bool
+    {
+        return in_array($group_id, array_map('intval', array_column($memberships, 'group_id')), true);
+    }
+
+    /**
+     * Puts a deleted subscriber and their campaign memberships back with their original dates.
+     */
+    private function restore_subscriber(array $subscriber, array $campaigns): void
+    {
+        $restored = $this->subscribers_database->insert_subscriber(
+            $subscriber['id'],
+            $subscriber['email'],
+            $subscriber['name'],
+            $subscriber['status'],
+            $subscriber['subscribed_at'],
+            $subscriber['unsubscribed_at'],
+            $subscriber['updated_at']
+        );
+
+        if (!$restored) {
+            throw new Exception('The subscriber could not be restored; another subscriber may have their email now');
+        }
+
+        $missing = [];
+        foreach ($campaigns as $campaign) {
+            $inserted = $this->campaign_subscribers_database->insert_campaign_subscriber(
+                (int) $subscriber['id'],
+                (int) $campaign['group_id'],
+                (int) $campaign['campaign_id'],
+                $campaign['tier'],
+                $campaign['field_id'] ? (int) $campaign['field_id'] : null,
+                $campaign['purchase_id'] ? (int) $campaign['purchase_id'] : null
+            );
+
+            if (!$inserted) {
+                // The campaign or its group was deleted since
+                $missing[] = $campaign['campaign'] ?: '#' . $campaign['campaign_id'];
+                continue;
+            }
+
+            if ($campaign['joined_at']) {
+                $this->campaign_subscribers_database->update_campaign_subscriber((int) $subscriber['id'], (int) $campaign['campaign_id'], ['joined_at' => $campaign['joined_at']]);
+            }
+        }
+
+        if ($missing) {
+            throw new Exception('The subscriber was restored without their membership in ' . implode(', ', $missing));
+        }
+    }
+
+    /**
+     * Newest completed EDD order placed with the email that includes the product, from EDD 3 orders or EDD 2 payments.
+     */
+    private function find_order_id(string $email, int $product_id): ?int
+    {
+        if (function_exists('edd_get_orders')) {
+            $orders = edd_get_orders([
+                'email' => $email,
+                'type' => 'sale',
+                'status__in' => edd_get_complete_order_statuses(),
+                'number' => self::PURCHASE_LOOKUP_LIMIT,
+                'orderby' => 'date_created',
+                'order' => 'DESC',
+            ]);
+
+            foreach ($orders as $order) {
+                if (in_array($product_id, array_map('intval', wp_list_pluck($order->get_items(), 'product_id')), true)) {
+                    return (int) $order->id;
+                }
+            }
+        } elseif (function_exists('edd_get_payments')) {
+            $payments = edd_get_payments([
+                'user' => $email,
+                'status' => 'publish',
+                'number' => self::PURCHASE_LOOKUP_LIMIT,
+                'output' => 'payments',
+            ]);
+
+            foreach ($payments as $payment) {
+                if (in_array($product_id, array_map('intval', wp_list_pluck((array) $payment->cart_details, 'id')), true)) {
+                    return (int) $payment->ID;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // ========================================
+    // PRIVATE HELPER METHODS
+    // ========================================
+
+    /**
+     * Checks what an action is given and looks up the ids it works with.
+     *
+     * @throws Exception When a campaign, tier or group is missing or unknown.
+     */
+    private function resolve_params(string $action, array $params): array
+    {
+        switch ($action) {
+            case 'move_tier':
+            case 'add_campaign':
+                $campaign = $this->get_campaign($params['campaign'] ?? '');
+
+                $tiers = get_option('bema_crm_tiers', []);
+                $tier = sanitize_text_field($params['tier'] ?? '');
+                if (!in_array($tier, $tiers, true)) {
+                    throw new Exception('Choose one of the tiers set up on the Transitions page.');
+                }
+
+                $group_name = $campaign['campaign'] . '_' . strtoupper(str_replace(' ', '_', trim($tier)));
+                $group = $this->find_group_by_name($group_name);
+                if (!$group) {
+                    throw new Exception("The MailerLite group {$group_name} does not exist yet. Run a sync to create it.");
+                }
+
+                return [
+                    'campaign_id' => (int) $campaign['id'],
+                    'campaign' => $campaign['campaign'],
+                    // Stored the way the sync stores tiers read from group names
+                    'tier' => ucwords(strtolower($tier)),
+                    'group_id' => (int) $group['id'],
+                ];
+
+            case 'add_group':
+            case 'remove_group':
+                $group = $this->group_database->get_group_by_id(absint($params['group_id'] ?? 0));
+                if (!$group) {
+                    throw new Exception('Choose a MailerLite group.');
+                }
+
+                return ['group_id' => (int) $group['id'], 'group' => $group['group_name']];
+
+            case 'mark_purchased':
+                $campaign = $this->get_campaign($params['campaign'] ?? '');
+                if (empty($campaign['product_id'])) {
+                    throw new Exception("Campaign {$campaign['campaign']} is not linked to an EDD product, so there is no order to look up.");
+                }
+
+                return [
+                    'campaign_id' => (int) $campaign['id'],
+                    'campaign' => $campaign['campaign'],
+                    'product_id' => (int) $campaign['product_id'],
+                ];
+        }
+
+        return [];
+    }
+
+    private function describe(string $action, array $params): string
+    {
+        switch ($action) {
+            case 'move_tier':
+                return "Move to tier {$params['tier']} in {$params['campaign']}";
+            case 'add_campaign':
+                return "Add to campaign {$params['campaign']} as {$params['tier']}";
+            case 'add_group':
+                return "Add to MailerLite group {$params['group']}";
+            case 'remove_group':
+                return "Remove from MailerLite group {$params['group']}";
+            case 'mark_purchased':
+                return "Mark purchased in {$params['campaign']}";
+            case 'delete':
+                return 'Delete from the local database';
+        }
+
+        return self::ACTIONS[$action];
+    }
+
+    private function get_campaign(string $campaign_name): array
+    {
+        $campaign = $campaign_name ? $this->campaign_database->get_campaign_by_name(sanitize_text_field($campaign_name)) : null;
+        if (!$campaign) {
+            throw new Exception('Choose a campaign.');
+        }
+
+        return $campaign;
+    }
+
+    private function find_group_by_name(string $group_name): ?array
+    {
+        foreach ($this->get_groups() as $group) {
+            if (strtoupper($group['group_name']) === strtoupper($group_name)) {
+                return $group;
+            }
+        }
+
+        return null;
+    }
+
+    private function get_group_name(int $group_id): string
+    {
+        foreach ($this->get_groups() as $group) {
+            if ((int) $group['id'] === $group_id) {
+                return $group['group_name'];
+            }
+        }
+
+        return '#' . $group_id;
+    }
+
+    private function get_groups(): array
+    {
+        if ($this->groups === null) {
+            $this->groups = $this->group_database->get_all_groups() ?: [];
+        }
+
+        return $this->groups;
+    }
+
+    private function get_export_row(array $subscriber): array
+    {
+        $campaigns = array_map(function ($campaign) {
+            return $campaign['campaign'] . ' (' . $campaign['tier'] . ')';
+        }, $this->campaign_subscribers_database->get_all_subscriber_campaigns((int) $subscriber['id']));
+
+        $subscriber['campaigns'] = implode('; ', $campaigns);
+
+        return array_map(function ($column) use ($subscriber) {
+            return self::escape_formula($subscriber[$column] ?? '');
+        }, self::EXPORT_COLUMNS);
+    }
+
+    /**
+     * Creates the export CSV with its header row and returns its name.
+     */
+    private function create_export_file(): string
+    {
+        $name = 'subscribers-' . wp_date('Y-m-d-His') . '-' . wp_generate_password(8, false) . '.csv';
+
+        $handle = fopen($this->get_export_dir() . '/' . $name, 'xb');
+        if (!$handle) {
+            throw new Exception('Could not create the export file');
+        }
+
+        fputcsv($handle, self::EXPORT_COLUMNS);
+        fclose($handle);
+
+        return $name;
+    }
+
+    private function append_export_rows(string $file, array $rows): void
+    {
+        $handle = fopen($this->get_export_dir() . '/' . $file, 'ab');
+        if (!$handle) {
+            throw new Exception("Could not write to the export file {$file}");
+        }
+
+        foreach ($rows as $row) {
+            fputcsv($handle, $row);
+        }
+
+        fclose($handle);
+    }
+}
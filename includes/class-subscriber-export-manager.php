@@ -0,0 +1,600 @@
+<?php
+namespace Bema;
+
+use Exception;
+use ZipArchive;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Exports every subscriber matching the Database page filters, not just the page shown.
+ *
+ * Subscribers are read in id order CHUNK_SIZE at a time, so no export holds more
+ * than one chunk in memory. Up to STREAM_LIMIT subscribers are written straight
+ * to the response; bigger exports run as a background job in WP-Cron batches
+ * that append to a file in the exports directory, downloadable once the job
+ * completes. One background export runs at a time and only the last job's file
+ * is kept. CSV and XLSX have one cell per column, with a subscriber's campaigns,
+ * groups and purchases joined in theirs; JSON keeps those as lists.
+ */
+class Subscriber_Export_Manager extends Background_Job_Manager
+{
+    public $subscribers_database;
+    public $campaign_subscribers_database;
+
+    const JOB_OPTION = 'bema_crm_subscriber_export_job';
+    const BATCH_HOOK = 'bema_crm_subscriber_export_batch';
+    const LOCK_KEY = 'bema_subscriber_export_lock';
+    const OPERATION = 'subscriber_export';
+    const JOB_NAME = 'export';
+
+    /**
+     * Subscribers loaded and written together
+     */
+    const CHUNK_SIZE = 500;
+
+    /**
+     * Largest export sent straight to the browser; bigger ones run in the background
+     */
+    const STREAM_LIMIT = 5000;
+
+    /**
+     * Export format => content type
+     */
+    const FORMATS = [
+        'csv' => 'text/csv',
+        'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'json' => 'application/json',
+    ];
+
+    /**
+     * Column => label, in the order they are exported
+     */
+    const COLUMNS = [
+        'id' => 'ID',
+        'email' => 'Email',
+        'name' => 'Name',
+        'status' => 'Status',
+        'subscribed_at' => 'Subscribed',
+        'unsubscribed_at' => 'Unsubscribed',
+        'updated_at' => 'Updated',
+        'campaigns' => 'Campaigns and tiers',
+        'groups' => 'MailerLite groups',
+        'purchases' => 'Purchases',
+        'total_spent' => 'Total spent (EDD)',
+    ];
+
+    const DEFAULT_COLUMNS = ['id', 'email', 'name', 'status', 'subscribed_at', 'campaigns'];
+
+    /**
+     * Columns read from the campaign memberships
+     */
+    const MEMBERSHIP_COLUMNS = ['campaigns', 'groups', 'purchases'];
+
+    // ========================================
+    // PUBLIC EXPORT METHODS
+    // ========================================
+
+    /**
+     * Sends the matching subscribers to the browser as a file download.
+     *
+     * @param array $filters campaign, tier and search, as on the grid.
+     * @param array $segment Segment definition the subscribers must match as well.
+     * @param string $format One of FORMATS.
+     * @param string[] $columns Keys of COLUMNS.
+     * @return void
+     * @throws Exception If the format or columns are invalid or the export is too big to stream.
+     */
+    public function stream(array $filters, array $segment, string $format, array $columns): void
+    {
+        $columns = $this->resolve_columns($format, $columns);
+
+        $total = $this->count($filters, $segment);
+        if ($total > self::STREAM_LIMIT) {
+            throw new Exception(sprintf('Exports of more than %s subscribers run in the background.', number_format_i18n(self::STREAM_LIMIT)));
+        }
+
+        @set_time_limit(0);
+        @ini_set('zlib.output_compression', '0');
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        $name = $this->create_file_name($format);
+
+        // The XLSX zip can only be put together once the sheet is complete
+        if ($format === 'xlsx') {
+            $path = Subscriber_Bulk_Action_Manager::get_export_dir() . '/' . $name;
+            $this->write_file($path . '.xml', $format, $columns, $filters, $segment);
+            $this->build_xlsx($path . '.xml', $path);
+        }
+
+        header('Content-Type: ' . self::FORMATS[$format] . ($format === 'xlsx' ? '' : '; charset=utf-8'));
+        header('Content-Disposition: attachment; filename="' . $name . '"');
+        header('Cache-Control: no-store');
+        header('X-Accel-Buffering: no');
+
+        if ($format === 'xlsx') {
+            header('Content-Length: ' . filesize($path));
+            readfile($path);
+            wp_delete_file($path);
+        } else {
+            $this->write_file('php://output', $format, $columns, $filters, $segment);
+        }
+
+        flush();
+
+        $this->logger->info('Subscriber export streamed', [
+            'format' => $format,
+            'columns' => $columns,
+            'subscribers' => $total
+        ]);
+    }
+
+    /**
+     * Queues a background export of the matching subscribers.
+     *
+     * @param array $filters campaign, tier and search, as on the grid.
+     * @param array $segment Segment definition the subscribers must match as well.
+     * @param string $format One of FORMATS.
+     * @param string[] $columns Keys of COLUMNS.
+     * @return array The stored job.
+     * @throws Exception If the format or columns are invalid, nobody matches or another export is running.
+     */
+    public function start(array $filters, array $segment, string $format, array $columns): array
+    {
+        $columns = $this->resolve_columns($format, $columns);
+
+        $total = $this->count($filters, $segment);
+        if (!$total) {
+            throw new Exception('No subscribers match the filters.');
+        }
+
+        $current = $this->get_job(true);
+        if ($current && $this->is_active($current)) {
+            throw new Exception(sprintf(
+                'An export started by %s is still running (%s of %s subscribers done).',
+                $this->get_user_name($current['user_id']),
+                number_format_i18n($current['processed']),
+                number_format_i18n($current['total'])
+            ));
+        }
+
+        // Only the last job's file can be downloaded, so an older one has no way out
+        if ($current) {
+            $this->delete_files($current);
+        }
+
+        $name = $this->create_file_name($format);
+
+        $job = [
+            'job_id' => 'export_' . wp_generate_uuid4(),
+            'status' => self::STATUS_QUEUED,
+            'user_id' => get_current_user_id(),
+            'format' => $format,
+            'columns' => $columns,
+            'filters' => $filters,
+            'segment' => $segment,
+            'total' => $total,
+            'processed' => 0,
+            'written' => 0,
+            'last_id' => 0,
+            // Set once a chunk comes back short, which means no subscriber is left
+            'done' => false,
+            'error' => null,
+            'file' => $name,
+            // The file being written; an XLSX sheet is zipped into the file when the job completes
+            'part' => $format === 'xlsx' ? $name . '.xml' : $name,
+            'started_at' => time(),
+            'finished_at' => null,
+        ];
+
+        $this->open_file(Subscriber_Bulk_Action_Manager::get_export_dir() . '/' . $job['part'], $format, $columns);
+
+        $this->save_job($job);
+        $this->schedule_batch($job['job_id']);
+
+        $this->logger->info('Subscriber export queued', [
+            'job_id' => $job['job_id'],
+            'format' => $format,
+            'columns' => $columns,
+            'subscribers' => $total
+        ]);
+
+        return $job;
+    }
+
+    /**
+     * Builds the progress payload consumed by BemaSubscriberExport.
+     */
+    public function get_status(bool $fresh = false): array
+    {
+        $job = $this->get_job($fresh);
+
+        if (!$job) {
+            return ['status' => 'idle'];
+        }
+
+        return [
+            'job_id' => $job['job_id'],
+            'status' => $job['status'],
+            'format' => $job['format'],
+            // Subscribers who joined the filters since the job started are exported too
+            'total' => max($job['total'], $job['processed']),
+            'processed' => $job['processed'],
+            'error' => $job['error'],
+            'started_by' => $this->get_user_name($job['user_id']),
+            'finished_at' => $job['finished_at'],
+            'download' => $job['status'] === self::STATUS_COMPLETED && $this->get_export_path($job['job_id']) !== null,
+        ];
+    }
+
+    /**
+     * Path of the file written by an export job, null when that job is not the last one, has not completed or its file is gone.
+     */
+    public function get_export_path(string $job_id): ?string
+    {
+        $job = $this->get_job();
+        if (!$job || $job['job_id'] !== $job_id || $job['status'] !== self::STATUS_COMPLETED) {
+            return null;
+        }
+
+        $path = Subscriber_Bulk_Action_Manager::get_export_dir() . '/' . $job['file'];
+        return file_exists($path) ? $path : null;
+    }
+
+    /**
+     * Content type of an export file, from its extension.
+     */
+    public function get_content_type(string $path): string
+    {
+        return self::FORMATS[pathinfo($path, PATHINFO_EXTENSION)] ?? 'application/octet-stream';
+    }
+
+    // ========================================
+    // PRIVATE JOB METHODS
+    // ========================================
+
+    protected function run_chunk(array $job): array
+    {
+        $ids = $this->get_chunk($job['filters'], $job['segment'], $job['last_id']);
+        $job['done'] = count($ids) < self::CHUNK_SIZE;
+
+        if ($ids) {
+            $handle = fopen(Subscriber_Bulk_Action_Manager::get_export_dir() . '/' . $job['part'], 'ab');
+            if (!$handle) {
+                throw new Exception("Could not write to the export file {$job['part']}");
+            }
+
+            $job['written'] += $this->write_rows($handle, $job['format'], $job['columns'], $ids, $job['written'] === 0);
+            fclose($handle);
+
+            $job['processed'] += count($ids);
+            $job['last_id'] = end($ids);
+        }
+
+        return $job;
+    }
+
+    protected function is_done(array $job): bool
+    {
+        return $job['done'];
+    }
+
+    protected function finish_job(array $job): void
+    {
+        $dir = Subscriber_Bulk_Action_Manager::get_export_dir();
+        $this->close_file($dir . '/' . $job['part'], $job['format']);
+
+        if ($job['format'] === 'xlsx') {
+            $this->build_xlsx($dir . '/' . $job['part'], $dir . '/' . $job['file']);
+        }
+
+        $job = $this->complete_job($job);
+
+        $this->logger->info('Subscriber export finished', [
+            'job_id' => $job['job_id'],
+            'format' => $job['format'],
+            'subscribers' => $job['written']
+        ]);
+    }
+
+    protected function clean_up_failed_job(array $job): void
+    {
+        $this->delete_files($job);
+    }
+
+    private function delete_files(array $job): void
+    {
+        $dir = Subscriber_Bulk_Action_Manager::get_export_dir();
+
+        foreach (array_unique([$job['file'], $job['part']]) as $file) {
+            if (file_exists($dir . '/' . $file)) {
+                wp_delete_file($dir . '/' . $file);
+            }
+        }
+    }
+
+    // ========================================
+    // PRIVATE FILE METHODS
+    // ========================================
+
+    /**
+     * @return string[] The chosen columns, in COLUMNS order.
+     * @throws Exception If the format is unknown, no column is chosen or a column cannot be exported here.
+     */
+    private function resolve_columns(string $format, array $columns): array
+    {
+        if (!isset(self::FORMATS[$format])) {
+            throw new Exception("Unknown export format {$format}");
+        }
+
+        if ($format === 'xlsx' && !class_exists(ZipArchive::class)) {
+            throw new Exception('XLSX exports need the PHP zip extension.');
+        }
+
+        $columns = array_values(array_intersect(array_keys(self::COLUMNS), $columns));
+        if (empty($columns)) {
+            throw new Exception('Choose at least one column to export.');
+        }
+
+        if (in_array('total_spent', $columns, true) && !$this->has_edd_customers()) {
+            throw new Exception(self::COLUMNS['total_spent'] . ' needs Easy Digital Downloads; its customers table was not found.');
+        }
+
+        return $columns;
+    }
+
+    private function count(array $filters, array $segment): int
+    {
+        return $this->subscribers_database->count_subscribers($filters['campaign'], $filters['tier'], $filters['search'], $segment);
+    }
+
+    /**
+     * IDs of the next CHUNK_SIZE matching subscribers after the given one.
+     */
+    private function get_chunk(array $filters, array $segment, int $after_id): array
+    {
+        return $this->subscribers_database->get_subscriber_ids($filters['campaign'], $filters['tier'], $filters['search'], $segment, $after_id, self::CHUNK_SIZE);
+    }
+
+    private function create_file_name(string $format): string
+    {
+        return 'subscribers-' . wp_date('Y-m-d-His') . '-' . wp_generate_password(8, false) . '.' . $format;
+    }
+
+    /**
+     * Writes every matching subscriber to the given path in one go.
+     */
+    private function write_file(string $path, string $format, array $columns, array $filters, array $segment): void
+    {
+        $this->open_file($path, $format, $columns);
+
+        $handle = fopen($path, 'ab');
+        if (!$handle) {
+            throw new Exception('Could not write the export');
+        }
+
+        $after_id = 0;
+        $written = 0;
+
+        do {
+            $ids = $this->get_chunk($filters, $segment, $after_id);
+            if ($ids) {
+                $written += $this->write_rows($handle, $format, $columns, $ids, $written === 0);
+                fflush($handle);
+                flush();
+
+                $after_id = end($ids);
+            }
+        } while (count($ids) === self::CHUNK_SIZE && !connection_aborted());
+
+        fclose($handle);
+        $this->close_file($path, $format);
+    }
+
+    /**
+     * Starts the file: the header row, or what the rows are wrapped in.
+     */
+    private function open_file(string $path, string $format, array $columns): void
+    {
+        $handle = fopen($path, $path === 'php://output' ? 'wb' : 'xb');
+        if (!$handle) {
+            throw new Exception('Could not create the export file');
+        }
+
+        $labels = array_map(function ($column) {
+            return self::COLUMNS[$column];
+        }, $columns);
+
+        if ($format === 'csv') {
+            fputcsv($handle, $labels);
+        } elseif ($format === 'json') {
+            fwrite($handle, "[\n");
+        } else {
+            fwrite($handle, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+                . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+                . $this->format_xlsx_row($labels));
+        }
+
+        fclose($handle);
+    }
+
+    private function close_file(string $path, string $format): void
+    {
+        if ($format === 'csv') {
+            return;
+        }
+
+        $handle = fopen($path, 'ab');
+        if (!$handle) {
+            throw new Exception('Could not finish the export file');
+        }
+
+        fwrite($handle, $format === 'json' ? "\n]\n" : '</sheetData></worksheet>');
+        fclose($handle);
+    }
+
+    /**
+     * @param resource $handle
+     * @param int[] $ids
+     * @param bool $first Whether no row has been written to the file yet.
+     * @return int The number of rows written.
+     */
+    private function write_rows($handle, string $format, array $columns, array $ids, bool $first): int
+    {
+        $rows = $this->get_rows($ids, $columns);
+
+        if ($format === 'json') {
+            if ($rows) {
+                fwrite($handle, ($first ? '' : ",\n") . implode(",\n", array_map('wp_json_encode', $rows)));
+            }
+            return count($rows);
+        }
+
+        foreach ($rows as $row) {
+            $cells = array_map([$this, 'format_cell'], array_values($row));
+
+            if ($format === 'csv') {
+                // XLSX cells are written as inline strings, which never run as formulas
+                fputcsv($handle, array_map([Subscriber_Bulk_Action_Manager::class, 'escape_formula'], $cells));
+            } else {
+                fwrite($handle, $this->format_xlsx_row($cells));
+            }
+        }
+
+        return count($rows);
+    }
+
+    /**
+     * The chosen columns of the given subscribers, lists as lists.
+     *
+     * @param int[] $ids
+     * @param string[] $columns
+     * @return array Rows in the order of $ids.
+     */
+    private function get_rows(array $ids, array $columns): array
+    {
+        $subscribers = $this->subscribers_database->get_subscribers_by_ids($ids);
+        $memberships = array_intersect($columns, self::MEMBERSHIP_COLUMNS) ? $this->campaign_subscribers_database->get_campaigns_by_subscriber_ids($ids) : [];
+        $totals = in_array('total_spent', $columns, true) ? $this->subscribers_database->get_total_spent_by_ids($ids) : [];
+
+        $rows = [];
+        foreach ($ids as $id) {
+            // Deleted since the chunk was read
+            if (!isset($subscribers[$id])) {
+                continue;
+            }
+
+            $subscriber = $subscribers[$id];
+            $campaigns = $memberships[$id] ?? [];
+
+            $subscriber['id'] = (int) $subscriber['id'];
+            $subscriber['campaigns'] = array_map(function ($campaign) {
+                return ['campaign' => $campaign['campaign'], 'tier' => $campaign['tier'], 'joined_at' => $campaign['joined_at'] ?? null];
+            }, $campaigns);
+            $subscriber['groups'] = array_values(array_filter(array_column($campaigns, 'group_name')));
+            $subscriber['purchases'] = array_values(array_map(function ($campaign) {
+                return ['campaign' => $campaign['campaign'], 'order_id' => (int) $campaign['purchase_id']];
+            }, array_filter($campaigns, function ($campaign) {
+                return !empty($campaign['purchase_id']);
+            })));
+            $subscriber['total_spent'] = $totals[$id] ?? null;
+
+            $row = [];
+            foreach ($columns as $column) {
+                $row[$column] = $subscriber[$column] ?? null;
+            }
+            $rows[] = $row;
+        }
+
+        return $rows;
+    }
+
+    /**
+     * One spreadsheet cell from a row value; lists are joined with semicolons.
+     */
+    private function format_cell($value)
+    {
+        if (!is_array($value)) {
+            return $value ?? '';
+        }
+
+        return implode('; ', array_map(function ($item) {
+            if (!is_array($item)) {
+                return $item;
+            }
+            if (isset($item['order_id'])) {
+                return "{$item['campaign']} (order #{$item['order_id']})";
+            }
+            return "{$item['campaign']} ({$item['tier']})";
+        }, $value));
+    }
+
+    private function format_xlsx_row(array $cells): string
+    {
+        $xml = '<row>';
+
+        foreach ($cells as $cell) {
+            if (is_int($cell) || is_float($cell)) {
+                $xml .= '<c><v>' . $cell . '</v></c>';
+                continue;
+            }
+
+            // Control characters other than tab and newlines are not allowed in XML
+            $text = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F]/', '', (string) $cell);
+            $xml .= '<c t="inlineStr"><is><t xml:space="preserve">' . htmlspecialchars($text, ENT_XML1 | ENT_QUOTES, 'UTF-8') . '</t></is></c>';
+        }
+
+        return $xml . '</row>';
+    }
+
+    /**
+     * Zips a finished sheet into a one-sheet workbook and deletes the sheet.
+     */
+    private function build_xlsx(string $sheet_path, string $path): void
+    {
+        $zip = new ZipArchive();
+        if ($zip->open($path, ZipArchive::CREATE | ZipArchive::OVERWRITE) !== true) {
+            throw new Exception('Could not create the XLSX file');
+        }
+
+        $zip->addFromString('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '</Types>');
+        $zip->addFromString('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>');
+        $zip->addFromString('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="Subscribers" sheetId="1" r:id="rId1"/></sheets>'
+            . '</workbook>');
+        $zip->addFromString('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '</Relationships>');
+        $zip->addFile($sheet_path, 'xl/worksheets/sheet1.xml');
+
+        // The sheet is read when the archive is closed
+        if (!$zip->close()) {
+            throw new Exception('Could not write the XLSX file');
+        }
+
+        wp_delete_file($sheet_path);
+    }
+
+    private function has_edd_customers(): bool
+    {
+        global $wpdb;
+        $table = $wpdb->prefix . 'edd_customers';
+
+        return $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($table))) === $table;
+    }
+}
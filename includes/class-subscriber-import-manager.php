@@ -0,0 +1,1010 @@
+<?php
+namespace Bema;
+
+use Exception;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Imports subscribers from an uploaded CSV file as a background job.
+ *
+ * The Database page wizard uploads the file, maps its columns to FIELDS and
+ * previews the rows that would be rejected before anything is written. The
+ * import then reads the file in WP-Cron batches. Local subscriber ids are
+ * MailerLite ids, so a row is only stored once MailerLite knows the email:
+ * with the push, rows are imported into their campaign tier group with
+ * importBulkSubscribersToGroup and looked up again once MailerLite has taken
+ * them in; without it, rows whose email is not in MailerLite yet fail.
+ * One import runs at a time and the uploaded file is deleted when it ends.
+ */
+class Subscriber_Import_Manager extends Background_Job_Manager
+{
+    public $mailerlite;
+    public $subscribers_database;
+    public $campaign_database;
+    public $campaign_subscribers_database;
+    public $group_database;
+    public $history_database;
+
+    const JOB_OPTION = 'bema_crm_import_job';
+    const BATCH_HOOK = 'bema_crm_import_batch';
+    const LOCK_KEY = 'bema_import_lock';
+    const OPERATION = 'subscriber_import';
+    const JOB_NAME = 'import';
+
+    /**
+     * Rows read, pushed to MailerLite and written locally together
+     */
+    const CHUNK_SIZE = 50;
+
+    /**
+     * MailerLite imports into a group in the background. Pushed rows are looked
+     * up again RESOLVE_DELAY seconds later and fail once RESOLVE_TIMEOUT has passed.
+     */
+    const RESOLVE_DELAY = 30;
+    const RESOLVE_TIMEOUT = 600;
+    const WAIT_DELAY = self::RESOLVE_DELAY;
+
+    /**
+     * Failed rows kept on the job with their error, the rest are only counted
+     */
+    const ERROR_LIMIT = 20;
+
+    /**
+     * Rejected rows listed in the preview, the rest are only counted
+     */
+    const PREVIEW_ERROR_LIMIT = 100;
+    const PREVIEW_SAMPLE_ROWS = 5;
+
+    const MAX_FILE_SIZE = 10 * 1024 * 1024;
+    const MAX_ROWS = 50000;
+
+    const IMPORT_DIR = 'bema-crm-imports';
+
+    /**
+     * Random suffix of the import directory, so uploaded files cannot be found by guessing the URL
+     */
+    const IMPORT_DIR_KEY_OPTION = 'bema_crm_import_dir_key';
+
+    /**
+     * Seconds an uploaded file that was never imported is kept
+     */
+    const FILE_TTL = 86400;
+
+    /**
+     * Subscriber field => label, in the order the mapping step lists them
+     */
+    const FIELDS = [
+        'email' => 'Email',
+        'first_name' => 'First name',
+        'last_name' => 'Last name',
+        'tier' => 'Tier',
+        'campaign' => 'Campaign',
+    ];
+
+    /**
+     * What happens to a row whose email is already in the CRM
+     */
+    const POLICIES = [
+        'skip' => 'Skip them',
+        'update' => 'Update their name and tier from the file',
+        'merge' => 'Only fill in a missing name or campaign',
+    ];
+
+    /**
+     * Header names recognised when the mapping is guessed, lowercased without spaces, dashes or underscores
+     */
+    const HEADER_ALIASES = [
+        'email' => ['email', 'emailaddress', 'mail'],
+        'first_name' => ['firstname', 'first', 'givenname', 'name'],
+        'last_name' => ['lastname', 'last', 'surname', 'familyname'],
+        'tier' => ['tier', 'level'],
+        'campaign' => ['campaign', 'album'],
+    ];
+
+    private $context = null;
+
+    // ========================================
+    // PUBLIC WIZARD METHODS
+    // ========================================
+
+    /**
+     * Stores an uploaded CSV file for the wizard.
+     *
+     * @param array $file The entry of $_FILES.
+     * @return array file, name, columns, sample, rows and a guessed mapping.
+     * @throws Exception If the upload failed or the file is not a CSV file the import can read.
+     */
+    public function upload(array $file): array
+    {
+        if (($file['error'] ?? UPLOAD_ERR_NO_FILE) !== UPLOAD_ERR_OK || empty($file['tmp_name']) || !is_uploaded_file($file['tmp_name'])) {
+            throw new Exception('The file did not upload (error code ' . ($file['error'] ?? UPLOAD_ERR_NO_FILE) . ').');
+        }
+
+        if (!in_array(strtolower(pathinfo($file['name'], PATHINFO_EXTENSION)), ['csv', 'txt'], true)) {
+            throw new Exception('Choose a .csv file.');
+        }
+
+        if ($file['size'] > self::MAX_FILE_SIZE) {
+            throw new Exception('The file is larger than ' . size_format(self::MAX_FILE_SIZE) . '. Split it and import the parts one after another.');
+        }
+
+        $this->delete_old_files();
+
+        $name = 'import-' . wp_date('Y-m-d-His') . '-' . wp_generate_password(8, false) . '.csv';
+        if (!move_uploaded_file($file['tmp_name'], $this->get_import_dir() . '/' . $name)) {
+            throw new Exception('The uploaded file could not be stored.');
+        }
+
+        try {
+            return ['file' => $name, 'name' => sanitize_file_name($file['name'])] + $this->describe_file($name);
+        } catch (Exception $e) {
+            wp_delete_file($this->get_import_dir() . '/' . $name);
+            throw $e;
+        }
+    }
+
+    /**
+     * Checks every row of an uploaded file against the mapping, without writing anything.
+     *
+     * @param string $file As returned by upload().
+     * @param array $mapping Field => column index.
+     * @return array Counts of the rows that would be imported, skipped and rejected, and the rejected rows.
+     * @throws Exception If the file is gone or the mapping has no email column.
+     */
+    public function preview(string $file, array $mapping): array
+    {
+        $scan = $this->scan_file($file, $this->normalize_mapping($mapping, $file));
+
+        $existing = 0;
+        foreach (array_chunk($scan['emails'], 500) as $emails) {
+            $existing += count($this->subscribers_database->get_subscribers_by_emails($emails));
+        }
+
+        return [
+            'rows' => $scan['rows'],
+            'valid' => count($scan['emails']),
+            'invalid' => $scan['invalid'],
+            'duplicates' => count($scan['duplicate_rows']),
+            'existing' => $existing,
+            'new' => count($scan['emails']) - $existing,
+            'problems' => $scan['problems'],
+            'truncated' => $scan['invalid'] + count($scan['duplicate_rows']) > count($scan['problems']),
+        ];
+    }
+
+    /**
+     * Queues the import of an uploaded file.
+     *
+     * @param string $file As returned by upload().
+     * @param string $name The file name shown while the import runs.
+     * @param array $mapping Field => column index.
+     * @param string $policy One of POLICIES.
+     * @param bool $push Import the rows into their campaign tier group in MailerLite.
+     * @return array The stored job.
+     * @throws Exception If the options are invalid, no row can be imported or another import is running.
+     */
+    public function start(string $file, string $name, array $mapping, string $policy, bool $push): array
+    {
+        if (!isset(self::POLICIES[$policy])) {
+            throw new Exception("Unknown duplicate policy {$policy}");
+        }
+
+        $current = $this->get_job(true);
+        if ($current && $this->is_active($current)) {
+            throw new Exception(sprintf(
+                'An import of %s started by %s is still running (%s of %s rows done).',
+                $current['name'],
+                $this->get_user_name($current['user_id']),
+                number_format_i18n($current['processed']),
+                number_format_i18n($current['total'])
+            ));
+        }
+
+        $mapping = $this->normalize_mapping($mapping, $file);
+        $scan = $this->scan_file($file, $mapping);
+        if (empty($scan['emails'])) {
+            throw new Exception('None of the rows can be imported; fix the problems the preview lists first.');
+        }
+
+        $job = [
+            'job_id' => 'import_' . wp_generate_uuid4(),
+            'file' => $file,
+            'name' => $name ?: $file,
+            'mapping' => $mapping,
+            'policy' => $policy,
+            'push' => $push,
+            'status' => self::STATUS_QUEUED,
+            'user_id' => get_current_user_id(),
+            'delimiter' => $scan['delimiter'],
+            'offset' => $scan['data_offset'],
+            'row' => 1,
+            // Later rows repeating an email are left out, so the first row is the one imported
+            'duplicate_rows' => $scan['duplicate_rows'],
+            'pending' => [],
+            'total' => $scan['rows'],
+            'processed' => 0,
+            'created' => 0,
+            'updated' => 0,
+            'skipped' => 0,
+            'invalid' => 0,
+            'failed' => 0,
+            'errors' => [],
+            'error' => null,
+            'started_at' => time(),
+            'finished_at' => null,
+        ];
+
+        $this->save_job($job);
+        $this->schedule_batch($job['job_id']);
+
+        $this->logger->info('Subscriber import queued', [
+            'job_id' => $job['job_id'],
+            'name' => $job['name'],
+            'rows' => $job['total'],
+            'policy' => $policy,
+            'push' => $push
+        ]);
+
+        return $job;
+    }
+
+    // ========================================
+    // PUBLIC JOB METHODS
+    // ========================================
+
+    /**
+     * Builds the progress payload consumed by BemaSubscriberImport.
+     */
+    public function get_status(bool $fresh = false): array
+    {
+        $job = $this->get_job($fresh);
+
+        if (!$job) {
+            return ['status' => 'idle'];
+        }
+
+        return [
+            'job_id' => $job['job_id'],
+            'name' => $job['name'],
+            'policy' => self::POLICIES[$job['policy']],
+            'push' => $job['push'],
+            'status' => $job['status'],
+            'total' => $job['total'],
+            'processed' => $job['processed'],
+            'created' => $job['created'],
+            'updated' => $job['updated'],
+            'skipped' => $job['skipped'],
+            'invalid' => $job['invalid'],
+            'failed' => $job['failed'],
+            'waiting' => count($job['pending']),
+            'errors' => $job['errors'],
+            'error' => $job['error'],
+            'started_by' => $this->get_user_name($job['user_id']),
+            'finished_at' => $job['finished_at'],
+        ];
+    }
+
+    // ========================================
+    // PRIVATE JOB METHODS
+    // ========================================
+
+    protected function run_chunk(array $job): array
+    {
+        if ($job['pending']) {
+            $job = $this->resolve_pending($job);
+        }
+
+        // Once the whole file has been read, only the pushed rows are left to look up
+        return $job['offset'] === null ? $job : $this->import_chunk($job);
+    }
+
+    protected function is_done(array $job): bool
+    {
+        return $job['offset'] === null && !$job['pending'];
+    }
+
+    /**
+     * The pushed rows are looked up again once MailerLite has had time to take them in.
+     */
+    protected function is_waiting(array $job): bool
+    {
+        return $job['offset'] === null;
+    }
+
+    protected function clean_up_failed_job(array $job): void
+    {
+        $this->delete_file($job['file']);
+    }
+
+    private function import_chunk(array $job): array
+    {
+        $handle = $this->open_file($job['file']);
+        fseek($handle, $job['offset']);
+
+        $records = [];
+        $read = 0;
+
+        while ($read < self::CHUNK_SIZE && ($values = $this->read_row($handle, $job['delimiter'])) !== null) {
+            $job['row']++;
+
+            if ($values === []) {
+                continue;
+            }
+
+            $read++;
+
+            if (in_array($job['row'], $job['duplicate_rows'], true)) {
+                $job['skipped']++;
+                continue;
+            }
+
+            $validated = $this->validate_row($values, $job['mapping']);
+            if ($validated['errors']) {
+                $job['invalid']++;
+                continue;
+            }
+
+            $records[] = $validated['record'] + ['row' => $job['row']];
+        }
+
+        $job['offset'] = feof($handle) ? null : ftell($handle);
+        fclose($handle);
+
+        $job['processed'] += $read;
+
+        return $records ? $this->import_records($job, $records) : $job;
+    }
+
+    /**
+     * Works out what each row changes, pushes the rows that need it to MailerLite and stores the rest.
+     */
+    private function import_records(array $job, array $records): array
+    {
+        $existing = $this->subscribers_database->get_subscribers_by_emails(array_column($records, 'email'));
+        $to_push = [];
+        $to_store = [];
+
+        foreach ($records as $record) {
+            $subscriber = $existing[$record['email']] ?? null;
+
+            try {
+                $plan = $this->plan($record, $subscriber, $job['policy']);
+            } catch (Exception $e) {
+                $job = $this->add_failure($job, $record, $e->getMessage());
+                continue;
+            }
+
+            if ($plan === null) {
+                $job['skipped']++;
+                continue;
+            }
+
+            $record['plan'] = $plan;
+            $record['subscriber_id'] = $subscriber ? (int) $subscriber['id'] : null;
+
+            // Rows without a tier group are only linked to subscribers MailerLite already has
+            if ($job['push'] && $record['group_id'] && $plan['membership']) {
+                $to_push[$record['group_id']][] = $record + ['pushed' => true];
+            } else {
+                $to_store[] = $record;
+            }
+        }
+
+        foreach ($to_push as $group_id => $group_records) {
+            $pushed = $this->mailerlite->importBulkSubscribersToGroup(array_map([$this, 'get_mailerlite_subscriber'], $group_records), (string) $group_id);
+
+            foreach ($group_records as $record) {
+                if (!$pushed) {
+                    $job = $this->add_failure($job, $record, 'MailerLite did not accept the import into ' . $record['group_name']);
+                } elseif ($record['subscriber_id']) {
+                    // Already known, so storing it does not have to wait for MailerLite
+                    $to_store[] = $record;
+                } else {
+                    $job['pending'][] = $record + ['pushed_at' => time()];
+                }
+            }
+        }
+
+        $history = [];
+        foreach ($to_store as $record) {
+            $job = $this->store_record($job, $record, $history);
+        }
+
+        if ($history) {
+            $this->history_database->record_job($job['job_id'], 'import', $history);
+        }
+
+        return $job;
+    }
+
+    /**
+     * Looks up the pushed rows MailerLite has had RESOLVE_DELAY seconds to take in and stores them.
+     */
+    private function resolve_pending(array $job): array
+    {
+        $pending = [];
+        $history = [];
+
+        foreach ($job['pending'] as $record) {
+            if (time() - $record['pushed_at'] < self::RESOLVE_DELAY) {
+                $pending[] = $record;
+                continue;
+            }
+
+            $remote = $this->find_remote_subscriber($record['email']);
+
+            if ($remote) {
+                $job = $this->store_record($job, $record, $history, $remote);
+            } elseif (time() - $record['pushed_at'] < self::RESOLVE_TIMEOUT) {
+                $pending[] = $record;
+            } else {
+                $job = $this->add_failure($job, $record, 'MailerLite had not taken the subscriber in after ' . human_time_diff(0, self::RESOLVE_TIMEOUT) . '; a sync will pick them up once it has');
+            }
+        }
+
+        $job['pending'] = $pending;
+
+        if ($history) {
+            $this->history_database->record_job($job['job_id'], 'import', $history);
+        }
+
+        return $job;
+    }
+
+    /**
+     * Decides what importing a row changes for the subscriber with its email.
+     *
+     * @param array $record
+     * @param array|null $subscriber The local subscriber with the row's email.
+     * @param string $policy
+     * @return array|null name and membership to write, null when the row changes nothing.
+     * @throws Exception When the local membership cannot be read.
+     */
+    private function plan(array $record, ?array $subscriber, string $policy): ?array
+    {
+        $membership = null;
+        if ($record['campaign_id'] && $subscriber) {
+            $membership = $this->campaign_subscribers_database->get_campaign_subscriber((int) $subscriber['id'], $record['campaign_id']);
+        }
+
+        if (!$subscriber) {
+            return [
+                'name' => $record['name'],
+                'membership' => $record['campaign_id'] ? 'insert' : null,
+                'from_group_id' => null,
+            ];
+        }
+
+        if ($policy === 'skip') {
+            return null;
+        }
+
+        $name = null;
+        if ($record['name'] !== '' && $record['name'] !== (string) $subscriber['name'] && ($policy === 'update' || trim((string) $subscriber['name']) === '')) {
+            $name = $record['name'];
+        }
+
+        $action = null;
+        if ($record['campaign_id'] && !$membership) {
+            $action = 'insert';
+        } elseif ($membership && $policy === 'update' && strcasecmp($membership['tier'], $record['tier']) !== 0) {
+            $action = 'update';
+        }
+
+        if ($name === null && $action === null) {
+            return null;
+        }
+
+        return [
+            'name' => $name,
+            'membership' => $action,
+            'from_group_id' => $action === 'update' ? (int) $membership['group_id'] : null,
+        ];
+    }
+
+    /**
+     * Writes a row to the local tables and, after a push that moved the subscriber to another tier, takes them out of their old group.
+     *
+     * @param array $job
+     * @param array $record With its plan.
+     * @param array $history History rows of the chunk, added to.
+     * @param array|null $remote The subscriber as MailerLite has them, when already looked up.
+     * @return array The job.
+     */
+    private function store_record(array $job, array $record, array &$history, ?array $remote = null): array
+    {
+        $plan = $record['plan'];
+
+        try {
+            $subscriber_id = $record['subscriber_id'];
+
+            if (!$subscriber_id) {
+                $remote = $remote ?? $this->find_remote_subscriber($record['email']);
+                if (!$remote) {
+                    throw new Exception($job['push']
+                        ? 'Not in MailerLite. Give the row a campaign and tier to create the subscriber there'
+                        : 'Not in MailerLite. Import with the push to MailerLite to create the subscriber');
+                }
+
+                $subscriber_id = (int) $remote['id'];
+                $inserted = $this->subscribers_database->insert_subscriber(
+                    $subscriber_id,
+                    $record['email'],
+                    $plan['name'] !== '' ? $plan['name'] : trim(($remote['fields']['name'] ?? '') . ' ' . ($remote['fields']['last_name'] ?? '')),
+                    $remote['status'] ?? 'active',
+                    $remote['subscribed_at'] ?? null,
+                    $remote['unsubscribed_at'] ?? null,
+                    $remote['updated_at'] ?? null
+                );
+
+                if (!$inserted) {
+                    throw new Exception('The subscriber could not be saved; their MailerLite id may be stored with another email');
+                }
+            } elseif ($plan['name'] !== null) {
+                // A pushed row took its name to MailerLite with the group import
+                if ($job['push'] && empty($record['pushed']) && !$this->mailerlite->updateSubscriber($subscriber_id, ['fields' => ['name' => $record['first_name'], 'last_name' => $record['last_name']]])) {
+                    throw new Exception('The subscriber\'s name could not be updated in MailerLite');
+                }
+
+                if ($this->subscribers_database->update_subscriber_by_id($subscriber_id, ['name' => $plan['name']]) === false) {
+                    throw new Exception('The subscriber\'s name could not be saved');
+                }
+            }
+
+            if ($plan['membership'] === 'insert') {
+                if (!$this->campaign_subscribers_database->insert_campaign_subscriber($subscriber_id, $record['group_id'], $record['campaign_id'], $record['tier'])) {
+                    throw new Exception("The membership in {$record['campaign']} could not be saved");
+                }
+            } elseif ($plan['membership'] === 'update') {
+                if (!$this->campaign_subscribers_database->update_campaign_subscriber($subscriber_id, $record['campaign_id'], ['tier' => $record['tier'], 'group_id' => $record['group_id']])) {
+                    throw new Exception("The tier in {$record['campaign']} could not be saved");
+                }
+
+                if ($job['push'] && $plan['from_group_id'] && $plan['from_group_id'] !== $record['group_id']) {
+                    $this->mailerlite->removeSubscriberFromGroup($subscriber_id, $plan['from_group_id']);
+                }
+            }
+
+            $history[] = [
+                'subscriber_id' => $subscriber_id,
+                'summary' => ($record['subscriber_id'] ? 'Updated by the import of ' : 'Imported from ') . $job['name'],
+                'data' => array_filter([
+                    'row' => $record['row'],
+                    'name' => $plan['name'],
+                    'campaign' => $plan['membership'] ? $record['campaign'] : null,
+                    'tier' => $plan['membership'] ? $record['tier'] : null,
+                ], function ($value) {
+                    return $value !== null && $value !== '';
+                }),
+            ];
+
+            $job[$record['subscriber_id'] ? 'updated' : 'created']++;
+        } catch (Exception $e) {
+            $job = $this->add_failure($job, $record, $e->getMessage());
+        }
+
+        return $job;
+    }
+
+    private function add_failure(array $job, array $record, string $error): array
+    {
+        $job['failed']++;
+
+        if (count($job['errors']) < self::ERROR_LIMIT) {
+            $job['errors'][] = ['row' => $record['row'], 'email' => $record['email'], 'error' => $error];
+        }
+
+        $this->logger->warning('Import failed for row', [
+            'job_id' => $job['job_id'],
+            'row' => $record['row'],
+            'email' => $record['email'],
+            'error' => $error
+        ]);
+
+        return $job;
+    }
+
+    protected function finish_job(array $job): void
+    {
+        $job = $this->complete_job($job);
+
+        // The file holds personal data and is not needed once every row is in
+        $this->delete_file($job['file']);
+
+        $this->logger->info('Subscriber import finished', [
+            'job_id' => $job['job_id'],
+            'created' => $job['created'],
+            'updated' => $job['updated'],
+            'skipped' => $job['skipped'],
+            'invalid' => $job['invalid'],
+            'failed' => $job['failed']
+        ]);
+    }
+
+    // ========================================
+    // PRIVATE ROW METHODS
+    // ========================================
+
+    /**
+     * Reads the file once: checks every row and finds the emails that repeat.
+     *
+     * @throws Exception If the file is gone or unreadable.
+     */
+    private function scan_file(string $file, array $mapping): array
+    {
+        $handle = $this->open_file($file);
+        $delimiter = $this->detect_delimiter($handle);
+        $this->read_row($handle, $delimiter);
+
+        $scan = [
+            'delimiter' => $delimiter,
+            'data_offset' => ftell($handle),
+            'rows' => 0,
+            'invalid' => 0,
+            'emails' => [],
+            'duplicate_rows' => [],
+            'problems' => [],
+        ];
+
+        $first_rows = [];
+        $row = 1;
+
+        while (($values = $this->read_row($handle, $delimiter)) !== null) {
+            $row++;
+
+            if ($values === []) {
+                continue;
+            }
+
+            $scan['rows']++;
+            $validated = $this->validate_row($values, $mapping);
+            $errors = $validated['errors'];
+
+            if (!$errors && isset($first_rows[$validated['record']['email']])) {
+                $scan['duplicate_rows'][] = $row;
+                $errors = ['Repeats the email on row ' . $first_rows[$validated['record']['email']] . ', which is imported instead'];
+            } elseif ($errors) {
+                $scan['invalid']++;
+            } else {
+                $first_rows[$validated['record']['email']] = $row;
+            }
+
+            if ($errors && count($scan['problems']) < self::PREVIEW_ERROR_LIMIT) {
+                $scan['problems'][] = [
+                    'row' => $row,
+                    'email' => isset($mapping['email']) ? trim((string) ($values[$mapping['email']] ?? '')) : '',
+                    'errors' => $errors,
+                ];
+            }
+        }
+
+        fclose($handle);
+
+        $scan['emails'] = array_keys($first_rows);
+
+        return $scan;
+    }
+
+    /**
+     * Reads a row into a record, with the reasons it cannot be imported.
+     *
+     * @param array $values The row's cells.
+     * @param array $mapping Field => column index.
+     * @return array record and errors; the record is null when there are errors.
+     */
+    private function validate_row(array $values, array $mapping): array
+    {
+        $context = $this->get_context();
+        $value = function ($field) use ($values, $mapping) {
+            return isset($mapping[$field]) ? trim((string) ($values[$mapping[$field]] ?? '')) : '';
+        };
+
+        $errors = [];
+
+        $email = strtolower($value('email'));
+        if ($email === '') {
+            $errors[] = 'No email';
+        } elseif (!is_email($email)) {
+            $errors[] = "Invalid email \"{$email}\"";
+        }
+
+        $tier_name = $value('tier');
+        $tier = null;
+        if ($tier_name !== '') {
+            $tier = $context['tiers'][strtolower($tier_name)] ?? null;
+            if (!$tier) {
+                $errors[] = "Unknown tier \"{$tier_name}\"";
+            }
+        }
+
+        $campaign_name = $value('campaign');
+        $campaign = null;
+        if ($campaign_name !== '') {
+            $campaign = $context['campaigns'][strtolower($campaign_name)] ?? null;
+            if (!$campaign) {
+                $errors[] = "Unknown campaign \"{$campaign_name}\"";
+            }
+        }
+
+        if ($tier_name !== '' && $campaign_name === '') {
+            $errors[] = 'A tier needs a campaign';
+        } elseif ($campaign_name !== '' && $tier_name === '') {
+            $errors[] = 'A campaign needs a tier';
+        }
+
+        $group = null;
+        if ($tier && $campaign) {
+            $group_name = $campaign['campaign'] . '_' . strtoupper(str_replace(' ', '_', trim($tier)));
+            $group = $context['groups'][strtoupper($group_name)] ?? null;
+            if (!$group) {
+                $errors[] = "The MailerLite group {$group_name} does not exist yet; run a sync to create it";
+            }
+        }
+
+        if ($errors) {
+            return ['record' => null, 'errors' => $errors];
+        }
+
+        $first_name = sanitize_text_field($value('first_name'));
+        $last_name = sanitize_text_field($value('last_name'));
+
+        return [
+            'record' => [
+                'email' => $email,
+                'first_name' => $first_name,
+                'last_name' => $last_name,
+                'name' => trim($first_name . ' ' . $last_name),
+                'campaign_id' => $campaign ? (int) $campaign['id'] : null,
+                'campaign' => $campaign ? $campaign['campaign'] : null,
+                // Stored the way the sync stores tiers read from group names
+                'tier' => $tier ? ucwords(strtolower($tier)) : null,
+                'group_id' => $group ? (int) $group['id'] : null,
+                'group_name' => $group ? $group['group_name'] : null,
+            ],
+            'errors' => [],
+        ];
+    }
+
+    /**
+     * Tiers, campaigns and groups the rows are checked against, loaded once per request.
+     */
+    private function get_context(): array
+    {
+        if ($this->context === null) {
+            $this->context = ['tiers' => [], 'campaigns' => [], 'groups' => []];
+
+            foreach ((array) get_option('bema_crm_tiers', []) as $tier) {
+                $this->context['tiers'][strtolower($tier)] = $tier;
+            }
+            foreach ($this->campaign_database->get_all_campaigns() as $campaign) {
+                $this->context['campaigns'][strtolower($campaign['campaign'])] = $campaign;
+            }
+            foreach ($this->group_database->get_all_groups() ?: [] as $group) {
+                $this->context['groups'][strtoupper($group['group_name'])] = $group;
+            }
+        }
+
+        return $this->context;
+    }
+
+    /**
+     * Keeps the known fields mapped to columns the file has.
+     *
+     * @throws Exception If no column is mapped to the email.
+     */
+    private function normalize_mapping(array $mapping, string $file): array
+    {
+        $columns = count($this->describe_file($file)['columns']);
+        $normalized = [];
+
+        foreach (self::FIELDS as $field => $label) {
+            if (!isset($mapping[$field]) || $mapping[$field] === '') {
+                continue;
+            }
+
+            $column = (int) $mapping[$field];
+            if ($column >= 0 && $column < $columns) {
+                $normalized[$field] = $column;
+            }
+        }
+
+        if (!isset($normalized['email'])) {
+            throw new Exception('Choose the column that holds the email address.');
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * What MailerLite's group import is given for a row; names are only sent when they are to be written.
+     */
+    private function get_mailerlite_subscriber(array $record): array
+    {
+        $subscriber = ['email' => $record['email']];
+
+        if ($record['plan']['name'] !== null && $record['plan']['name'] !== '') {
+            $subscriber['fields'] = array_filter([
+                'name' => $record['first_name'],
+                'last_name' => $record['last_name'],
+            ]);
+        }
+
+        return $subscriber;
+    }
+
+    /**
+     * The subscriber MailerLite has with the email, or null when it has none yet.
+     */
+    private function find_remote_subscriber(string $email): ?array
+    {
+        try {
+            $subscriber = $this->mailerlite->getSubscriber($email);
+            return !empty($subscriber['id']) ? $subscriber : null;
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+
+    // ========================================
+    // PRIVATE FILE METHODS
+    // ========================================
+
+    /**
+     * Header, first rows, row count and a guessed mapping of an uploaded file.
+     *
+     * @throws Exception If the file is gone, has no header or more than MAX_ROWS rows.
+     */
+    private function describe_file(string $file): array
+    {
+        $handle = $this->open_file($file);
+        $delimiter = $this->detect_delimiter($handle);
+
+        $header = $this->read_row($handle, $delimiter);
+        if (!$header) {
+            fclose($handle);
+            throw new Exception('The file is empty or has no header row.');
+        }
+
+        // Excel writes a byte order mark before the first header
+        $header[0] = preg_replace('/^\xEF\xBB\xBF/', '', $header[0]);
+
+        $columns = [];
+        foreach ($header as $index => $title) {
+            $title = sanitize_text_field($title);
+            $columns[] = $title !== '' ? $title : 'Column ' . ($index + 1);
+        }
+
+        $sample = [];
+        $rows = 0;
+        while (($values = $this->read_row($handle, $delimiter)) !== null) {
+            if ($values === []) {
+                continue;
+            }
+
+            if (++$rows > self::MAX_ROWS) {
+                fclose($handle);
+                throw new Exception('The file has more than ' . number_format_i18n(self::MAX_ROWS) . ' rows. Split it and import the parts one after another.');
+            }
+
+            if (count($sample) < self::PREVIEW_SAMPLE_ROWS) {
+                $sample[] = array_map('sanitize_text_field', array_pad(array_slice($values, 0, count($columns)), count($columns), ''));
+            }
+        }
+
+        fclose($handle);
+
+        if ($rows === 0) {
+            throw new Exception('The file has a header row but no subscribers.');
+        }
+
+        return [
+            'columns' => $columns,
+            'sample' => $sample,
+            'rows' => $rows,
+            'mapping' => $this->guess_mapping($columns),
+        ];
+    }
+
+    private function guess_mapping(array $columns): array
+    {
+        $mapping = [];
+
+        foreach ($columns as $index => $title) {
+            $key = preg_replace('/[\s_\-]+/', '', strtolower($title));
+
+            foreach (self::HEADER_ALIASES as $field => $aliases) {
+                if (!isset($mapping[$field]) && in_array($key, $aliases, true)) {
+                    $mapping[$field] = $index;
+                    break;
+                }
+            }
+        }
+
+        return $mapping;
+    }
+
+    /**
+     * Comma, semicolon or tab, whichever the header line has most of; spreadsheets in many locales save with semicolons.
+     */
+    private function detect_delimiter($handle): string
+    {
+        $line = (string) fgets($handle);
+        rewind($handle);
+
+        $counts = [',' => substr_count($line, ','), ';' => substr_count($line, ';'), "\t" => substr_count($line, "\t")];
+        arsort($counts);
+
+        return (string) array_key_first($counts);
+    }
+
+    /**
+     * The next row's cells, [] for a blank line, null at the end of the file.
+     */
+    private function read_row($handle, string $delimiter): ?array
+    {
+        $values = fgetcsv($handle, 0, $delimiter, '"', '\\');
+        if ($values === false) {
+            return null;
+        }
+
+        return $values === [null] ? [] : $values;
+    }
+
+    /**
+     * @return resource
+     * @throws Exception If the file is gone.
+     */
+    private function open_file(string $file)
+    {
+        $path = $this->get_file_path($file);
+        $handle = $path ? fopen($path, 'rb') : false;
+
+        if (!$handle) {
+            throw new Exception('The uploaded file is no longer there; upload it again.');
+        }
+
+        return $handle;
+    }
+
+    private function get_file_path(string $file): ?string
+    {
+        // Only names upload() gave out, so the request cannot point anywhere else
+        if (!preg_match('/^import-[A-Za-z0-9-]+\.csv$/', $file)) {
+            return null;
+        }
+
+        $path = $this->get_import_dir() . '/' . $file;
+        return file_exists($path) ? $path : null;
+    }
+
+    private function delete_file(string $file): void
+    {
+        $path = $this->get_file_path($file);
+        if ($path) {
+            wp_delete_file($path);
+        }
+    }
+
+    /**
+     * Deletes uploads older than FILE_TTL that were never imported or whose import stopped.
+     */
+    private function delete_old_files(): void
+    {
+        $job = $this->get_job(true);
+        $active_file = $job && $this->is_active($job) ? $job['file'] : null;
+
+        foreach (glob($this->get_import_dir() . '/import-*.csv') ?: [] as $path) {
+            if (basename($path) !== $active_file && filemtime($path) < time() - self::FILE_TTL) {
+                wp_delete_file($path);
+            }
+        }
+    }
+
+    private function get_import_dir(): string
+    {
+        return self::get_private_dir(self::IMPORT_DIR, self::IMPORT_DIR_KEY_OPTION);
+    }
+}
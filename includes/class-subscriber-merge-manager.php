@@ -0,0 +1,417 @@
+<?php
+namespace Bema;
+
+use Exception;
+use Throwable;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Finds subscriber records that belong to the same person and merges them.
+ *
+ * Records are clustered by email with case and whitespace ignored. Local ids
+ * are MailerLite ids, so two records never share one locally; a cluster is
+ * looked up in MailerLite when it is opened to tell which of its records
+ * MailerLite still has. A merge keeps one record, the survivor, takes each
+ * field and each campaign membership from the record chosen for it, moves
+ * transitions and history over and deletes the others, all in one
+ * transaction. MailerLite itself is left as it is.
+ */
+class Subscriber_Merge_Manager
+{
+    public $mailerlite;
+    public $logger;
+    public $subscribers_database;
+    public $campaign_subscribers_database;
+    public $transition_subscribers_database;
+    public $history_database;
+
+    const PER_PAGE = 25;
+
+    /**
+     * Subscriber field => label, in the order the compare view lists them
+     */
+    const FIELDS = [
+        'email' => 'Email',
+        'name' => 'Name',
+        'status' => 'Status',
+        'subscribed_at' => 'Subscribed',
+        'unsubscribed_at' => 'Unsubscribed',
+        'updated_at' => 'Updated',
+    ];
+
+    /**
+     * Fields shown for comparison only; the survivor's updated_at is set by the merge
+     */
+    const READ_ONLY_FIELDS = ['updated_at'];
+
+    /**
+     * Email choice that keeps the lowercased address without whitespace
+     */
+    const NORMALIZED_EMAIL = 'normalized';
+
+    // ========================================
+    // PUBLIC METHODS
+    // ========================================
+
+    /**
+     * One page of the duplicates report.
+     *
+     * @param int $page 1-based.
+     * @return array clusters, total and pages. Each cluster has the normalized
+     *               email, its records and the campaigns whose tiers conflict.
+     */
+    public function get_clusters(int $page = 1): array
+    {
+        $total = $this->subscribers_database->count_duplicate_clusters();
+        $pages = max(1, (int) ceil($total / self::PER_PAGE));
+        $page = min(max(1, $page), $pages);
+
+        $clusters = $this->subscribers_database->get_duplicate_clusters(self::PER_PAGE, ($page - 1) * self::PER_PAGE);
+        $records = $this->subscribers_database->get_subscribers_by_ids(array_merge([], ...array_column($clusters, 'ids')));
+
+        foreach ($clusters as &$cluster) {
+            $cluster['records'] = array_values(array_intersect_key($records, array_flip($cluster['ids'])));
+            $cluster['conflicts'] = array_column($this->get_conflicts($this->get_memberships($cluster['ids'])), 'campaign');
+        }
+        unset($cluster);
+
+        return [
+            'clusters' => $clusters,
+            'total' => $total,
+            'pages' => $pages,
+            'page' => $page,
+        ];
+    }
+
+    /**
+     * Everything the compare view shows for one cluster.
+     *
+     * @param string $email Any of the cluster's emails.
+     * @return array|null email, records with their MailerLite state, fields,
+     *                    campaigns with each record's tier and the suggested
+     *                    survivor, or null when there is nothing left to merge.
+     */
+    public function get_cluster(string $email): ?array
+    {
+        $records = $this->subscribers_database->get_subscribers_by_normalized_email($email);
+        if (count($records) < 2) {
+            return null;
+        }
+
+        $ids = array_map('intval', array_column($records, 'id'));
+        $memberships = $this->get_memberships($ids);
+        $conflicts = $this->get_conflicts($memberships);
+
+        $in_mailerlite = [];
+        foreach ($records as &$record) {
+            $record['id'] = (int) $record['id'];
+            $record['mailerlite'] = $this->get_remote_state($record['id']);
+            if (!empty($record['mailerlite']['found'])) {
+                $in_mailerlite[] = $record['id'];
+            }
+        }
+        unset($record);
+
+        $campaigns = [];
+        foreach ($memberships as $campaign_id => $rows) {
+            $campaigns[] = [
+                'id' => $campaign_id,
+                'campaign' => reset($rows)['campaign'] ?? '#' . $campaign_id,
+                'tiers' => array_map(function ($row) {
+                    return $row['tier'];
+                }, $rows),
+                'conflict' => isset($conflicts[$campaign_id]),
+            ];
+        }
+
+        return [
+            'email' => $this->normalize_email($email),
+            'records' => $records,
+            'fields' => self::FIELDS,
+            'read_only' => self::READ_ONLY_FIELDS,
+            'campaigns' => $campaigns,
+            'in_mailerlite' => $in_mailerlite,
+            'survivor' => $this->suggest_survivor($records, $in_mailerlite),
+        ];
+    }
+
+    /**
+     * Merges a cluster into one record.
+     *
+     * @param string $email Any of the cluster's emails.
+     * @param int $survivor_id The record that is kept.
+     * @param array $fields Field => id of the record whose value is kept, or
+     *                      NORMALIZED_EMAIL for the email. Missing fields keep the survivor's.
+     * @param array $campaigns Campaign id => id of the record whose tier and
+     *                         group are kept. Missing campaigns keep the survivor's
+     *                         membership, or the first record's when it has none.
+     * @return array survivor, merged ids and a message.
+     * @throws Exception If the cluster changed since it was shown, a choice is not one
+     *                   of its records or a write fails; nothing is changed then.
+     */
+    public function merge(string $email, int $survivor_id, array $fields, array $campaigns): array
+    {
+        $records = array_column($this->subscribers_database->get_subscribers_by_normalized_email($email), null, 'id');
+        if (count($records) < 2) {
+            throw new Exception('These records are no longer duplicates. Reload the report.');
+        }
+
+        if (!isset($records[$survivor_id])) {
+            throw new Exception('The record to keep is not part of this group.');
+        }
+
+        $duplicate_ids = array_values(array_diff(array_map('intval', array_keys($records)), [$survivor_id]));
+        $memberships = $this->get_memberships(array_keys($records));
+        $values = $this->resolve_fields($records, $survivor_id, $fields, $email);
+
+        $this->logger->info('Merging duplicate subscribers', [
+            'survivor' => $survivor_id,
+            'duplicates' => $duplicate_ids,
+        ]);
+
+        global $wpdb;
+        $wpdb->query('START TRANSACTION');
+
+        try {
+            $campaign_choices = [];
+            foreach ($memberships as $campaign_id => $rows) {
+                $campaign_choices[$campaign_id] = $this->merge_membership($campaign_id, $rows, $survivor_id, (int) ($campaigns[$campaign_id] ?? 0));
+            }
+
+            foreach ($duplicate_ids as $duplicate_id) {
+                if ($this->transition_subscribers_database->reassign_subscriber($duplicate_id, $survivor_id) === false) {
+                    throw new Exception('Failed to move the transitions of #' . $duplicate_id . '.');
+                }
+            }
+
+            if ($this->history_database->reassign($duplicate_ids, $survivor_id) === false) {
+                throw new Exception('Failed to move the history of the merged records.');
+            }
+
+            // Deleted first: the survivor may take one of their emails, which are unique
+            foreach ($duplicate_ids as $duplicate_id) {
+                if (!$this->subscribers_database->delete_subscriber_by_id($duplicate_id)) {
+                    throw new Exception('Failed to delete #' . $duplicate_id . '.');
+                }
+            }
+
+            if ($this->subscribers_database->update_subscriber_by_id($survivor_id, $values) === false) {
+                throw new Exception('Failed to update the record that is kept.');
+            }
+
+            $this->history_database->record($survivor_id, 'merge', 'Merged ' . implode(', ', array_map(function ($id) use ($records) {
+                return $records[$id]['email'] . ' (#' . $id . ')';
+            }, $duplicate_ids)) . ' into this subscriber', [
+                'merged' => $duplicate_ids,
+                'before' => array_values($records),
+                'memberships' => $memberships,
+                'fields' => array_diff_key($values, ['updated_at' => true]),
+                'campaigns' => $campaign_choices,
+            ]);
+
+            $wpdb->query('COMMIT');
+        } catch (Throwable $e) {
+            $wpdb->query('ROLLBACK');
+            $this->logger->error('Merging duplicate subscribers failed', [
+                'survivor' => $survivor_id,
+                'duplicates' => $duplicate_ids,
+                'error' => $e->getMessage(),
+            ]);
+            throw $e instanceof Exception ? $e : new Exception($e->getMessage());
+        }
+
+        return [
+            'survivor' => $survivor_id,
+            'merged' => $duplicate_ids,
+            'message' => sprintf(
+                'Merged %d %s into %s.',
+                count($duplicate_ids),
+                count($duplicate_ids) === 1 ? 'record' : 'records',
+                $values['email']
+            ),
+        ];
+    }
+
+    // ========================================
+    // PRIVATE METHODS
+    // ========================================
+
+    /**
+     * Campaign memberships of the given records.
+     *
+     * @param int[] $ids
+     * @return array Campaign id => [subscriber id => membership row]
+     */
+    private function get_memberships(array $ids): array
+    {
+        $memberships = [];
+        foreach ($ids as $id) {
+            foreach ($this->campaign_subscribers_database->get_all_subscriber_campaigns((int) $id) as $row) {
+                $memberships[(int) $row['campaign_id']][(int) $id] = $row;
+            }
+        }
+
+        return $memberships;
+    }
+
+    /**
+     * Campaigns in which the records have different tiers.
+     *
+     * @return array Campaign id => ['campaign' => name, 'tiers' => distinct tiers]
+     */
+    private function get_conflicts(array $memberships): array
+    {
+        $conflicts = [];
+        foreach ($memberships as $campaign_id => $rows) {
+            $tiers = array_values(array_unique(array_column($rows, 'tier')));
+            if (count($tiers) > 1) {
+                $conflicts[$campaign_id] = [
+                    'campaign' => reset($rows)['campaign'] ?? '#' . $campaign_id,
+                    'tiers' => $tiers,
+                ];
+            }
+        }
+
+        return $conflicts;
+    }
+
+    /**
+     * Whether MailerLite has the record, and the email and status it has for it
+     */
+    private function get_remote_state(int $subscriber_id): array
+    {
+        if (!$this->mailerlite) {
+            return ['found' => null, 'error' => 'No MailerLite API key is set.'];
+        }
+
+        try {
+            $remote = $this->mailerlite->getSubscriber($subscriber_id);
+
+            return [
+                'found' => !empty($remote['id']),
+                'email' => $remote['email'] ?? null,
+                'status' => $remote['status'] ?? null,
+                'error' => null,
+            ];
+        } catch (Exception $e) {
+            // A record MailerLite deleted and a failed request look the same here
+            return ['found' => false, 'error' => $e->getMessage()];
+        }
+    }
+
+    /**
+     * The record MailerLite has, when it has exactly one of them, otherwise
+     * the one updated last.
+     */
+    private function suggest_survivor(array $records, array $in_mailerlite): int
+    {
+        if (count($in_mailerlite) === 1) {
+            return $in_mailerlite[0];
+        }
+
+        $candidates = $in_mailerlite ? array_filter($records, function ($record) use ($in_mailerlite) {
+            return in_array($record['id'], $in_mailerlite, true);
+        }) : $records;
+
+        usort($candidates, function ($a, $b) {
+            return strcmp((string) $b['updated_at'], (string) $a['updated_at']) ?: $b['id'] <=> $a['id'];
+        });
+
+        return (int) $candidates[0]['id'];
+    }
+
+    /**
+     * The survivor's field values after the merge.
+     *
+     * @throws Exception If a choice is not one of the cluster's records.
+     */
+    private function resolve_fields(array $records, int $survivor_id, array $fields, string $email): array
+    {
+        $values = [];
+        foreach (array_diff(array_keys(self::FIELDS), self::READ_ONLY_FIELDS) as $field) {
+            $choice = $fields[$field] ?? $survivor_id;
+
+            if ($field === 'email' && $choice === self::NORMALIZED_EMAIL) {
+                $values['email'] = $this->normalize_email($email);
+                continue;
+            }
+
+            if (!isset($records[(int) $choice])) {
+                throw new Exception(sprintf('The %s to keep is not from one of these records.', strtolower(self::FIELDS[$field])));
+            }
+
+            $values[$field] = $records[(int) $choice][$field];
+        }
+
+        // Whitespace around a stored address would survive sanitize_email() as an invalid one
+        if (!is_email(trim($values['email']))) {
+            $values['email'] = $this->normalize_email($email);
+        }
+        $values['email'] = trim($values['email']);
+        $values['updated_at'] = current_time('mysql');
+
+        return $values;
+    }
+
+    /**
+     * Leaves the survivor with the chosen record's membership of the campaign.
+     *
+     * The purchase and the earliest join date are kept even when they come
+     * from another record. Memberships of the other records go when those
+     * records are deleted.
+     *
+     * @param array $rows Subscriber id => membership row
+     * @param int $chosen_id 0 for the survivor's, or the first record's when it has none.
+     * @return int The record whose membership was kept.
+     * @throws Exception If the choice has no membership of the campaign or a write fails.
+     */
+    private function merge_membership(int $campaign_id, array $rows, int $survivor_id, int $chosen_id): int
+    {
+        if (!$chosen_id) {
+            $chosen_id = isset($rows[$survivor_id]) ? $survivor_id : (int) array_key_first($rows);
+        }
+
+        if (!isset($rows[$chosen_id])) {
+            throw new Exception(sprintf('The record chosen for %s is not in that campaign.', $rows[array_key_first($rows)]['campaign'] ?? '#' . $campaign_id));
+        }
+
+        $chosen = $rows[$chosen_id];
+        $purchase_ids = array_filter(array_column($rows, 'purchase_id'));
+        $joined = array_filter(array_column($rows, 'joined_at'));
+
+        $target = [
+            'tier' => $chosen['tier'],
+            'group_id' => $chosen['group_id'],
+            'field_id' => $chosen['field_id'],
+            'purchase_id' => $chosen['purchase_id'] ?: (reset($purchase_ids) ?: null),
+            'joined_at' => $joined ? min($joined) : $chosen['joined_at'],
+        ];
+
+        if (!isset($rows[$survivor_id])) {
+            if (!$this->campaign_subscribers_database->reassign_campaign_subscriber($chosen_id, $survivor_id, $campaign_id)) {
+                throw new Exception('Failed to move the membership of campaign #' . $campaign_id . '.');
+            }
+            $current = $chosen;
+        } else {
+            $current = $rows[$survivor_id];
+        }
+
+        $changes = array_filter($target, function ($value, $key) use ($current) {
+            return (string) $value !== (string) ($current[$key] ?? '');
+        }, ARRAY_FILTER_USE_BOTH);
+
+        if ($changes && !$this->campaign_subscribers_database->update_campaign_subscriber($survivor_id, $campaign_id, $changes)) {
+            throw new Exception('Failed to update the membership of campaign #' . $campaign_id . '.');
+        }
+
+        return $chosen_id;
+    }
+
+    private function normalize_email(string $email): string
+    {
+        return strtolower(preg_replace('/\s+/', '', $email));
+    }
+}
@@ -115,6 +115,7 @@ class Campaign_Group_Subscribers_Database_Manager
             field_id BIGINT UNSIGNED NULL,
             tier VARCHAR(255) NOT NULL,
             purchase_id BIGINT UNSIGNED NULL,
+            joined_at DATETIME NULL,
 
             PRIMARY KEY (id),
             UNIQUE KEY sub_campaign (subscriber_id, campaign_id),
@@ -153,8 +154,9 @@ class Campaign_Group_Subscribers_Database_Manager
                 'group_id' => \absint($group_id),
                 'campaign_id' => \absint($campaign_id),
                 'tier' => \sanitize_text_field($tier),
+                'joined_at' => \current_time('mysql'),
             ];
-            $format = ['%d', '%d', '%d', '%s'];
+            $format = ['%d', '%d', '%d', '%s', '%s'];
 
             if (!is_null($field_id)) {
                 $data['field_id'] = \absint($field_id);
@@ -221,6 +223,41 @@ class Campaign_Group_Subscribers_Database_Manager
         ) ?: [];
     }
 
+    /**
+     * Retrieves the campaign memberships of several subscribers at once, with
+     * the campaign and MailerLite group names.
+     *
+     * @param int[] $subscriber_ids
+     *
+     * @return array Lists of membership records keyed by subscriber ID; subscribers without any are left out.
+     */
+    public function get_campaigns_by_subscriber_ids(array $subscriber_ids): array
+    {
+        $subscriber_ids = array_values(array_filter(array_map('absint', $subscriber_ids)));
+        if (empty($subscriber_ids)) {
+            return [];
+        }
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT T1.*, T2.campaign, T3.group_name FROM {$this->table_name} AS T1
+                 LEFT JOIN {$this->campaigns_table_name} AS T2 ON T1.campaign_id = T2.id
+                 LEFT JOIN {$this->groups_table_name} AS T3 ON T1.group_id = T3.id
+                 WHERE T1.subscriber_id IN (" . implode(', ', array_fill(0, count($subscriber_ids), '%d')) . ")
+                 ORDER BY T2.campaign",
+                ...$subscriber_ids
+            ),
+            \ARRAY_A
+        ) ?: [];
+
+        $campaigns = [];
+        foreach ($rows as $row) {
+            $campaigns[(int) $row['subscriber_id']][] = $row;
+        }
+
+        return $campaigns;
+    }
+
     /**
      * Updates an existing campaign subscriber record.
      *
@@ -257,6 +294,10 @@ class Campaign_Group_Subscribers_Database_Manager
                         $update_data['purchase_id'] = is_null($value) ? null : \absint($value);
                         $format[] = '%d';
                         break;
+                    case 'joined_at':
+                        $update_data['joined_at'] = $value;
+                        $format[] = '%s';
+                        break;
                 }
             }
 
@@ -283,6 +324,33 @@ class Campaign_Group_Subscribers_Database_Manager
         }
     }
 
+    /**
+     * Moves a campaign subscriber record to another subscriber.
+     *
+     * @param int $from_subscriber_id The subscriber the record belongs to now.
+     * @param int $to_subscriber_id   The subscriber to give it to; must not be in the campaign yet.
+     * @param int $campaign_id        The ID of the campaign.
+     *
+     * @return bool True if the record was moved.
+     */
+    public function reassign_campaign_subscriber(int $from_subscriber_id, int $to_subscriber_id, int $campaign_id): bool
+    {
+        $updated = $this->wpdb->update(
+            $this->table_name,
+            ['subscriber_id' => \absint($to_subscriber_id)],
+            ['subscriber_id' => \absint($from_subscriber_id), 'campaign_id' => \absint($campaign_id)],
+            ['%d'],
+            ['%d', '%d']
+        );
+
+        if (false === $updated) {
+            $this->logger->log('reassign_campaign_subscriber Error: ' . $this->wpdb->last_error, 'error');
+            return false;
+        }
+
+        return $updated > 0;
+    }
+
     /**
  * Inserts a new campaign subscriber record or updates an existing one if a unique key is found.
  *
@@ -341,19 +409,21 @@ public function upsert_campaign_subscribers_bulk(array $data): bool
         $values_placeholders = [];
         $query_values = [];
         $valid_records_count = 0;
+        $joined_at = \current_time('mysql');
 
         foreach ($data as $index => $record) {
             if (empty($record['subscriber_id']) || empty($record['campaign_id']) || empty($record['group_id'])) {
                 continue;
             }
 
-            $values_placeholders[] = '(%d, %d, %d, %d, %s, %d)';
+            $values_placeholders[] = '(%d, %d, %d, %d, %s, %d, %s)';
             $query_values[] = \absint($record['subscriber_id']);
             $query_values[] = \absint($record['group_id']);
             $query_values[] = \absint($record['campaign_id']);
             $query_values[] = isset($record['field_id']) ? \absint($record['field_id']) : 0;
             $query_values[] = \sanitize_text_field($record['subscriber_tier'] ?? '');
             $query_values[] = isset($record['purchase_id']) ? \absint($record['purchase_id']) : 0;
+            $query_values[] = $joined_at;
             $valid_records_count++;
         }
 
@@ -361,7 +431,8 @@ public function upsert_campaign_subscribers_bulk(array $data): bool
             return false;
         }
 
-        $sql = "INSERT INTO {$this->table_name} (subscriber_id, group_id, campaign_id, field_id, tier, purchase_id) VALUES " . implode(', ', $values_placeholders) . " ON DUPLICATE KEY UPDATE group_id = VALUES(group_id), field_id = VALUES(field_id), tier = VALUES(tier), purchase_id = VALUES(purchase_id)";
+        // joined_at is left alone on duplicates so it keeps the first time the subscriber was seen in the campaign
+        $sql = "INSERT INTO {$this->table_name} (subscriber_id, group_id, campaign_id, field_id, tier, purchase_id, joined_at) VALUES " . implode(', ', $values_placeholders) . " ON DUPLICATE KEY UPDATE group_id = VALUES(group_id), field_id = VALUES(field_id), tier = VALUES(tier), purchase_id = VALUES(purchase_id)";
 
         $prepared_query = $this->wpdb->prepare($sql, $query_values);
         $result = $this->wpdb->query($prepared_query);
@@ -421,6 +492,26 @@ public function upsert_campaign_subscribers_bulk(array $data): bool
         return $results ?: [];
     }
 
+    /**
+     * Retrieves all subscriber records of one campaign, keyed by subscriber ID.
+     *
+     * @param int $campaign_id The ID of the campaign.
+     *
+     * @return array An associative array of records keyed by subscriber ID. Returns an empty array if no records are found.
+     */
+    public function get_records_by_campaign(int $campaign_id): array
+    {
+        $results = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT * FROM {$this->table_name} WHERE campaign_id = %d",
+                $campaign_id
+            ),
+            \ARRAY_A
+        );
+
+        return $results ? array_column($results, null, 'subscriber_id') : [];
+    }
+
     /**
      * Deletes the entire campaign subscribers database table.
      *
@@ -0,0 +1,211 @@
+<?php
+
+namespace Bema\Database;
+
+use Exception;
+use Bema\Bema_CRM_Logger;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manages the database table for saved subscriber segments.
+ *
+ * Each row is a named segment with its definition, the conditions built on
+ * the Segments tab, stored as JSON. Which subscribers match is worked out
+ * when the segment is used, so a segment never goes stale.
+ *
+ * @package Bema\Database
+ * @property string $table_name The name of the segments table.
+ * @property object $wpdb The WordPress database abstraction object.
+ * @property Bema_CRM_Logger $logger The logger instance for recording errors.
+ */
+class Segment_Database_Manager
+{
+    private $table_name;
+    private $wpdb;
+    private $logger;
+
+    /**
+     * Segment_Database_Manager constructor.
+     *
+     * @param Bema_CRM_Logger|null $logger An optional logger instance.
+     */
+    public function __construct(?Bema_CRM_Logger $logger = null)
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'bemacrm_segmentsmeta';
+        $this->logger = $logger ?? Bema_CRM_Logger::create('segment-database');
+    }
+
+    /**
+     * Creates the segments table.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function create_table()
+    {
+        try {
+            if (!function_exists('dbDelta')) {
+                require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+            }
+
+            $charset_collate = $this->wpdb->get_charset_collate();
+            $sql = "CREATE TABLE {$this->table_name} (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+                name VARCHAR(191) NOT NULL,
+                definition LONGTEXT NOT NULL,
+                user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+                created_at DATETIME NOT NULL,
+                updated_at DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY name_unique (name)
+            ) $charset_collate;";
+
+            dbDelta($sql);
+
+            // INFO: Log successful table creation for monitoring
+            $this->logger->info('Segments table created successfully', [
+                'table_name' => $this->table_name
+            ]);
+
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to create segments table', [
+                'table_name' => $this->table_name,
+                'error' => $e->getMessage(),
+                'trace' => WP_DEBUG ? $e->getTraceAsString() : null
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Saves a new segment, or the one with the given ID.
+     *
+     * @param int|null $id Null for a new segment.
+     * @param string $name
+     * @param array $definition Stored as JSON.
+     * @return int|false The segment ID on success, or false on failure.
+     */
+    public function save_segment(?int $id, string $name, array $definition)
+    {
+        try {
+            $row = [
+                'name' => $name,
+                'definition' => wp_json_encode($definition),
+                'updated_at' => current_time('mysql'),
+            ];
+
+            if ($id) {
+                $result = $this->wpdb->update($this->table_name, $row, ['id' => $id], ['%s', '%s', '%s'], ['%d']);
+            } else {
+                $row['user_id'] = get_current_user_id();
+                $row['created_at'] = $row['updated_at'];
+                $result = $this->wpdb->insert($this->table_name, $row, ['%s', '%s', '%s', '%d', '%s']);
+            }
+
+            if ($result === false) {
+                throw new Exception($this->wpdb->last_error);
+            }
+
+            return $id ?: (int) $this->wpdb->insert_id;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to save segment', [
+                'segment_id' => $id,
+                'name' => $name,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch every segment, by name.
+     *
+     * @return array Rows with the definition decoded.
+     */
+    public function get_segments(): array
+    {
+        $rows = $this->wpdb->get_results("SELECT * FROM {$this->table_name} ORDER BY name ASC", ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * @param int $id
+     * @return array|null The row with the definition decoded.
+     */
+    public function get_segment(int $id): ?array
+    {
+        $row = $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE id = %d LIMIT 1",
+            $id
+        ), ARRAY_A);
+
+        return $row ? $this->decode_row($row) : null;
+    }
+
+    /**
+     * @param string $name
+     * @return array|null The row with the definition decoded.
+     */
+    public function get_segment_by_name(string $name): ?array
+    {
+        $row = $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE name = %s LIMIT 1",
+            $name
+        ), ARRAY_A);
+
+        return $row ? $this->decode_row($row) : null;
+    }
+
+    /**
+     * @param int $id
+     * @return bool True if a segment was deleted.
+     */
+    public function delete_segment(int $id): bool
+    {
+        return (bool) $this->wpdb->delete($this->table_name, ['id' => $id], ['%d']);
+    }
+
+    /**
+     * Deletes the table.
+     *
+     * @return bool True if the table is gone.
+     */
+    public function delete_table(): bool
+    {
+        try {
+            $this->wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+            $table_exists = $this->wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") === $this->table_name;
+
+            if (!$table_exists) {
+                $this->logger->warning('Segments table deleted', [
+                    'table_name' => $this->table_name,
+                    'user_id' => get_current_user_id()
+                ]);
+                return true;
+            }
+
+            return false;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to delete segments table', [
+                'table_name' => $this->table_name,
+                'db_error' => $this->wpdb->last_error,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    private function decode_row(array $row): array
+    {
+        $row['id'] = (int) $row['id'];
+        $row['user_id'] = (int) $row['user_id'];
+        $row['definition'] = json_decode($row['definition'], true) ?: [];
+        return $row;
+    }
+}
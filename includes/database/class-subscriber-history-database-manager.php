@@ -0,0 +1,325 @@
+<?php
+
+namespace Bema\Database;
+
+use Exception;
+use Bema\Bema_CRM_Logger;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manages the database table for subscriber history.
+ *
+ * Holds the changes made to subscribers by hand from the admin, one row per
+ * subscriber and change, with who made it. Rows are kept when the subscriber
+ * is deleted so the history still explains where a record went. Rows written
+ * by a bulk action carry its job id and the subscriber's state before the
+ * change, which is what undoing the action restores.
+ *
+ * @package Bema\Database
+ * @property string $table_name The name of the subscriber history table.
+ * @property object $wpdb The WordPress database abstraction object.
+ * @property Bema_CRM_Logger $logger The logger instance for recording errors.
+ */
+class Subscriber_History_Database_Manager
+{
+    private $table_name;
+    private $wpdb;
+    private $logger;
+
+    /**
+     * Rows written per INSERT by record_many() and record_job()
+     */
+    const INSERT_BATCH_SIZE = 500;
+
+    /**
+     * Subscriber_History_Database_Manager constructor.
+     *
+     * @param Bema_CRM_Logger|null $logger An optional logger instance.
+     */
+    public function __construct(?Bema_CRM_Logger $logger = null)
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'bemacrm_subscriber_history';
+        $this->logger = $logger ?? Bema_CRM_Logger::create('subscriber-history-database');
+    }
+
+    /**
+     * Creates the subscriber history table.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function create_table()
+    {
+        try {
+            if (!function_exists('dbDelta')) {
+                require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+            }
+
+            $charset_collate = $this->wpdb->get_charset_collate();
+            $sql = "CREATE TABLE {$this->table_name} (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+                subscriber_id BIGINT UNSIGNED NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                summary TEXT NOT NULL,
+                data LONGTEXT,
+                user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+                job_id VARCHAR(64) NULL,
+                created_at DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                KEY subscriber_key (subscriber_id, created_at),
+                KEY event_key (event),
+                KEY job_key (job_id, subscriber_id)
+            ) $charset_collate;";
+
+            dbDelta($sql);
+
+            // INFO: Log successful table creation for monitoring
+            $this->logger->info('Subscriber history table created successfully', [
+                'table_name' => $this->table_name
+            ]);
+
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to create subscriber history table', [
+                'table_name' => $this->table_name,
+                'error' => $e->getMessage(),
+                'trace' => WP_DEBUG ? $e->getTraceAsString() : null
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Records a change to one subscriber, made by the current user.
+     *
+     * @param int $subscriber_id
+     * @param string $event Short machine name, e.g. resync.
+     * @param string $summary What changed, as shown in the subscriber's timeline.
+     * @param array $data Optional details, stored as JSON.
+     * @return bool
+     */
+    public function record(int $subscriber_id, string $event, string $summary, array $data = []): bool
+    {
+        return $this->record_many([$subscriber_id], $event, $summary, $data) === 1;
+    }
+
+    /**
+     * Records the same change to several subscribers.
+     *
+     * @param int[] $subscriber_ids
+     * @param string $event
+     * @param string $summary
+     * @param array $data
+     * @return int Number of rows written.
+     */
+    public function record_many(array $subscriber_ids, string $event, string $summary, array $data = []): int
+    {
+        $subscriber_ids = array_values(array_unique(array_filter(array_map('absint', $subscriber_ids))));
+
+        return $this->insert_rows(array_map(function ($subscriber_id) use ($summary, $data) {
+            return ['subscriber_id' => $subscriber_id, 'summary' => $summary, 'data' => $data];
+        }, $subscriber_ids), $event);
+    }
+
+    /**
+     * Records one change per subscriber made by a bulk action job.
+     *
+     * @param string $job_id
+     * @param string $event
+     * @param array $rows Each with subscriber_id, summary and data, the state before the change.
+     * @return int Number of rows written.
+     */
+    public function record_job(string $job_id, string $event, array $rows): int
+    {
+        return $this->insert_rows($rows, $event, $job_id);
+    }
+
+    /**
+     * The state each subscriber was in before a bulk action job changed them.
+     *
+     * @param string $job_id
+     * @param int[] $subscriber_ids
+     * @return array subscriber_id => data
+     */
+    public function get_job_snapshots(string $job_id, array $subscriber_ids): array
+    {
+        $subscriber_ids = array_filter(array_map('absint', $subscriber_ids));
+        if (empty($subscriber_ids)) {
+            return [];
+        }
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT subscriber_id, data FROM {$this->table_name} WHERE job_id = %s AND subscriber_id IN (" . implode(', ', array_fill(0, count($subscriber_ids), '%d')) . ") ORDER BY id",
+            array_merge([$job_id], $subscriber_ids)
+        ), ARRAY_A);
+
+        // A batch picked up again after a crash can record a subscriber twice; the first row is the original state
+        $snapshots = [];
+        foreach ($rows ?: [] as $row) {
+            $subscriber_id = (int) $row['subscriber_id'];
+            if (!isset($snapshots[$subscriber_id])) {
+                $snapshots[$subscriber_id] = $row['data'] !== null ? json_decode($row['data'], true) : [];
+            }
+        }
+
+        return $snapshots;
+    }
+
+    /**
+     * Subscribers a bulk action job changed, in the order it changed them.
+     *
+     * @param string $job_id
+     * @return int[]
+     */
+    public function get_job_subscriber_ids(string $job_id): array
+    {
+        return array_map('intval', $this->wpdb->get_col($this->wpdb->prepare(
+            "SELECT subscriber_id FROM {$this->table_name} WHERE job_id = %s GROUP BY subscriber_id ORDER BY MIN(id)",
+            $job_id
+        )) ?: []);
+    }
+
+    /**
+     * Moves the history of merged subscribers to the one they were merged into.
+     *
+     * Rows written by a bulk action stay where they are, so undoing that action
+     * never applies a merged record's earlier state to the survivor.
+     *
+     * @param int[] $from_subscriber_ids
+     * @param int $to_subscriber_id
+     * @return int|false Number of rows moved, false on failure.
+     */
+    public function reassign(array $from_subscriber_ids, int $to_subscriber_id)
+    {
+        $from_subscriber_ids = array_values(array_filter(array_map('absint', $from_subscriber_ids)));
+        if (empty($from_subscriber_ids)) {
+            return 0;
+        }
+
+        return $this->wpdb->query($this->wpdb->prepare(
+            "UPDATE {$this->table_name} SET subscriber_id = %d WHERE job_id IS NULL AND subscriber_id IN (" . implode(', ', array_fill(0, count($from_subscriber_ids), '%d')) . ")",
+            array_merge([$to_subscriber_id], $from_subscriber_ids)
+        ));
+    }
+
+    /**
+     * Fetch a subscriber's history, newest first.
+     *
+     * @param int $subscriber_id
+     * @param int $limit
+     * @return array Rows with data decoded.
+     */
+    public function get_history(int $subscriber_id, int $limit = 100): array
+    {
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE subscriber_id = %d ORDER BY created_at DESC, id DESC LIMIT %d",
+            $subscriber_id,
+            $limit
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            $row['id'] = (int) $row['id'];
+            $row['subscriber_id'] = (int) $row['subscriber_id'];
+            $row['user_id'] = (int) $row['user_id'];
+            $row['data'] = $row['data'] !== null ? json_decode($row['data'], true) : null;
+            return $row;
+        }, $rows ?: []);
+    }
+
+    /**
+     * Deletes the subscriber history table.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function delete_table(): bool
+    {
+        try {
+            $this->wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+            $table_exists = $this->wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") === $this->table_name;
+
+            if (!$table_exists) {
+                $this->logger->warning('Subscriber history table deleted', [
+                    'table_name' => $this->table_name,
+                    'user_id' => get_current_user_id()
+                ]);
+                return true;
+            }
+
+            return false;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to delete subscriber history table', [
+                'table_name' => $this->table_name,
+                'db_error' => $this->wpdb->last_error,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Writes history rows in batches of INSERT_BATCH_SIZE.
+     *
+     * @param array $rows Each with subscriber_id, summary and data.
+     * @param string $event
+     * @param string|null $job_id
+     * @return int Number of rows written.
+     */
+    private function insert_rows(array $rows, string $event, ?string $job_id = null): int
+    {
+        $written = 0;
+
+        try {
+            $user_id = get_current_user_id();
+            $created_at = current_time('mysql');
+
+            foreach (array_chunk($rows, self::INSERT_BATCH_SIZE) as $batch) {
+                $placeholders = [];
+                $values = [];
+
+                foreach ($batch as $row) {
+                    $json = empty($row['data']) ? null : wp_json_encode($row['data']);
+
+                    $placeholders[] = sprintf(
+                        '(%%d, %%s, %%s, %s, %%d, %s, %%s)',
+                        $json === null ? 'NULL' : '%s',
+                        $job_id === null ? 'NULL' : '%s'
+                    );
+                    array_push($values, absint($row['subscriber_id']), $event, $row['summary']);
+                    if ($json !== null) {
+                        $values[] = $json;
+                    }
+                    $values[] = $user_id;
+                    if ($job_id !== null) {
+                        $values[] = $job_id;
+                    }
+                    $values[] = $created_at;
+                }
+
+                $result = $this->wpdb->query($this->wpdb->prepare(
+                    "INSERT INTO {$this->table_name} (subscriber_id, event, summary, data, user_id, job_id, created_at) VALUES " . implode(', ', $placeholders),
+                    $values
+                ));
+
+                if ($result === false) {
+                    throw new Exception($this->wpdb->last_error);
+                }
+
+                $written += $result;
+            }
+        } catch (Exception $e) {
+            $this->logger->error('Failed to record subscriber history', [
+                'event' => $event,
+                'job_id' => $job_id,
+                'subscribers' => count($rows),
+                'written' => $written,
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        return $written;
+    }
+}
@@ -435,6 +435,10 @@ VALUES " . implode(', ', $placeholders);
      * @param string $campaign_name Optional. Filters by campaign name.
      * @param string $tier          Optional. Filters by campaign tier.
      * @param string $search        Optional. Searches by email.
+     * @param string $orderby       Optional. id, email, name, status, subscribed_at or updated_at,
+     *                              or with a campaign, tier, purchase_id, campaign or transition_date.
+     * @param string $order         Optional. ASC or DESC.
+     * @param array  $segment       Optional. Segment definition the subscribers must match as well.
      *
      * @return array An array of subscriber records with associated campaign data.
      */
@@ -445,7 +449,8 @@ VALUES " . implode(', ', $placeholders);
         string $tier = '',
         string $search = '',
         string $orderby = 'id',
-        string $order = 'DESC'
+        string $order = 'DESC',
+        array $segment = []
     ): array {
         $tier = trim($tier);
         $campaign_name = trim($campaign_name);
@@ -489,22 +494,27 @@ VALUES " . implode(', ', $placeholders);
             $params[] = '%' . $this->wpdb->esc_like($search) . '%';
         }
 
+        if ($segment) {
+            [$segment_sql, $segment_params] = $this->build_segment_sql($segment);
+            $where[] = $segment_sql;
+            $params = array_merge($params, $segment_params);
+        }
+
         // Construct the full WHERE clause string.
         $where_sql = $where ? 'WHERE ' . implode(' AND ', $where) : '';
 
         
         $group_by_sql = ($campaign_name || $tier) ? "GROUP BY s.id" : "";
 
-        // Sanitize sorting parameters
-        $allowed_columns = ['id', 'email', 'name', 'status', 'tier', 'purchase_id', 'campaign', 'transition_date'];
-        $column_map = [
-            'tier' => 'c.tier',
-            'purchase_id' => 'c.purchase_id', 
-            'campaign' => 't.campaign',
-            'transition_date' => 'tm.transition_date'
-        ];
-        $orderby_column = isset($column_map[$orderby]) ? $column_map[$orderby] : "s.{$orderby}";
-        $orderby = in_array($orderby, $allowed_columns) ? $orderby_column : 's.id';
+        // Sanitize sorting parameters. The campaign columns are only selected, as grouped
+        // aliases, when a campaign is filtered on, so they can only be sorted on then.
+        $allowed_columns = ['id', 'email', 'name', 'status', 'subscribed_at', 'updated_at'];
+        $campaign_columns = ['tier', 'purchase_id', 'campaign', 'transition_date'];
+        if (in_array($orderby, $campaign_columns, true)) {
+            $orderby = $campaign_name ? $orderby : 's.id';
+        } else {
+            $orderby = in_array($orderby, $allowed_columns, true) ? "s.{$orderby}" : 's.id';
+        }
         $order = strtoupper($order) === 'ASC' ? 'ASC' : 'DESC';
 
         // Combine all parameters for the prepared statement.
@@ -531,59 +541,178 @@ VALUES " . implode(', ', $placeholders);
      * @param string $campaign_name Optional. Filters by campaign name.
      * @param string $tier          Optional. Filters by campaign tier.
      * @param string $search        Optional. Searches by email.
+     * @param array  $segment       Optional. Segment definition the subscribers must match as well.
      *
      * @return int The total number of subscribers that match the criteria.
      */
     public function count_subscribers(
         string $campaign_name = '',
         string $tier = '',
-        string $search = ''
+        string $search = '',
+        array $segment = []
     ): int {
-        $where = [];
-        $params = [];
+        [$sql_from, $where_sql, $params] = $this->build_filter_sql($campaign_name, $tier, $search, $segment);
+        $sql = "SELECT COUNT(DISTINCT s.id) {$sql_from} {$where_sql}";
 
-        if ($campaign_name) {
-            $where[] = "c.campaign_id = %s";
-            $campaign_id = $this->wpdb->get_var(
-                $this->wpdb->prepare(
-                    "SELECT id FROM {$this->wpdb->prefix}bemacrm_campaignsmeta WHERE campaign = %s",
-                    $campaign_name
-                )
-            );
-            $params[] = $campaign_id;
+        if ($params) {
+            $sql = $this->wpdb->prepare($sql, ...$params);
         }
 
-        if ($tier) {
-            $where[] = "c.tier = %s";
-            $params[] = $tier;
+        return (int) $this->wpdb->get_var($sql);
+    }
+
+    /**
+     * Retrieves the IDs of every subscriber matching the filters, e.g. for a bulk
+     * action on all of them rather than the page shown.
+     *
+     * @param string $campaign_name Optional. Filters by campaign name.
+     * @param string $tier          Optional. Filters by campaign tier.
+     * @param string $search        Optional. Searches by email.
+     * @param array  $segment       Optional. Segment definition the subscribers must match as well.
+     * @param int    $after_id      Optional. Only IDs above this one, to page through a large set.
+     * @param int    $limit         Optional. At most this many IDs; 0 for all of them.
+     *
+     * @return int[] Subscriber IDs, lowest first.
+     */
+    public function get_subscriber_ids(
+        string $campaign_name = '',
+        string $tier = '',
+        string $search = '',
+        array $segment = [],
+        int $after_id = 0,
+        int $limit = 0
+    ): array {
+        [$sql_from, $where_sql, $params] = $this->build_filter_sql($campaign_name, $tier, $search, $segment);
+
+        if ($after_id) {
+            $where_sql .= ($where_sql ? ' AND' : 'WHERE') . ' s.id > %d';
+            $params[] = $after_id;
         }
 
-        if ($search) {
-            $where[] = "s.email LIKE %s";
-            $params[] = '%' . $this->wpdb->esc_like($search) . '%';
+        $sql = "SELECT DISTINCT s.id {$sql_from} {$where_sql} ORDER BY s.id";
+
+        if ($limit) {
+            $sql .= ' LIMIT %d';
+            $params[] = $limit;
         }
 
-        $where_sql = $where ? 'WHERE ' . implode(' AND ', $where) : '';
+        if ($params) {
+            $sql = $this->wpdb->prepare($sql, ...$params);
+        }
 
-        if ($campaign_name) {
-            $sql = $this->wpdb->prepare(
-                "SELECT COUNT(*)
-             FROM {$this->table_name} AS s
-             INNER JOIN {$this->wpdb->prefix}bemacrm_campaign_subscribersmeta AS c
-               ON s.id = c.subscriber_id
-             {$where_sql}",
-                ...$params
-            );
-        } else {
-            $sql = $this->wpdb->prepare(
-                "SELECT COUNT(*)
-             FROM {$this->table_name} AS s
-             {$where_sql}",
-                ...$params
-            );
+        return array_map('intval', $this->wpdb->get_col($sql) ?: []);
+    }
+
+    /**
+     * Retrieves the subscriber records with the given IDs.
+     *
+     * @param int[] $ids
+     *
+     * @return array Subscriber records keyed by ID.
+     */
+    public function get_subscribers_by_ids(array $ids): array
+    {
+        $ids = array_values(array_filter(array_map('absint', $ids)));
+        if (empty($ids)) {
+            return [];
         }
 
-        return (int) $this->wpdb->get_var($sql);
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT * FROM {$this->table_name} WHERE id IN (" . implode(', ', array_fill(0, count($ids), '%d')) . ")",
+                ...$ids
+            ),
+            \ARRAY_A
+        );
+
+        return array_column($rows ?: [], null, 'id');
+    }
+
+    /**
+     * Retrieves the subscriber records with the given email addresses.
+     *
+     * @param string[] $emails
+     *
+     * @return array Subscriber records keyed by lowercased email.
+     */
+    public function get_subscribers_by_emails(array $emails): array
+    {
+        $emails = array_values(array_unique(array_filter(array_map('sanitize_email', $emails))));
+        if (empty($emails)) {
+            return [];
+        }
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT * FROM {$this->table_name} WHERE email IN (" . implode(', ', array_fill(0, count($emails), '%s')) . ")",
+                ...$emails
+            ),
+            \ARRAY_A
+        );
+
+        $subscribers = [];
+        foreach ($rows ?: [] as $row) {
+            $subscribers[strtolower($row['email'])] = $row;
+        }
+
+        return $subscribers;
+    }
+
+    /**
+     * Retrieves what the subscribers with the given IDs have spent, from the
+     * Easy Digital Downloads customers with the same email. The caller checks
+     * that the EDD customers table exists.
+     *
+     * @param int[] $ids
+     *
+     * @return array Totals keyed by subscriber ID, 0 for subscribers who are not EDD customers.
+     */
+    public function get_total_spent_by_ids(array $ids): array
+    {
+        $ids = array_values(array_filter(array_map('absint', $ids)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT s.id, COALESCE(SUM(ec.purchase_value), 0) AS total_spent FROM {$this->table_name} AS s
+                 LEFT JOIN {$this->wpdb->prefix}edd_customers AS ec ON ec.email = s.email
+                 WHERE s.id IN (" . implode(', ', array_fill(0, count($ids), '%d')) . ")
+                 GROUP BY s.id",
+                ...$ids
+            ),
+            \ARRAY_A
+        );
+
+        return array_map('floatval', array_column($rows ?: [], 'total_spent', 'id'));
+    }
+
+    /**
+     * Deletes a subscriber record by ID. Their campaign subscriber records go
+     * with it through the ON DELETE CASCADE foreign key.
+     *
+     * @param int $id The ID of the subscriber to delete.
+     *
+     * @return int|false The number of rows deleted on success, or false on failure.
+     */
+    public function delete_subscriber_by_id($id)
+    {
+        try {
+            $deleted = $this->wpdb->delete($this->table_name, ['id' => \absint($id)], ['%d']);
+
+            if (false === $deleted) {
+                throw new Exception('Failed to delete subscriber: ' . $this->wpdb->last_error);
+            }
+
+            return $deleted;
+        } catch (Exception $e) {
+            $this->logger->error('Subscribers_Database_Manager Error: ' . $e->getMessage(), [
+                'method' => 'delete_subscriber_by_id',
+                'trace' => $e->getTraceAsString()
+            ]);
+            return false;
+        }
     }
 
     /**
@@ -738,4 +867,224 @@ VALUES " . implode(', ', $placeholders);
         
         return $counts;
     }
-}
\ No newline at end of file
+
+    /**
+     * Retrieves groups of subscribers whose emails are the same once whitespace
+     * is removed and case ignored, the largest groups first.
+     *
+     * @param int $per_page Number of groups to return.
+     * @param int $offset   Number of groups to skip.
+     *
+     * @return array Each with the normalized email, the number of records and their IDs.
+     */
+    public function get_duplicate_clusters(int $per_page = 25, int $offset = 0): array
+    {
+        $normalized = $this->get_normalized_email_sql();
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT {$normalized} AS normalized_email, COUNT(*) AS records, GROUP_CONCAT(id ORDER BY id) AS ids
+                 FROM {$this->table_name}
+                 GROUP BY normalized_email
+                 HAVING records > 1
+                 ORDER BY records DESC, normalized_email ASC
+                 LIMIT %d OFFSET %d",
+                $per_page,
+                $offset
+            ),
+            \ARRAY_A
+        );
+
+        return array_map(function ($row) {
+            return [
+                'email' => $row['normalized_email'],
+                'records' => (int) $row['records'],
+                'ids' => array_map('intval', explode(',', $row['ids'])),
+            ];
+        }, $rows ?: []);
+    }
+
+    /**
+     * Counts the groups get_duplicate_clusters() pages through.
+     *
+     * @return int
+     */
+    public function count_duplicate_clusters(): int
+    {
+        $normalized = $this->get_normalized_email_sql();
+
+        return (int) $this->wpdb->get_var(
+            "SELECT COUNT(*) FROM (
+                SELECT {$normalized} AS normalized_email FROM {$this->table_name} GROUP BY normalized_email HAVING COUNT(*) > 1
+             ) AS clusters"
+        );
+    }
+
+    /**
+     * Retrieves the subscribers whose email normalizes to the given one.
+     *
+     * @param string $email
+     *
+     * @return array Subscriber records ordered by ID.
+     */
+    public function get_subscribers_by_normalized_email(string $email): array
+    {
+        $normalized = $this->get_normalized_email_sql();
+
+        return $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT * FROM {$this->table_name} WHERE {$normalized} = %s ORDER BY id",
+                strtolower(preg_replace('/\s+/', '', $email))
+            ),
+            \ARRAY_A
+        ) ?: [];
+    }
+
+    /**
+     * The email column lowercased with spaces, tabs and line breaks removed;
+     * none of them can be part of an address, so two emails that only differ
+     * there belong to the same person.
+     */
+    private function get_normalized_email_sql(): string
+    {
+        return "LOWER(REPLACE(REPLACE(REPLACE(REPLACE(email, ' ', ''), CHAR(9), ''), CHAR(10), ''), CHAR(13), ''))";
+    }
+
+    /**
+     * FROM and WHERE clauses shared by count_subscribers() and get_subscriber_ids(),
+     * joined so a subscriber in several matching campaign rows is still one subscriber.
+     *
+     * @return array [from, where, params]
+     */
+    private function build_filter_sql(string $campaign_name, string $tier, string $search, array $segment = []): array
+    {
+        $campaign_name = trim($campaign_name);
+        $tier = trim($tier);
+
+        $sql_from = "FROM {$this->table_name} AS s";
+        $where = [];
+        $params = [];
+
+        if ($campaign_name || $tier) {
+            $sql_from .= " INNER JOIN {$this->wpdb->prefix}bemacrm_campaign_subscribersmeta AS c ON s.id = c.subscriber_id";
+            $sql_from .= " INNER JOIN {$this->wpdb->prefix}bemacrm_campaignsmeta AS t ON c.campaign_id = t.id";
+        }
+
+        if ($campaign_name) {
+            $where[] = "t.campaign = %s";
+            $params[] = $campaign_name;
+        }
+
+        if ($tier) {
+            $where[] = "c.tier = %s";
+            $params[] = $tier;
+        }
+
+        if ($search) {
+            $where[] = "s.email LIKE %s";
+            $params[] = '%' . $this->wpdb->esc_like($search) . '%';
+        }
+
+        if ($segment) {
+            [$segment_sql, $segment_params] = $this->build_segment_sql($segment);
+            $where[] = $segment_sql;
+            $params = array_merge($params, $segment_params);
+        }
+
+        return [$sql_from, $where ? 'WHERE ' . implode(' AND ', $where) : '', $params];
+    }
+
+    /**
+     * WHERE condition on alias s for a segment definition as normalized by
+     * Segment_Manager: its groups joined by the segment's match, the conditions
+     * of each group by the group's. Campaign, tier, purchase and group
+     * conditions look at the subscriber's campaign rows, total spent at the
+     * Easy Digital Downloads customer with the subscriber's email.
+     *
+     * @param array $segment
+     * @return array [condition, params]
+     */
+    private function build_segment_sql(array $segment): array
+    {
+        $groups = [];
+        $params = [];
+
+        foreach ($segment['groups'] ?? [] as $group) {
+            $conditions = [];
+            foreach ($group['conditions'] ?? [] as $condition) {
+                [$condition_sql, $condition_params] = $this->build_segment_condition_sql($condition);
+                $conditions[] = $condition_sql;
+                $params = array_merge($params, $condition_params);
+            }
+
+            if ($conditions) {
+                $groups[] = '(' . implode(($group['match'] ?? 'all') === 'any' ? ' OR ' : ' AND ', $conditions) . ')';
+            }
+        }
+
+        if (!$groups) {
+            return ['1 = 1', []];
+        }
+
+        return ['(' . implode(($segment['match'] ?? 'all') === 'any' ? ' OR ' : ' AND ', $groups) . ')', $params];
+    }
+
+    /**
+     * @return array [condition, params]
+     * @throws Exception For a field or operator a segment cannot have.
+     */
+    private function build_segment_condition_sql(array $condition): array
+    {
+        $value = $condition['value'] ?? null;
+        $negate = in_array($condition['operator'] ?? '', ['not_in', 'is_not'], true);
+
+        $memberships = "SELECT 1 FROM {$this->wpdb->prefix}bemacrm_campaign_subscribersmeta AS sc
+            INNER JOIN {$this->wpdb->prefix}bemacrm_campaignsmeta AS st ON sc.campaign_id = st.id
+            WHERE sc.subscriber_id = s.id";
+
+        switch ($condition['field'] ?? '') {
+            case 'tier':
+                $sql = $memberships . " AND sc.tier IN (" . implode(', ', array_fill(0, count($value), '%s')) . ")";
+                $params = $value;
+                if (!empty($condition['campaign'])) {
+                    $sql .= " AND st.campaign = %s";
+                    $params[] = $condition['campaign'];
+                }
+                return [($negate ? 'NOT ' : '') . "EXISTS ({$sql})", $params];
+
+            case 'purchased':
+                return [($negate ? 'NOT ' : '') . "EXISTS ({$memberships} AND st.campaign = %s AND sc.purchase_id IS NOT NULL)", [$value]];
+
+            case 'group':
+                return [($negate ? 'NOT ' : '') . "EXISTS ({$memberships} AND sc.group_id = %d)", [(int) $value]];
+
+            case 'status':
+                return ["s.status " . ($negate ? 'NOT IN' : 'IN') . " (" . implode(', ', array_fill(0, count($value), '%s')) . ")", $value];
+
+            case 'date_added':
+                $where = [];
+                $params = [];
+                if (!empty($value['from'])) {
+                    $where[] = "s.subscribed_at >= %s";
+                    $params[] = $value['from'] . ' 00:00:00';
+                }
+                if (!empty($value['to'])) {
+                    $where[] = "s.subscribed_at <= %s";
+                    $params[] = $value['to'] . ' 23:59:59';
+                }
+                return ['(' . implode(' AND ', $where) . ')', $params];
+
+            case 'total_spent':
+                $operators = ['gt' => '>', 'gte' => '>=', 'lt' => '<', 'lte' => '<='];
+                if (!isset($operators[$condition['operator'] ?? ''])) {
+                    break;
+                }
+                return [
+                    "COALESCE((SELECT SUM(ec.purchase_value) FROM {$this->wpdb->prefix}edd_customers AS ec WHERE ec.email = s.email), 0) {$operators[$condition['operator']]} %f",
+                    [(float) $value],
+                ];
+        }
+
+        throw new Exception('Unknown segment condition: ' . ($condition['field'] ?? '') . ' ' . ($condition['operator'] ?? ''));
+    }
+}
@@ -0,0 +1,1233 @@
+<?php
+
+namespace Bema\Database;
+
+use Exception;
+use InvalidArgumentException;
+use Bema\Bema_CRM_Logger;
+use Bema\Handlers\Default_Lock_Handler;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manages the sync_logs table behind the Sync Logs page.
+ *
+ * The table holds two kinds of rows: operation records written directly by
+ * the plugin (tier updates and the like) and lines of the sync loggers'
+ * files, which import_logger_output() copies in so both can be filtered,
+ * paged and exported together.
+ *
+ * @package Bema\Database
+ * @property string $table_name The name of the sync logs table.
+ * @property object $wpdb The WordPress database abstraction object.
+ * @property Bema_CRM_Logger $logger The logger instance for recording errors.
+ */
+class Sync_Log_Database_Manager
+{
+    private $table_name;
+    private $wpdb;
+    private $logger;
+
+    /**
+     * Bema_CRM_Logger identifiers whose output is imported
+     */
+    const LOGGER_SOURCES = ['sync-job', 'sync-manager', 'sync-schedule', 'transition-manager', 'triggers', 'em-sync', 'mailerlite-provider'];
+
+    /**
+     * Byte offset reached in each source's log file
+     */
+    const OFFSETS_OPTION = 'bema_sync_log_offsets';
+    const IMPORT_LOCK_KEY = 'bema_sync_log_import_lock';
+
+    /**
+     * Lines imported per source and request, so a large backlog is spread over several page loads
+     */
+    const IMPORT_LINE_LIMIT = 1000;
+
+    /**
+     * Log levels from least to most severe, for level>=warning style queries
+     */
+    const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+    /**
+     * Query fields stored in their own column; any other field is looked up in the JSON data
+     */
+    const QUERY_COLUMNS = ['id', 'status', 'level', 'campaign', 'source', 'operation', 'message', 'correlation_id', 'fingerprint'];
+
+    /**
+     * Levels that mark the step where an operation failed
+     */
+    const FAILURE_LEVELS = ['error', 'critical', 'alert', 'emergency'];
+
+    /**
+     * Statuses of operation records that failed; those rows keep the default info level
+     */
+    const FAILURE_STATUSES = ['failed', 'error'];
+
+    /**
+     * Resolved or muted error groups, by fingerprint
+     */
+    const ERROR_GROUPS_OPTION = 'bema_sync_log_error_groups';
+    const ERROR_GROUP_STATES = ['open', 'resolved', 'muted'];
+    const ERROR_GROUP_LIMIT = 100;
+
+    /**
+     * Error rows fingerprinted per request when catching up on rows written before
+     * fingerprints existed, or by code that writes to the table directly
+     */
+    const FINGERPRINT_BATCH_SIZE = 500;
+
+    /**
+     * Context keys loggers name a subscriber under, by MailerLite id or email
+     */
+    const SUBSCRIBER_KEYS = ['subscriber_id', 'subscriber', 'email'];
+
+    /**
+     * Highest id whose subscriber columns were filled, for rows written before
+     * the columns existed or by code that writes to the table directly
+     */
+    const SUBSCRIBER_INDEX_OPTION = 'bema_sync_log_subscriber_index';
+    const SUBSCRIBER_INDEX_BATCH_SIZE = 1000;
+
+    /**
+     * Most operations one timeline request lists, and most entries shown for one operation
+     */
+    const TIMELINE_LIMIT = 50;
+    const TIMELINE_ENTRY_LIMIT = 2000;
+    const QUERY_OPERATORS = [':', '!=', '>', '>=', '<', '<='];
+
+    /**
+     * Daily cron event that purges entries older than the logging.retention_days setting
+     */
+    const RETENTION_HOOK = 'bema_sync_log_retention';
+
+    /**
+     * Purged entries are archived here, next to the logger directories, as gzipped JSON Lines
+     */
+    const ARCHIVE_DIR = 'bema-crm-logger/sync-log-archives';
+    const PURGE_BATCH_SIZE = 1000;
+
+    /**
+     * Sync_Log_Database_Manager constructor.
+     *
+     * @param Bema_CRM_Logger|null $logger An optional logger instance.
+     */
+    public function __construct(?Bema_CRM_Logger $logger = null)
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'sync_logs';
+        $this->logger = $logger ?? Bema_CRM_Logger::create('sync-log-database');
+    }
+
+    /**
+     * Creates the sync logs table, or adds the level, source, message, correlation_id,
+     * fingerprint and subscriber columns to the one created by the original migrations.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function create_table()
+    {
+        try {
+            if (!function_exists('dbDelta')) {
+                require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+            }
+
+            $charset_collate = $this->wpdb->get_charset_collate();
+            $sql = "CREATE TABLE {$this->table_name} (
+                id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+                operation varchar(255) NOT NULL,
+                campaign varchar(50) DEFAULT NULL,
+                status varchar(50) NOT NULL,
+                level varchar(20) NOT NULL DEFAULT 'info',
+                source varchar(50) DEFAULT NULL,
+                message text,
+                correlation_id varchar(64) DEFAULT NULL,
+                fingerprint char(40) DEFAULT NULL,
+                subscriber_id bigint(20) unsigned DEFAULT NULL,
+                subscriber_email varchar(191) DEFAULT NULL,
+                data longtext DEFAULT NULL,
+                error_message text DEFAULT NULL,
+                retry_count int DEFAULT 0,
+                created_at datetime DEFAULT CURRENT_TIMESTAMP,
+                updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY  (id),
+                KEY operation (operation),
+                KEY campaign_status_idx (campaign,status),
+                KEY created_at_idx (created_at),
+                KEY retry_count (retry_count),
+                KEY level (level),
+                KEY source (source),
+                KEY correlation_id (correlation_id),
+                KEY fingerprint (fingerprint),
+                KEY subscriber_id (subscriber_id),
+                KEY subscriber_email (subscriber_email)
+            ) $charset_collate;";
+
+            dbDelta($sql);
+
+            // INFO: Log successful table creation for monitoring
+            $this->logger->info('Sync logs table created successfully', [
+                'table_name' => $this->table_name
+            ]);
+
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to create sync logs table', [
+                'table_name' => $this->table_name,
+                'error' => $e->getMessage(),
+                'trace' => WP_DEBUG ? $e->getTraceAsString() : null
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Copies lines written to the sync loggers since the last import.
+     *
+     * Concurrent requests skip the import instead of inserting the same lines twice.
+     *
+     * @return int Number of rows imported.
+     */
+    public function import_logger_output(): int
+    {
+        // Not add_option(), which upserts and so lets two requests both take the lock
+        $lock_handler = new Default_Lock_Handler();
+        if (!$lock_handler->acquireExclusiveLock(self::IMPORT_LOCK_KEY, [], 60)) {
+            return 0;
+        }
+
+        $imported = 0;
+
+        try {
+            $offsets = get_option(self::OFFSETS_OPTION, []);
+            $lines = [];
+
+            foreach (self::LOGGER_SOURCES as $source) {
+                $result = Bema_CRM_Logger::create($source)->read_since((int) ($offsets[$source] ?? 0), self::IMPORT_LINE_LIMIT);
+                $offsets[$source] = $result['offset'];
+                $lines = array_merge($lines, $result['lines']);
+            }
+
+            // Interleave the sources by time so ids follow the order lines were written in
+            usort($lines, function ($a, $b) {
+                return strcmp($a['timestamp'], $b['timestamp']);
+            });
+
+            foreach ($lines as $line) {
+                if ($this->insert_logger_line($line)) {
+                    $imported++;
+                }
+            }
+
+            update_option(self::OFFSETS_OPTION, $offsets, false);
+
+            $this->fingerprint_errors();
+            $this->index_subscribers();
+        } catch (Exception $e) {
+            $this->logger->error('Failed to import sync logger output', [
+                'error' => $e->getMessage()
+            ]);
+        } finally {
+            $lock_handler->releaseExclusiveLock(self::IMPORT_LOCK_KEY);
+        }
+
+        return $imported;
+    }
+
+    /**
+     * Fetch log rows, newest first.
+     *
+     * @param array $filters Optional status, campaign, date (today, week, month), search,
+     *                       query (clauses and text terms parsed from the search box, see
+     *                       build_query_where()), sync_run (sync_id, started_at, ended_at),
+     *                       older_than_days, stored_days (days since the row was written
+     *                       or restored) and before_id to continue below the last row already shown.
+     * @param int $limit
+     * @param int $offset
+     * @return array
+     */
+    public function get_logs(array $filters = [], int $limit = 50, int $offset = 0): array
+    {
+        $where = $this->build_where($filters);
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} {$where} ORDER BY id DESC LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * Fetch the rows added after a given id, oldest first, for the live tail.
+     *
+     * @param int $after_id Last id the caller has seen.
+     * @param array $filters Same filters as get_logs().
+     * @param int $limit
+     * @return array
+     */
+    public function get_logs_after(int $after_id, array $filters = [], int $limit = 200): array
+    {
+        $filters['after_id'] = $after_id;
+        $where = $this->build_where($filters);
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} {$where} ORDER BY id ASC LIMIT %d",
+            $limit
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * Operations with entries matching the filters, most recent first.
+     *
+     * Each summary covers all of the operation's entries, not only the matching ones.
+     *
+     * @param array $filters Same filters as get_logs().
+     * @return array correlation_id, operation, campaign, started_at, ended_at, entries, errors, first_id and last_id
+     */
+    public function get_timelines(array $filters = []): array
+    {
+        $where = $this->build_where($filters);
+        $where .= ($where ? ' AND ' : 'WHERE ') . "correlation_id IS NOT NULL AND correlation_id <> ''";
+
+        $ids = $this->wpdb->get_col($this->wpdb->prepare(
+            "SELECT correlation_id FROM {$this->table_name} {$where} GROUP BY correlation_id ORDER BY MAX(id) DESC LIMIT %d",
+            self::TIMELINE_LIMIT
+        ));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $failure_levels = "'" . implode("', '", self::FAILURE_LEVELS) . "'";
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT correlation_id, MIN(operation) AS operation, MAX(campaign) AS campaign,
+                MIN(created_at) AS started_at, MAX(created_at) AS ended_at, COUNT(*) AS entries,
+                SUM(level IN ({$failure_levels})) AS errors, MIN(id) AS first_id, MAX(id) AS last_id
+             FROM {$this->table_name}
+             WHERE correlation_id IN (" . implode(', ', array_fill(0, count($ids), '%s')) . ")
+             GROUP BY correlation_id
+             ORDER BY last_id DESC",
+            $ids
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            foreach (['entries', 'errors', 'first_id', 'last_id'] as $key) {
+                $row[$key] = (int) $row[$key];
+            }
+            return $row;
+        }, $rows ?: []);
+    }
+
+    /**
+     * Entries of one operation in the order they were written.
+     *
+     * @param string $correlation_id
+     * @return array
+     */
+    public function get_timeline(string $correlation_id): array
+    {
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE correlation_id = %s ORDER BY id ASC LIMIT %d",
+            $correlation_id,
+            self::TIMELINE_ENTRY_LIMIT
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * Entries about one subscriber, newest first, skipping debug lines.
+     *
+     * Looked up by the subscriber columns filled when an entry is written.
+     *
+     * @param int $subscriber_id MailerLite subscriber id.
+     * @param string $email
+     * @param int $limit
+     * @return array
+     */
+    public function get_subscriber_logs(int $subscriber_id, string $email, int $limit = 200): array
+    {
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+             WHERE (subscriber_id = %d OR subscriber_email = %s) AND level <> 'debug'
+             ORDER BY id DESC LIMIT %d",
+            $subscriber_id,
+            strtolower($email),
+            $limit
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * Highest id in the table, where a live tail starts from.
+     *
+     * @return int
+     */
+    public function get_last_id(): int
+    {
+        return (int) $this->wpdb->get_var("SELECT MAX(id) FROM {$this->table_name}");
+    }
+
+    /**
+     * @param array $filters Same filters as get_logs().
+     * @return int
+     */
+    public function count_logs(array $filters = []): int
+    {
+        return (int) $this->wpdb->get_var("SELECT COUNT(*) FROM {$this->table_name} " . $this->build_where($filters));
+    }
+
+    /**
+     * @param int $id
+     * @return array|null
+     */
+    public function get_log(int $id): ?array
+    {
+        $row = $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE id = %d",
+            $id
+        ), ARRAY_A);
+
+        return $row ? $this->decode_row($row) : null;
+    }
+
+    /**
+     * Distinct values of a column, for the filter dropdowns.
+     *
+     * @param string $column status, campaign, level, source or operation.
+     * @return array
+     */
+    public function get_distinct_values(string $column): array
+    {
+        if (!in_array($column, ['status', 'campaign', 'level', 'source', 'operation'], true)) {
+            return [];
+        }
+
+        return $this->wpdb->get_col(
+            "SELECT DISTINCT {$column} FROM {$this->table_name} WHERE {$column} IS NOT NULL AND {$column} <> '' ORDER BY {$column}"
+        ) ?: [];
+    }
+
+    /**
+     * Error entries grouped by fingerprint, most recently seen first.
+     *
+     * A resolved group that has failed again since it was resolved counts as
+     * open again, flagged as regressed.
+     *
+     * @param array $filters Same filters as get_logs(); counts cover the matching entries only.
+     * @param string $state open, resolved, muted or all.
+     * @return array fingerprint, error_class, template, operation, entries, first_seen,
+     *               last_seen, campaigns, state, regressed, state_changed_at and sample.
+     */
+    public function get_error_groups(array $filters = [], string $state = 'open'): array
+    {
+        $where = $this->build_where($filters);
+        $where .= ($where ? ' AND ' : 'WHERE ') . 'fingerprint IS NOT NULL';
+
+        // Muted and resolved groups are dropped below, so more are fetched than listed
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT fingerprint, COUNT(*) AS entries, MIN(created_at) AS first_seen, MAX(created_at) AS last_seen,
+                MAX(id) AS sample_id, GROUP_CONCAT(DISTINCT campaign ORDER BY campaign SEPARATOR ',') AS campaigns
+             FROM {$this->table_name} {$where}
+             GROUP BY fingerprint
+             ORDER BY last_seen DESC
+             LIMIT %d",
+            self::ERROR_GROUP_LIMIT * 5
+        ), ARRAY_A);
+        if (empty($rows)) {
+            return [];
+        }
+
+        $states = $this->get_error_group_states();
+        $groups = [];
+
+        foreach ($rows as $row) {
+            $saved = $states[$row['fingerprint']] ?? null;
+            $group_state = $saved['state'] ?? 'open';
+            $regressed = $group_state === 'resolved' && $row['last_seen'] > $saved['changed_at'];
+            if ($regressed) {
+                $group_state = 'open';
+            }
+
+            if ($state !== 'all' && $state !== $group_state) {
+                continue;
+            }
+
+            $groups[] = [
+                'fingerprint' => $row['fingerprint'],
+                'entries' => (int) $row['entries'],
+                'first_seen' => $row['first_seen'],
+                'last_seen' => $row['last_seen'],
+                'campaigns' => $row['campaigns'] === null || $row['campaigns'] === '' ? [] : explode(',', $row['campaigns']),
+                'state' => $group_state,
+                'regressed' => $regressed,
+                'state_changed_at' => $saved['changed_at'] ?? null,
+                'sample_id' => (int) $row['sample_id'],
+            ];
+
+            if (count($groups) === self::ERROR_GROUP_LIMIT) {
+                break;
+            }
+        }
+
+        if (empty($groups)) {
+            return [];
+        }
+
+        // The newest entry of each group stands in for it
+        $ids = array_column($groups, 'sample_id');
+        $samples = [];
+        foreach ($this->wpdb->get_results(
+            "SELECT * FROM {$this->table_name} WHERE id IN (" . implode(',', array_map('intval', $ids)) . ')',
+            ARRAY_A
+        ) ?: [] as $sample) {
+            $samples[(int) $sample['id']] = $this->decode_row($sample);
+        }
+
+        return array_map(function ($group) use ($samples) {
+            $sample = $samples[$group['sample_id']] ?? null;
+            $error = $sample ? $this->describe_error($sample) : ['error_class' => null, 'template' => ''];
+
+            unset($group['sample_id']);
+            return array_merge($group, [
+                'error_class' => $error['error_class'],
+                'template' => $error['template'],
+                'operation' => $sample['operation'] ?? null,
+                'sample' => $sample,
+            ]);
+        }, $groups);
+    }
+
+    /**
+     * Saved states of error groups, by fingerprint: state, changed_at and user_id.
+     *
+     * @return array
+     */
+    public function get_error_group_states(): array
+    {
+        $states = get_option(self::ERROR_GROUPS_OPTION, []);
+
+        return is_array($states) ? $states : [];
+    }
+
+    /**
+     * Marks an error group resolved or muted, or opens it again.
+     *
+     * @param string $fingerprint
+     * @param string $state open, resolved or muted.
+     * @return void
+     * @throws InvalidArgumentException On an unknown state or fingerprint.
+     */
+    public function set_error_group_state(string $fingerprint, string $state): void
+    {
+        if (!in_array($state, self::ERROR_GROUP_STATES, true)) {
+            throw new InvalidArgumentException("Unknown error group state {$state}");
+        }
+        if (!preg_match('/^[0-9a-f]{40}$/', $fingerprint)) {
+            throw new InvalidArgumentException('Invalid error fingerprint');
+        }
+
+        $states = $this->get_error_group_states();
+        if ($state === 'open') {
+            unset($states[$fingerprint]);
+        } else {
+            // Local time, like created_at, so regressions compare like with like
+            $states[$fingerprint] = [
+                'state' => $state,
+                'changed_at' => current_time('mysql'),
+                'user_id' => get_current_user_id(),
+            ];
+        }
+
+        update_option(self::ERROR_GROUPS_OPTION, $states, false);
+
+        $this->logger->info('Sync log error group updated', [
+            'fingerprint' => $fingerprint,
+            'state' => $state,
+            'user_id' => get_current_user_id()
+        ]);
+    }
+
+    /**
+     * Reduces an error message to its template: ids, numbers, emails, URLs and
+     * quoted values are replaced by placeholders, so the same failure for
+     * different subscribers, groups or pages reads the same.
+     *
+     * @param string $message
+     * @return string
+     */
+    public static function get_message_template(string $message): string
+    {
+        $patterns = [
+            '#\bhttps?://\S+#i' => '<url>',
+            '/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/' => '<email>',
+            '/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/i' => '<uuid>',
+            '/\b(?=[0-9a-f]*\d)[0-9a-f]{12,}\b/i' => '<hash>',
+            '/"[^"]*"|(?<!\w)\'[^\']*\'(?!\w)/' => '<value>',
+            '/\d+(?:[.:]\d+)*/' => '<n>',
+            '/\s+/' => ' ',
+        ];
+
+        return substr(trim(preg_replace(array_keys($patterns), array_values($patterns), $message)), 0, 500);
+    }
+
+    /**
+     * Deletes the entries matching the filters after writing them to an archive.
+     *
+     * Rows are moved one batch at a time and a batch is only deleted once it
+     * is in the archive, so a failure part way leaves every entry either in
+     * the table or in the file.
+     *
+     * @param array $filters Optional older_than_days, status, campaign and operation,
+     *                       plus any other filter get_logs() takes.
+     * @param string $reason purge or retention, used in the archive name.
+     * @return array deleted count and archive name, null when nothing matched.
+     * @throws Exception When the archive cannot be written or rows cannot be deleted.
+     */
+    public function purge_logs(array $filters, string $reason = 'purge'): array
+    {
+        $archive = null;
+        $handle = null;
+        $deflate = null;
+        $deleted = 0;
+        $after_id = 0;
+
+        try {
+            do {
+                $where = $this->build_where(array_merge($filters, ['after_id' => $after_id]));
+                $rows = $this->wpdb->get_results($this->wpdb->prepare(
+                    "SELECT * FROM {$this->table_name} {$where} ORDER BY id ASC LIMIT %d",
+                    self::PURGE_BATCH_SIZE
+                ), ARRAY_A);
+                if (empty($rows)) {
+                    break;
+                }
+
+                if (!$handle) {
+                    $archive = $this->create_archive_name($reason);
+                    $handle = fopen($this->get_archive_dir() . '/' . $archive, 'xb');
+                    if (!$handle) {
+                        throw new Exception("Could not create the log archive {$archive}");
+                    }
+                    $deflate = deflate_init(ZLIB_ENCODING_GZIP, ['level' => 9]);
+                }
+
+                $lines = '';
+                foreach ($rows as $row) {
+                    $lines .= wp_json_encode($row) . "\n";
+                }
+
+                // Flushed to disk before the rows go, so a crash leaves a readable archive holding them
+                if (fwrite($handle, deflate_add($deflate, $lines, ZLIB_SYNC_FLUSH)) === false || !fflush($handle)) {
+                    throw new Exception("Could not write to the log archive {$archive}");
+                }
+
+                $ids = array_map('intval', array_column($rows, 'id'));
+                if ($this->wpdb->query("DELETE FROM {$this->table_name} WHERE id IN (" . implode(',', $ids) . ')') === false) {
+                    throw new Exception($this->wpdb->last_error);
+                }
+
+                $deleted += count($ids);
+                $after_id = end($ids);
+            } while (count($rows) === self::PURGE_BATCH_SIZE);
+        } finally {
+            if ($handle) {
+                fwrite($handle, deflate_add($deflate, '', ZLIB_FINISH));
+                fclose($handle);
+            }
+        }
+
+        if ($deleted) {
+            $this->logger->warning('Sync logs purged', [
+                'deleted' => $deleted,
+                'archive' => $archive,
+                'reason' => $reason,
+                'filters' => $filters,
+                'user_id' => get_current_user_id()
+            ]);
+        }
+
+        return ['deleted' => $deleted, 'archive' => $archive];
+    }
+
+    /**
+     * Purges the entries older than the logging.retention_days setting, run by RETENTION_HOOK.
+     *
+     * Restored entries count from when they were restored, so the next run
+     * does not archive them again straight away.
+     *
+     * @return int Number of entries purged.
+     */
+    public function enforce_retention(): int
+    {
+        $settings = get_option('bema_crm_settings', []);
+        $days = max(1, (int) ($settings['logging']['retention_days'] ?? 30));
+
+        try {
+            return $this->purge_logs(['older_than_days' => $days, 'stored_days' => $days], 'retention')['deleted'];
+        } catch (Exception $e) {
+            $this->logger->error('Failed to enforce sync log retention', [
+                'retention_days' => $days,
+                'error' => $e->getMessage()
+            ]);
+            return 0;
+        }
+    }
+
+    /**
+     * Archives written by purge_logs(), newest first.
+     *
+     * @return array name, size and created_at of each archive.
+     */
+    public function get_archives(): array
+    {
+        $archives = [];
+
+        foreach (glob($this->get_archive_dir() . '/*.jsonl.gz') ?: [] as $path) {
+            $archives[] = [
+                'name' => basename($path),
+                'size' => filesize($path),
+                'created_at' => filemtime($path),
+            ];
+        }
+
+        usort($archives, function ($a, $b) {
+            return $b['created_at'] <=> $a['created_at'];
+        });
+
+        return $archives;
+    }
+
+    /**
+     * Path of an archive by name, null when there is no such archive.
+     *
+     * @param string $name
+     * @return string|null
+     */
+    public function get_archive_path(string $name): ?string
+    {
+        if (!preg_match('/^[a-z0-9-]+\.jsonl\.gz$/', $name)) {
+            return null;
+        }
+
+        $path = $this->get_archive_dir() . '/' . $name;
+
+        return is_file($path) ? $path : null;
+    }
+
+    /**
+     * Puts an archive's entries back in the table under their original ids,
+     * so they show up where they were. Entries still in the table are skipped.
+     *
+     * @param string $name
+     * @return int Number of entries restored.
+     * @throws Exception When the archive cannot be read.
+     */
+    public function restore_archive(string $name): int
+    {
+        $path = $this->get_archive_path($name);
+        $handle = $path ? gzopen($path, 'rb') : false;
+        if (!$handle) {
+            throw new Exception("Log archive {$name} not found");
+        }
+
+        $restored = 0;
+        $tuples = [];
+
+        try {
+            while (($line = gzgets($handle)) !== false) {
+                $row = json_decode($line, true);
+                if (is_array($row) && !empty($row['id'])) {
+                    $tuples[] = $this->format_archive_row($row);
+                }
+
+                if (count($tuples) === self::PURGE_BATCH_SIZE) {
+                    $restored += $this->insert_archive_rows($tuples);
+                    $tuples = [];
+                }
+            }
+            $restored += $this->insert_archive_rows($tuples);
+        } finally {
+            gzclose($handle);
+        }
+
+        $this->logger->info('Sync log archive restored', [
+            'archive' => $name,
+            'restored' => $restored,
+            'user_id' => get_current_user_id()
+        ]);
+
+        return $restored;
+    }
+
+    /**
+     * Exception class, message template and fingerprint of an error row.
+     *
+     * The class comes from the error_class or exception key of the data, and
+     * the template from the message plus the error, since most entries log a
+     * fixed message and put the exception message in error.
+     */
+    private function describe_error(array $row): array
+    {
+        $data = is_array($row['data']) ? $row['data'] : (json_decode((string) $row['data'], true) ?: []);
+
+        $class = $data['error_class'] ?? ($data['exception'] ?? null);
+        $class = is_string($class) && $class !== '' ? substr(strrchr('\\' . $class, '\\'), 1) : null;
+
+        $template = self::get_message_template((string) $row['message']);
+        $error = $row['error_message'] ?? ($data['error'] ?? null);
+        if (is_string($error) && $error !== '') {
+            $template .= ': ' . self::get_message_template($error);
+        }
+
+        return [
+            'error_class' => $class,
+            'template' => $template,
+            'fingerprint' => sha1(implode("\n", [(string) $class, $template, (string) $row['operation']])),
+        ];
+    }
+
+    /**
+     * Fingerprints error rows that have none: failed operation records written
+     * straight to the table, and rows from before fingerprints existed.
+     */
+    private function fingerprint_errors(): void
+    {
+        $levels = "'" . implode("', '", self::FAILURE_LEVELS) . "'";
+        $statuses = "'" . implode("', '", self::FAILURE_STATUSES) . "'";
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT id, operation, message, error_message, data FROM {$this->table_name}
+             WHERE fingerprint IS NULL AND (level IN ({$levels}) OR status IN ({$statuses}))
+             ORDER BY id DESC
+             LIMIT %d",
+            self::FINGERPRINT_BATCH_SIZE
+        ), ARRAY_A);
+
+        foreach ($rows ?: [] as $row) {
+            // Operation records written before the message column existed
+            if (empty($row['message'])) {
+                $row['message'] = ucfirst(str_replace('_', ' ', $row['operation']));
+            }
+
+            $this->wpdb->update(
+                $this->table_name,
+                ['fingerprint' => $this->describe_error($row)['fingerprint']],
+                ['id' => $row['id']],
+                ['%s'],
+                ['%d']
+            );
+        }
+    }
+
+    /**
+     * Fills the subscriber columns of rows the cursor has not reached yet.
+     */
+    private function index_subscribers(): void
+    {
+        $cursor = (int) get_option(self::SUBSCRIBER_INDEX_OPTION, 0);
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT id, data FROM {$this->table_name} WHERE id > %d ORDER BY id LIMIT %d",
+            $cursor,
+            self::SUBSCRIBER_INDEX_BATCH_SIZE
+        ), ARRAY_A);
+
+        foreach ($rows ?: [] as $row) {
+            $cursor = (int) $row['id'];
+            $columns = $this->describe_subscriber(json_decode((string) $row['data'], true));
+            if (array_filter($columns)) {
+                $this->wpdb->update($this->table_name, $columns, ['id' => $row['id']], ['%d', '%s'], ['%d']);
+            }
+        }
+
+        update_option(self::SUBSCRIBER_INDEX_OPTION, $cursor, false);
+    }
+
+    /**
+     * The subscriber a log context names, as subscriber_id and subscriber_email column values.
+     *
+     * @param mixed $context
+     * @return array{subscriber_id: int|null, subscriber_email: string|null}
+     */
+    private function describe_subscriber($context): array
+    {
+        $columns = ['subscriber_id' => null, 'subscriber_email' => null];
+        if (!is_array($context)) {
+            return $columns;
+        }
+
+        foreach (self::SUBSCRIBER_KEYS as $key) {
+            $value = $context[$key] ?? null;
+            if ((is_int($value) || (is_string($value) && ctype_digit($value))) && !$columns['subscriber_id']) {
+                $columns['subscriber_id'] = (int) $value;
+            } elseif (is_string($value) && is_email($value) && !$columns['subscriber_email']) {
+                $columns['subscriber_email'] = strtolower(substr($value, 0, 191));
+            }
+        }
+
+        return $columns;
+    }
+
+    /**
+     * Creates the archive directory, closed to direct downloads like the logger directories.
+     */
+    private function get_archive_dir(): string
+    {
+        $dir = WP_CONTENT_DIR . '/uploads/' . self::ARCHIVE_DIR;
+
+        if (!is_dir($dir)) {
+            wp_mkdir_p($dir);
+        }
+        if (!file_exists($dir . '/.htaccess')) {
+            file_put_contents($dir . '/.htaccess', "Deny from all\n");
+        }
+
+        return $dir;
+    }
+
+    /**
+     * One archived row as an SQL values tuple, leaving updated_at to the database.
+     */
+    private function format_archive_row(array $row): string
+    {
+        $formats = [
+            'id' => '%d',
+            'operation' => '%s',
+            'campaign' => '%s',
+            'status' => '%s',
+            'level' => '%s',
+            'source' => '%s',
+            'message' => '%s',
+            'correlation_id' => '%s',
+            'fingerprint' => '%s',
+            'subscriber_id' => '%d',
+            'subscriber_email' => '%s',
+            'data' => '%s',
+            'error_message' => '%s',
+            'retry_count' => '%d',
+            'created_at' => '%s',
+        ];
+
+        // Archived before the subscriber columns existed or were filled
+        if (empty($row['subscriber_id']) && empty($row['subscriber_email'])) {
+            $row = array_merge($row, $this->describe_subscriber(json_decode((string) ($row['data'] ?? ''), true)));
+        }
+
+        $values = [];
+        foreach ($formats as $column => $format) {
+            // prepare() would turn null into an empty string
+            $values[] = isset($row[$column]) ? $this->wpdb->prepare($format, $row[$column]) : 'NULL';
+        }
+
+        return '(' . implode(', ', $values) . ')';
+    }
+
+    /**
+     * Inserts archived rows, skipping ids that are still in the table.
+     */
+    private function insert_archive_rows(array $tuples): int
+    {
+        if (empty($tuples)) {
+            return 0;
+        }
+
+        $result = $this->wpdb->query(
+            "INSERT IGNORE INTO {$this->table_name}
+                (id, operation, campaign, status, level, source, message, correlation_id, fingerprint, subscriber_id, subscriber_email, data, error_message, retry_count, created_at)
+             VALUES " . implode(', ', $tuples)
+        );
+        if ($result === false) {
+            throw new Exception($this->wpdb->last_error);
+        }
+
+        return (int) $result;
+    }
+
+    private function create_archive_name(string $reason): string
+    {
+        $base = 'sync-logs-' . sanitize_key($reason) . '-' . wp_date('Y-m-d-His');
+        $name = $base . '.jsonl.gz';
+
+        for ($i = 2; file_exists($this->get_archive_dir() . '/' . $name); $i++) {
+            $name = "{$base}-{$i}.jsonl.gz";
+        }
+
+        return $name;
+    }
+
+    /**
+     * Stores one parsed logger line. Its level doubles as the row status.
+     *
+     * Sync lines written outside a batch, such as when the job is created, name
+     * their run with sync_id only, and that is the run's correlation id.
+     */
+    private function insert_logger_line(array $line): bool
+    {
+        $context = $line['context'];
+        $campaign = is_string($context['campaign'] ?? null) ? $context['campaign'] : null;
+        $error = is_string($context['error'] ?? null) ? $context['error'] : null;
+        $correlation_id = $context['correlation_id'] ?? ($context['sync_id'] ?? null);
+
+        $row = [
+            'operation' => is_string($context['operation'] ?? null) ? $context['operation'] : $line['source'],
+            'campaign' => $campaign ? substr($campaign, 0, 50) : null,
+            'status' => $line['level'],
+            'level' => $line['level'],
+            'source' => $line['source'],
+            'message' => $line['message'],
+            'correlation_id' => is_string($correlation_id) ? substr($correlation_id, 0, 64) : null,
+            'fingerprint' => null,
+            'data' => empty($context) ? null : wp_json_encode($context),
+            'error_message' => $error,
+            'created_at' => $line['timestamp'],
+        ] + $this->describe_subscriber($context);
+
+        if (in_array($line['level'], self::FAILURE_LEVELS, true)) {
+            $row['fingerprint'] = $this->describe_error(array_merge($row, ['data' => $context]))['fingerprint'];
+        }
+
+        return (bool) $this->wpdb->insert(
+            $this->table_name,
+            $row,
+            ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s']
+        );
+    }
+
+    private function build_where(array $filters): string
+    {
+        $conditions = [];
+
+        foreach (['status', 'campaign', 'level', 'source', 'operation'] as $column) {
+            if (!empty($filters[$column])) {
+                $conditions[] = $this->wpdb->prepare("{$column} = %s", $filters[$column]);
+            }
+        }
+
+        if (!empty($filters['before_id'])) {
+            $conditions[] = $this->wpdb->prepare('id < %d', $filters['before_id']);
+        }
+        if (!empty($filters['after_id'])) {
+            $conditions[] = $this->wpdb->prepare('id > %d', $filters['after_id']);
+        }
+
+        // Logger lines carry the site's local time, so ranges are measured from it too
+        if (!empty($filters['older_than_days'])) {
+            $before = (new \DateTimeImmutable('now', wp_timezone()))->modify('-' . (int) $filters['older_than_days'] . ' days');
+            $conditions[] = $this->wpdb->prepare('created_at < %s', $before->format('Y-m-d H:i:s'));
+        }
+
+        // updated_at is set by the database on insert, in its own clock
+        if (!empty($filters['stored_days'])) {
+            $conditions[] = $this->wpdb->prepare('updated_at < NOW() - INTERVAL %d DAY', $filters['stored_days']);
+        }
+
+        $ranges = ['today' => 'today', 'week' => '-7 days', 'month' => '-30 days'];
+        if (!empty($filters['date']) && isset($ranges[$filters['date']])) {
+            $since = (new \DateTimeImmutable($ranges[$filters['date']], wp_timezone()))->format('Y-m-d H:i:s');
+            $conditions[] = $this->wpdb->prepare('created_at >= %s', $since);
+        }
+
+        if (!empty($filters['search'])) {
+            $like = '%' . $this->wpdb->esc_like($filters['search']) . '%';
+            $conditions[] = $this->wpdb->prepare(
+                '(message LIKE %s OR operation LIKE %s OR error_message LIKE %s OR data LIKE %s)',
+                $like,
+                $like,
+                $like,
+                $like
+            );
+        }
+
+        // Lines naming the run, plus the sync lines written while it ran
+        if (!empty($filters['sync_run']['sync_id'])) {
+            $run = $filters['sync_run'];
+            $condition = $this->wpdb->prepare(
+                "(CASE WHEN JSON_VALID(data) THEN JSON_UNQUOTE(JSON_EXTRACT(data, '$.sync_id')) END) = %s",
+                $run['sync_id']
+            );
+
+            if (!empty($run['started_at'])) {
+                $condition .= $this->wpdb->prepare(
+                    " OR (source IN ('sync-job', 'sync-manager') AND created_at BETWEEN %s AND %s)",
+                    $run['started_at'],
+                    $run['ended_at'] ?: current_time('mysql')
+                );
+            }
+
+            $conditions[] = "({$condition})";
+        }
+
+        if (!empty($filters['query']) && is_array($filters['query'])) {
+            $conditions = array_merge($conditions, $this->build_query_where($filters['query']));
+        }
+
+        return empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    /**
+     * Conditions for a parsed search query.
+     *
+     * Clauses are {field, op, values, negate}: the values of one clause are
+     * alternatives, a * in a value is a wildcard, and operation, source and
+     * message match substrings. since and until take a relative time (30m, 2h,
+     * 7d, 2w) or a date. Text terms are {value, negate} and match the message,
+     * operation, error and data.
+     *
+     * @throws InvalidArgumentException When a clause cannot be evaluated.
+     */
+    private function build_query_where(array $query): array
+    {
+        $conditions = [];
+
+        foreach (array_slice((array) ($query['clauses'] ?? []), 0, 20) as $clause) {
+            if (!is_array($clause)) {
+                continue;
+            }
+
+            $field = (string) ($clause['field'] ?? '');
+            $op = (string) ($clause['op'] ?? ':');
+            $values = array_values(array_filter(array_map('strval', (array) ($clause['values'] ?? [])), 'strlen'));
+
+            if (!in_array($op, self::QUERY_OPERATORS, true)) {
+                throw new InvalidArgumentException("Unknown operator {$op}");
+            }
+            if (empty($values)) {
+                throw new InvalidArgumentException("{$field} needs a value");
+            }
+
+            $negate = !empty($clause['negate']);
+            if ($op === '!=') {
+                $op = ':';
+                $negate = !$negate;
+            }
+
+            $condition = $this->build_query_clause($field, $op, $values);
+            $conditions[] = $negate ? "(({$condition}) IS NOT TRUE)" : $condition;
+        }
+
+        foreach (array_slice((array) ($query['text'] ?? []), 0, 20) as $term) {
+            $value = is_array($term) ? (string) ($term['value'] ?? '') : '';
+            if ($value === '') {
+                continue;
+            }
+
+            $like = '%' . $this->wpdb->esc_like($value) . '%';
+            $condition = $this->wpdb->prepare(
+                '(message LIKE %s OR operation LIKE %s OR error_message LIKE %s OR data LIKE %s)',
+                $like,
+                $like,
+                $like,
+                $like
+            );
+            $conditions[] = empty($term['negate']) ? $condition : "(({$condition}) IS NOT TRUE)";
+        }
+
+        return $conditions;
+    }
+
+    private function build_query_clause(string $field, string $op, array $values): string
+    {
+        if ($field === 'since' || $field === 'until') {
+            if ($op !== ':') {
+                throw new InvalidArgumentException("{$field} only takes {$field}:value");
+            }
+            return $this->wpdb->prepare(
+                $field === 'since' ? 'created_at >= %s' : 'created_at <= %s',
+                $this->parse_query_time($values[0])
+            );
+        }
+
+        if ($field === 'level' && $op !== ':') {
+            $rank = array_search(strtolower($values[0]), self::LEVELS, true);
+            if ($rank === false) {
+                throw new InvalidArgumentException("Unknown level {$values[0]}");
+            }
+
+            $levels = array_filter(self::LEVELS, function ($level) use ($op, $rank) {
+                $other = array_search($level, self::LEVELS, true);
+                return ['>' => $other > $rank, '>=' => $other >= $rank, '<' => $other < $rank, '<=' => $other <= $rank][$op];
+            });
+            $levels = empty($levels) ? [''] : array_values($levels);
+
+            return $this->wpdb->prepare(
+                'level IN (' . implode(', ', array_fill(0, count($levels), '%s')) . ')',
+                $levels
+            );
+        }
+
+        if (in_array($field, self::QUERY_COLUMNS, true)) {
+            $expression = $field;
+        } else {
+            // Anything else is a key of the JSON data, data.duration_ms or just duration_ms
+            $path = preg_replace('/^data\./', '', $field);
+            if (!preg_match('/^[a-z_][a-z0-9_]*(\.[a-z0-9_]+)*$/i', $path)) {
+                throw new InvalidArgumentException("Unknown field {$field}");
+            }
+            $expression = $this->wpdb->prepare(
+                'CASE WHEN JSON_VALID(data) THEN JSON_UNQUOTE(JSON_EXTRACT(data, %s)) END',
+                '$.' . $path
+            );
+        }
+
+        if ($op !== ':') {
+            if (!is_numeric($values[0])) {
+                throw new InvalidArgumentException("{$field}{$op} needs a number");
+            }
+            return $this->wpdb->prepare("CAST({$expression} AS DECIMAL(20,4)) {$op} %f", $values[0]);
+        }
+
+        $substring = in_array($field, ['operation', 'source', 'message'], true);
+        $alternatives = [];
+        foreach ($values as $value) {
+            if ($substring || strpos($value, '*') !== false) {
+                $pattern = str_replace('*', '%', $this->wpdb->esc_like($value));
+                $alternatives[] = $this->wpdb->prepare("{$expression} LIKE %s", $substring ? "%{$pattern}%" : $pattern);
+            } else {
+                $alternatives[] = $this->wpdb->prepare("{$expression} = %s", $value);
+            }
+        }
+
+        return '(' . implode(' OR ', $alternatives) . ')';
+    }
+
+    /**
+     * A since/until value as a local datetime.
+     */
+    private function parse_query_time(string $value): string
+    {
+        $units = ['m' => 'minutes', 'h' => 'hours', 'd' => 'days', 'w' => 'weeks'];
+        $now = new \DateTimeImmutable('now', wp_timezone());
+
+        if (preg_match('/^(\d+)([mhdw])$/i', $value, $matches)) {
+            return $now->modify("-{$matches[1]} {$units[strtolower($matches[2])]}")->format('Y-m-d H:i:s');
+        }
+
+        if (preg_match('/^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?$/', $value)) {
+            return (new \DateTimeImmutable(str_replace('T', ' ', $value), wp_timezone()))->format('Y-m-d H:i:s');
+        }
+
+        throw new InvalidArgumentException("Unknown time {$value}, use a relative time such as 2h or a date");
+    }
+
+    private function decode_row(array $row): array
+    {
+        $row['id'] = (int) $row['id'];
+        $row['retry_count'] = (int) $row['retry_count'];
+        $row['data'] = $row['data'] !== null ? (json_decode($row['data'], true) ?? $row['data']) : null;
+
+        // Operation records written before the message column existed
+        if (empty($row['message'])) {
+            $row['message'] = ucfirst(str_replace('_', ' ', $row['operation']));
+        }
+
+        return $row;
+    }
+}
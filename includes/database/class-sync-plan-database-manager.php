@@ -0,0 +1,268 @@
+<?php
+
+namespace Bema\Database;
+
+use Exception;
+use Bema\Bema_CRM_Logger;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manages the database table that holds the changes of sync preview plans.
+ *
+ * A preview appends the changes it finds one unit or group page at a time, and
+ * the sync that applies the plan looks up the records it may write by type,
+ * action and campaign. Only the latest plan is kept; its header lives in the
+ * Sync_Job_Manager::PLAN_OPTION option.
+ *
+ * @package Bema\Database
+ * @property string $table_name The name of the sync plan changes table.
+ * @property object $wpdb The WordPress database abstraction object.
+ * @property Bema_CRM_Logger $logger The logger instance for recording errors.
+ */
+class Sync_Plan_Database_Manager
+{
+    private $table_name;
+    private $wpdb;
+    private $logger;
+
+    /**
+     * Rows written per INSERT statement
+     */
+    const INSERT_BATCH_SIZE = 200;
+
+    /**
+     * Sync_Plan_Database_Manager constructor.
+     *
+     * @param Bema_CRM_Logger|null $logger An optional logger instance.
+     */
+    public function __construct(?Bema_CRM_Logger $logger = null)
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'bemacrm_sync_plan_changes';
+        $this->logger = $logger ?? Bema_CRM_Logger::create('sync-plan-database');
+    }
+
+    /**
+     * Creates the sync plan changes table.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function create_table()
+    {
+        try {
+            if (!function_exists('dbDelta')) {
+                require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+            }
+
+            $charset_collate = $this->wpdb->get_charset_collate();
+            $sql = "CREATE TABLE {$this->table_name} (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+                plan_id VARCHAR(64) NOT NULL,
+                type VARCHAR(20) NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                target VARCHAR(255) NOT NULL,
+                campaign VARCHAR(255) NULL,
+                ref VARCHAR(191) NOT NULL,
+                before_value LONGTEXT,
+                after_value LONGTEXT,
+                PRIMARY KEY (id),
+                KEY plan_type_key (plan_id, type, action),
+                KEY plan_campaign_key (plan_id, campaign(100))
+            ) $charset_collate;";
+
+            dbDelta($sql);
+
+            $this->logger->info('Sync plan changes table created successfully', [
+                'table_name' => $this->table_name
+            ]);
+
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to create sync plan changes table', [
+                'table_name' => $this->table_name,
+                'error' => $e->getMessage(),
+                'trace' => WP_DEBUG ? $e->getTraceAsString() : null
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Appends changes to a plan.
+     *
+     * @param string $plan_id
+     * @param array $changes Changes shaped like Sync_Manager::make_change().
+     * @return void
+     * @throws Exception If the rows could not be written, so the preview unit fails and can be retried.
+     */
+    public function insert_changes(string $plan_id, array $changes): void
+    {
+        foreach (array_chunk($changes, self::INSERT_BATCH_SIZE) as $chunk) {
+            $values = [];
+            foreach ($chunk as $change) {
+                $values[] = $this->wpdb->prepare(
+                    '(%s, %s, %s, %s, %s, %s, %s, %s)',
+                    $plan_id,
+                    $change['type'],
+                    $change['action'],
+                    $change['target'],
+                    $change['campaign'] ?? '',
+                    $change['ref'],
+                    wp_json_encode($change['before'] ?? null),
+                    wp_json_encode($change['after'] ?? null)
+                );
+            }
+
+            $result = $this->wpdb->query(
+                "INSERT INTO {$this->table_name} (plan_id, type, action, target, campaign, ref, before_value, after_value) VALUES "
+                . implode(', ', $values)
+            );
+
+            if ($result === false) {
+                throw new Exception('Failed to save sync plan changes: ' . $this->wpdb->last_error);
+            }
+        }
+    }
+
+    /**
+     * Refs of a plan's changes, e.g. the subscriber ids a campaign's tiers may be written for.
+     *
+     * @param string $plan_id
+     * @param string $type
+     * @param string|null $action Null for any action.
+     * @param string|null $campaign Null for any campaign.
+     * @return array
+     */
+    public function get_refs(string $plan_id, string $type, ?string $action = null, ?string $campaign = null): array
+    {
+        $where = $this->build_where($plan_id, ['type' => $type, 'action' => $action, 'campaign' => $campaign]);
+
+        return $this->wpdb->get_col("SELECT ref FROM {$this->table_name} {$where} ORDER BY id") ?: [];
+    }
+
+    /**
+     * Fetch one page of a plan's changes, in the order they were found.
+     *
+     * @param string $plan_id
+     * @param array $filters Optional 'type', 'action', 'campaign' and 'search' filters.
+     * @param int $limit
+     * @param int $offset
+     * @return array
+     */
+    public function get_changes(string $plan_id, array $filters = [], int $limit = 50, int $offset = 0): array
+    {
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT type, action, target, campaign, ref, before_value, after_value
+             FROM {$this->table_name} {$this->build_where($plan_id, $filters)} ORDER BY id LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * @param string $plan_id
+     * @param array $filters Same filters as get_changes().
+     * @return int
+     */
+    public function count_changes(string $plan_id, array $filters = []): int
+    {
+        return (int) $this->wpdb->get_var("SELECT COUNT(*) FROM {$this->table_name} " . $this->build_where($plan_id, $filters));
+    }
+
+    /**
+     * Number of changes per type and action.
+     *
+     * @param string $plan_id
+     * @return array "type.action" => count
+     */
+    public function get_summary(string $plan_id): array
+    {
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT type, action, COUNT(*) AS total FROM {$this->table_name} WHERE plan_id = %s GROUP BY type, action",
+            $plan_id
+        ), ARRAY_A);
+
+        $summary = [];
+        foreach ($rows ?: [] as $row) {
+            $summary["{$row['type']}.{$row['action']}"] = (int) $row['total'];
+        }
+        return $summary;
+    }
+
+    /**
+     * Removes the changes of every plan but the given one.
+     *
+     * @param string $plan_id
+     * @return void
+     */
+    public function delete_other_plans(string $plan_id): void
+    {
+        $this->wpdb->query($this->wpdb->prepare(
+            "DELETE FROM {$this->table_name} WHERE plan_id <> %s",
+            $plan_id
+        ));
+    }
+
+    /**
+     * Deletes the table.
+     *
+     * @return bool True if the table is gone.
+     */
+    public function delete_table(): bool
+    {
+        try {
+            $this->wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+            $table_exists = $this->wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") === $this->table_name;
+
+            if (!$table_exists) {
+                $this->logger->warning('Sync plan changes table deleted', [
+                    'table_name' => $this->table_name,
+                    'user_id' => get_current_user_id()
+                ]);
+                return true;
+            }
+
+            return false;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to delete sync plan changes table', [
+                'table_name' => $this->table_name,
+                'db_error' => $this->wpdb->last_error,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    private function build_where(string $plan_id, array $filters): string
+    {
+        $conditions = [$this->wpdb->prepare('plan_id = %s', $plan_id)];
+
+        foreach (['type', 'action', 'campaign'] as $column) {
+            if (isset($filters[$column]) && $filters[$column] !== '') {
+                $conditions[] = $this->wpdb->prepare("{$column} = %s", $filters[$column]);
+            }
+        }
+
+        if (!empty($filters['search'])) {
+            $conditions[] = $this->wpdb->prepare('target LIKE %s', '%' . $this->wpdb->esc_like($filters['search']) . '%');
+        }
+
+        return 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    private function decode_row(array $row): array
+    {
+        $row['before'] = json_decode($row['before_value'] ?? 'null', true);
+        $row['after'] = json_decode($row['after_value'] ?? 'null', true);
+        $row['campaign'] = $row['campaign'] === '' ? null : $row['campaign'];
+        unset($row['before_value'], $row['after_value']);
+
+        return $row;
+    }
+}
@@ -0,0 +1,280 @@
+<?php
+
+namespace Bema\Database;
+
+use Exception;
+use Bema\Bema_CRM_Logger;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manages the database table for BemaCRM sync runs.
+ *
+ * Each sync job is stored as one row keyed by its sync id, with who or what
+ * started it, its timing, counts, errors and a JSON snapshot of its units so a
+ * finished run can be inspected and compared after the job option moved on.
+ *
+ * @package Bema\Database
+ * @property string $table_name The name of the sync runs table.
+ * @property object $wpdb The WordPress database abstraction object.
+ * @property Bema_CRM_Logger $logger The logger instance for recording errors.
+ */
+class Sync_Run_Database_Manager
+{
+    private $table_name;
+    private $wpdb;
+    private $logger;
+    private $max_records = 500;
+
+    /**
+     * Columns that hold counts, written with %d
+     */
+    const COUNT_COLUMNS = [
+        'user_id', 'duration', 'subscribers_count', 'units_total', 'units_done', 'units_failed',
+        'units_skipped', 'groups_total', 'groups_done', 'groups_failed', 'records_processed', 'peak_memory',
+    ];
+
+    /**
+     * Sync_Run_Database_Manager constructor.
+     *
+     * @param Bema_CRM_Logger|null $logger An optional logger instance.
+     */
+    public function __construct(?Bema_CRM_Logger $logger = null)
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'bemacrm_sync_runs';
+        $this->logger = $logger ?? Bema_CRM_Logger::create('sync-run-database');
+    }
+
+    /**
+     * Creates the sync runs table.
+     *
+     * @return bool True on success, false on failure.
+     */
+    public function create_table()
+    {
+        try {
+            if (!function_exists('dbDelta')) {
+                require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+            }
+
+            $charset_collate = $this->wpdb->get_charset_collate();
+            $sql = "CREATE TABLE {$this->table_name} (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+                sync_id VARCHAR(64) NOT NULL,
+                trigger_type VARCHAR(20) NOT NULL,
+                trigger_source VARCHAR(100) NOT NULL,
+                user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+                mode VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                campaigns TEXT,
+                started_at DATETIME NOT NULL,
+                ended_at DATETIME NULL,
+                duration INT UNSIGNED NOT NULL DEFAULT 0,
+                subscribers_count INT UNSIGNED NOT NULL DEFAULT 0,
+                units_total INT UNSIGNED NOT NULL DEFAULT 0,
+                units_done INT UNSIGNED NOT NULL DEFAULT 0,
+                units_failed INT UNSIGNED NOT NULL DEFAULT 0,
+                units_skipped INT UNSIGNED NOT NULL DEFAULT 0,
+                groups_total INT UNSIGNED NOT NULL DEFAULT 0,
+                groups_done INT UNSIGNED NOT NULL DEFAULT 0,
+                groups_failed INT UNSIGNED NOT NULL DEFAULT 0,
+                records_processed INT UNSIGNED NOT NULL DEFAULT 0,
+                peak_memory BIGINT UNSIGNED NOT NULL DEFAULT 0,
+                error TEXT,
+                units LONGTEXT,
+                PRIMARY KEY (id),
+                UNIQUE KEY sync_id_unique (sync_id),
+                KEY started_at_key (started_at),
+                KEY status_key (status)
+            ) $charset_collate;";
+
+            dbDelta($sql);
+
+            // INFO: Log successful table creation for monitoring
+            $this->logger->info('Sync runs table created successfully', [
+                'table_name' => $this->table_name,
+                'max_records' => $this->max_records
+            ]);
+
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to create sync runs table', [
+                'table_name' => $this->table_name,
+                'error' => $e->getMessage(),
+                'trace' => WP_DEBUG ? $e->getTraceAsString() : null
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Inserts a run or updates the stored row with the same sync id.
+     *
+     * @param array $run Column values; campaigns and units are arrays and stored as JSON.
+     * @return int|false The row ID on success, or false on failure.
+     */
+    public function upsert_run(array $run)
+    {
+        try {
+            $run['campaigns'] = wp_json_encode(array_values($run['campaigns'] ?? []));
+            $run['units'] = wp_json_encode(array_values($run['units'] ?? []));
+
+            $formats = array_map(function ($column) {
+                return in_array($column, self::COUNT_COLUMNS, true) ? '%d' : '%s';
+            }, array_keys($run));
+
+            $existing = $this->wpdb->get_var($this->wpdb->prepare(
+                "SELECT id FROM {$this->table_name} WHERE sync_id = %s LIMIT 1",
+                $run['sync_id']
+            ));
+
+            if ($existing) {
+                $result = $this->wpdb->update($this->table_name, $run, ['id' => $existing], $formats, ['%d']);
+            } else {
+                $result = $this->wpdb->insert($this->table_name, $run, $formats);
+                $this->prune();
+            }
+
+            if ($result === false) {
+                throw new Exception($this->wpdb->last_error);
+            }
+
+            return $existing ? (int) $existing : (int) $this->wpdb->insert_id;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to upsert sync run', [
+                'sync_id' => $run['sync_id'] ?? 'unknown',
+                'db_error' => $this->wpdb->last_error,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch runs, newest first, without their unit snapshots.
+     *
+     * @param int $limit
+     * @param int $offset
+     * @param array $filters Optional status, trigger_type and mode.
+     * @return array
+     */
+    public function get_runs(int $limit = 25, int $offset = 0, array $filters = []): array
+    {
+        $where = $this->build_where($filters);
+
+        $rows = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT id, sync_id, trigger_type, trigger_source, user_id, mode, status, campaigns, started_at, ended_at,
+                    duration, subscribers_count, units_total, units_done, units_failed, units_skipped,
+                    groups_total, groups_done, groups_failed, records_processed, peak_memory, error
+             FROM {$this->table_name} {$where} ORDER BY started_at DESC, id DESC LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ), ARRAY_A);
+
+        return array_map([$this, 'decode_row'], $rows ?: []);
+    }
+
+    /**
+     * @param array $filters Same filters as get_runs().
+     * @return int
+     */
+    public function count_runs(array $filters = []): int
+    {
+        return (int) $this->wpdb->get_var("SELECT COUNT(*) FROM {$this->table_name} " . $this->build_where($filters));
+    }
+
+    /**
+     * Fetch a run with its unit snapshot.
+     *
+     * @param string $sync_id
+     * @return array|null
+     */
+    public function get_run(string $sync_id): ?array
+    {
+        $row = $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE sync_id = %s LIMIT 1",
+            $sync_id
+        ), ARRAY_A);
+
+        return $row ? $this->decode_row($row) : null;
+    }
+
+    /**
+     * Deletes the table.
+     *
+     * @return bool True if the table is gone.
+     */
+    public function delete_table(): bool
+    {
+        try {
+            $this->wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+            $table_exists = $this->wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") === $this->table_name;
+
+            if (!$table_exists) {
+                $this->logger->warning('Sync runs table deleted', [
+                    'table_name' => $this->table_name,
+                    'user_id' => get_current_user_id()
+                ]);
+                return true;
+            }
+
+            return false;
+        } catch (Exception $e) {
+            $this->logger->error('Failed to delete sync runs table', [
+                'table_name' => $this->table_name,
+                'db_error' => $this->wpdb->last_error,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Keeps only the newest runs.
+     */
+    private function prune(): void
+    {
+        $this->wpdb->query("
+            DELETE FROM {$this->table_name}
+            WHERE id NOT IN (
+                SELECT id FROM (
+                    SELECT id FROM {$this->table_name} ORDER BY started_at DESC, id DESC LIMIT {$this->max_records}
+                ) AS temp
+            )
+        ");
+    }
+
+    private function build_where(array $filters): string
+    {
+        $conditions = [];
+
+        foreach (['status', 'trigger_type', 'mode'] as $column) {
+            if (!empty($filters[$column])) {
+                $conditions[] = $this->wpdb->prepare("{$column} = %s", $filters[$column]);
+            }
+        }
+
+        return empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    private function decode_row(array $row): array
+    {
+        $row['campaigns'] = json_decode($row['campaigns'] ?? '[]', true) ?: [];
+
+        if (array_key_exists('units', $row)) {
+            $row['units'] = json_decode($row['units'] ?? '[]', true) ?: [];
+        }
+
+        foreach (self::COUNT_COLUMNS as $column) {
+            if (isset($row[$column])) {
+                $row[$column] = (int) $row[$column];
+            }
+        }
+
+        return $row;
+    }
+}
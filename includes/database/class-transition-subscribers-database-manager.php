@@ -230,6 +230,65 @@ class Transition_Subscribers_Database_Manager
         return $this->wpdb->get_results($sql, \ARRAY_A);
     }
 
+    /**
+     * Fetches the transitions a subscriber was moved by, oldest first.
+     *
+     * Each row names the source and destination campaigns and, when the subscriber
+     * is still in the destination campaign, the tier they hold there.
+     *
+     * @param int $subscriber_id The ID of the subscriber.
+     * @return array An array of results, or an empty array when there are none.
+     */
+    public function get_subscriber_transitions(int $subscriber_id): array
+    {
+        $campaigns_table = $this->wpdb->prefix . 'bemacrm_campaignsmeta';
+        $campaign_subscribers_table = $this->wpdb->prefix . 'bemacrm_campaign_subscribersmeta';
+
+        $sql = $this->wpdb->prepare("
+            SELECT
+                tm.id AS transition_id,
+                tm.status,
+                tm.transition_date,
+                src.campaign AS source,
+                dst.campaign AS destination,
+                cs.tier
+            FROM
+                {$this->table_name} AS t
+            INNER JOIN
+                {$this->transitions_table} AS tm ON t.transition_id = tm.id
+            LEFT JOIN
+                {$campaigns_table} AS src ON tm.source = src.id
+            LEFT JOIN
+                {$campaigns_table} AS dst ON tm.destination = dst.id
+            LEFT JOIN
+                {$campaign_subscribers_table} AS cs ON cs.subscriber_id = t.subscriber_id AND cs.campaign_id = tm.destination
+            WHERE
+                t.subscriber_id = %d
+            ORDER BY
+                tm.transition_date ASC, tm.id ASC
+        ", $subscriber_id);
+
+        return $this->wpdb->get_results($sql, \ARRAY_A) ?: [];
+    }
+
+    /**
+     * Moves a subscriber's transition records to another subscriber, e.g. when
+     * duplicates are merged. Transitions both already share are left behind and
+     * go when the old subscriber is deleted.
+     *
+     * @param int $from_subscriber_id
+     * @param int $to_subscriber_id
+     * @return int|false Number of records moved, false on failure.
+     */
+    public function reassign_subscriber(int $from_subscriber_id, int $to_subscriber_id)
+    {
+        return $this->wpdb->query($this->wpdb->prepare(
+            "UPDATE IGNORE {$this->table_name} SET subscriber_id = %d WHERE subscriber_id = %d",
+            $to_subscriber_id,
+            $from_subscriber_id
+        ));
+    }
+
     /**
      * Deletes the database table.
      * @return bool True if the table was deleted, false otherwise.
@@ -8,9 +8,17 @@ if (!defined('ABSPATH')) {
 
 class Default_Lock_Handler implements Lock_Handler
 {
-    public function acquireLock(string $key): bool
+    /**
+     * Rows in the options table that back exclusive locks, named after the lock key
+     */
+    const MUTEX_OPTION_PREFIX = '_bema_mutex_';
+
+    /**
+     * Takes or renews the lock whoever holds it; for recording an owner, not for mutual exclusion.
+     */
+    public function acquireLock(string $key, array $owner = []): bool
     {
-        return set_transient($key, time(), 900);
+        return set_transient($key, ['timestamp' => time(), 'owner' => $owner], 900);
     }
 
     public function releaseLock(string $key): bool
@@ -18,6 +26,63 @@ class Default_Lock_Handler implements Lock_Handler
         return delete_transient($key);
     }
 
+    /**
+     * Takes the lock only if nobody holds it.
+     *
+     * The lock is a row inserted with INSERT IGNORE, so of two requests racing
+     * for it exactly one succeeds. A lock older than $ttl seconds belonged to a
+     * request that died without releasing it and is taken over. The lock is
+     * also set as a transient, so getLock() and the active locks list see it.
+     */
+    public function acquireExclusiveLock(string $key, array $owner = [], int $ttl = 900): bool
+    {
+        global $wpdb;
+        $option = self::MUTEX_OPTION_PREFIX . $key;
+
+        $locked_at = $wpdb->get_var($wpdb->prepare(
+            "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+            $option
+        ));
+
+        // Matching the value means only the stale lock goes, never one just taken over by another request
+        if ($locked_at !== null && time() - (int) $locked_at > $ttl) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$wpdb->options} WHERE option_name = %s AND option_value = %s",
+                $option,
+                $locked_at
+            ));
+        }
+
+        $acquired = (bool) $wpdb->query($wpdb->prepare(
+            "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+            $option,
+            (string) time()
+        ));
+
+        if ($acquired) {
+            set_transient($key, ['timestamp' => time(), 'owner' => $owner], $ttl);
+        }
+
+        return $acquired;
+    }
+
+    public function releaseExclusiveLock(string $key): bool
+    {
+        global $wpdb;
+        $wpdb->delete($wpdb->options, ['option_name' => self::MUTEX_OPTION_PREFIX . $key], ['%s']);
+
+        return delete_transient($key);
+    }
+
+    /**
+     * Returns the lock's timestamp and owner, or null when nobody holds it.
+     */
+    public function getLock(string $key): ?array
+    {
+        $lock = get_transient($key);
+        return $lock === false ? null : $this->normalizeLock($lock);
+    }
+
     public function getActiveLocks(): array
     {
         global $wpdb;
@@ -26,10 +91,25 @@ class Default_Lock_Handler implements Lock_Handler
             ARRAY_A
         );
         return array_map(function ($lock) {
-            return [
-                'key' => str_replace('_transient_', '', $lock['option_name']),
-                'timestamp' => maybe_unserialize($lock['option_value'])
-            ];
+            return array_merge(
+                ['key' => str_replace('_transient_', '', $lock['option_name'])],
+                $this->normalizeLock(maybe_unserialize($lock['option_value']))
+            );
         }, $locks);
     }
+
+    /**
+     * Locks taken before owners were recorded only hold the timestamp.
+     */
+    private function normalizeLock($lock): array
+    {
+        if (!is_array($lock)) {
+            return ['timestamp' => (int) $lock, 'owner' => []];
+        }
+
+        return [
+            'timestamp' => (int) ($lock['timestamp'] ?? 0),
+            'owner' => $lock['owner'] ?? []
+        ];
+    }
 }
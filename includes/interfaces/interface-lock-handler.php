@@ -7,7 +7,10 @@ if (!defined('ABSPATH')) {
 
 interface Lock_Handler
 {
-    public function acquireLock(string $key): bool;
+    public function acquireLock(string $key, array $owner = []): bool;
     public function releaseLock(string $key): bool;
+    public function acquireExclusiveLock(string $key, array $owner = [], int $ttl = 900): bool;
+    public function releaseExclusiveLock(string $key): bool;
+    public function getLock(string $key): ?array;
     public function getActiveLocks(): array;
 }